@@ -1,5 +1,6 @@
 import cron from 'node-cron';
 import logger from '../utils/logger.js';
+import { isTimeInWindow, getZonedParts } from '../utils/timezone.js';
 
 /**
  * Cron expressions for different job frequencies
@@ -23,29 +24,179 @@ export const cronExpressions = {
 };
 
 /**
- * Validate a cron expression
+ * Validate a 5-field cron expression
  * @param {String} expression - Cron expression to validate
  * @returns {Boolean} Whether the expression is valid
  */
 export const isValidCronExpression = (expression) => {
-    return cron.validate(expression);
+    if (!cron.validate(expression)) return false;
+
+    try {
+        parseCronExpression(expression);
+        return true;
+    } catch (error) {
+        return false;
+    }
 };
 
+// Fields of a 5-field cron expression: [name, min, max]
+const CRON_FIELDS = [
+    ['minute', 0, 59],
+    ['hour', 0, 23],
+    ['day', 1, 31],
+    ['month', 1, 12],
+    ['weekday', 0, 7]
+];
+
+const CRON_NAMES = {
+    month: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'],
+    weekday: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat']
+};
+
+// Cron searches give up after a year
+const MAX_CRON_SEARCH_MINUTES = 366 * 24 * 60;
+
 /**
- * Get the next execution date for a cron expression
+ * Parse a 5-field cron expression (minute hour day month weekday)
+ * Supports *, lists, ranges, steps and month/weekday names
  * @param {String} expression - Cron expression
- * @returns {Date} Next execution date
+ * @returns {Object} Allowed values per field as Sets, plus whether day and weekday are restricted
+ * @throws {Error} On invalid expressions
+ */
+export const parseCronExpression = (expression) => {
+    const parts = String(expression || '').trim().split(/\s+/);
+    if (parts.length !== 5) {
+        throw new Error('Cron expression must have 5 fields (minute hour day month weekday)');
+    }
+
+    const fields = {};
+
+    CRON_FIELDS.forEach(([name, min, max], index) => {
+        const values = new Set();
+        const toNumber = (value) => {
+            const named = CRON_NAMES[name]?.indexOf(value.toLowerCase());
+            const number = named >= 0 ? named + (name === 'month' ? 1 : 0) : (/^\d+$/.test(value) ? Number(value) : NaN);
+            if (!Number.isInteger(number) || number < min || number > max) {
+                throw new Error(`Invalid ${name} value "${value}" in cron expression`);
+            }
+            return number;
+        };
+
+        parts[index].split(',').forEach(item => {
+            const [range, stepText] = item.split('/');
+            const step = stepText === undefined ? 1 : Number(stepText);
+            if (!Number.isInteger(step) || step < 1) {
+                throw new Error(`Invalid step "${stepText}" in cron expression`);
+            }
+
+            let [from, to] = [min, max];
+            if (range !== '*') {
+                const [start, end] = range.split('-');
+                from = toNumber(start);
+                to = end === undefined ? (stepText === undefined ? from : max) : toNumber(end);
+            }
+            if (from > to) throw new Error(`Invalid ${name} range "${range}" in cron expression`);
+
+            for (let value = from; value <= to; value += step) {
+                // 7 is Sunday too
+                values.add(name === 'weekday' && value === 7 ? 0 : value);
+            }
+        });
+
+        fields[name] = values;
+    });
+
+    fields.dayRestricted = parts[2] !== '*';
+    fields.weekdayRestricted = parts[4] !== '*';
+
+    return fields;
+};
+
+/**
+ * Check whether local date parts match a parsed cron expression
+ * Like cron, a restricted day and weekday match when either does
+ */
+const matchesCronDay = (fields, { day, month, weekday }) => {
+    if (!fields.month.has(month)) return false;
+
+    if (fields.dayRestricted && fields.weekdayRestricted) {
+        return fields.day.has(day) || fields.weekday.has(weekday);
+    }
+
+    return fields.day.has(day) && fields.weekday.has(weekday);
+};
+
+/**
+ * Check whether a minute matches a cron expression
+ * @param {String} expression - 5-field cron expression
+ * @param {Date} date - Instant (seconds are ignored)
+ * @param {String} timeZone - Timezone of the expression (default UTC)
+ * @returns {Boolean} Whether the expression fires at that minute
+ */
+export const matchesCronExpression = (expression, date = new Date(), timeZone = 'UTC') => {
+    const fields = parseCronExpression(expression);
+    const parts = getZonedParts(date, timeZone);
+
+    return matchesCronDay(fields, parts) && fields.hour.has(parts.hour) && fields.minute.has(parts.minute);
+};
+
+/**
+ * Step through minutes until a cron expression matches
+ * Skips whole local hours that cannot match, so a year is searched in a few thousand steps
  */
-export const getNextExecutionDate = (expression) => {
+const findCronMatch = (expression, date, timeZone, direction, maxMinutes) => {
+    const fields = parseCronExpression(expression);
+    const minute = 60 * 1000;
+    let time = Math.floor(new Date(date).getTime() / minute) * minute;
+    const limit = time + direction * maxMinutes * minute;
+
+    while (direction > 0 ? time <= limit : time >= limit) {
+        const parts = getZonedParts(new Date(time), timeZone);
+
+        if (!matchesCronDay(fields, parts) || !fields.hour.has(parts.hour)) {
+            // Jump to the next (or previous) local hour
+            time = direction > 0
+                ? time + (60 - parts.minute) * minute
+                : time - (parts.minute + 1) * minute;
+            continue;
+        }
+
+        if (fields.minute.has(parts.minute)) return new Date(time);
+        time += direction * minute;
+    }
+
+    return null;
+};
+
+/**
+ * Get the next execution date for a cron expression
+ * @param {String} expression - 5-field cron expression
+ * @param {Date} from - Start of the search (inclusive)
+ * @param {String} timeZone - Timezone of the expression (default UTC)
+ * @returns {Date|null} Next execution date, null when there is none within a year
+ */
+export const getNextExecutionDate = (expression, from = new Date(), timeZone = 'UTC') => {
     if (!isValidCronExpression(expression)) {
         throw new Error('Invalid cron expression');
     }
 
-    const schedule = cron.schedule(expression, () => { });
-    const next = schedule.nextDate();
-    schedule.stop();
+    return findCronMatch(expression, from, timeZone, 1, MAX_CRON_SEARCH_MINUTES);
+};
+
+/**
+ * Get the latest execution date of a cron expression up to a date
+ * @param {String} expression - 5-field cron expression
+ * @param {Date} before - End of the search (inclusive)
+ * @param {String} timeZone - Timezone of the expression (default UTC)
+ * @param {Number} maxMinutes - How far back to search
+ * @returns {Date|null} Previous execution date, null when there is none within the range
+ */
+export const getPreviousExecutionDate = (expression, before = new Date(), timeZone = 'UTC', maxMinutes = MAX_CRON_SEARCH_MINUTES) => {
+    if (!isValidCronExpression(expression)) {
+        throw new Error('Invalid cron expression');
+    }
 
-    return next.toDate();
+    return findCronMatch(expression, before, timeZone, -1, maxMinutes);
 };
 
 /**
@@ -68,37 +219,39 @@ export const parseTimeWindow = (timeString) => {
 /**
  * Check if current time is within a time window
  * @param {Object} timeWindow - Time window object with start and end properties
+ * @param {String} timeZone - Timezone of the window (default UTC)
  * @returns {Boolean} Whether current time is within the window
  */
-export const isWithinTimeWindow = (timeWindow) => {
+export const isWithinTimeWindow = (timeWindow, timeZone = 'UTC') => {
     if (!timeWindow || !timeWindow.start || !timeWindow.end) {
         return true; // If no time window is specified, always return true
     }
 
-    const now = new Date();
-    const currentTimeStr = `${now.getHours().toString().padStart(2, '0')}:${now.getMinutes().toString().padStart(2, '0')}`;
-
-    return currentTimeStr >= timeWindow.start && currentTimeStr <= timeWindow.end;
+    return isTimeInWindow(timeWindow, new Date(), timeZone);
 };
 
 /**
  * Check if current day is within specified days of week
  * @param {Array} daysOfWeek - Array of days (0-6, where 0 is Sunday)
+ * @param {String} timeZone - Timezone of the days (default UTC)
  * @returns {Boolean} Whether current day is within the specified days
  */
-export const isWithinDaysOfWeek = (daysOfWeek) => {
+export const isWithinDaysOfWeek = (daysOfWeek, timeZone = 'UTC') => {
     if (!daysOfWeek || daysOfWeek.length === 0) {
         return true; // If no days are specified, always return true
     }
 
-    const currentDay = new Date().getDay();
+    const currentDay = getZonedParts(new Date(), timeZone).weekday;
     return daysOfWeek.includes(currentDay);
 };
 
 export default {
     cronExpressions,
     isValidCronExpression,
+    parseCronExpression,
+    matchesCronExpression,
     getNextExecutionDate,
+    getPreviousExecutionDate,
     parseTimeWindow,
     isWithinTimeWindow,
     isWithinDaysOfWeek
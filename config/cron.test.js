@@ -0,0 +1,88 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    isValidCronExpression,
+    parseCronExpression,
+    matchesCronExpression,
+    getNextExecutionDate,
+    getPreviousExecutionDate
+} from './cron.js';
+
+describe('parseCronExpression', () => {
+    it('expands lists, ranges, steps and names', () => {
+        const fields = parseCronExpression('*/15 9-17/4 1,15 jan-mar MON-fri');
+
+        assert.deepEqual([...fields.minute], [0, 15, 30, 45]);
+        assert.deepEqual([...fields.hour], [9, 13, 17]);
+        assert.deepEqual([...fields.day], [1, 15]);
+        assert.deepEqual([...fields.month], [1, 2, 3]);
+        assert.deepEqual([...fields.weekday], [1, 2, 3, 4, 5]);
+        assert.equal(fields.dayRestricted, true);
+        assert.equal(fields.weekdayRestricted, true);
+    });
+
+    it('treats 7 as Sunday', () => {
+        assert.deepEqual([...parseCronExpression('0 0 * * 7').weekday], [0]);
+    });
+
+    it('rejects invalid expressions', () => {
+        assert.throws(() => parseCronExpression('0 0 * *'), /must have 5 fields/);
+        assert.throws(() => parseCronExpression('60 0 * * *'), /Invalid minute value "60"/);
+        assert.throws(() => parseCronExpression('0 0 * * */0'), /Invalid step/);
+        assert.throws(() => parseCronExpression('0 5-1 * * *'), /Invalid hour range/);
+    });
+});
+
+describe('isValidCronExpression', () => {
+    it('accepts 5-field expressions only', () => {
+        assert.equal(isValidCronExpression('0 2 * * 0'), true);
+        assert.equal(isValidCronExpression('0 0 2 * * 0'), false);
+        assert.equal(isValidCronExpression('0 25 * * *'), false);
+        assert.equal(isValidCronExpression('every sunday'), false);
+    });
+});
+
+describe('matchesCronExpression', () => {
+    it('matches in the expression timezone', () => {
+        const date = new Date('2026-03-01T01:00:00Z');
+
+        assert.equal(matchesCronExpression('0 2 * * 0', date, 'Europe/Berlin'), true);
+        assert.equal(matchesCronExpression('0 2 * * 0', date, 'UTC'), false);
+    });
+});
+
+describe('cron execution dates', () => {
+    it('finds the next occurrence in local time', () => {
+        assert.equal(
+            getNextExecutionDate('0 2 * * 0', new Date('2026-03-01T00:00:00Z'), 'Europe/Berlin').toISOString(),
+            '2026-03-01T01:00:00.000Z'
+        );
+    });
+
+    it('skips times that do not exist on DST days', () => {
+        assert.equal(
+            getNextExecutionDate('30 2 * * *', new Date('2026-03-29T00:00:00Z'), 'Europe/Berlin').toISOString(),
+            '2026-03-30T00:30:00.000Z'
+        );
+    });
+
+    it('matches either a restricted day or weekday', () => {
+        assert.equal(
+            getNextExecutionDate('0 12 13 * 5', new Date('2026-03-01T00:00:00Z'), 'UTC').toISOString(),
+            '2026-03-06T12:00:00.000Z'
+        );
+    });
+
+    it('finds the previous occurrence', () => {
+        assert.equal(
+            getPreviousExecutionDate('0 9 * * 1-5', new Date('2026-03-08T12:00:00Z'), 'UTC').toISOString(),
+            '2026-03-06T09:00:00.000Z'
+        );
+        assert.equal(getPreviousExecutionDate('0 9 * * 1-5', new Date('2026-03-08T12:00:00Z'), 'UTC', 60), null);
+    });
+
+    it('gives up on expressions that never fire', () => {
+        assert.equal(getNextExecutionDate('0 0 31 2 *', new Date('2026-03-08T12:00:00Z'), 'UTC'), null);
+        assert.throws(() => getNextExecutionDate('nope'), /Invalid cron expression/);
+    });
+});
@@ -8,6 +8,8 @@ export const CACHE_STRATEGIES = {
     serverDetails: 60,     // 1 minute for individual servers
     analytics: 300,        // 5 minutes for analytics
     userProfile: 600,      // 10 minutes for user data
+    statusPage: 60,        // 1 minute for public status pages
+    uptime: 600,           // 10 minutes for precomputed uptime, refreshed every 5
     staticData: 3600       // 1 hour for plans/configs
 };
 
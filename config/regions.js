@@ -0,0 +1,58 @@
+// config/regions.js - Probe region configuration
+
+// Base name of the check queues, the default region keeps the original queue
+const MONITOR_QUEUE_NAME = 'monitor-server-queue';
+
+// Region names are used in queue names and Redis keys
+const REGION_NAME_PATTERN = /^[a-z0-9-]+$/;
+
+/**
+ * Get the configured probe regions
+ * Read on each call so the list follows the environment of the process (e.g. PROBE_REGIONS=eu-west,us-east)
+ * @returns {Array} Region names, the first one is the default region
+ */
+export const getProbeRegions = () => {
+    const regions = (process.env.PROBE_REGIONS || 'default')
+        .split(',')
+        .map(region => region.trim().toLowerCase())
+        .filter(region => REGION_NAME_PATTERN.test(region));
+
+    return regions.length ? [...new Set(regions)] : ['default'];
+};
+
+/**
+ * Get the default probe region (first configured region)
+ */
+export const getDefaultRegion = () => getProbeRegions()[0];
+
+/**
+ * Check if a region is configured
+ * @param {String} region - Region name
+ */
+export const isProbeRegion = (region) => getProbeRegions().includes(region);
+
+/**
+ * Get the region served by this worker process (PROBE_REGION, defaults to the default region)
+ */
+export const getWorkerRegion = () => {
+    return (process.env.PROBE_REGION || '').trim().toLowerCase() || getDefaultRegion();
+};
+
+/**
+ * Get the check queue name of a region
+ * @param {String} region - Region name
+ * @returns {String} Queue name
+ */
+export const getMonitorQueueName = (region) => {
+    return !region || region === getDefaultRegion()
+        ? MONITOR_QUEUE_NAME
+        : `${MONITOR_QUEUE_NAME}-${region}`;
+};
+
+export default {
+    getProbeRegions,
+    getDefaultRegion,
+    isProbeRegion,
+    getWorkerRegion,
+    getMonitorQueueName
+};
@@ -0,0 +1,444 @@
+// controllers/alertTemplateController.js
+import mongoose from 'mongoose';
+import AlertTemplate from '../models/AlertTemplate.js';
+import Server from '../models/Server.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import {
+    TEMPLATE_VARIABLES,
+    CHANNEL_FIELDS,
+    buildSampleContext,
+    validateAlertTemplate,
+    renderAlertTemplate
+} from '../services/alertTemplateService.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Load a template and check that the user may access it
+ * Sends the error response and returns null when the template cannot be used
+ */
+const findAuthorizedTemplate = async (req, res) => {
+    const templateId = req.params.id;
+    const userId = req.user._id.toString();
+    const isAdmin = req.user.role === 'admin';
+
+    if (!mongoose.Types.ObjectId.isValid(templateId)) {
+        res.status(400).json({
+            status: 'error',
+            message: 'Invalid template ID format',
+            code: 'INVALID_TEMPLATE_ID'
+        });
+        return null;
+    }
+
+    const template = await AlertTemplate.findById(templateId);
+
+    if (!template) {
+        res.status(404).json({
+            status: 'error',
+            message: 'Alert template not found',
+            code: 'TEMPLATE_NOT_FOUND'
+        });
+        return null;
+    }
+
+    // Authorization check - ensure both are strings for comparison
+    if (String(template.uploadedBy) !== String(userId) && !isAdmin) {
+        res.status(403).json({
+            status: 'error',
+            message: 'Not authorized to access this alert template',
+            code: 'UNAUTHORIZED_ACCESS'
+        });
+        return null;
+    }
+
+    return template;
+};
+
+/**
+ * Pick the editable template fields from a request body
+ */
+const buildTemplateData = ({ name, server, channel, alertType, subject, body, payload }) => ({
+    ...(name !== undefined && { name: name.trim() }),
+    ...(server !== undefined && { server: server || null }),
+    ...(channel !== undefined && { channel }),
+    ...(alertType !== undefined && { alertType }),
+    ...(subject !== undefined && { subject: subject || null }),
+    ...(body !== undefined && { body: body || null }),
+    ...(payload !== undefined && { payload: payload || null })
+});
+
+/**
+ * Load a server of the template owner, for server templates and previews
+ */
+const findOwnServer = (serverId, userId) => {
+    return Server.findOne({ _id: serverId, uploadedBy: userId })
+        .select('name url type monitoring.alerts.responseThreshold')
+        .lean();
+};
+
+/**
+ * Send an error response for templates referencing unknown servers
+ */
+const sendInvalidServerError = (res) => {
+    res.status(400).json({
+        status: 'error',
+        message: 'Server not found',
+        code: 'INVALID_SERVER'
+    });
+};
+
+/**
+ * Send a validation error response for template errors
+ */
+const sendTemplateErrors = (res, errors) => {
+    res.status(400).json({
+        status: 'error',
+        message: 'Invalid template',
+        code: 'INVALID_TEMPLATE',
+        errors
+    });
+};
+
+/**
+ * Send a validation error response for mongoose validation errors
+ */
+const sendValidationError = (res, error) => {
+    res.status(400).json({
+        status: 'error',
+        message: 'Validation error',
+        code: 'VALIDATION_ERROR',
+        errors: Object.values(error.errors).map(err => ({
+            field: err.path,
+            message: err.message
+        }))
+    });
+};
+
+/**
+ * Send a conflict response when the scope already has a template
+ */
+const sendDuplicateError = (res) => {
+    res.status(409).json({
+        status: 'error',
+        message: 'A template for this channel, alert type and server already exists',
+        code: 'TEMPLATE_EXISTS'
+    });
+};
+
+/**
+ * Render a template against a sample event
+ */
+const renderPreview = (template, alertType, server) => {
+    const context = buildSampleContext(alertType, server);
+    return { context, rendered: renderAlertTemplate(template, context) };
+};
+
+/**
+ * @desc    Get the user's alert templates
+ * @route   GET /api/alert-templates
+ * @access  Private
+ */
+export const getTemplates = asyncHandler(async (req, res) => {
+    const userId = req.user._id.toString();
+
+    try {
+        const filter = { uploadedBy: userId };
+
+        if (req.query.channel) filter.channel = req.query.channel;
+        if (req.query.serverId && mongoose.Types.ObjectId.isValid(req.query.serverId)) {
+            filter.server = req.query.serverId;
+        }
+
+        const templates = await AlertTemplate.find(filter)
+            .populate('server', 'name url')
+            .sort({ channel: 1, server: 1, alertType: 1 })
+            .lean();
+
+        res.status(200).json({
+            status: 'success',
+            results: templates.length,
+            data: { templates }
+        });
+
+    } catch (error) {
+        logger.error(`Error fetching alert templates for user ${userId}: ${error.message}`, {
+            stack: error.stack
+        });
+
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to fetch alert templates',
+            code: 'FETCH_TEMPLATES_ERROR'
+        });
+    }
+});
+
+/**
+ * @desc    Get the variables and fields available in templates
+ * @route   GET /api/alert-templates/variables
+ * @access  Private
+ */
+export const getTemplateVariables = asyncHandler(async (req, res) => {
+    res.status(200).json({
+        status: 'success',
+        data: {
+            variables: TEMPLATE_VARIABLES,
+            channelFields: CHANNEL_FIELDS
+        }
+    });
+});
+
+/**
+ * @desc    Get alert template by ID
+ * @route   GET /api/alert-templates/:id
+ * @access  Private
+ */
+export const getTemplateById = asyncHandler(async (req, res) => {
+    try {
+        const template = await findAuthorizedTemplate(req, res);
+        if (!template) return;
+
+        await template.populate('server', 'name url');
+
+        res.status(200).json({
+            status: 'success',
+            data: { template }
+        });
+
+    } catch (error) {
+        logger.error(`Error fetching alert template ${req.params.id}: ${error.message}`, {
+            stack: error.stack
+        });
+
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to fetch alert template',
+            code: 'FETCH_TEMPLATE_ERROR'
+        });
+    }
+});
+
+/**
+ * @desc    Create an alert template
+ * @route   POST /api/alert-templates
+ * @access  Private
+ */
+export const createTemplate = asyncHandler(async (req, res) => {
+    const userId = req.user._id.toString();
+
+    try {
+        const templateData = buildTemplateData(req.body);
+
+        const errors = validateAlertTemplate(templateData);
+        if (errors.length) return sendTemplateErrors(res, errors);
+
+        if (templateData.server && !(await findOwnServer(templateData.server, userId))) {
+            return sendInvalidServerError(res);
+        }
+
+        const template = await AlertTemplate.create({
+            ...templateData,
+            uploadedBy: userId
+        });
+
+        logger.info(`Alert template created: ${template.name} (${template._id}) by user ${userId}`);
+
+        res.status(201).json({
+            status: 'success',
+            message: 'Alert template created successfully',
+            data: { template }
+        });
+
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return sendValidationError(res, error);
+        }
+        if (error.code === 11000) {
+            return sendDuplicateError(res);
+        }
+
+        logger.error(`Error creating alert template for user ${userId}: ${error.message}`, {
+            stack: error.stack
+        });
+
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to create alert template',
+            code: 'CREATE_TEMPLATE_ERROR'
+        });
+    }
+});
+
+/**
+ * @desc    Update an alert template
+ * @route   PATCH /api/alert-templates/:id
+ * @access  Private
+ */
+export const updateTemplate = asyncHandler(async (req, res) => {
+    try {
+        const template = await findAuthorizedTemplate(req, res);
+        if (!template) return;
+
+        const templateData = buildTemplateData(req.body);
+
+        const errors = validateAlertTemplate({ ...template.toObject(), ...templateData });
+        if (errors.length) return sendTemplateErrors(res, errors);
+
+        if (templateData.server && !(await findOwnServer(templateData.server, template.uploadedBy))) {
+            return sendInvalidServerError(res);
+        }
+
+        template.set(templateData);
+        await template.save();
+
+        logger.info(`Alert template updated: ${template.name} (${template._id}) by user ${req.user._id}`);
+
+        res.status(200).json({
+            status: 'success',
+            message: 'Alert template updated successfully',
+            data: { template }
+        });
+
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return sendValidationError(res, error);
+        }
+        if (error.code === 11000) {
+            return sendDuplicateError(res);
+        }
+
+        logger.error(`Error updating alert template ${req.params.id}: ${error.message}`, {
+            stack: error.stack
+        });
+
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to update alert template',
+            code: 'UPDATE_TEMPLATE_ERROR'
+        });
+    }
+});
+
+/**
+ * @desc    Delete an alert template, its alerts fall back to the default messages
+ * @route   DELETE /api/alert-templates/:id
+ * @access  Private
+ */
+export const deleteTemplate = asyncHandler(async (req, res) => {
+    try {
+        const template = await findAuthorizedTemplate(req, res);
+        if (!template) return;
+
+        await AlertTemplate.deleteOne({ _id: template._id });
+
+        logger.info(`Alert template deleted: ${template.name} (${template._id}) by user ${req.user._id}`);
+
+        res.status(200).json({
+            status: 'success',
+            message: 'Alert template deleted successfully',
+            data: {
+                deletedTemplate: {
+                    id: template._id,
+                    name: template.name
+                }
+            }
+        });
+
+    } catch (error) {
+        logger.error(`Error deleting alert template ${req.params.id}: ${error.message}`, {
+            stack: error.stack
+        });
+
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to delete alert template',
+            code: 'DELETE_TEMPLATE_ERROR'
+        });
+    }
+});
+
+/**
+ * @desc    Render an unsaved template against a sample event
+ * @route   POST /api/alert-templates/preview
+ * @access  Private
+ */
+export const previewDraft = asyncHandler(async (req, res) => {
+    const userId = req.user._id.toString();
+
+    try {
+        const template = buildTemplateData(req.body);
+
+        const errors = validateAlertTemplate(template);
+        if (errors.length) return sendTemplateErrors(res, errors);
+
+        let server = null;
+        if (req.body.serverId) {
+            server = await findOwnServer(req.body.serverId, userId);
+            if (!server) return sendInvalidServerError(res);
+        }
+
+        res.status(200).json({
+            status: 'success',
+            data: renderPreview(template, req.body.alertType || template.alertType, server)
+        });
+
+    } catch (error) {
+        logger.error(`Error previewing alert template for user ${userId}: ${error.message}`, {
+            stack: error.stack
+        });
+
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to preview alert template',
+            code: 'PREVIEW_TEMPLATE_ERROR'
+        });
+    }
+});
+
+/**
+ * @desc    Render a saved template against a sample event
+ * @route   POST /api/alert-templates/:id/preview
+ * @access  Private
+ */
+export const previewTemplate = asyncHandler(async (req, res) => {
+    try {
+        const template = await findAuthorizedTemplate(req, res);
+        if (!template) return;
+
+        const serverId = req.body.serverId || template.server;
+        let server = null;
+        if (serverId) {
+            server = await findOwnServer(serverId, template.uploadedBy);
+            if (!server) return sendInvalidServerError(res);
+        }
+
+        const alertType = req.body.alertType || template.alertType;
+
+        res.status(200).json({
+            status: 'success',
+            data: renderPreview(template.toObject(), alertType, server)
+        });
+
+    } catch (error) {
+        logger.error(`Error previewing alert template ${req.params.id}: ${error.message}`, {
+            stack: error.stack
+        });
+
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to preview alert template',
+            code: 'PREVIEW_TEMPLATE_ERROR'
+        });
+    }
+});
+
+export default {
+    getTemplates,
+    getTemplateVariables,
+    getTemplateById,
+    createTemplate,
+    updateTemplate,
+    deleteTemplate,
+    previewDraft,
+    previewTemplate
+};
@@ -0,0 +1,315 @@
+// controllers/escalationPolicyController.js
+import mongoose from 'mongoose';
+import EscalationPolicy from '../models/EscalationPolicy.js';
+import Server from '../models/Server.js';
+import OnCallSchedule from '../models/OnCallSchedule.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { normalizePhoneNumber } from '../utils/phone.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Load a policy and check that the user may access it
+ * Sends the error response and returns null when the policy cannot be used
+ */
+const findAuthorizedPolicy = async (req, res) => {
+    const policyId = req.params.id;
+    const userId = req.user._id.toString();
+    const isAdmin = req.user.role === 'admin';
+
+    if (!mongoose.Types.ObjectId.isValid(policyId)) {
+        res.status(400).json({
+            status: 'error',
+            message: 'Invalid escalation policy ID format',
+            code: 'INVALID_POLICY_ID'
+        });
+        return null;
+    }
+
+    const policy = await EscalationPolicy.findById(policyId);
+
+    if (!policy) {
+        res.status(404).json({
+            status: 'error',
+            message: 'Escalation policy not found',
+            code: 'POLICY_NOT_FOUND'
+        });
+        return null;
+    }
+
+    // Authorization check - ensure both are strings for comparison
+    if (String(policy.uploadedBy) !== String(userId) && !isAdmin) {
+        res.status(403).json({
+            status: 'error',
+            message: 'Not authorized to access this escalation policy',
+            code: 'UNAUTHORIZED_ACCESS'
+        });
+        return null;
+    }
+
+    return policy;
+};
+
+/**
+ * Pick the editable policy fields from a request body
+ */
+const buildPolicyData = ({ name, levels, repeat }) => ({
+    ...(name !== undefined && { name: name.trim() }),
+    ...(levels !== undefined && {
+        levels: levels.map(level => ({
+            emails: [...new Set((level.emails || []).map(email => email.trim().toLowerCase()))],
+            schedules: [...new Set((level.schedules || []).map(String))],
+            // E.164 when the country is known, national numbers keep their digits
+            phones: [...new Set((level.phones || []).map(phone => normalizePhoneNumber(phone) || phone.replace(/\D/g, '')))],
+            channels: [...new Set(level.channels ?? ['email'])],
+            escalateAfter: level.escalateAfter ?? 15
+        }))
+    }),
+    ...(repeat !== undefined && {
+        repeat: {
+            interval: repeat?.interval ?? 0,
+            limit: repeat?.limit ?? 3
+        }
+    })
+});
+
+/**
+ * Check that every on-call schedule referenced by the levels belongs to the user
+ */
+const ownsLevelSchedules = async (levels = [], userId) => {
+    const scheduleIds = [...new Set(levels.flatMap(level => level.schedules || []))];
+    if (!scheduleIds.length) return true;
+
+    const owned = await OnCallSchedule.countDocuments({ _id: { $in: scheduleIds }, uploadedBy: userId });
+    return owned === scheduleIds.length;
+};
+
+/**
+ * Send an error response for levels referencing unknown schedules
+ */
+const sendInvalidScheduleError = (res) => {
+    res.status(400).json({
+        status: 'error',
+        message: 'On-call schedule not found',
+        code: 'INVALID_SCHEDULE'
+    });
+};
+
+/**
+ * Send a validation error response for mongoose validation errors
+ */
+const sendValidationError = (res, error) => {
+    res.status(400).json({
+        status: 'error',
+        message: 'Validation error',
+        code: 'VALIDATION_ERROR',
+        errors: Object.values(error.errors).map(err => ({
+            field: err.path,
+            message: err.message
+        }))
+    });
+};
+
+/**
+ * @desc    Get the user's escalation policies
+ * @route   GET /api/escalation-policies
+ * @access  Private
+ */
+export const getPolicies = asyncHandler(async (req, res) => {
+    const userId = req.user._id.toString();
+
+    try {
+        const policies = await EscalationPolicy.find({ uploadedBy: userId })
+            .sort({ name: 1 })
+            .lean();
+
+        res.status(200).json({
+            status: 'success',
+            results: policies.length,
+            data: { policies }
+        });
+
+    } catch (error) {
+        logger.error(`Error fetching escalation policies for user ${userId}: ${error.message}`, {
+            stack: error.stack
+        });
+
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to fetch escalation policies',
+            code: 'FETCH_POLICIES_ERROR'
+        });
+    }
+});
+
+/**
+ * @desc    Get escalation policy by ID
+ * @route   GET /api/escalation-policies/:id
+ * @access  Private
+ */
+export const getPolicyById = asyncHandler(async (req, res) => {
+    try {
+        const policy = await findAuthorizedPolicy(req, res);
+        if (!policy) return;
+
+        const servers = await Server.find({ escalationPolicy: policy._id })
+            .select('name url type status')
+            .lean();
+
+        res.status(200).json({
+            status: 'success',
+            data: { policy, servers }
+        });
+
+    } catch (error) {
+        logger.error(`Error fetching escalation policy ${req.params.id}: ${error.message}`, {
+            stack: error.stack
+        });
+
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to fetch escalation policy',
+            code: 'FETCH_POLICY_ERROR'
+        });
+    }
+});
+
+/**
+ * @desc    Create an escalation policy
+ * @route   POST /api/escalation-policies
+ * @access  Private
+ */
+export const createPolicy = asyncHandler(async (req, res) => {
+    const userId = req.user._id.toString();
+
+    try {
+        const policyData = buildPolicyData(req.body);
+
+        if (!(await ownsLevelSchedules(policyData.levels, userId))) {
+            return sendInvalidScheduleError(res);
+        }
+
+        const policy = await EscalationPolicy.create({
+            ...policyData,
+            uploadedBy: userId
+        });
+
+        logger.info(`Escalation policy created: ${policy.name} (${policy._id}) by user ${userId}`);
+
+        res.status(201).json({
+            status: 'success',
+            message: 'Escalation policy created successfully',
+            data: { policy }
+        });
+
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return sendValidationError(res, error);
+        }
+
+        logger.error(`Error creating escalation policy for user ${userId}: ${error.message}`, {
+            stack: error.stack
+        });
+
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to create escalation policy',
+            code: 'CREATE_POLICY_ERROR'
+        });
+    }
+});
+
+/**
+ * @desc    Update an escalation policy
+ * @route   PATCH /api/escalation-policies/:id
+ * @access  Private
+ */
+export const updatePolicy = asyncHandler(async (req, res) => {
+    try {
+        const policy = await findAuthorizedPolicy(req, res);
+        if (!policy) return;
+
+        const policyData = buildPolicyData(req.body);
+
+        if (!(await ownsLevelSchedules(policyData.levels, policy.uploadedBy))) {
+            return sendInvalidScheduleError(res);
+        }
+
+        policy.set(policyData);
+        await policy.save();
+
+        logger.info(`Escalation policy updated: ${policy.name} (${policy._id}) by user ${req.user._id}`);
+
+        res.status(200).json({
+            status: 'success',
+            message: 'Escalation policy updated successfully',
+            data: { policy }
+        });
+
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return sendValidationError(res, error);
+        }
+
+        logger.error(`Error updating escalation policy ${req.params.id}: ${error.message}`, {
+            stack: error.stack
+        });
+
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to update escalation policy',
+            code: 'UPDATE_POLICY_ERROR'
+        });
+    }
+});
+
+/**
+ * @desc    Delete an escalation policy, servers using it fall back to their contacts
+ * @route   DELETE /api/escalation-policies/:id
+ * @access  Private
+ */
+export const deletePolicy = asyncHandler(async (req, res) => {
+    try {
+        const policy = await findAuthorizedPolicy(req, res);
+        if (!policy) return;
+
+        const [, serverResult] = await Promise.all([
+            EscalationPolicy.deleteOne({ _id: policy._id }),
+            Server.updateMany({ escalationPolicy: policy._id }, { $set: { escalationPolicy: null } })
+        ]);
+
+        logger.info(`Escalation policy deleted: ${policy.name} (${policy._id}) by user ${req.user._id}`, {
+            serversUpdated: serverResult.modifiedCount
+        });
+
+        res.status(200).json({
+            status: 'success',
+            message: 'Escalation policy deleted successfully',
+            data: {
+                deletedPolicy: {
+                    id: policy._id,
+                    name: policy.name
+                },
+                serversUpdated: serverResult.modifiedCount
+            }
+        });
+
+    } catch (error) {
+        logger.error(`Error deleting escalation policy ${req.params.id}: ${error.message}`, {
+            stack: error.stack
+        });
+
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to delete escalation policy',
+            code: 'DELETE_POLICY_ERROR'
+        });
+    }
+});
+
+export default {
+    getPolicies,
+    getPolicyById,
+    createPolicy,
+    updatePolicy,
+    deletePolicy
+};
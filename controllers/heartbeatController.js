@@ -0,0 +1,148 @@
+// controllers/heartbeatController.js
+import Server from '../models/Server.js';
+import ServerCheck from '../models/ServerCheck.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { buildCheckRecord, getHeartbeatDeadline } from '../services/monitoringService.js';
+import { resolveStatusTransition } from '../services/statusService.js';
+import { isInMaintenance } from '../services/maintenanceService.js';
+import { addAlertToQueue } from '../queues/alertQueue.js';
+import { redisConnection } from '../config/redis.js';
+import logger from '../utils/logger.js';
+
+/**
+ * @desc    Record a ping from a heartbeat (push) monitor
+ * @route   GET/POST /api/heartbeat/:token
+ * @access  Public (secret token)
+ */
+export const recordHeartbeat = asyncHandler(async (req, res) => {
+    const { token } = req.params;
+    // Jobs can report details as query parameters (curl) or in a JSON body
+    const params = { ...req.query, ...req.body };
+    const duration = parseOptionalNumber(params.duration);
+    const exitCode = parseOptionalNumber(params.exitCode);
+
+    try {
+        const server = await Server.findOne({ 'heartbeat.token': token, type: 'heartbeat' })
+            .select('name url type status verification monitoring heartbeat uploadedBy uploadedPlan uploadedRole contactEmails contactPhones escalationPolicy priority timezone')
+            .lean();
+
+        if (!server) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Heartbeat not found',
+                code: 'HEARTBEAT_NOT_FOUND'
+            });
+        }
+
+        // Expired trials are not monitored, same as the scheduler
+        if (server.uploadedPlan === 'free' &&
+            server.monitoring?.trialEndsAt &&
+            new Date(server.monitoring.trialEndsAt) < new Date()) {
+            return res.status(403).json({
+                status: 'error',
+                message: 'Server monitoring trial has expired. Please upgrade your plan.',
+                code: 'TRIAL_EXPIRED'
+            });
+        }
+
+        const now = new Date();
+        const failed = exitCode !== null && exitCode !== 0;
+
+        const checkResult = {
+            status: failed ? 'down' : 'up',
+            responseTime: null,
+            error: failed ? `Job exited with code ${exitCode}` : null
+        };
+
+        if (duration !== null || exitCode !== null) {
+            checkResult.heartbeat = {
+                ...(duration !== null && { duration }),
+                ...(exitCode !== null && { exitCode })
+            };
+        }
+
+        // Failed runs must be confirmed like any other failed check
+        const transition = resolveStatusTransition(server, checkResult);
+
+        const updateData = {
+            status: transition.status,
+            verification: transition.verification,
+            responseTime: null,
+            error: checkResult.error,
+            lastChecked: now,
+            'heartbeat.lastPingAt': now,
+            'heartbeat.lastDuration': duration,
+            'heartbeat.lastExitCode': exitCode
+        };
+
+        if (transition.statusChanged) {
+            updateData.lastStatusChange = now;
+        }
+
+        // Pings during maintenance are recorded but left out of uptime
+        checkResult.maintenance = await isInMaintenance(server._id, now);
+
+        await Promise.all([
+            Server.updateOne({ _id: server._id }, { $set: updateData }),
+            ServerCheck.create(buildCheckRecord(server._id, checkResult, 'heartbeat', now))
+        ]);
+
+        if (transition.alert) {
+            const priority = server.priority === 'high' ? 'high' : 'normal';
+
+            addAlertToQueue({
+                serverId: server._id.toString(),
+                ...transition.alert,
+                checkResult,
+                serverData: server
+            }, priority).catch(err => {
+                logger.error(`Failed to queue alert for ${server.name}: ${err.message}`);
+            });
+        }
+
+        // Publish update to Redis for real-time WebSocket clients
+        redisConnection.publish('monitor-updates', JSON.stringify({
+            serverId: server._id,
+            userId: server.uploadedBy,
+            status: transition.status,
+            latency: null,
+            lastChecked: now
+        }));
+
+        res.status(200).json({
+            status: 'success',
+            data: {
+                status: transition.status,
+                nextPingDue: getHeartbeatDeadline({
+                    ...server,
+                    heartbeat: { ...server.heartbeat, lastPingAt: now }
+                })
+            }
+        });
+
+    } catch (error) {
+        logger.error(`Error recording heartbeat: ${error.message}`, {
+            stack: error.stack
+        });
+
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to record heartbeat',
+            code: 'HEARTBEAT_ERROR'
+        });
+    }
+});
+
+/**
+ * Parse an optional numeric ping parameter
+ */
+const parseOptionalNumber = (value) => {
+    if (value === undefined || value === null || value === '') return null;
+
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+};
+
+export default {
+    recordHeartbeat
+};
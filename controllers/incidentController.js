@@ -0,0 +1,279 @@
+// controllers/incidentController.js
+import mongoose from 'mongoose';
+import Incident, { INCIDENT_STATUSES } from '../models/Incident.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { acknowledgeIncident as acknowledge, addIncidentNote, resolveIncident as resolve } from '../services/incidentService.js';
+import logger from '../utils/logger.js';
+
+const MAX_INCIDENTS_PER_REQUEST = 100;
+
+/**
+ * Load an incident and check that the user may access it
+ * Sends the error response and returns null when the incident cannot be used
+ */
+const findAuthorizedIncident = async (req, res) => {
+    const incidentId = req.params.id;
+    const userId = req.user._id.toString();
+    const isAdmin = req.user.role === 'admin';
+
+    if (!mongoose.Types.ObjectId.isValid(incidentId)) {
+        res.status(400).json({
+            status: 'error',
+            message: 'Invalid incident ID format',
+            code: 'INVALID_INCIDENT_ID'
+        });
+        return null;
+    }
+
+    const incident = await Incident.findById(incidentId);
+
+    if (!incident) {
+        res.status(404).json({
+            status: 'error',
+            message: 'Incident not found',
+            code: 'INCIDENT_NOT_FOUND'
+        });
+        return null;
+    }
+
+    // Authorization check - same rules as the incident's server
+    if (String(incident.uploadedBy) !== String(userId) && !isAdmin) {
+        res.status(403).json({
+            status: 'error',
+            message: 'Not authorized to access this incident',
+            code: 'UNAUTHORIZED_ACCESS'
+        });
+        return null;
+    }
+
+    return incident;
+};
+
+/**
+ * Populate the references shown with an incident
+ */
+const populateIncident = (incident) => {
+    return incident.populate([
+        { path: 'server', select: 'name url type status' },
+        { path: 'acknowledgedBy', select: 'displayName email' },
+        { path: 'resolvedBy', select: 'displayName email' },
+        { path: 'timeline.user', select: 'displayName email' }
+    ]);
+};
+
+/**
+ * @desc    Get incidents of the user's servers
+ * @route   GET /api/incidents
+ * @access  Private
+ */
+export const getIncidents = asyncHandler(async (req, res) => {
+    const userId = req.user._id.toString();
+    const isAdmin = req.user.role === 'admin';
+    const showAll = isAdmin && req.query.admin === 'true';
+
+    try {
+        const filter = showAll ? {} : { uploadedBy: userId };
+
+        if (req.query.status && INCIDENT_STATUSES.includes(req.query.status)) {
+            filter.status = req.query.status;
+        } else if (req.query.status === 'active') {
+            filter.status = { $ne: 'resolved' };
+        }
+
+        if (req.query.serverId && mongoose.Types.ObjectId.isValid(req.query.serverId)) {
+            filter.server = req.query.serverId;
+        }
+
+        const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+        const limit = Math.min(MAX_INCIDENTS_PER_REQUEST, Math.max(1, parseInt(req.query.limit, 10) || 20));
+        const skip = (page - 1) * limit;
+
+        const [incidents, total] = await Promise.all([
+            Incident.find(filter)
+                .select('-timeline')
+                .populate('server', 'name url type status')
+                .sort({ startedAt: -1 })
+                .skip(skip)
+                .limit(limit)
+                .lean(),
+            Incident.countDocuments(filter)
+        ]);
+
+        res.status(200).json({
+            status: 'success',
+            results: incidents.length,
+            total,
+            totalPages: Math.ceil(total / limit),
+            currentPage: page,
+            data: {
+                incidents: incidents.map(incident => ({
+                    ...incident,
+                    duration: Math.round(((incident.resolvedAt || new Date()) - incident.startedAt) / 1000)
+                }))
+            }
+        });
+
+    } catch (error) {
+        logger.error(`Error fetching incidents for user ${userId}: ${error.message}`, {
+            stack: error.stack
+        });
+
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to fetch incidents',
+            code: 'FETCH_INCIDENTS_ERROR'
+        });
+    }
+});
+
+/**
+ * @desc    Get incident by ID with its timeline
+ * @route   GET /api/incidents/:id
+ * @access  Private
+ */
+export const getIncidentById = asyncHandler(async (req, res) => {
+    try {
+        const incident = await findAuthorizedIncident(req, res);
+        if (!incident) return;
+
+        await populateIncident(incident);
+
+        res.status(200).json({
+            status: 'success',
+            data: { incident }
+        });
+
+    } catch (error) {
+        logger.error(`Error fetching incident ${req.params.id}: ${error.message}`, {
+            stack: error.stack
+        });
+
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to fetch incident',
+            code: 'FETCH_INCIDENT_ERROR'
+        });
+    }
+});
+
+/**
+ * @desc    Acknowledge an incident
+ * @route   POST /api/incidents/:id/acknowledge
+ * @access  Private
+ */
+export const acknowledgeIncident = asyncHandler(async (req, res) => {
+    try {
+        const incident = await findAuthorizedIncident(req, res);
+        if (!incident) return;
+
+        if (incident.status !== 'open') {
+            return res.status(409).json({
+                status: 'error',
+                message: `Incident is already ${incident.status}`,
+                code: 'INCIDENT_NOT_OPEN'
+            });
+        }
+
+        await acknowledge(incident, req.user._id, req.body.message);
+        await populateIncident(incident);
+
+        logger.info(`Incident ${incident._id} acknowledged by user ${req.user._id}`);
+
+        res.status(200).json({
+            status: 'success',
+            message: 'Incident acknowledged',
+            data: { incident }
+        });
+
+    } catch (error) {
+        logger.error(`Error acknowledging incident ${req.params.id}: ${error.message}`, {
+            stack: error.stack
+        });
+
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to acknowledge incident',
+            code: 'ACKNOWLEDGE_INCIDENT_ERROR'
+        });
+    }
+});
+
+/**
+ * @desc    Add a note to an incident timeline
+ * @route   POST /api/incidents/:id/notes
+ * @access  Private
+ */
+export const addNote = asyncHandler(async (req, res) => {
+    try {
+        const incident = await findAuthorizedIncident(req, res);
+        if (!incident) return;
+
+        await addIncidentNote(incident, req.user._id, req.body.message);
+        await populateIncident(incident);
+
+        res.status(201).json({
+            status: 'success',
+            message: 'Note added',
+            data: { incident }
+        });
+
+    } catch (error) {
+        logger.error(`Error adding note to incident ${req.params.id}: ${error.message}`, {
+            stack: error.stack
+        });
+
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to add note',
+            code: 'ADD_NOTE_ERROR'
+        });
+    }
+});
+
+/**
+ * @desc    Resolve an incident manually
+ * @route   POST /api/incidents/:id/resolve
+ * @access  Private
+ */
+export const resolveIncident = asyncHandler(async (req, res) => {
+    try {
+        const incident = await findAuthorizedIncident(req, res);
+        if (!incident) return;
+
+        if (incident.status === 'resolved') {
+            return res.status(409).json({
+                status: 'error',
+                message: 'Incident is already resolved',
+                code: 'INCIDENT_ALREADY_RESOLVED'
+            });
+        }
+
+        await resolve(incident, { user: req.user._id, message: req.body.message });
+        await populateIncident(incident);
+
+        res.status(200).json({
+            status: 'success',
+            message: 'Incident resolved',
+            data: { incident }
+        });
+
+    } catch (error) {
+        logger.error(`Error resolving incident ${req.params.id}: ${error.message}`, {
+            stack: error.stack
+        });
+
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to resolve incident',
+            code: 'RESOLVE_INCIDENT_ERROR'
+        });
+    }
+});
+
+export default {
+    getIncidents,
+    getIncidentById,
+    acknowledgeIncident,
+    addNote,
+    resolveIncident
+};
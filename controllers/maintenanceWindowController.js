@@ -0,0 +1,319 @@
+// controllers/maintenanceWindowController.js
+import mongoose from 'mongoose';
+import MaintenanceWindow from '../models/MaintenanceWindow.js';
+import Server from '../models/Server.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { getActiveOccurrence, getNextOccurrence } from '../services/maintenanceService.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Load a maintenance window and check that the user may access it
+ * Sends the error response and returns null when the window cannot be used
+ */
+const findAuthorizedWindow = async (req, res) => {
+    const windowId = req.params.id;
+    const userId = req.user._id.toString();
+    const isAdmin = req.user.role === 'admin';
+
+    if (!mongoose.Types.ObjectId.isValid(windowId)) {
+        res.status(400).json({
+            status: 'error',
+            message: 'Invalid maintenance window ID format',
+            code: 'INVALID_MAINTENANCE_WINDOW_ID'
+        });
+        return null;
+    }
+
+    const window = await MaintenanceWindow.findById(windowId);
+
+    if (!window) {
+        res.status(404).json({
+            status: 'error',
+            message: 'Maintenance window not found',
+            code: 'MAINTENANCE_WINDOW_NOT_FOUND'
+        });
+        return null;
+    }
+
+    // Authorization check - ensure both are strings for comparison
+    if (String(window.uploadedBy) !== String(userId) && !isAdmin) {
+        res.status(403).json({
+            status: 'error',
+            message: 'Not authorized to access this maintenance window',
+            code: 'UNAUTHORIZED_ACCESS'
+        });
+        return null;
+    }
+
+    return window;
+};
+
+/**
+ * Pick the editable window fields from a request body
+ */
+const buildWindowData = ({ title, description, servers, startsAt, endsAt, recurrence, showOnStatusPage }) => ({
+    ...(title !== undefined && { title: title.trim() }),
+    ...(description !== undefined && { description: description || null }),
+    ...(servers !== undefined && { servers: [...new Set(servers)] }),
+    ...(startsAt !== undefined && { startsAt }),
+    ...(endsAt !== undefined && { endsAt: endsAt || null }),
+    ...(recurrence !== undefined && { recurrence: recurrence || null }),
+    ...(showOnStatusPage !== undefined && { showOnStatusPage })
+});
+
+/**
+ * Add the current state and next occurrence of a window
+ */
+const withSchedule = (window) => {
+    const data = window.toObject ? window.toObject() : window;
+    const now = new Date();
+
+    return {
+        ...data,
+        active: Boolean(getActiveOccurrence(data, now)),
+        nextOccurrence: getNextOccurrence(data, now)
+    };
+};
+
+/**
+ * Check that all servers belong to the window owner
+ */
+const areOwnServers = async (serverIds, userId) => {
+    const count = await Server.countDocuments({ _id: { $in: serverIds }, uploadedBy: userId });
+    return count === serverIds.length;
+};
+
+/**
+ * Send an error response for windows referencing unknown servers
+ */
+const sendInvalidServersError = (res) => {
+    res.status(400).json({
+        status: 'error',
+        message: 'One or more servers were not found',
+        code: 'INVALID_SERVERS'
+    });
+};
+
+/**
+ * Send a validation error response for mongoose validation errors
+ */
+const sendValidationError = (res, error) => {
+    res.status(400).json({
+        status: 'error',
+        message: 'Validation error',
+        code: 'VALIDATION_ERROR',
+        errors: Object.values(error.errors).map(err => ({
+            field: err.path,
+            message: err.message
+        }))
+    });
+};
+
+/**
+ * @desc    Get the user's maintenance windows
+ * @route   GET /api/maintenance-windows
+ * @access  Private
+ */
+export const getMaintenanceWindows = asyncHandler(async (req, res) => {
+    const userId = req.user._id.toString();
+
+    try {
+        const filter = { uploadedBy: userId };
+
+        if (req.query.serverId && mongoose.Types.ObjectId.isValid(req.query.serverId)) {
+            filter.servers = req.query.serverId;
+        }
+
+        // Finished windows are hidden unless asked for
+        if (req.query.includePast !== 'true') {
+            filter.$or = [{ endsAt: null }, { endsAt: { $gt: new Date() } }];
+        }
+
+        const windows = await MaintenanceWindow.find(filter)
+            .populate('servers', 'name url')
+            .sort({ startsAt: 1 })
+            .lean();
+
+        res.status(200).json({
+            status: 'success',
+            results: windows.length,
+            data: { maintenanceWindows: windows.map(withSchedule) }
+        });
+
+    } catch (error) {
+        logger.error(`Error fetching maintenance windows for user ${userId}: ${error.message}`, {
+            stack: error.stack
+        });
+
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to fetch maintenance windows',
+            code: 'FETCH_MAINTENANCE_WINDOWS_ERROR'
+        });
+    }
+});
+
+/**
+ * @desc    Get maintenance window by ID
+ * @route   GET /api/maintenance-windows/:id
+ * @access  Private
+ */
+export const getMaintenanceWindowById = asyncHandler(async (req, res) => {
+    try {
+        const window = await findAuthorizedWindow(req, res);
+        if (!window) return;
+
+        await window.populate('servers', 'name url');
+
+        res.status(200).json({
+            status: 'success',
+            data: { maintenanceWindow: withSchedule(window) }
+        });
+
+    } catch (error) {
+        logger.error(`Error fetching maintenance window ${req.params.id}: ${error.message}`, {
+            stack: error.stack
+        });
+
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to fetch maintenance window',
+            code: 'FETCH_MAINTENANCE_WINDOW_ERROR'
+        });
+    }
+});
+
+/**
+ * @desc    Schedule a maintenance window
+ * @route   POST /api/maintenance-windows
+ * @access  Private
+ */
+export const createMaintenanceWindow = asyncHandler(async (req, res) => {
+    const userId = req.user._id.toString();
+
+    try {
+        const windowData = buildWindowData(req.body);
+
+        if (!(await areOwnServers(windowData.servers, userId))) {
+            return sendInvalidServersError(res);
+        }
+
+        const window = await MaintenanceWindow.create({
+            ...windowData,
+            uploadedBy: userId
+        });
+
+        logger.info(`Maintenance window scheduled: ${window.title} (${window._id}) by user ${userId}`);
+
+        res.status(201).json({
+            status: 'success',
+            message: 'Maintenance window scheduled successfully',
+            data: { maintenanceWindow: withSchedule(window) }
+        });
+
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return sendValidationError(res, error);
+        }
+
+        logger.error(`Error creating maintenance window for user ${userId}: ${error.message}`, {
+            stack: error.stack
+        });
+
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to schedule maintenance window',
+            code: 'CREATE_MAINTENANCE_WINDOW_ERROR'
+        });
+    }
+});
+
+/**
+ * @desc    Update a maintenance window
+ * @route   PATCH /api/maintenance-windows/:id
+ * @access  Private
+ */
+export const updateMaintenanceWindow = asyncHandler(async (req, res) => {
+    try {
+        const window = await findAuthorizedWindow(req, res);
+        if (!window) return;
+
+        const windowData = buildWindowData(req.body);
+
+        if (windowData.servers && !(await areOwnServers(windowData.servers, window.uploadedBy))) {
+            return sendInvalidServersError(res);
+        }
+
+        window.set(windowData);
+        await window.save();
+
+        logger.info(`Maintenance window updated: ${window.title} (${window._id}) by user ${req.user._id}`);
+
+        res.status(200).json({
+            status: 'success',
+            message: 'Maintenance window updated successfully',
+            data: { maintenanceWindow: withSchedule(window) }
+        });
+
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return sendValidationError(res, error);
+        }
+
+        logger.error(`Error updating maintenance window ${req.params.id}: ${error.message}`, {
+            stack: error.stack
+        });
+
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to update maintenance window',
+            code: 'UPDATE_MAINTENANCE_WINDOW_ERROR'
+        });
+    }
+});
+
+/**
+ * @desc    Delete a maintenance window, alerts resume right away
+ * @route   DELETE /api/maintenance-windows/:id
+ * @access  Private
+ */
+export const deleteMaintenanceWindow = asyncHandler(async (req, res) => {
+    try {
+        const window = await findAuthorizedWindow(req, res);
+        if (!window) return;
+
+        await MaintenanceWindow.deleteOne({ _id: window._id });
+
+        logger.info(`Maintenance window deleted: ${window.title} (${window._id}) by user ${req.user._id}`);
+
+        res.status(200).json({
+            status: 'success',
+            message: 'Maintenance window deleted successfully',
+            data: {
+                deletedMaintenanceWindow: {
+                    id: window._id,
+                    title: window.title
+                }
+            }
+        });
+
+    } catch (error) {
+        logger.error(`Error deleting maintenance window ${req.params.id}: ${error.message}`, {
+            stack: error.stack
+        });
+
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to delete maintenance window',
+            code: 'DELETE_MAINTENANCE_WINDOW_ERROR'
+        });
+    }
+});
+
+export default {
+    getMaintenanceWindows,
+    getMaintenanceWindowById,
+    createMaintenanceWindow,
+    updateMaintenanceWindow,
+    deleteMaintenanceWindow
+};
@@ -0,0 +1,411 @@
+// controllers/onCallScheduleController.js
+import mongoose from 'mongoose';
+import OnCallSchedule from '../models/OnCallSchedule.js';
+import EscalationPolicy from '../models/EscalationPolicy.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { getOnCallSummary } from '../services/onCallService.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Load a schedule and check that the user may access it
+ * Sends the error response and returns null when the schedule cannot be used
+ */
+const findAuthorizedSchedule = async (req, res) => {
+    const scheduleId = req.params.id;
+    const userId = req.user._id.toString();
+    const isAdmin = req.user.role === 'admin';
+
+    if (!mongoose.Types.ObjectId.isValid(scheduleId)) {
+        res.status(400).json({
+            status: 'error',
+            message: 'Invalid schedule ID format',
+            code: 'INVALID_SCHEDULE_ID'
+        });
+        return null;
+    }
+
+    const schedule = await OnCallSchedule.findById(scheduleId);
+
+    if (!schedule) {
+        res.status(404).json({
+            status: 'error',
+            message: 'On-call schedule not found',
+            code: 'SCHEDULE_NOT_FOUND'
+        });
+        return null;
+    }
+
+    // Authorization check - ensure both are strings for comparison
+    if (String(schedule.uploadedBy) !== String(userId) && !isAdmin) {
+        res.status(403).json({
+            status: 'error',
+            message: 'Not authorized to access this schedule',
+            code: 'UNAUTHORIZED_ACCESS'
+        });
+        return null;
+    }
+
+    return schedule;
+};
+
+/**
+ * Pick the editable schedule fields from a request body
+ */
+const buildScheduleData = ({ name, timezone, rotation }, existingRotation = {}) => ({
+    ...(name !== undefined && { name: name.trim() }),
+    ...(timezone !== undefined && { timezone }),
+    ...(rotation !== undefined && {
+        rotation: {
+            type: rotation.type ?? existingRotation.type ?? 'weekly',
+            participants: rotation.participants ?? existingRotation.participants ?? [],
+            handoffTime: rotation.handoffTime ?? existingRotation.handoffTime ?? '09:00',
+            handoffDay: rotation.handoffDay ?? existingRotation.handoffDay ?? 1,
+            startDate: rotation.startDate ?? existingRotation.startDate ?? new Date()
+        }
+    })
+});
+
+/**
+ * Send a validation error response for mongoose validation errors
+ */
+const sendValidationError = (res, error) => {
+    res.status(400).json({
+        status: 'error',
+        message: 'Validation error',
+        code: 'VALIDATION_ERROR',
+        errors: Object.values(error.errors).map(err => ({
+            field: err.path,
+            message: err.message
+        }))
+    });
+};
+
+/**
+ * Format an on-call assignment
+ */
+const formatAssignment = (assignment) => {
+    return {
+        email: assignment.email,
+        source: assignment.source,
+        start: assignment.start,
+        end: assignment.end
+    };
+};
+
+/**
+ * @desc    Get the user's on-call schedules
+ * @route   GET /api/schedules
+ * @access  Private
+ */
+export const getSchedules = asyncHandler(async (req, res) => {
+    const userId = req.user._id.toString();
+
+    try {
+        const schedules = await OnCallSchedule.find({ uploadedBy: userId })
+            .sort({ name: 1 })
+            .lean();
+
+        res.status(200).json({
+            status: 'success',
+            results: schedules.length,
+            data: { schedules }
+        });
+
+    } catch (error) {
+        logger.error(`Error fetching schedules for user ${userId}: ${error.message}`, {
+            stack: error.stack
+        });
+
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to fetch schedules',
+            code: 'FETCH_SCHEDULES_ERROR'
+        });
+    }
+});
+
+/**
+ * @desc    Get on-call schedule by ID
+ * @route   GET /api/schedules/:id
+ * @access  Private
+ */
+export const getScheduleById = asyncHandler(async (req, res) => {
+    try {
+        const schedule = await findAuthorizedSchedule(req, res);
+        if (!schedule) return;
+
+        res.status(200).json({
+            status: 'success',
+            data: { schedule }
+        });
+
+    } catch (error) {
+        logger.error(`Error fetching schedule ${req.params.id}: ${error.message}`, {
+            stack: error.stack
+        });
+
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to fetch schedule',
+            code: 'FETCH_SCHEDULE_ERROR'
+        });
+    }
+});
+
+/**
+ * @desc    Create an on-call schedule
+ * @route   POST /api/schedules
+ * @access  Private
+ */
+export const createSchedule = asyncHandler(async (req, res) => {
+    const userId = req.user._id.toString();
+
+    try {
+        const scheduleData = buildScheduleData(req.body);
+
+        const schedule = await OnCallSchedule.create({
+            ...scheduleData,
+            uploadedBy: userId
+        });
+
+        logger.info(`On-call schedule created: ${schedule.name} (${schedule._id}) by user ${userId}`);
+
+        res.status(201).json({
+            status: 'success',
+            message: 'Schedule created successfully',
+            data: { schedule }
+        });
+
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return sendValidationError(res, error);
+        }
+
+        logger.error(`Error creating schedule for user ${userId}: ${error.message}`, {
+            stack: error.stack
+        });
+
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to create schedule',
+            code: 'CREATE_SCHEDULE_ERROR'
+        });
+    }
+});
+
+/**
+ * @desc    Update an on-call schedule
+ * @route   PATCH /api/schedules/:id
+ * @access  Private
+ */
+export const updateSchedule = asyncHandler(async (req, res) => {
+    try {
+        const schedule = await findAuthorizedSchedule(req, res);
+        if (!schedule) return;
+
+        const scheduleData = buildScheduleData(req.body, schedule.rotation?.toObject());
+
+        schedule.set(scheduleData);
+        await schedule.save();
+
+        logger.info(`On-call schedule updated: ${schedule.name} (${schedule._id}) by user ${req.user._id}`);
+
+        res.status(200).json({
+            status: 'success',
+            message: 'Schedule updated successfully',
+            data: { schedule }
+        });
+
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return sendValidationError(res, error);
+        }
+
+        logger.error(`Error updating schedule ${req.params.id}: ${error.message}`, {
+            stack: error.stack
+        });
+
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to update schedule',
+            code: 'UPDATE_SCHEDULE_ERROR'
+        });
+    }
+});
+
+/**
+ * @desc    Delete an on-call schedule and remove it from escalation levels
+ * @route   DELETE /api/schedules/:id
+ * @access  Private
+ */
+export const deleteSchedule = asyncHandler(async (req, res) => {
+    try {
+        const schedule = await findAuthorizedSchedule(req, res);
+        if (!schedule) return;
+
+        await Promise.all([
+            OnCallSchedule.deleteOne({ _id: schedule._id }),
+            EscalationPolicy.updateMany(
+                { 'levels.schedules': schedule._id },
+                { $pull: { 'levels.$[].schedules': schedule._id } }
+            )
+        ]);
+
+        logger.info(`On-call schedule deleted: ${schedule.name} (${schedule._id}) by user ${req.user._id}`);
+
+        res.status(200).json({
+            status: 'success',
+            message: 'Schedule deleted successfully',
+            data: {
+                deletedSchedule: {
+                    id: schedule._id,
+                    name: schedule.name
+                }
+            }
+        });
+
+    } catch (error) {
+        logger.error(`Error deleting schedule ${req.params.id}: ${error.message}`, {
+            stack: error.stack
+        });
+
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to delete schedule',
+            code: 'DELETE_SCHEDULE_ERROR'
+        });
+    }
+});
+
+/**
+ * @desc    Get the current and next on-call person of a schedule
+ * @route   GET /api/schedules/:id/on-call
+ * @access  Private
+ */
+export const getOnCall = asyncHandler(async (req, res) => {
+    try {
+        const schedule = await findAuthorizedSchedule(req, res);
+        if (!schedule) return;
+
+        const at = req.query.at ? new Date(req.query.at) : new Date();
+        const { current, next } = getOnCallSummary(schedule.toObject(), at);
+
+        res.status(200).json({
+            status: 'success',
+            data: {
+                schedule: {
+                    id: schedule._id,
+                    name: schedule.name,
+                    timezone: schedule.timezone
+                },
+                at,
+                current: formatAssignment(current),
+                next: formatAssignment(next)
+            }
+        });
+
+    } catch (error) {
+        logger.error(`Error resolving on-call for schedule ${req.params.id}: ${error.message}`, {
+            stack: error.stack
+        });
+
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to resolve on-call person',
+            code: 'ON_CALL_ERROR'
+        });
+    }
+});
+
+/**
+ * @desc    Add a temporary override to a schedule
+ * @route   POST /api/schedules/:id/overrides
+ * @access  Private
+ */
+export const addOverride = asyncHandler(async (req, res) => {
+    try {
+        const schedule = await findAuthorizedSchedule(req, res);
+        if (!schedule) return;
+
+        const { email, start, end, reason } = req.body;
+
+        // Drop overrides that are over
+        schedule.overrides = schedule.overrides.filter(override => override.end > new Date());
+        schedule.overrides.push({ email, start, end, reason });
+        await schedule.save();
+
+        res.status(201).json({
+            status: 'success',
+            message: 'Override added successfully',
+            data: { schedule }
+        });
+
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return sendValidationError(res, error);
+        }
+
+        logger.error(`Error adding override to schedule ${req.params.id}: ${error.message}`, {
+            stack: error.stack
+        });
+
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to add override',
+            code: 'ADD_OVERRIDE_ERROR'
+        });
+    }
+});
+
+/**
+ * @desc    Remove an override from a schedule
+ * @route   DELETE /api/schedules/:id/overrides/:overrideId
+ * @access  Private
+ */
+export const deleteOverride = asyncHandler(async (req, res) => {
+    try {
+        const schedule = await findAuthorizedSchedule(req, res);
+        if (!schedule) return;
+
+        const override = schedule.overrides.id(req.params.overrideId);
+
+        if (!override) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Override not found',
+                code: 'OVERRIDE_NOT_FOUND'
+            });
+        }
+
+        override.deleteOne();
+        await schedule.save();
+
+        res.status(200).json({
+            status: 'success',
+            message: 'Override removed successfully',
+            data: { schedule }
+        });
+
+    } catch (error) {
+        logger.error(`Error removing override from schedule ${req.params.id}: ${error.message}`, {
+            stack: error.stack
+        });
+
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to remove override',
+            code: 'DELETE_OVERRIDE_ERROR'
+        });
+    }
+});
+
+export default {
+    getSchedules,
+    getScheduleById,
+    createSchedule,
+    updateSchedule,
+    deleteSchedule,
+    getOnCall,
+    addOverride,
+    deleteOverride
+};
@@ -1,13 +1,30 @@
-import Server from '../models/Server.js';
-import ServerCheck from '../models/ServerCheck.js';
+import Server, { SERVER_TYPES, SERVER_STATUSES } from '../models/Server.js';
+import ServerCheck, { HTTP_TIMING_PHASES } from '../models/ServerCheck.js';
+import Incident from '../models/Incident.js';
+import WebhookDelivery from '../models/WebhookDelivery.js';
+import AlertTemplate from '../models/AlertTemplate.js';
+import StatusPage from '../models/StatusPage.js';
+import MaintenanceWindow from '../models/MaintenanceWindow.js';
+import Slo from '../models/Slo.js';
+import EscalationPolicy from '../models/EscalationPolicy.js';
+import AggregatedStats from '../models/AggregatedStats.js';
 import { asyncHandler } from '../utils/asyncHandler.js';
-import { checkServerStatus } from '../services/monitoringService.js';
+import { checkServerStatus, buildCheckRecord } from '../services/monitoringService.js';
+import { resolveStatusTransition } from '../services/statusService.js';
 import { redisConnection } from '../config/redis.js';
 import logger from '../utils/logger.js';
 import mongoose from 'mongoose';
+import crypto from 'crypto';
 import { createServerSchema, updateServerSchema } from '../utils/validations.js';
 import { getCachedData, setCachedData, dedupedFetch } from '../utils/cacheManager.js';
 import { CACHE_STRATEGIES } from '../config/performance.js';
+import { encryptSecret, maskSecret, SECRET_MASK } from '../utils/encryption.js';
+import { isValidPhoneNumber, normalizePhoneNumber } from '../utils/phone.js';
+import { isWithinSchedule } from '../utils/timezone.js';
+import { resolveServerTimezone } from '../services/timezoneService.js';
+import { isInMaintenance } from '../services/maintenanceService.js';
+import { getServerUptimes, getCustomUptime, MAX_UPTIME_RANGE_MS } from '../services/uptimeService.js';
+import { getRawDataHorizon, getRollupHours, getPercentiles, combineBuckets } from '../services/rollupService.js';
 
 // Performance monitoring
 const PERFORMANCE_CONFIG = {
@@ -56,12 +73,12 @@ export const getServers = asyncHandler(async (req, res) => {
         }
 
         // Status filter with validation
-        if (req.query.status && ['up', 'down', 'unknown'].includes(req.query.status)) {
+        if (req.query.status && SERVER_STATUSES.includes(req.query.status)) {
             filter.status = req.query.status;
         }
 
         // Type filter
-        if (req.query.type && ['website', 'api', 'tcp', 'database'].includes(req.query.type)) {
+        if (req.query.type && SERVER_TYPES.includes(req.query.type)) {
             filter.type = req.query.type;
         }
 
@@ -106,8 +123,13 @@ export const getServers = asyncHandler(async (req, res) => {
             ])
         );
 
+        // Uptime is precomputed, only servers missing from the cache are calculated here
+        const uptimes = await getServerUptimes(servers);
+
         // Enhance servers with computed fields efficiently
         const enhancedServers = servers.map(server => {
+            const uptime = uptimes.get(String(server._id));
+
             const lastCheckedLocal = server.lastChecked ? new Date(server.lastChecked).toISOString() : null;
 
             // Health status calculation
@@ -120,10 +142,14 @@ export const getServers = asyncHandler(async (req, res) => {
                 server.monitoring.trialEndsAt < Date.now();
 
             return {
-                ...server,
+                ...maskServerSecrets(server),
                 lastCheckedLocal,
                 isHealthy,
+                // Alerts are muted while flapping
+                isFlapping: Boolean(server.flapping?.active),
                 trialExpired,
+                uptime,
+                uptime24h: uptime?.['24h']?.uptime ?? null,
                 // Add next check estimation
                 nextCheckEstimate: getNextCheckEstimate(server)
             };
@@ -191,6 +217,21 @@ export const getServerById = asyncHandler(async (req, res) => {
         });
     }
 
+    // Optional custom uptime range, ending now unless given
+    const customRange = req.query.uptimeFrom ? {
+        from: new Date(req.query.uptimeFrom),
+        to: req.query.uptimeTo ? new Date(req.query.uptimeTo) : new Date()
+    } : null;
+
+    if (customRange && (customRange.from >= customRange.to ||
+        customRange.to - customRange.from > MAX_UPTIME_RANGE_MS)) {
+        return res.status(400).json({
+            status: 'error',
+            message: 'Uptime range must start before it ends and span at most 90 days',
+            code: 'INVALID_UPTIME_RANGE'
+        });
+    }
+
     try {
         const startTime = Date.now();
 
@@ -205,7 +246,7 @@ export const getServerById = asyncHandler(async (req, res) => {
                 ServerCheck.find({ serverId: new mongoose.Types.ObjectId(serverId) })
                     .sort({ timestamp: -1 })
                     .limit(10)
-                    .select('status responseTime timestamp error')
+                    .select('status responseTime timestamp error dnsAnswers certificate timings heartbeat steps regions')
                     .lean()
                     .maxTimeMS(PERFORMANCE_CONFIG.QUERY_TIMEOUT)
                 : Promise.resolve([])
@@ -228,17 +269,34 @@ export const getServerById = asyncHandler(async (req, res) => {
             });
         }
 
+        // Time windows are evaluated in the server's timezone, else the owner's,
+        // standard uptime ranges come precomputed from the cache
+        const [effectiveTimezone, uptimes, customUptime] = await Promise.all([
+            resolveServerTimezone(server),
+            getServerUptimes([server]),
+            customRange ? getCustomUptime(server, customRange.from, customRange.to) : null
+        ]);
+        const uptime = uptimes.get(String(server._id));
+
         // Enhance server data
         const enhancedServer = {
-            ...server,
+            ...maskServerSecrets(server),
             lastCheckedLocal: server.lastChecked ? new Date(server.lastChecked).toISOString() : null,
             lastStatusChangeLocal: server.lastStatusChange ? new Date(server.lastStatusChange).toISOString() : null,
             isHealthy: server.status === 'up' && (!server.responseTime || server.responseTime < 2000),
+            // Alerts are muted while flapping
+            isFlapping: Boolean(server.flapping?.active),
             nextCheckEstimate: getNextCheckEstimate(server),
             trialExpired: server.uploadedPlan === 'free' &&
                 server.monitoring?.trialEndsAt &&
                 server.monitoring.trialEndsAt < Date.now(),
-            canBeChecked: canBeCheckedNow(server),
+            effectiveTimezone,
+            canBeChecked: canBeCheckedNow(server, effectiveTimezone),
+            uptime: {
+                ...uptime,
+                ...(customUptime && { custom: customUptime })
+            },
+            uptime24h: uptime?.['24h']?.uptime ?? null,
             ...(includeRecent && { recentChecks })
         };
 
@@ -316,11 +374,26 @@ export const createServer = asyncHandler(async (req, res) => {
             monitoring,
             contactEmails,
             contactPhones,
-            priority
+            priority,
+            escalationPolicy,
+            timezone
         } = validationResult.data;
 
+        if (escalationPolicy && !(await isOwnEscalationPolicy(escalationPolicy, userId))) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Escalation policy not found',
+                code: 'INVALID_ESCALATION_POLICY'
+            });
+        }
+
+        // Heartbeat monitors are pinged by the job itself, their URL is the generated ping path
+        const heartbeatToken = type === 'heartbeat' ? generateHeartbeatToken() : null;
+
         // URL validation and normalization
-        const normalizedUrl = normalizeUrl(url.trim());
+        const normalizedUrl = heartbeatToken
+            ? getHeartbeatPath(heartbeatToken)
+            : normalizeUrl((url || '').trim());
         if (!normalizedUrl) {
             return res.status(400).json({
                 status: 'error',
@@ -387,11 +460,15 @@ export const createServer = asyncHandler(async (req, res) => {
                     ...monitoring?.alerts,
                     // Force disable advanced alerts for free users
                     email: isPremium ? (monitoring?.alerts?.email ?? true) : true, // Free users get email
-                    phone: isPremium ? (monitoring?.alerts?.phone ?? false) : false // Only premium get phone
+                    phone: isPremium ? (monitoring?.alerts?.phone ?? false) : false, // Only premium get phone
+                    voice: isPremium ? (monitoring?.alerts?.voice ?? false) : false
                 }
             },
+            ...(heartbeatToken && { heartbeat: { token: heartbeatToken } }),
             contactEmails: sanitizeEmails(contactEmails),
             contactPhones: sanitizePhones(contactPhones),
+            escalationPolicy: escalationPolicy || null,
+            timezone: timezone || null, // Owner's timezone when unset
             priority: priority || 'medium' // Set default priority if not provided
         };
 
@@ -406,7 +483,7 @@ export const createServer = asyncHandler(async (req, res) => {
 
         // Return enhanced server data
         const enhancedServer = {
-            ...server.toObject(),
+            ...maskServerSecrets(server.toObject()),
             isHealthy: false,
             trialExpired: false,
             nextCheckEstimate: getNextCheckEstimate(server),
@@ -474,7 +551,12 @@ export const updateServer = asyncHandler(async (req, res) => {
         const server = await Server.findById(serverId, {
             uploadedBy: 1,
             name: 1,
-            url: 1
+            url: 1,
+            type: 1,
+            heartbeat: 1,
+            'monitoring.request': 1,
+            'monitoring.database': 1,
+            'monitoring.steps': 1
         }).lean();
 
         if (!server) {
@@ -522,11 +604,15 @@ export const updateServer = asyncHandler(async (req, res) => {
             });
         }
 
-        const validatedData = validationResult.data;
+        // The partial schema still fills in the create defaults, so only fields that were sent are kept
+        const validatedData = Object.fromEntries(
+            Object.entries(validationResult.data).filter(([field]) => req.body[field] !== undefined)
+        );
 
         // Map validated data to updates object
         if (validatedData.name) updates.name = validatedData.name;
-        if (validatedData.url) {
+        // The URL of a heartbeat monitor is its ping path and cannot be edited
+        if (validatedData.url && (validatedData.type || server.type) !== 'heartbeat') {
             const normalizedUrl = normalizeUrl(validatedData.url);
             if (!normalizedUrl) { // Double check url validity
                 return res.status(400).json({ status: 'error', message: 'Invalid URL', code: 'INVALID_URL' });
@@ -551,20 +637,40 @@ export const updateServer = asyncHandler(async (req, res) => {
             updates.url = normalizedUrl;
         }
         if (validatedData.type) updates.type = validatedData.type;
+
+        // Switching to heartbeat issues a ping URL
+        if (validatedData.type === 'heartbeat' && !server.heartbeat?.token) {
+            const heartbeatToken = generateHeartbeatToken();
+            updates.heartbeat = { token: heartbeatToken };
+            updates.url = getHeartbeatPath(heartbeatToken);
+        }
         if (validatedData.description !== undefined) updates.description = validatedData.description; // Allow empty string
         if (validatedData.priority) updates.priority = validatedData.priority;
 
         if (validatedData.contactEmails) updates.contactEmails = validatedData.contactEmails; // Already validated by Zod
-        if (validatedData.contactPhones) updates.contactPhones = validatedData.contactPhones;
+        if (validatedData.contactPhones) updates.contactPhones = sanitizePhones(validatedData.contactPhones);
+
+        if (validatedData.escalationPolicy !== undefined) {
+            if (validatedData.escalationPolicy && !(await isOwnEscalationPolicy(validatedData.escalationPolicy, server.uploadedBy))) {
+                return res.status(400).json({
+                    status: 'error',
+                    message: 'Escalation policy not found',
+                    code: 'INVALID_ESCALATION_POLICY'
+                });
+            }
+            updates.escalationPolicy = validatedData.escalationPolicy || null;
+        }
+        if (validatedData.timezone !== undefined) updates.timezone = validatedData.timezone || null;
 
         // Handle nested monitoring updates efficiently
         if (monitoring) {
-            const monitoringUpdates = buildMonitoringUpdates(monitoring);
+            const monitoringUpdates = buildMonitoringUpdates(monitoring, server.monitoring);
             Object.assign(updates, monitoringUpdates);
             logger.info('Monitoring updates processed', {
                 serverId,
-                receivedMonitoring: monitoring,
-                generatedUpdates: monitoringUpdates
+                // Never log request credentials
+                receivedMonitoring: maskServerSecrets({ monitoring }).monitoring,
+                updatedFields: Object.keys(monitoringUpdates)
             });
         }
 
@@ -588,11 +694,11 @@ export const updateServer = asyncHandler(async (req, res) => {
 
         // Return enhanced server data
         const enhancedServer = {
-            ...updatedServer.toObject(),
+            ...maskServerSecrets(updatedServer.toObject()),
             isHealthy: updatedServer.status === 'up' &&
                 (!updatedServer.responseTime || updatedServer.responseTime < 2000),
             nextCheckEstimate: getNextCheckEstimate(updatedServer),
-            canBeChecked: canBeCheckedNow(updatedServer)
+            canBeChecked: canBeCheckedNow(updatedServer, await resolveServerTimezone(updatedServer))
         };
 
         res.status(200).json({
@@ -681,7 +787,25 @@ export const deleteServer = asyncHandler(async (req, res) => {
         // Delete server and cleanup checks in parallel
         const [deleteResult] = await Promise.all([
             Server.deleteOne({ _id: serverId }),
-            ServerCheck.deleteMany({ serverId }) // Cleanup all associated checks
+            ServerCheck.deleteMany({ serverId }), // Cleanup all associated checks
+            AggregatedStats.deleteMany({ serverId }),
+            Incident.deleteMany({ server: serverId }),
+            WebhookDelivery.deleteMany({ server: serverId }),
+            AlertTemplate.deleteMany({ server: serverId }),
+            StatusPage.updateMany(
+                { 'components.servers': serverId },
+                { $pull: { 'components.$[].servers': serverId } }
+            ),
+            // A window needs at least one server, so drop windows left without any
+            MaintenanceWindow.updateMany(
+                { servers: serverId },
+                { $pull: { servers: serverId } }
+            ).then(() => MaintenanceWindow.deleteMany({ servers: { $size: 0 } })),
+            // Same for SLOs, which would otherwise be evaluated against no servers
+            Slo.updateMany(
+                { servers: serverId },
+                { $pull: { servers: serverId } }
+            ).then(() => Slo.deleteMany({ servers: { $size: 0 } }))
         ]);
 
         if (deleteResult.deletedCount === 0) {
@@ -753,6 +877,9 @@ export const checkServer = asyncHandler(async (req, res) => {
             lastChecked: 1,
             timezone: 1,
             monitoring: 1,
+            heartbeat: 1,
+            verification: 1,
+            createdAt: 1,
             uploadedPlan: 1,
             uploadedRole: 1
         }).lean();
@@ -809,29 +936,29 @@ export const checkServer = asyncHandler(async (req, res) => {
         // Perform the check
         const checkResult = await checkServerStatus(server);
         const checkDuration = Date.now() - checkStartTime;
+        const transition = resolveStatusTransition(server, checkResult);
 
         // Prepare batch update data
         const updateData = {
-            status: checkResult.status,
+            status: transition.status,
+            verification: transition.verification,
             responseTime: checkResult.responseTime,
             error: checkResult.error,
             lastChecked: now
         };
 
         // Only update status change time if status actually changed
-        if (oldStatus !== checkResult.status) {
+        if (transition.statusChanged) {
             updateData.lastStatusChange = now;
         }
 
+        if (checkResult.certificate) {
+            Object.assign(updateData, buildCertificateUpdate(checkResult.certificate));
+        }
+
         // Create enhanced check history document
-        const checkDoc = {
-            serverId: new mongoose.Types.ObjectId(serverId),
-            status: checkResult.status,
-            responseTime: checkResult.responseTime,
-            error: checkResult.error,
-            timestamp: now,
-            checkType: 'manual'
-        };
+        checkResult.maintenance = await isInMaintenance(serverId, now);
+        const checkDoc = buildCheckRecord(serverId, checkResult, 'manual', now);
 
         // Execute database operations in parallel
         await Promise.all([
@@ -839,10 +966,10 @@ export const checkServer = asyncHandler(async (req, res) => {
             ServerCheck.create(checkDoc)
         ]);
 
-        logger.info(`Manual check completed: ${server.name} (${serverId}) - ${checkResult.status}`, {
+        logger.info(`Manual check completed: ${server.name} (${serverId}) - ${transition.status}`, {
             userId,
             oldStatus,
-            newStatus: checkResult.status,
+            newStatus: transition.status,
             responseTime: checkResult.responseTime,
             checkDuration
         });
@@ -850,7 +977,7 @@ export const checkServer = asyncHandler(async (req, res) => {
         // Publish update to Redis for real-time WebSocket clients
         const updatePayload = {
             serverId: server._id,
-            status: checkResult.status || 'unknown',
+            status: transition.status || 'unknown',
             latency: checkResult.responseTime,
             lastChecked: now
         };
@@ -875,9 +1002,9 @@ export const checkServer = asyncHandler(async (req, res) => {
                     timezone: server.timezone || 'UTC'
                 },
                 changes: {
-                    statusChanged: oldStatus !== checkResult.status,
+                    statusChanged: transition.statusChanged,
                     oldStatus,
-                    newStatus: checkResult.status
+                    newStatus: transition.status
                 },
                 meta: {
                     checkDuration,
@@ -955,6 +1082,10 @@ export const getServerHistory = asyncHandler(async (req, res) => {
         // Calculate time range and sampling based on period
         const { startTimeRange, sampleInterval } = calculateHistoryRange(period);
 
+        // Data older than the oldest raw check only exists as hourly rollups
+        const horizon = await getRawDataHorizon(serverId);
+        const rollupHours = await getRollupHours(serverId, startTimeRange, horizon);
+
         // Build aggregation pipeline for efficient history retrieval
         const pipeline = [
             {
@@ -986,6 +1117,8 @@ export const getServerHistory = asyncHandler(async (req, res) => {
                     responseTime: { $avg: '$responseTime' },
                     timestamp: { $first: '$timestamp' }, // Use first because we sorted DESC
                     error: { $first: '$error' },
+                    maintenance: { $first: '$maintenance' },
+                    ...buildTimingAccumulators(),
                     count: { $sum: 1 }
                 }
             });
@@ -1010,7 +1143,8 @@ export const getServerHistory = asyncHandler(async (req, res) => {
                 {
                     $match: {
                         serverId: new mongoose.Types.ObjectId(serverId),
-                        timestamp: { $gte: startTimeRange }
+                        timestamp: { $gte: startTimeRange },
+                        maintenance: { $ne: true } // Maintenance is not downtime
                     }
                 },
                 {
@@ -1052,25 +1186,38 @@ export const getServerHistory = asyncHandler(async (req, res) => {
                                     null
                                 ]
                             }
-                        }
+                        },
+                        ...buildTimingAccumulators()
                     }
                 }
             ]).allowDiskUse(true) : Promise.resolve([])
         ]);
 
+        // Rolled-up hours come first, sampled no finer than an hour, the latest ones fill up to the limit
+        const rollupRoom = Math.max(0, limit - checks.length);
+        const rollupPoints = rollupRoom > 0
+            ? buildRollupPoints(rollupHours, startTimeRange, sampleInterval).slice(-rollupRoom)
+            : [];
+
         // Process and format results
-        const formattedChecks = checks.map(check => ({
-            status: check.status,
-            responseTime: Math.round(check.responseTime || 0),
-            timestamp: check.timestamp,
-            error: check.error,
-            ...(check.count && { sampledFrom: check.count })
-        }));
+        const formattedChecks = checks.map(check => {
+            const timings = formatTimingPhases(check);
+
+            return {
+                status: check.status,
+                responseTime: Math.round(check.responseTime || 0),
+                timestamp: check.timestamp,
+                error: check.error,
+                ...(check.maintenance && { maintenance: true }),
+                ...(timings && { timings }),
+                ...(check.count && { sampledFrom: check.count })
+            };
+        });
 
         // Calculate comprehensive statistics
         let stats = null;
-        if (includeStats && statsResult.length > 0) {
-            const result = statsResult[0];
+        const result = mergeRollupStats(statsResult[0], rollupHours.length ? combineBuckets(rollupHours) : null);
+        if (includeStats && result) {
             stats = {
                 period,
                 totalChecks: result.totalChecks,
@@ -1082,12 +1229,13 @@ export const getServerHistory = asyncHandler(async (req, res) => {
                 avgResponseTime: Math.round(result.avgResponseTime || 0),
                 minResponseTime: Math.round(result.minResponseTime || 0),
                 maxResponseTime: Math.round(result.maxResponseTime || 0),
+                avgTimings: formatTimingPhases(result),
                 reliability: calculateReliabilityScore(result)
             };
         }
 
         const queryTime = Date.now() - startTime;
-        const timezone = server.timezone || PERFORMANCE_CONFIG.DEFAULT_TIMEZONE;
+        const timezone = await resolveServerTimezone(server);
 
         res.status(200).json({
             status: 'success',
@@ -1099,10 +1247,12 @@ export const getServerHistory = asyncHandler(async (req, res) => {
                 },
                 period,
                 timezone,
-                history: formattedChecks,
+                history: [...rollupPoints, ...formattedChecks],
                 ...(stats && { stats }),
                 meta: {
-                    dataPoints: formattedChecks.length,
+                    dataPoints: rollupPoints.length + formattedChecks.length,
+                    rollupPoints: rollupPoints.length,
+                    rawDataFrom: horizon,
                     queryTime,
                     timeRange: {
                         start: startTimeRange,
@@ -1175,7 +1325,7 @@ export const batchCheckServers = asyncHandler(async (req, res) => {
         const servers = await Server.find({
             _id: { $in: validIds },
             ...(isAdmin ? {} : { uploadedBy: userId })
-        }).select('name url type status lastChecked timezone monitoring uploadedBy uploadedPlan uploadedRole').lean();
+        }).select('name url type status lastChecked timezone monitoring heartbeat createdAt verification uploadedBy uploadedPlan uploadedRole').lean();
 
         if (servers.length === 0) {
             return res.status(404).json({
@@ -1311,7 +1461,8 @@ export const getServerStats = asyncHandler(async (req, res) => {
             });
         }
 
-        if (server.uploadedBy !== userId && !isAdmin) {
+        // Authorization check - ensure both are strings for comparison
+        if (String(server.uploadedBy) !== String(userId) && !isAdmin) {
             return res.status(403).json({
                 status: 'error',
                 message: 'Not authorized to view server statistics',
@@ -1321,6 +1472,10 @@ export const getServerStats = asyncHandler(async (req, res) => {
 
         const { startTimeRange } = calculateHistoryRange(period);
 
+        // Data older than the oldest raw check only exists as hourly rollups
+        const horizon = await getRawDataHorizon(serverId);
+        const rollupHours = await getRollupHours(serverId, startTimeRange, horizon);
+
         // Get comprehensive statistics
         const [overallStats, dailyStats, hourlyStats] = await Promise.all([
             // Overall statistics
@@ -1328,6 +1483,7 @@ export const getServerStats = asyncHandler(async (req, res) => {
                 {
                     $match: {
                         serverId: new mongoose.Types.ObjectId(serverId),
+                        maintenance: { $ne: true },
                         timestamp: { $gte: startTimeRange }
                     }
                 },
@@ -1363,7 +1519,8 @@ export const getServerStats = asyncHandler(async (req, res) => {
                                     null
                                 ]
                             }
-                        }
+                        },
+                        ...buildTimingAccumulators()
                     }
                 }
             ]),
@@ -1373,6 +1530,7 @@ export const getServerStats = asyncHandler(async (req, res) => {
                 {
                     $match: {
                         serverId: new mongoose.Types.ObjectId(serverId),
+                        maintenance: { $ne: true },
                         timestamp: { $gte: startTimeRange }
                     }
                 },
@@ -1389,7 +1547,17 @@ export const getServerStats = asyncHandler(async (req, res) => {
                                     null
                                 ]
                             }
-                        }
+                        },
+                        responseTimes: {
+                            $push: {
+                                $cond: [
+                                    { $and: [{ $eq: ['$status', 'up'] }, { $gt: ['$responseTime', 0] }] },
+                                    '$responseTime',
+                                    null
+                                ]
+                            }
+                        },
+                        ...buildTimingAccumulators()
                     }
                 },
                 { $sort: { '_id': 1 } }
@@ -1400,6 +1568,7 @@ export const getServerStats = asyncHandler(async (req, res) => {
                 {
                     $match: {
                         serverId: new mongoose.Types.ObjectId(serverId),
+                        maintenance: { $ne: true },
                         timestamp: { $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) }
                     }
                 },
@@ -1416,7 +1585,17 @@ export const getServerStats = asyncHandler(async (req, res) => {
                                     null
                                 ]
                             }
-                        }
+                        },
+                        responseTimes: {
+                            $push: {
+                                $cond: [
+                                    { $and: [{ $eq: ['$status', 'up'] }, { $gt: ['$responseTime', 0] }] },
+                                    '$responseTime',
+                                    null
+                                ]
+                            }
+                        },
+                        ...buildTimingAccumulators()
                     }
                 },
                 { $sort: { '_id': 1 } }
@@ -1424,7 +1603,7 @@ export const getServerStats = asyncHandler(async (req, res) => {
         ]);
 
         // Process results
-        const overall = overallStats[0] || {
+        const overall = mergeRollupStats(overallStats[0], rollupHours.length ? combineBuckets(rollupHours) : null) || {
             totalChecks: 0,
             upChecks: 0,
             downChecks: 0,
@@ -1436,23 +1615,22 @@ export const getServerStats = asyncHandler(async (req, res) => {
         const uptimePercent = overall.totalChecks > 0 ?
             Math.round((overall.upChecks / overall.totalChecks) * 100 * 10) / 10 : 100;
 
-        const dailyBreakdown = dailyStats.map(day => ({
-            date: day._id,
-            totalChecks: day.totalChecks,
+        const dailyBreakdown = mergeBreakdown(dailyStats, rollupHours,
+            hour => hour.start.toISOString().slice(0, 10))
+            .map(({ key, ...day }) => ({ date: key, ...day }));
+
+        const dayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
+        const hourlyBreakdown = mergeBreakdown(hourlyStats, rollupHours.filter(hour => hour.start >= dayAgo),
+            hour => String(hour.start.getUTCHours()).padStart(2, '0'))
+            .map(({ key, ...hour }) => ({ hour: key, ...hour }));
+
+        // Overall percentiles, approximated from the daily ones
+        const overallPercentiles = combineBuckets(dailyBreakdown.map(day => ({
             upChecks: day.upChecks,
-            uptimePercent: day.totalChecks > 0 ?
-                Math.round((day.upChecks / day.totalChecks) * 100 * 10) / 10 : 100,
-            avgResponseTime: Math.round(day.avgResponseTime || 0)
-        }));
-
-        const hourlyBreakdown = hourlyStats.map(hour => ({
-            hour: hour._id,
-            totalChecks: hour.totalChecks,
-            upChecks: hour.upChecks,
-            uptimePercent: hour.totalChecks > 0 ?
-                Math.round((hour.upChecks / hour.totalChecks) * 100 * 10) / 10 : 100,
-            avgResponseTime: Math.round(hour.avgResponseTime || 0)
-        }));
+            p50ResponseTime: day.percentiles.p50,
+            p95ResponseTime: day.percentiles.p95,
+            p99ResponseTime: day.percentiles.p99
+        })));
 
         res.status(200).json({
             status: 'success',
@@ -1473,11 +1651,21 @@ export const getServerStats = asyncHandler(async (req, res) => {
                     avgResponseTime: Math.round(overall.avgResponseTime || 0),
                     minResponseTime: Math.round(overall.minResponseTime || 0),
                     maxResponseTime: Math.round(overall.maxResponseTime || 0),
+                    percentiles: {
+                        p50: overallPercentiles.p50ResponseTime,
+                        p95: overallPercentiles.p95ResponseTime,
+                        p99: overallPercentiles.p99ResponseTime
+                    },
+                    avgTimings: formatTimingPhases(overall),
                     reliabilityScore: calculateReliabilityScore(overall)
                 },
                 breakdowns: {
                     daily: dailyBreakdown,
                     hourly: hourlyBreakdown
+                },
+                meta: {
+                    rawDataFrom: horizon,
+                    rollupHours: rollupHours.length
                 }
             }
         });
@@ -1517,29 +1705,11 @@ const getNextCheckEstimate = (server) => {
 
 /**
  * Check if server can be checked now based on monitoring windows
+ * @param {Object} server - Server data
+ * @param {String} timeZone - Timezone of the server's time windows
  */
-const canBeCheckedNow = (server) => {
-    const now = new Date();
-
-    // Check days of week
-    if (server.monitoring?.daysOfWeek?.length > 0) {
-        if (!server.monitoring.daysOfWeek.includes(now.getDay())) {
-            return false;
-        }
-    }
-
-    // Check time windows
-    if (server.monitoring?.timeWindows?.length > 0) {
-        const hours = String(now.getHours()).padStart(2, '0');
-        const minutes = String(now.getMinutes()).padStart(2, '0');
-        const currentTime = `${hours}:${minutes}`;
-        const inWindow = server.monitoring.timeWindows.some(window =>
-            currentTime >= window.start && currentTime <= window.end
-        );
-        if (!inWindow) return false;
-    }
-
-    return true;
+const canBeCheckedNow = (server, timeZone) => {
+    return isWithinSchedule(server.monitoring, new Date(), timeZone);
 };
 
 /**
@@ -1594,10 +1764,71 @@ const buildMonitoringConfig = (monitoring, userRole, trialEnd) => {
             enabled: monitoring.alerts?.enabled || false,
             email: monitoring.alerts?.email || false,
             phone: monitoring.alerts?.phone || false,
+            voice: monitoring.alerts?.voice || false,
             webhookUrl: monitoring.alerts?.webhookUrl || '',
+            slackWebhookUrl: monitoring.alerts?.slackWebhookUrl || '',
+            teamsWebhookUrl: monitoring.alerts?.teamsWebhookUrl || '',
+            discordWebhookUrl: monitoring.alerts?.discordWebhookUrl || '',
             responseThreshold: monitoring.alerts?.responseThreshold || 1000,
-            timeWindow: monitoring.alerts?.timeWindow || { start: '00:00', end: '23:59' }
+            timeWindow: monitoring.alerts?.timeWindow || { start: '00:00', end: '23:59' },
+            ...(monitoring.alerts?.grouping && {
+                grouping: {
+                    enabled: monitoring.alerts.grouping.enabled ?? false,
+                    window: monitoring.alerts.grouping.window || 5
+                }
+            })
+        },
+        ssl: {
+            verifyCertificate: monitoring.ssl?.verifyCertificate ?? true,
+            expiryAlertDays: monitoring.ssl?.expiryAlertDays || [30, 14, 7, 1]
         },
+        ...(monitoring.assertions && { assertions: monitoring.assertions }),
+        ...(monitoring.request && { request: encryptRequestSecrets(monitoring.request) }),
+        ...(monitoring.steps && { steps: monitoring.steps.map(step => encryptRequestSecrets(step)) }),
+        ...(monitoring.database && {
+            database: {
+                engine: monitoring.database.engine || null,
+                connectionString: encryptSecret(monitoring.database.connectionString) || null,
+                runQuery: monitoring.database.runQuery ?? true
+            }
+        }),
+        ...(monitoring.socket && {
+            socket: {
+                send: monitoring.socket.send || null,
+                expect: monitoring.socket.expect || null,
+                expectReply: monitoring.socket.expectReply || false,
+                encoding: monitoring.socket.encoding || 'text'
+            }
+        }),
+        ...(monitoring.heartbeat && {
+            heartbeat: {
+                interval: monitoring.heartbeat.interval || 60,
+                grace: monitoring.heartbeat.grace ?? 5
+            }
+        }),
+        ...(monitoring.confirmation && {
+            confirmation: {
+                failures: monitoring.confirmation.failures || 1,
+                recheckAfter: monitoring.confirmation.recheckAfter || 0
+            }
+        }),
+        ...(monitoring.flapDetection && {
+            flapDetection: {
+                enabled: monitoring.flapDetection.enabled ?? true,
+                threshold: monitoring.flapDetection.threshold || 5,
+                window: monitoring.flapDetection.window || 30,
+                stablePeriod: monitoring.flapDetection.stablePeriod || 15
+            }
+        }),
+        ...(monitoring.regions?.length && { regions: [...new Set(monitoring.regions)] }),
+        ...(monitoring.quorum && { quorum: monitoring.quorum }),
+        ...(monitoring.dns && {
+            dns: {
+                recordType: monitoring.dns.recordType || 'A',
+                resolver: monitoring.dns.resolver || null,
+                expectedValue: monitoring.dns.expectedValue || null
+            }
+        }),
         trialEndsAt: userRole === 'admin' ? null : trialEnd
     };
 };
@@ -1605,7 +1836,7 @@ const buildMonitoringConfig = (monitoring, userRole, trialEnd) => {
 /**
  * Build monitoring updates for patch operations
  */
-const buildMonitoringUpdates = (monitoring) => {
+const buildMonitoringUpdates = (monitoring, existingMonitoring = {}) => {
     const updates = {};
 
     if (monitoring.frequency !== undefined) {
@@ -1617,19 +1848,175 @@ const buildMonitoringUpdates = (monitoring) => {
     if (monitoring.timeWindows !== undefined) {
         updates['monitoring.timeWindows'] = monitoring.timeWindows;
     }
+    if (monitoring.regions !== undefined) {
+        updates['monitoring.regions'] = [...new Set(monitoring.regions)];
+    }
+    if (monitoring.quorum !== undefined) {
+        updates['monitoring.quorum'] = monitoring.quorum;
+    }
+    if (monitoring.steps !== undefined) {
+        // Steps are replaced as a whole, masked secrets are matched to the stored step at the same position
+        updates['monitoring.steps'] = monitoring.steps.map((step, index) =>
+            encryptRequestSecrets(step, existingMonitoring.steps?.[index])
+        );
+    }
+
+    // Secrets are encrypted before they reach the update, masked values keep the stored secret
+    const sections = {
+        ...monitoring,
+        ...(monitoring.request && {
+            request: encryptRequestSecrets(monitoring.request, existingMonitoring.request)
+        }),
+        ...(monitoring.database && {
+            database: {
+                ...monitoring.database,
+                ...(monitoring.database.connectionString !== undefined && {
+                    connectionString: monitoring.database.connectionString === SECRET_MASK
+                        ? existingMonitoring.database?.connectionString
+                        : encryptSecret(monitoring.database.connectionString)
+                })
+            }
+        })
+    };
+
+    // Handle nested settings (alerts, dns, ssl, assertions, request, database, socket, heartbeat, confirmation, flapDetection)
+    ['alerts', 'dns', 'ssl', 'assertions', 'request', 'database', 'socket', 'heartbeat', 'confirmation', 'flapDetection'].forEach((section) => {
+        if (!sections[section]) return;
+
+        Object.entries(sections[section]).forEach(([key, value]) => {
+            // Auth is set field by field so changing one credential keeps the others
+            if (section === 'request' && key === 'auth' && value) {
+                Object.entries(value).forEach(([field, fieldValue]) => {
+                    if (fieldValue !== undefined) {
+                        updates[`monitoring.request.auth.${field}`] = fieldValue;
+                    }
+                });
+                return;
+            }
 
-    // Handle alerts
-    if (monitoring.alerts) {
-        Object.entries(monitoring.alerts).forEach(([key, value]) => {
             if (value !== undefined) {
-                updates[`monitoring.alerts.${key}`] = value;
+                updates[`monitoring.${section}.${key}`] = value;
             }
         });
-    }
+    });
 
     return updates;
 };
 
+/**
+ * Encrypt request secrets (auth credentials and secret headers) for storage
+ * Masked or missing credentials keep the stored secret, an empty string clears it
+ */
+const encryptRequestSecrets = (request, existing = {}) => {
+    const keepOrEncrypt = (value, storedValue) => {
+        return value === SECRET_MASK ? storedValue : encryptSecret(value);
+    };
+
+    const result = { ...request };
+
+    if (request.auth) {
+        result.auth = { ...request.auth };
+        ['password', 'token'].forEach((field) => {
+            const storedValue = existing?.auth?.[field];
+            if (request.auth[field] !== undefined) {
+                result.auth[field] = keepOrEncrypt(request.auth[field], storedValue);
+            } else if (storedValue) {
+                result.auth[field] = storedValue;
+            }
+        });
+    }
+
+    if (Array.isArray(request.headers)) {
+        result.headers = request.headers.map((header) => {
+            if (!header.secret) return header;
+
+            const stored = existing?.headers?.find(h => h.name === header.name && h.secret);
+            return { ...header, value: keepOrEncrypt(header.value, stored?.value) };
+        });
+    }
+
+    return result;
+};
+
+/**
+ * Replace stored request secrets (credentials, secret headers) with a mask
+ */
+const maskRequestSecrets = (request) => {
+    return {
+        ...request,
+        ...(request.auth && {
+            auth: {
+                ...request.auth,
+                password: maskSecret(request.auth.password),
+                token: maskSecret(request.auth.token)
+            }
+        }),
+        ...(request.headers && {
+            headers: request.headers.map(header =>
+                header.secret ? { ...header, value: maskSecret(header.value) } : header
+            )
+        })
+    };
+};
+
+/**
+ * Replace stored secrets (request and step credentials, database connection string) with a mask
+ * before a server is returned to the client
+ */
+const maskServerSecrets = (server) => {
+    const { request, database, steps } = server?.monitoring || {};
+    if (!request && !database && !steps) return server;
+
+    const monitoring = { ...server.monitoring };
+
+    if (request) {
+        monitoring.request = maskRequestSecrets(request);
+    }
+
+    if (steps) {
+        monitoring.steps = steps.map(maskRequestSecrets);
+    }
+
+    if (database) {
+        monitoring.database = {
+            ...database,
+            connectionString: maskSecret(database.connectionString)
+        };
+    }
+
+    return { ...server, monitoring };
+};
+
+/**
+ * Build dotted certificate updates so the alert threshold tracked by the worker is kept
+ */
+const buildCertificateUpdate = (certificate) => {
+    return Object.fromEntries(
+        Object.entries(certificate).map(([key, value]) => [`certificate.${key}`, value])
+    );
+};
+
+/**
+ * Check that an escalation policy belongs to the owner of a server
+ */
+const isOwnEscalationPolicy = async (policyId, userId) => {
+    return !!(await EscalationPolicy.exists({ _id: policyId, uploadedBy: userId }));
+};
+
+/**
+ * Generate the secret token of a heartbeat ping URL
+ */
+const generateHeartbeatToken = () => {
+    return crypto.randomBytes(24).toString('hex');
+};
+
+/**
+ * Build the ping path for a heartbeat token
+ */
+const getHeartbeatPath = (token) => {
+    return `/api/heartbeat/${token}`;
+};
+
 /**
  * Sanitize email addresses
  */
@@ -1649,10 +2036,10 @@ const sanitizeEmails = (emails) => {
 const sanitizePhones = (phones) => {
     if (!Array.isArray(phones)) return [];
 
-    return phones
-        .filter(phone => phone && typeof phone === 'string')
-        .map(phone => phone.trim().replace(/\D/g, '')) // Remove non-digits
-        .filter(phone => phone.length >= 10 && phone.length <= 15)
+    return [...new Set(phones
+        .filter(phone => isValidPhoneNumber(phone))
+        // E.164 when the country is known, national numbers keep their digits
+        .map(phone => normalizePhoneNumber(phone) || phone.replace(/\D/g, '')))]
         .slice(0, 3); // Limit to 3 phone numbers
 };
 
@@ -1689,6 +2076,10 @@ const calculateHistoryRange = (period) => {
             startTimeRange = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
             sampleInterval = 120;
             break;
+        case '90d':
+            startTimeRange = new Date(now.getTime() - 90 * 24 * 60 * 60 * 1000);
+            sampleInterval = 360;
+            break;
         default:
             startTimeRange = new Date(now.getTime() - 24 * 60 * 60 * 1000);
             sampleInterval = 5;
@@ -1697,6 +2088,130 @@ const calculateHistoryRange = (period) => {
     return { startTimeRange, sampleInterval };
 };
 
+/**
+ * Turn rolled-up hours into history points, merging hours for coarser sampling
+ */
+const buildRollupPoints = (hours, startTimeRange, sampleInterval) => {
+    const intervalMs = Math.max(60, sampleInterval) * 60000;
+    const groups = new Map();
+
+    hours.forEach(hour => {
+        const key = Math.floor((hour.start - startTimeRange) / intervalMs);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(hour);
+    });
+
+    return [...groups.values()].map(group => {
+        const bucket = combineBuckets(group);
+
+        return {
+            status: bucket.uptimePercentage >= 50 ? 'up' : 'down',
+            responseTime: bucket.avgResponseTime,
+            timestamp: group[0].start,
+            uptimePercent: bucket.uptimePercentage,
+            errorCount: bucket.errorCount,
+            percentiles: {
+                p50: bucket.p50ResponseTime,
+                p95: bucket.p95ResponseTime,
+                p99: bucket.p99ResponseTime
+            },
+            sampledFrom: bucket.totalChecks,
+            rollup: true
+        };
+    });
+};
+
+/**
+ * Add rolled-up totals to raw check statistics
+ */
+const mergeRollupStats = (raw, rollup) => {
+    if (!rollup) return raw || null;
+
+    const base = raw || { totalChecks: 0, upChecks: 0, downChecks: 0, unknownChecks: 0 };
+    const upChecks = base.upChecks + rollup.upChecks;
+    const responseTimes = (field) => [base[field], rollup[field]].filter(value => value > 0);
+
+    return {
+        ...base,
+        totalChecks: base.totalChecks + rollup.totalChecks,
+        upChecks,
+        downChecks: base.downChecks + rollup.errorCount,
+        avgResponseTime: upChecks > 0
+            ? ((base.avgResponseTime || 0) * base.upChecks + rollup.avgResponseTime * rollup.upChecks) / upChecks
+            : null,
+        minResponseTime: responseTimes('minResponseTime').length ? Math.min(...responseTimes('minResponseTime')) : null,
+        maxResponseTime: responseTimes('maxResponseTime').length ? Math.max(...responseTimes('maxResponseTime')) : null
+    };
+};
+
+/**
+ * Merge raw breakdown entries with rolled-up hours of the same key, e.g. a date or an hour of day
+ */
+const mergeBreakdown = (rawEntries, rollupHours, keyOf) => {
+    const entries = new Map(rawEntries.map(entry => [entry._id, {
+        raw: entry,
+        buckets: [{
+            totalChecks: entry.totalChecks,
+            upChecks: entry.upChecks,
+            avgResponseTime: entry.avgResponseTime || 0,
+            ...getPercentiles(entry.responseTimes.filter(time => time !== null))
+        }]
+    }]));
+
+    rollupHours.forEach(hour => {
+        const key = keyOf(hour);
+        if (!entries.has(key)) entries.set(key, { raw: null, buckets: [] });
+        entries.get(key).buckets.push(hour);
+    });
+
+    return [...entries.entries()]
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([key, { raw, buckets }]) => {
+            const bucket = combineBuckets(buckets);
+
+            return {
+                key,
+                totalChecks: bucket.totalChecks,
+                upChecks: bucket.upChecks,
+                uptimePercent: bucket.totalChecks > 0 ?
+                    Math.round((bucket.upChecks / bucket.totalChecks) * 100 * 10) / 10 : 100,
+                avgResponseTime: bucket.avgResponseTime,
+                percentiles: {
+                    p50: bucket.p50ResponseTime,
+                    p95: bucket.p95ResponseTime,
+                    p99: bucket.p99ResponseTime
+                },
+                avgTimings: raw ? formatTimingPhases(raw) : null
+            };
+        });
+};
+
+/**
+ * Build $avg accumulators for the http timing phases (dnsTime, connectTime, ...)
+ */
+const buildTimingAccumulators = () => {
+    return Object.fromEntries(
+        HTTP_TIMING_PHASES.map(phase => [`${phase}Time`, { $avg: `$timings.${phase}` }])
+    );
+};
+
+/**
+ * Read http timing phases from a raw check or an aggregation result
+ * Returns null when none of the checks recorded a breakdown
+ */
+const formatTimingPhases = (doc) => {
+    const values = HTTP_TIMING_PHASES.map(phase => doc.timings?.[phase] ?? doc[`${phase}Time`] ?? null);
+
+    if (values.every(value => value === null)) return null;
+
+    return Object.fromEntries(
+        HTTP_TIMING_PHASES.map((phase, index) => [
+            phase,
+            values[index] === null ? null : Math.round(values[index])
+        ])
+    );
+};
+
 /**
  * Calculate reliability score
  */
@@ -1727,28 +2242,27 @@ const processServersBatched = async (servers, maxConcurrent, userId) => {
 
                 const checkResult = await checkServerStatus(server);
                 const checkDuration = Date.now() - checkStartTime;
+                const transition = resolveStatusTransition(server, checkResult);
 
                 // Update server
                 const updateData = {
-                    status: checkResult.status,
+                    status: transition.status,
+                    verification: transition.verification,
                     responseTime: checkResult.responseTime,
                     error: checkResult.error,
                     lastChecked: now
                 };
 
-                if (oldStatus !== checkResult.status) {
+                if (transition.statusChanged) {
                     updateData.lastStatusChange = now;
                 }
 
-                const checkDoc = {
-                    serverId: server._id,
-                    status: checkResult.status,
-                    responseTime: checkResult.responseTime,
-                    error: checkResult.error,
-                    timestamp: now,
-                    checkType: 'batch',
-                    userId: userId
-                };
+                if (checkResult.certificate) {
+                    Object.assign(updateData, buildCertificateUpdate(checkResult.certificate));
+                }
+
+                checkResult.maintenance = await isInMaintenance(server._id, now);
+                const checkDoc = buildCheckRecord(server._id, checkResult, 'batch', now);
 
                 // Execute updates in parallel
                 await Promise.all([
@@ -1760,10 +2274,10 @@ const processServersBatched = async (servers, maxConcurrent, userId) => {
                     serverId: server._id,
                     name: server.name,
                     url: server.url,
-                    status: checkResult.status,
+                    status: transition.status,
                     responseTime: checkResult.responseTime,
                     error: checkResult.error,
-                    statusChanged: oldStatus !== checkResult.status,
+                    statusChanged: transition.statusChanged,
                     oldStatus,
                     checkDuration,
                     success: true
@@ -0,0 +1,347 @@
+// controllers/sloController.js
+import mongoose from 'mongoose';
+import Slo from '../models/Slo.js';
+import Server from '../models/Server.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { getSloStatus, invalidateSloStatus, getMonthlyCompliance } from '../services/sloService.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Load an SLO and check that the user may access it
+ * Sends the error response and returns null when the SLO cannot be used
+ */
+const findAuthorizedSlo = async (req, res) => {
+    const sloId = req.params.id;
+    const userId = req.user._id.toString();
+    const isAdmin = req.user.role === 'admin';
+
+    if (!mongoose.Types.ObjectId.isValid(sloId)) {
+        res.status(400).json({
+            status: 'error',
+            message: 'Invalid SLO ID format',
+            code: 'INVALID_SLO_ID'
+        });
+        return null;
+    }
+
+    const slo = await Slo.findById(sloId);
+
+    if (!slo) {
+        res.status(404).json({
+            status: 'error',
+            message: 'SLO not found',
+            code: 'SLO_NOT_FOUND'
+        });
+        return null;
+    }
+
+    // Authorization check - ensure both are strings for comparison
+    if (String(slo.uploadedBy) !== String(userId) && !isAdmin) {
+        res.status(403).json({
+            status: 'error',
+            message: 'Not authorized to access this SLO',
+            code: 'UNAUTHORIZED_ACCESS'
+        });
+        return null;
+    }
+
+    return slo;
+};
+
+/**
+ * Pick the editable SLO fields from a request body
+ */
+const buildSloData = ({ name, description, servers, objective, windowDays, alerting }) => ({
+    ...(name !== undefined && { name: name.trim() }),
+    ...(description !== undefined && { description: description || null }),
+    ...(servers !== undefined && { servers: [...new Set(servers)] }),
+    ...(objective !== undefined && { objective }),
+    ...(windowDays !== undefined && { windowDays }),
+    ...(alerting !== undefined && { alerting })
+});
+
+/**
+ * Check that all servers belong to the SLO owner
+ */
+const areOwnServers = async (serverIds, userId) => {
+    const count = await Server.countDocuments({ _id: { $in: serverIds }, uploadedBy: userId });
+    return count === serverIds.length;
+};
+
+/**
+ * Send an error response for SLOs referencing unknown servers
+ */
+const sendInvalidServersError = (res) => {
+    res.status(400).json({
+        status: 'error',
+        message: 'One or more servers were not found',
+        code: 'INVALID_SERVERS'
+    });
+};
+
+/**
+ * Send a validation error response for mongoose validation errors
+ */
+const sendValidationError = (res, error) => {
+    res.status(400).json({
+        status: 'error',
+        message: 'Validation error',
+        code: 'VALIDATION_ERROR',
+        errors: Object.values(error.errors).map(err => ({
+            field: err.path,
+            message: err.message
+        }))
+    });
+};
+
+/**
+ * @desc    Get the user's SLOs with their error budgets
+ * @route   GET /api/slos
+ * @access  Private
+ */
+export const getSlos = asyncHandler(async (req, res) => {
+    const userId = req.user._id.toString();
+
+    try {
+        const slos = await Slo.find({ uploadedBy: userId })
+            .sort({ createdAt: -1 })
+            .lean();
+
+        const statuses = await Promise.all(slos.map(slo => getSloStatus(slo)));
+
+        res.status(200).json({
+            status: 'success',
+            results: slos.length,
+            data: {
+                slos: slos.map((slo, index) => ({ ...slo, current: statuses[index] }))
+            }
+        });
+
+    } catch (error) {
+        logger.error(`Error fetching SLOs for user ${userId}: ${error.message}`, {
+            stack: error.stack
+        });
+
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to fetch SLOs',
+            code: 'FETCH_SLOS_ERROR'
+        });
+    }
+});
+
+/**
+ * @desc    Summarise SLO compliance for a calendar month
+ * @route   GET /api/slos/compliance
+ * @access  Private
+ */
+export const getSloCompliance = asyncHandler(async (req, res) => {
+    const userId = req.user._id.toString();
+    const month = req.query.month || new Date().toISOString().slice(0, 7);
+
+    try {
+        if (month > new Date().toISOString().slice(0, 7)) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Month cannot be in the future',
+                code: 'INVALID_MONTH'
+            });
+        }
+
+        const filter = { uploadedBy: userId };
+        if (req.query.sloId) filter._id = req.query.sloId;
+
+        const slos = await Slo.find(filter).sort({ createdAt: -1 }).lean();
+        const compliance = await getMonthlyCompliance(slos, month);
+
+        res.status(200).json({
+            status: 'success',
+            data: { compliance }
+        });
+
+    } catch (error) {
+        logger.error(`Error fetching SLO compliance for user ${userId}: ${error.message}`, {
+            stack: error.stack
+        });
+
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to fetch SLO compliance',
+            code: 'FETCH_SLO_COMPLIANCE_ERROR'
+        });
+    }
+});
+
+/**
+ * @desc    Get SLO by ID with its error budget and burn rates
+ * @route   GET /api/slos/:id
+ * @access  Private
+ */
+export const getSloById = asyncHandler(async (req, res) => {
+    try {
+        const slo = await findAuthorizedSlo(req, res);
+        if (!slo) return;
+
+        const current = await getSloStatus(slo);
+
+        res.status(200).json({
+            status: 'success',
+            data: {
+                slo: { ...slo.toObject(), current }
+            }
+        });
+
+    } catch (error) {
+        logger.error(`Error fetching SLO ${req.params.id}: ${error.message}`, {
+            stack: error.stack
+        });
+
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to fetch SLO',
+            code: 'FETCH_SLO_ERROR'
+        });
+    }
+});
+
+/**
+ * @desc    Create an SLO
+ * @route   POST /api/slos
+ * @access  Private
+ */
+export const createSlo = asyncHandler(async (req, res) => {
+    const userId = req.user._id.toString();
+
+    try {
+        const sloData = buildSloData(req.body);
+
+        if (!(await areOwnServers(sloData.servers, userId))) {
+            return sendInvalidServersError(res);
+        }
+
+        const slo = await Slo.create({
+            ...sloData,
+            uploadedBy: userId
+        });
+
+        logger.info(`SLO created: ${slo.name} (${slo._id}) by user ${userId}`);
+
+        res.status(201).json({
+            status: 'success',
+            message: 'SLO created successfully',
+            data: { slo }
+        });
+
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return sendValidationError(res, error);
+        }
+
+        logger.error(`Error creating SLO for user ${userId}: ${error.message}`, {
+            stack: error.stack
+        });
+
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to create SLO',
+            code: 'CREATE_SLO_ERROR'
+        });
+    }
+});
+
+/**
+ * @desc    Update an SLO
+ * @route   PATCH /api/slos/:id
+ * @access  Private
+ */
+export const updateSlo = asyncHandler(async (req, res) => {
+    try {
+        const slo = await findAuthorizedSlo(req, res);
+        if (!slo) return;
+
+        const sloData = buildSloData(req.body);
+
+        if (sloData.servers && !(await areOwnServers(sloData.servers, slo.uploadedBy))) {
+            return sendInvalidServersError(res);
+        }
+
+        // Nested settings are merged so single fields can be changed
+        if (sloData.objective) sloData.objective = { ...slo.objective?.toObject(), ...sloData.objective };
+        if (sloData.alerting) sloData.alerting = { ...slo.alerting?.toObject(), ...sloData.alerting };
+
+        slo.set(sloData);
+        await slo.save();
+        await invalidateSloStatus(slo._id);
+
+        logger.info(`SLO updated: ${slo.name} (${slo._id}) by user ${req.user._id}`);
+
+        res.status(200).json({
+            status: 'success',
+            message: 'SLO updated successfully',
+            data: { slo }
+        });
+
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return sendValidationError(res, error);
+        }
+
+        logger.error(`Error updating SLO ${req.params.id}: ${error.message}`, {
+            stack: error.stack
+        });
+
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to update SLO',
+            code: 'UPDATE_SLO_ERROR'
+        });
+    }
+});
+
+/**
+ * @desc    Delete an SLO
+ * @route   DELETE /api/slos/:id
+ * @access  Private
+ */
+export const deleteSlo = asyncHandler(async (req, res) => {
+    try {
+        const slo = await findAuthorizedSlo(req, res);
+        if (!slo) return;
+
+        await Slo.deleteOne({ _id: slo._id });
+        await invalidateSloStatus(slo._id);
+
+        logger.info(`SLO deleted: ${slo.name} (${slo._id}) by user ${req.user._id}`);
+
+        res.status(200).json({
+            status: 'success',
+            message: 'SLO deleted successfully',
+            data: {
+                deletedSlo: {
+                    id: slo._id,
+                    name: slo.name
+                }
+            }
+        });
+
+    } catch (error) {
+        logger.error(`Error deleting SLO ${req.params.id}: ${error.message}`, {
+            stack: error.stack
+        });
+
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to delete SLO',
+            code: 'DELETE_SLO_ERROR'
+        });
+    }
+});
+
+export default {
+    getSlos,
+    getSloCompliance,
+    getSloById,
+    createSlo,
+    updateSlo,
+    deleteSlo
+};
@@ -0,0 +1,381 @@
+// controllers/statusPageController.js
+import mongoose from 'mongoose';
+import StatusPage from '../models/StatusPage.js';
+import Server from '../models/Server.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import {
+    getPublicStatusPage as loadPublicStatusPage,
+    buildStatusPageData,
+    invalidateStatusPageCache,
+    renderStatusPageHtml
+} from '../services/statusPageService.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Load a status page and check that the user may access it
+ * Sends the error response and returns null when the page cannot be used
+ */
+const findAuthorizedStatusPage = async (req, res) => {
+    const pageId = req.params.id;
+    const userId = req.user._id.toString();
+    const isAdmin = req.user.role === 'admin';
+
+    if (!mongoose.Types.ObjectId.isValid(pageId)) {
+        res.status(400).json({
+            status: 'error',
+            message: 'Invalid status page ID format',
+            code: 'INVALID_STATUS_PAGE_ID'
+        });
+        return null;
+    }
+
+    const page = await StatusPage.findById(pageId);
+
+    if (!page) {
+        res.status(404).json({
+            status: 'error',
+            message: 'Status page not found',
+            code: 'STATUS_PAGE_NOT_FOUND'
+        });
+        return null;
+    }
+
+    // Authorization check - ensure both are strings for comparison
+    if (String(page.uploadedBy) !== String(userId) && !isAdmin) {
+        res.status(403).json({
+            status: 'error',
+            message: 'Not authorized to access this status page',
+            code: 'UNAUTHORIZED_ACCESS'
+        });
+        return null;
+    }
+
+    return page;
+};
+
+/**
+ * Pick the editable status page fields from a request body
+ */
+const buildStatusPageFields = ({ slug, title, description, logoUrl, components, published }) => ({
+    ...(slug !== undefined && { slug: slug.trim().toLowerCase() }),
+    ...(title !== undefined && { title: title.trim() }),
+    ...(description !== undefined && { description: description || null }),
+    ...(logoUrl !== undefined && { logoUrl: logoUrl || null }),
+    ...(components !== undefined && {
+        components: components.map(({ name, description: componentDescription, servers }) => ({
+            name,
+            description: componentDescription || null,
+            servers: [...new Set(servers)]
+        }))
+    }),
+    ...(published !== undefined && { published })
+});
+
+/**
+ * Check that all servers of the components belong to the page owner
+ */
+const areOwnServers = async (components, userId) => {
+    const serverIds = [...new Set(components.flatMap(component => component.servers.map(String)))];
+    if (!serverIds.length) return true;
+
+    const count = await Server.countDocuments({ _id: { $in: serverIds }, uploadedBy: userId });
+    return count === serverIds.length;
+};
+
+/**
+ * Send an error response for components referencing unknown servers
+ */
+const sendInvalidServersError = (res) => {
+    res.status(400).json({
+        status: 'error',
+        message: 'One or more servers were not found',
+        code: 'INVALID_SERVERS'
+    });
+};
+
+/**
+ * Send a validation error response for mongoose validation errors
+ */
+const sendValidationError = (res, error) => {
+    res.status(400).json({
+        status: 'error',
+        message: 'Validation error',
+        code: 'VALIDATION_ERROR',
+        errors: Object.values(error.errors).map(err => ({
+            field: err.path,
+            message: err.message
+        }))
+    });
+};
+
+/**
+ * Send a conflict response when the slug is taken
+ */
+const sendDuplicateSlugError = (res) => {
+    res.status(409).json({
+        status: 'error',
+        message: 'This status page address is already taken',
+        code: 'SLUG_TAKEN'
+    });
+};
+
+/**
+ * @desc    Get the user's status pages
+ * @route   GET /api/status-pages
+ * @access  Private
+ */
+export const getStatusPages = asyncHandler(async (req, res) => {
+    const userId = req.user._id.toString();
+
+    try {
+        const pages = await StatusPage.find({ uploadedBy: userId })
+            .sort({ createdAt: -1 })
+            .lean();
+
+        res.status(200).json({
+            status: 'success',
+            results: pages.length,
+            data: { statusPages: pages }
+        });
+
+    } catch (error) {
+        logger.error(`Error fetching status pages for user ${userId}: ${error.message}`, {
+            stack: error.stack
+        });
+
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to fetch status pages',
+            code: 'FETCH_STATUS_PAGES_ERROR'
+        });
+    }
+});
+
+/**
+ * @desc    Get status page by ID, with a preview of its public data
+ * @route   GET /api/status-pages/:id
+ * @access  Private
+ */
+export const getStatusPageById = asyncHandler(async (req, res) => {
+    try {
+        const page = await findAuthorizedStatusPage(req, res);
+        if (!page) return;
+
+        // Unpublished pages can be previewed by their owner
+        const preview = await buildStatusPageData(page.toObject());
+        await page.populate('components.servers', 'name url status');
+
+        res.status(200).json({
+            status: 'success',
+            data: {
+                statusPage: page,
+                preview
+            }
+        });
+
+    } catch (error) {
+        logger.error(`Error fetching status page ${req.params.id}: ${error.message}`, {
+            stack: error.stack
+        });
+
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to fetch status page',
+            code: 'FETCH_STATUS_PAGE_ERROR'
+        });
+    }
+});
+
+/**
+ * @desc    Create a status page
+ * @route   POST /api/status-pages
+ * @access  Private
+ */
+export const createStatusPage = asyncHandler(async (req, res) => {
+    const userId = req.user._id.toString();
+
+    try {
+        const pageData = buildStatusPageFields(req.body);
+
+        if (pageData.components && !(await areOwnServers(pageData.components, userId))) {
+            return sendInvalidServersError(res);
+        }
+
+        const page = await StatusPage.create({
+            ...pageData,
+            uploadedBy: userId
+        });
+
+        logger.info(`Status page created: ${page.slug} (${page._id}) by user ${userId}`);
+
+        res.status(201).json({
+            status: 'success',
+            message: 'Status page created successfully',
+            data: { statusPage: page }
+        });
+
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return sendValidationError(res, error);
+        }
+        if (error.code === 11000) {
+            return sendDuplicateSlugError(res);
+        }
+
+        logger.error(`Error creating status page for user ${userId}: ${error.message}`, {
+            stack: error.stack
+        });
+
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to create status page',
+            code: 'CREATE_STATUS_PAGE_ERROR'
+        });
+    }
+});
+
+/**
+ * @desc    Update a status page
+ * @route   PATCH /api/status-pages/:id
+ * @access  Private
+ */
+export const updateStatusPage = asyncHandler(async (req, res) => {
+    try {
+        const page = await findAuthorizedStatusPage(req, res);
+        if (!page) return;
+
+        const pageData = buildStatusPageFields(req.body);
+
+        if (pageData.components && !(await areOwnServers(pageData.components, page.uploadedBy))) {
+            return sendInvalidServersError(res);
+        }
+
+        const previousSlug = page.slug;
+        page.set(pageData);
+        await page.save();
+
+        // The old address stops serving right away
+        await invalidateStatusPageCache(previousSlug);
+        if (page.slug !== previousSlug) await invalidateStatusPageCache(page.slug);
+
+        logger.info(`Status page updated: ${page.slug} (${page._id}) by user ${req.user._id}`);
+
+        res.status(200).json({
+            status: 'success',
+            message: 'Status page updated successfully',
+            data: { statusPage: page }
+        });
+
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return sendValidationError(res, error);
+        }
+        if (error.code === 11000) {
+            return sendDuplicateSlugError(res);
+        }
+
+        logger.error(`Error updating status page ${req.params.id}: ${error.message}`, {
+            stack: error.stack
+        });
+
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to update status page',
+            code: 'UPDATE_STATUS_PAGE_ERROR'
+        });
+    }
+});
+
+/**
+ * @desc    Delete a status page
+ * @route   DELETE /api/status-pages/:id
+ * @access  Private
+ */
+export const deleteStatusPage = asyncHandler(async (req, res) => {
+    try {
+        const page = await findAuthorizedStatusPage(req, res);
+        if (!page) return;
+
+        await StatusPage.deleteOne({ _id: page._id });
+        await invalidateStatusPageCache(page.slug);
+
+        logger.info(`Status page deleted: ${page.slug} (${page._id}) by user ${req.user._id}`);
+
+        res.status(200).json({
+            status: 'success',
+            message: 'Status page deleted successfully',
+            data: {
+                deletedStatusPage: {
+                    id: page._id,
+                    slug: page.slug
+                }
+            }
+        });
+
+    } catch (error) {
+        logger.error(`Error deleting status page ${req.params.id}: ${error.message}`, {
+            stack: error.stack
+        });
+
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to delete status page',
+            code: 'DELETE_STATUS_PAGE_ERROR'
+        });
+    }
+});
+
+/**
+ * @desc    Get a published status page as JSON, or as HTML for browsers and ?format=html
+ * @route   GET /api/status-pages/public/:slug
+ * @access  Public
+ */
+export const getPublicStatusPage = asyncHandler(async (req, res) => {
+    const { slug } = req.params;
+
+    try {
+        const data = await loadPublicStatusPage(slug.toLowerCase());
+        const wantsHtml = req.query.format ? req.query.format === 'html' : req.accepts(['json', 'html']) === 'html';
+
+        if (!data) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Status page not found',
+                code: 'STATUS_PAGE_NOT_FOUND'
+            });
+        }
+
+        res.set('Cache-Control', 'public, max-age=60');
+
+        if (wantsHtml) {
+            // Logos are hosted elsewhere
+            res.set('Content-Security-Policy', "default-src 'none'; img-src https: data:; style-src 'unsafe-inline'");
+            return res.status(200).type('html').send(renderStatusPageHtml(data));
+        }
+
+        res.status(200).json({
+            status: 'success',
+            data: { statusPage: data }
+        });
+
+    } catch (error) {
+        logger.error(`Error rendering status page ${slug}: ${error.message}`, {
+            stack: error.stack
+        });
+
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to load status page',
+            code: 'FETCH_STATUS_PAGE_ERROR'
+        });
+    }
+});
+
+export default {
+    getStatusPages,
+    getStatusPageById,
+    createStatusPage,
+    updateStatusPage,
+    deleteStatusPage,
+    getPublicStatusPage
+};
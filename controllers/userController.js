@@ -80,7 +80,7 @@ export const getUserById = asyncHandler(async (req, res) => {
  * @access  Private
  */
 export const updateUserProfile = asyncHandler(async (req, res) => {
-    const { name, email } = req.body;
+    const { name, email, timezone } = req.body;
     const updates = {};
 
     // Update name if provided
@@ -88,6 +88,11 @@ export const updateUserProfile = asyncHandler(async (req, res) => {
         updates.displayName = name;
     }
 
+    // Timezone of alert and monitoring windows of servers without their own
+    if (timezone !== undefined) {
+        updates.timezone = timezone;
+    }
+
     // Update email if provided and different from current
     if (email && email !== req.user.email) {
         // Check if email is already taken
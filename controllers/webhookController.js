@@ -0,0 +1,302 @@
+// controllers/webhookController.js
+import mongoose from 'mongoose';
+import Server from '../models/Server.js';
+import WebhookDelivery, { WEBHOOK_DELIVERY_STATUSES } from '../models/WebhookDelivery.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { getWebhookSecret as getSecret, rotateWebhookSecret as rotateSecret, redeliverWebhook, SIGNATURE_HEADER } from '../services/webhookService.js';
+import logger from '../utils/logger.js';
+
+const MAX_DELIVERIES_PER_REQUEST = 100;
+
+/**
+ * Load a webhook delivery and check that the user may access it
+ * Sends the error response and returns null when the delivery cannot be used
+ */
+const findAuthorizedDelivery = async (req, res) => {
+    const deliveryId = req.params.id;
+    const userId = req.user._id.toString();
+    const isAdmin = req.user.role === 'admin';
+
+    if (!mongoose.Types.ObjectId.isValid(deliveryId)) {
+        res.status(400).json({
+            status: 'error',
+            message: 'Invalid delivery ID format',
+            code: 'INVALID_DELIVERY_ID'
+        });
+        return null;
+    }
+
+    const delivery = await WebhookDelivery.findById(deliveryId).lean();
+
+    if (!delivery) {
+        res.status(404).json({
+            status: 'error',
+            message: 'Webhook delivery not found',
+            code: 'DELIVERY_NOT_FOUND'
+        });
+        return null;
+    }
+
+    // Authorization check - same rules as the delivery's server
+    if (String(delivery.uploadedBy) !== String(userId) && !isAdmin) {
+        res.status(403).json({
+            status: 'error',
+            message: 'Not authorized to access this webhook delivery',
+            code: 'UNAUTHORIZED_ACCESS'
+        });
+        return null;
+    }
+
+    return delivery;
+};
+
+/**
+ * Load a server and check that the user may manage its webhooks
+ * Sends the error response and returns null when the server cannot be used
+ */
+const findAuthorizedServer = async (req, res) => {
+    const serverId = req.params.serverId;
+    const userId = req.user._id.toString();
+    const isAdmin = req.user.role === 'admin';
+
+    if (!mongoose.Types.ObjectId.isValid(serverId)) {
+        res.status(400).json({
+            status: 'error',
+            message: 'Invalid server ID format',
+            code: 'INVALID_SERVER_ID'
+        });
+        return null;
+    }
+
+    const server = await Server.findById(serverId).select('name uploadedBy').lean();
+
+    if (!server) {
+        res.status(404).json({
+            status: 'error',
+            message: 'Server not found',
+            code: 'SERVER_NOT_FOUND'
+        });
+        return null;
+    }
+
+    // Authorization check - ensure both are strings for comparison
+    if (String(server.uploadedBy) !== String(userId) && !isAdmin) {
+        res.status(403).json({
+            status: 'error',
+            message: 'Not authorized to access this server',
+            code: 'UNAUTHORIZED_ACCESS'
+        });
+        return null;
+    }
+
+    return server;
+};
+
+/**
+ * Summarize a delivery for lists (no payload, only the last attempt)
+ */
+const formatDeliverySummary = ({ payload, attempts = [], ...delivery }) => ({
+    ...delivery,
+    attemptCount: attempts.length,
+    lastAttempt: attempts[attempts.length - 1] || null
+});
+
+/**
+ * @desc    Get webhook deliveries of the user's servers
+ * @route   GET /api/webhooks/deliveries
+ * @access  Private
+ */
+export const getDeliveries = asyncHandler(async (req, res) => {
+    const userId = req.user._id.toString();
+    const isAdmin = req.user.role === 'admin';
+    const showAll = isAdmin && req.query.admin === 'true';
+
+    try {
+        const filter = showAll ? {} : { uploadedBy: userId };
+
+        if (req.query.status && WEBHOOK_DELIVERY_STATUSES.includes(req.query.status)) {
+            filter.status = req.query.status;
+        }
+
+        if (req.query.serverId && mongoose.Types.ObjectId.isValid(req.query.serverId)) {
+            filter.server = req.query.serverId;
+        }
+
+        const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+        const limit = Math.min(MAX_DELIVERIES_PER_REQUEST, Math.max(1, parseInt(req.query.limit, 10) || 20));
+        const skip = (page - 1) * limit;
+
+        const [deliveries, total] = await Promise.all([
+            WebhookDelivery.find(filter)
+                .populate('server', 'name url')
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(limit)
+                .lean(),
+            WebhookDelivery.countDocuments(filter)
+        ]);
+
+        res.status(200).json({
+            status: 'success',
+            results: deliveries.length,
+            total,
+            totalPages: Math.ceil(total / limit),
+            currentPage: page,
+            data: {
+                deliveries: deliveries.map(formatDeliverySummary)
+            }
+        });
+
+    } catch (error) {
+        logger.error(`Error fetching webhook deliveries for user ${userId}: ${error.message}`, {
+            stack: error.stack
+        });
+
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to fetch webhook deliveries',
+            code: 'FETCH_DELIVERIES_ERROR'
+        });
+    }
+});
+
+/**
+ * @desc    Get a webhook delivery with its payload and attempts
+ * @route   GET /api/webhooks/deliveries/:id
+ * @access  Private
+ */
+export const getDeliveryById = asyncHandler(async (req, res) => {
+    try {
+        const delivery = await findAuthorizedDelivery(req, res);
+        if (!delivery) return;
+
+        res.status(200).json({
+            status: 'success',
+            data: {
+                delivery: {
+                    ...delivery,
+                    payload: JSON.parse(delivery.payload)
+                }
+            }
+        });
+
+    } catch (error) {
+        logger.error(`Error fetching webhook delivery ${req.params.id}: ${error.message}`, {
+            stack: error.stack
+        });
+
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to fetch webhook delivery',
+            code: 'FETCH_DELIVERY_ERROR'
+        });
+    }
+});
+
+/**
+ * @desc    Send a webhook delivery again
+ * @route   POST /api/webhooks/deliveries/:id/redeliver
+ * @access  Private
+ */
+export const redeliverDelivery = asyncHandler(async (req, res) => {
+    try {
+        const delivery = await findAuthorizedDelivery(req, res);
+        if (!delivery) return;
+
+        const redelivery = await redeliverWebhook(delivery);
+
+        logger.info(`Webhook delivery ${delivery._id} redelivered as ${redelivery._id} by user ${req.user._id}`);
+
+        res.status(202).json({
+            status: 'success',
+            message: 'Webhook redelivery queued',
+            data: { delivery: formatDeliverySummary(redelivery.toObject()) }
+        });
+
+    } catch (error) {
+        logger.error(`Error redelivering webhook ${req.params.id}: ${error.message}`, {
+            stack: error.stack
+        });
+
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to redeliver webhook',
+            code: 'REDELIVER_WEBHOOK_ERROR'
+        });
+    }
+});
+
+/**
+ * @desc    Get the secret that signs a server's webhooks
+ * @route   GET /api/webhooks/servers/:serverId/secret
+ * @access  Private
+ */
+export const getWebhookSecret = asyncHandler(async (req, res) => {
+    try {
+        const server = await findAuthorizedServer(req, res);
+        if (!server) return;
+
+        res.status(200).json({
+            status: 'success',
+            data: {
+                secret: await getSecret(server._id),
+                signatureHeader: SIGNATURE_HEADER
+            }
+        });
+
+    } catch (error) {
+        logger.error(`Error fetching webhook secret of server ${req.params.serverId}: ${error.message}`, {
+            stack: error.stack
+        });
+
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to fetch webhook secret',
+            code: 'FETCH_WEBHOOK_SECRET_ERROR'
+        });
+    }
+});
+
+/**
+ * @desc    Replace the secret that signs a server's webhooks
+ * @route   POST /api/webhooks/servers/:serverId/secret/rotate
+ * @access  Private
+ */
+export const rotateWebhookSecret = asyncHandler(async (req, res) => {
+    try {
+        const server = await findAuthorizedServer(req, res);
+        if (!server) return;
+
+        const secret = await rotateSecret(server._id);
+
+        logger.info(`Webhook secret rotated for server ${server.name} (${server._id}) by user ${req.user._id}`);
+
+        res.status(200).json({
+            status: 'success',
+            message: 'Webhook secret rotated successfully',
+            data: {
+                secret,
+                signatureHeader: SIGNATURE_HEADER
+            }
+        });
+
+    } catch (error) {
+        logger.error(`Error rotating webhook secret of server ${req.params.serverId}: ${error.message}`, {
+            stack: error.stack
+        });
+
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to rotate webhook secret',
+            code: 'ROTATE_WEBHOOK_SECRET_ERROR'
+        });
+    }
+});
+
+export default {
+    getDeliveries,
+    getDeliveryById,
+    redeliverDelivery,
+    getWebhookSecret,
+    rotateWebhookSecret
+};
@@ -24,6 +24,15 @@ import userRoutes from './routes/userRoutes.js';
 import adminRoutes from './routes/adminRoutes.js';
 import adminAnalyticsRoutes from './routes/adminAnalyticsRoutes.js';
 import supportRoutes from './routes/supportRoutes.js';
+import heartbeatRoutes from './routes/heartbeatRoutes.js';
+import incidentRoutes from './routes/incidentRoutes.js';
+import escalationPolicyRoutes from './routes/escalationPolicyRoutes.js';
+import onCallScheduleRoutes from './routes/onCallScheduleRoutes.js';
+import webhookRoutes from './routes/webhookRoutes.js';
+import alertTemplateRoutes from './routes/alertTemplateRoutes.js';
+import statusPageRoutes from './routes/statusPageRoutes.js';
+import maintenanceWindowRoutes from './routes/maintenanceWindowRoutes.js';
+import sloRoutes from './routes/sloRoutes.js';
 
 import { initCronJobs } from './tasks/index.js';
 
@@ -114,6 +123,15 @@ app.use('/api/users', userRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/admin/analytics', adminAnalyticsRoutes);
 app.use('/api/support', supportRoutes);
+app.use('/api/heartbeat', heartbeatRoutes);
+app.use('/api/incidents', incidentRoutes);
+app.use('/api/escalation-policies', escalationPolicyRoutes);
+app.use('/api/schedules', onCallScheduleRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/alert-templates', alertTemplateRoutes);
+app.use('/api/status-pages', statusPageRoutes);
+app.use('/api/maintenance-windows', maintenanceWindowRoutes);
+app.use('/api/slos', sloRoutes);
 
 // Handle 404 routes
 app.use('*', (req, res) => {
@@ -5,7 +5,7 @@ import rateLimit from 'express-rate-limit';
  * @param {Object} options - Rate limiter options
  * @returns {Function} Rate limiter middleware
  */
-const createRateLimiter = (options = {}) => {
+export const createRateLimiter = (options = {}) => {
     const defaultOptions = {
         windowMs: 15 * 60 * 1000, // 15 minutes
         max: 100, // Limit each IP to 100 requests per window
@@ -13,6 +13,13 @@ const hourlyStatsSchema = new mongoose.Schema({
         type: Number,
         default: 0
     },
+    // Response time percentiles of successful checks in ms
+    minResponseTime: Number,
+    maxResponseTime: Number,
+    p50ResponseTime: Number,
+    p95ResponseTime: Number,
+    p99ResponseTime: Number,
+    // Seconds up and down during the hour, weighted by check duration
     uptime: {
         type: Number,
         default: 0
@@ -25,6 +32,25 @@ const hourlyStatsSchema = new mongoose.Schema({
         type: Number,
         default: 0
     },
+    upChecks: {
+        type: Number,
+        default: 0
+    },
+    // Successful checks with a response time, and how many of them took at most `le` ms
+    timedChecks: {
+        type: Number,
+        default: 0
+    },
+    latency: [{
+        _id: false,
+        le: Number,
+        count: Number
+    }],
+    // Failed checks
+    errorCount: {
+        type: Number,
+        default: 0
+    },
     uptimePercentage: {
         type: Number,
         default: 100
@@ -46,9 +72,17 @@ const aggregatedStatsSchema = new mongoose.Schema({
     hourlyStats: [hourlyStatsSchema],
     dailySummary: {
         avgResponseTime: Number,
+        minResponseTime: Number,
+        maxResponseTime: Number,
+        p50ResponseTime: Number,
+        p95ResponseTime: Number,
+        p99ResponseTime: Number,
         uptimePercentage: Number,
         totalChecks: Number,
-        totalDowntime: Number
+        upChecks: Number,
+        errorCount: Number,
+        totalUptime: Number, // Seconds
+        totalDowntime: Number // Seconds
     }
 }, {
     timestamps: true
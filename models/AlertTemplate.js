@@ -0,0 +1,66 @@
+// models/AlertTemplate.js
+import mongoose from 'mongoose';
+
+// Channels whose messages can be customized
+export const ALERT_TEMPLATE_CHANNELS = ['email', 'webhook', 'slack', 'teams', 'discord', 'sms'];
+
+// Alert types a template can target, 'any' applies to all of them
+export const ALERT_TEMPLATE_TYPES = ['any', 'server_down', 'server_recovery', 'slow_response', 'certificate_expiry'];
+
+const alertTemplateSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Template name is required'],
+        trim: true,
+        maxlength: [100, 'Template name cannot exceed 100 characters']
+    },
+    uploadedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User ID is required']
+    },
+    // Null for the user's default template, set to override it for one server
+    server: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Server',
+        default: null
+    },
+    channel: {
+        type: String,
+        enum: ALERT_TEMPLATE_CHANNELS,
+        required: [true, 'Channel is required']
+    },
+    alertType: {
+        type: String,
+        enum: ALERT_TEMPLATE_TYPES,
+        default: 'any'
+    },
+    // Email subject, chat message title
+    subject: {
+        type: String,
+        trim: true,
+        maxlength: [200, 'Subject cannot exceed 200 characters'],
+        default: null
+    },
+    // Email HTML, chat message text, SMS text
+    body: {
+        type: String,
+        maxlength: [10000, 'Body cannot exceed 10000 characters'],
+        default: null
+    },
+    // Webhook JSON document, string values are templates
+    payload: {
+        type: String,
+        maxlength: [10000, 'Payload cannot exceed 10000 characters'],
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+// Create indexes for better performance
+alertTemplateSchema.index({ uploadedBy: 1, server: 1, channel: 1, alertType: 1 }, { unique: true });
+
+// Create and export the model
+const AlertTemplate = mongoose.model('AlertTemplate', alertTemplateSchema);
+export default AlertTemplate;
@@ -0,0 +1,101 @@
+// models/EscalationPolicy.js
+import mongoose from 'mongoose';
+import { isValidPhoneNumber } from '../utils/phone.js';
+
+// Channels an escalated level can be notified on
+export const ESCALATION_CHANNELS = ['email', 'chat', 'sms', 'voice'];
+
+// Define a schema for escalation levels
+const escalationLevelSchema = new mongoose.Schema({
+    // Addresses notified when the level is reached
+    emails: {
+        type: [String],
+        validate: {
+            validator: function (emails) {
+                const emailRegex = /^\S+@\S+\.\S+$/;
+                return emails.every(email => emailRegex.test(email));
+            },
+            message: 'Invalid email format'
+        },
+        default: []
+    },
+    // Whoever is on call in these schedules when the level is reached
+    schedules: {
+        type: [{
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'OnCallSchedule'
+        }],
+        default: []
+    },
+    // Numbers texted or called when the level has the sms or voice channel
+    phones: {
+        type: [String],
+        validate: {
+            validator: phones => phones.every(phone => isValidPhoneNumber(phone)),
+            message: 'Invalid phone number format'
+        },
+        default: []
+    },
+    // Channels used when escalation reaches the level: email goes to the level's recipients,
+    // chat to the server's chat channels, sms and voice to the level's phones
+    channels: {
+        type: [{
+            type: String,
+            enum: ESCALATION_CHANNELS
+        }],
+        default: ['email']
+    },
+    // Minutes without acknowledgement before the next level is notified
+    escalateAfter: {
+        type: Number,
+        default: 15,
+        min: [1, 'Escalation delay must be at least 1 minute'],
+        max: [1440, 'Escalation delay cannot exceed 24 hours']
+    }
+}, { _id: false });
+
+const escalationPolicySchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Name is required'],
+        trim: true,
+        maxlength: [100, 'Name cannot exceed 100 characters']
+    },
+    uploadedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User ID is required']
+    },
+    levels: {
+        type: [escalationLevelSchema],
+        validate: {
+            validator: levels => levels.length >= 1 && levels.length <= 5,
+            message: 'A policy needs between 1 and 5 levels'
+        }
+    },
+    // Re-notify the last level until the incident is acknowledged
+    repeat: {
+        // Minutes between repeats, 0 disables repeating
+        interval: {
+            type: Number,
+            default: 0,
+            min: [0, 'Repeat interval cannot be negative'],
+            max: [1440, 'Repeat interval cannot exceed 24 hours']
+        },
+        limit: {
+            type: Number,
+            default: 3,
+            min: [1, 'Repeat limit must be at least 1'],
+            max: [20, 'Repeat limit cannot exceed 20']
+        }
+    }
+}, {
+    timestamps: true
+});
+
+// Create indexes for better performance
+escalationPolicySchema.index({ uploadedBy: 1 });
+
+// Create and export the model
+const EscalationPolicy = mongoose.model('EscalationPolicy', escalationPolicySchema);
+export default EscalationPolicy;
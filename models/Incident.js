@@ -0,0 +1,137 @@
+// models/Incident.js
+import mongoose from 'mongoose';
+
+// Incident lifecycle
+export const INCIDENT_STATUSES = ['open', 'acknowledged', 'resolved'];
+
+// Timeline entry types
+export const INCIDENT_EVENT_TYPES = ['opened', 'status_change', 'notification', 'acknowledged', 'note', 'resolved'];
+
+// Define a schema for incident timeline entries
+const timelineEntrySchema = new mongoose.Schema({
+    type: {
+        type: String,
+        enum: INCIDENT_EVENT_TYPES,
+        required: true
+    },
+    message: {
+        type: String,
+        trim: true,
+        maxlength: [2000, 'Message cannot exceed 2000 characters']
+    },
+    // User behind acknowledgements, notes and manual resolutions
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    // Event details (statuses, alert type, notification channels)
+    data: {
+        type: mongoose.Schema.Types.Mixed,
+        default: undefined
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: true });
+
+const incidentSchema = new mongoose.Schema({
+    server: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Server',
+        required: [true, 'Server is required']
+    },
+    // Owner of the server, used for authorization like on servers
+    uploadedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User ID is required']
+    },
+    title: {
+        type: String,
+        required: [true, 'Title is required'],
+        trim: true
+    },
+    status: {
+        type: String,
+        enum: INCIDENT_STATUSES,
+        default: 'open'
+    },
+    // Error reported by the check that confirmed the outage
+    cause: {
+        type: String,
+        default: null
+    },
+    startedAt: {
+        type: Date,
+        default: Date.now
+    },
+    acknowledgedAt: {
+        type: Date,
+        default: null
+    },
+    acknowledgedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    resolvedAt: {
+        type: Date,
+        default: null
+    },
+    // Null when the incident was closed by a recovery
+    resolvedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    timeline: {
+        type: [timelineEntrySchema],
+        default: []
+    },
+    // Escalation progress while the incident is not acknowledged
+    escalation: {
+        type: new mongoose.Schema({
+            policy: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'EscalationPolicy'
+            },
+            // Index of the last notified level
+            level: {
+                type: Number,
+                default: 0
+            },
+            // Repeats of the last level sent so far
+            repeats: {
+                type: Number,
+                default: 0
+            },
+            nextAt: {
+                type: Date,
+                default: null
+            }
+        }, { _id: false }),
+        default: undefined
+    }
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// Create indexes for better performance
+incidentSchema.index({ server: 1, status: 1 });
+incidentSchema.index({ uploadedBy: 1, startedAt: -1 });
+incidentSchema.index({ status: 1, startedAt: -1 });
+
+// Incident duration in seconds, up to now while it is not resolved
+incidentSchema.virtual('duration').get(function () {
+    if (!this.startedAt) return null;
+    const end = this.resolvedAt || new Date();
+    return Math.round((end - this.startedAt) / 1000);
+});
+
+// Create and export the model
+const Incident = mongoose.model('Incident', incidentSchema);
+export default Incident;
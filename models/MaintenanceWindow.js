@@ -0,0 +1,102 @@
+// models/MaintenanceWindow.js
+import mongoose from 'mongoose';
+import { isValidCronExpression } from '../config/cron.js';
+import { isValidTimezone } from '../utils/timezone.js';
+
+// Define a schema for recurring windows
+const recurrenceSchema = new mongoose.Schema({
+    // Start of every occurrence, e.g. "0 2 * * 0" for Sundays at 02:00
+    cron: {
+        type: String,
+        required: [true, 'Cron expression is required'],
+        trim: true,
+        validate: {
+            validator: isValidCronExpression,
+            message: 'Invalid cron expression'
+        }
+    },
+    // Length of every occurrence in minutes
+    duration: {
+        type: Number,
+        required: [true, 'Duration is required'],
+        min: [1, 'Duration must be at least 1 minute'],
+        max: [1440, 'Duration cannot exceed 24 hours']
+    },
+    timezone: {
+        type: String,
+        default: 'UTC',
+        validate: {
+            validator: isValidTimezone,
+            message: 'Invalid timezone'
+        }
+    }
+}, { _id: false });
+
+const maintenanceWindowSchema = new mongoose.Schema({
+    title: {
+        type: String,
+        required: [true, 'Title is required'],
+        trim: true,
+        maxlength: [100, 'Title cannot exceed 100 characters']
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [1000, 'Description cannot exceed 1000 characters']
+    },
+    servers: {
+        type: [{
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Server'
+        }],
+        validate: {
+            validator: servers => servers.length >= 1 && servers.length <= 100,
+            message: 'A maintenance window needs between 1 and 100 servers'
+        }
+    },
+    // One-off windows run from startsAt to endsAt,
+    // recurring windows repeat from startsAt until endsAt (if set)
+    startsAt: {
+        type: Date,
+        required: [true, 'Start is required']
+    },
+    endsAt: {
+        type: Date,
+        default: null
+    },
+    recurrence: {
+        type: recurrenceSchema,
+        default: undefined
+    },
+    // Announce the window on status pages showing its servers
+    showOnStatusPage: {
+        type: Boolean,
+        default: false
+    },
+    uploadedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User ID is required']
+    }
+}, {
+    timestamps: true
+});
+
+// One-off windows need an end after their start
+maintenanceWindowSchema.pre('validate', function (next) {
+    if (!this.recurrence && !this.endsAt) {
+        this.invalidate('endsAt', 'End is required for one-off maintenance windows');
+    }
+    if (this.endsAt && this.startsAt && this.endsAt <= this.startsAt) {
+        this.invalidate('endsAt', 'End must be after the start');
+    }
+    next();
+});
+
+// Create indexes for better performance
+maintenanceWindowSchema.index({ uploadedBy: 1, startsAt: -1 });
+maintenanceWindowSchema.index({ servers: 1, startsAt: 1 });
+
+// Create and export the model
+const MaintenanceWindow = mongoose.model('MaintenanceWindow', maintenanceWindowSchema);
+export default MaintenanceWindow;
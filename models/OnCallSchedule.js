@@ -0,0 +1,123 @@
+// models/OnCallSchedule.js
+import mongoose from 'mongoose';
+import { isValidTimezone } from '../utils/timezone.js';
+
+// Rotation lengths
+export const ROTATION_TYPES = ['daily', 'weekly'];
+
+const emailRegex = /^\S+@\S+\.\S+$/;
+
+// Define a schema for temporary on-call overrides
+const overrideSchema = new mongoose.Schema({
+    email: {
+        type: String,
+        trim: true,
+        lowercase: true,
+        required: [true, 'Override email is required'],
+        match: [emailRegex, 'Invalid email format']
+    },
+    start: {
+        type: Date,
+        required: [true, 'Override start is required']
+    },
+    end: {
+        type: Date,
+        required: [true, 'Override end is required'],
+        validate: {
+            validator: function (end) {
+                return !this.start || end > this.start;
+            },
+            message: 'Override end must be after its start'
+        }
+    },
+    reason: {
+        type: String,
+        trim: true,
+        maxlength: [200, 'Reason cannot exceed 200 characters']
+    }
+}, { _id: true, timestamps: true });
+
+// Define a schema for the rotation
+const rotationSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        enum: ROTATION_TYPES,
+        default: 'weekly'
+    },
+    // Email addresses on call in turn, starting with the first one at startDate
+    // Participants are contacts supplied by the schedule owner, not user accounts
+    participants: {
+        type: [{
+            type: String,
+            trim: true,
+            lowercase: true
+        }],
+        validate: [
+            {
+                validator: participants => participants.length >= 1 && participants.length <= 50,
+                message: 'A rotation needs between 1 and 50 participants'
+            },
+            {
+                validator: participants => participants.every(email => emailRegex.test(email)),
+                message: 'Invalid email format'
+            }
+        ]
+    },
+    // Local time of the handoff in the schedule timezone
+    handoffTime: {
+        type: String,
+        default: '09:00',
+        match: [/^([01][0-9]|2[0-3]):[0-5][0-9]$/, 'Invalid time format (HH:MM)']
+    },
+    // Day of the handoff for weekly rotations (0 = Sunday)
+    handoffDay: {
+        type: Number,
+        default: 1,
+        min: 0,
+        max: 6
+    },
+    // The first participant's shift is the one running at this date
+    startDate: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
+const onCallScheduleSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Name is required'],
+        trim: true,
+        maxlength: [100, 'Name cannot exceed 100 characters']
+    },
+    uploadedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User ID is required']
+    },
+    timezone: {
+        type: String,
+        default: 'UTC',
+        validate: {
+            validator: isValidTimezone,
+            message: 'Invalid timezone'
+        }
+    },
+    rotation: {
+        type: rotationSchema,
+        required: [true, 'Rotation is required']
+    },
+    overrides: {
+        type: [overrideSchema],
+        default: []
+    }
+}, {
+    timestamps: true
+});
+
+// Create indexes for better performance
+onCallScheduleSchema.index({ uploadedBy: 1 });
+
+// Create and export the model
+const OnCallSchedule = mongoose.model('OnCallSchedule', onCallScheduleSchema);
+export default OnCallSchedule;
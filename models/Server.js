@@ -1,4 +1,21 @@
 import mongoose from 'mongoose';
+import { isValidPhoneNumber } from '../utils/phone.js';
+import { isValidTimezone } from '../utils/timezone.js';
+
+// Supported monitor types
+export const SERVER_TYPES = ['website', 'api', 'tcp', 'udp', 'database', 'dns', 'heartbeat', 'transaction'];
+
+// Server statuses, 'verifying' while a failure waits for confirmation
+export const SERVER_STATUSES = ['up', 'down', 'unknown', 'verifying'];
+
+// HTTP methods supported by custom http/api requests
+export const HTTP_METHODS = ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'];
+
+// Database engines supported by the database monitor
+export const DATABASE_ENGINES = ['mongodb', 'redis', 'postgres', 'mysql'];
+
+// DNS record types supported by the dns monitor
+export const DNS_RECORD_TYPES = ['A', 'AAAA', 'CNAME', 'MX', 'TXT'];
 
 // Define a schema for the time window
 const timeWindowSchema = new mongoose.Schema({
@@ -14,6 +31,22 @@ const timeWindowSchema = new mongoose.Schema({
     }
 }, { _id: false });
 
+// Define a schema for alert grouping settings
+const alertGroupingSchema = new mongoose.Schema({
+    // Bundle outages and recoveries into one digest email per recipient
+    enabled: {
+        type: Boolean,
+        default: false
+    },
+    // Minutes after the first alert during which further alerts are collected
+    window: {
+        type: Number,
+        default: 5,
+        min: [1, 'Grouping window must be at least 1 minute'],
+        max: [60, 'Grouping window cannot exceed 60 minutes']
+    }
+}, { _id: false });
+
 // Define a schema for alert settings
 const alertsSchema = new mongoose.Schema({
     enabled: {
@@ -28,11 +61,31 @@ const alertsSchema = new mongoose.Schema({
         type: Boolean,
         default: false
     },
+    // Call contact phones on outages, in addition to the SMS
+    voice: {
+        type: Boolean,
+        default: false
+    },
     webhookUrl: {
         type: String,
         trim: true,
         match: [/^https?:\/\/.+$/, 'Invalid URL format']
     },
+    slackWebhookUrl: {
+        type: String,
+        trim: true,
+        match: [/^https?:\/\/.+$/, 'Invalid Slack webhook URL format']
+    },
+    teamsWebhookUrl: {
+        type: String,
+        trim: true,
+        match: [/^https?:\/\/.+$/, 'Invalid Teams webhook URL format']
+    },
+    discordWebhookUrl: {
+        type: String,
+        trim: true,
+        match: [/^https?:\/\/.+$/, 'Invalid Discord webhook URL format']
+    },
     responseThreshold: {
         type: Number,
         default: 1000,
@@ -41,6 +94,318 @@ const alertsSchema = new mongoose.Schema({
     timeWindow: {
         type: timeWindowSchema,
         default: () => ({ start: '00:00', end: '23:59' })
+    },
+    grouping: {
+        type: alertGroupingSchema,
+        default: undefined
+    }
+}, { _id: false });
+
+// Define a schema for DNS check settings
+const dnsSchema = new mongoose.Schema({
+    recordType: {
+        type: String,
+        enum: DNS_RECORD_TYPES,
+        default: 'A'
+    },
+    // Resolver to query (e.g. 1.1.1.1 or 8.8.8.8:53), system resolver when empty
+    resolver: {
+        type: String,
+        trim: true,
+        default: null
+    },
+    // Value that must appear in the answer, any answer accepted when empty
+    expectedValue: {
+        type: String,
+        trim: true,
+        default: null
+    }
+}, { _id: false });
+
+// Define a schema for TLS certificate settings
+const sslSchema = new mongoose.Schema({
+    // Report the server as down when the certificate is expired, untrusted or mis-chained
+    verifyCertificate: {
+        type: Boolean,
+        default: true
+    },
+    // Send an alert when the certificate expires within any of these day counts
+    expiryAlertDays: {
+        type: [Number],
+        default: () => [30, 14, 7, 1],
+        validate: {
+            validator: function (days) {
+                return days.every(day => Number.isInteger(day) && day >= 1 && day <= 365);
+            },
+            message: 'Expiry alert days must be between 1 and 365'
+        }
+    }
+}, { _id: false });
+
+// Define a schema for the last seen TLS certificate
+export const certificateSchema = new mongoose.Schema({
+    issuer: String,
+    subject: String,
+    subjectAltNames: [String],
+    validFrom: Date,
+    validTo: Date,
+    daysRemaining: Number,
+    authorized: Boolean,
+    authorizationError: String
+}, { _id: false });
+
+// Define a schema for HTTP response assertions
+const assertionsSchema = new mongoose.Schema({
+    // Accepted status codes, 2xx/3xx when empty
+    statusCodes: {
+        type: [Number],
+        default: undefined,
+        validate: {
+            validator: function (codes) {
+                return codes.every(code => Number.isInteger(code) && code >= 100 && code <= 599);
+            },
+            message: 'Status codes must be between 100 and 599'
+        }
+    },
+    bodyContains: {
+        type: [String],
+        default: undefined
+    },
+    bodyNotContains: {
+        type: [String],
+        default: undefined
+    },
+    jsonPath: {
+        type: [new mongoose.Schema({
+            path: {
+                type: String,
+                required: [true, 'JSONPath is required'],
+                trim: true
+            },
+            equals: {
+                type: String,
+                required: [true, 'Expected value is required']
+            }
+        }, { _id: false })],
+        default: undefined
+    }
+}, { _id: false });
+
+// Define a schema for custom request headers
+export const requestHeaderSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Header name is required'],
+        trim: true
+    },
+    value: {
+        type: String,
+        default: ''
+    },
+    // Secret header values are encrypted at rest and masked in responses
+    secret: {
+        type: Boolean,
+        default: false
+    }
+}, { _id: false });
+
+// Define a schema for custom HTTP request settings
+const requestSchema = new mongoose.Schema({
+    // Request method, HEAD with GET fallback when empty
+    method: {
+        type: String,
+        enum: [...HTTP_METHODS, null],
+        default: null
+    },
+    headers: {
+        type: [requestHeaderSchema],
+        default: undefined
+    },
+    body: {
+        type: String,
+        default: null
+    },
+    contentType: {
+        type: String,
+        trim: true,
+        default: 'application/json'
+    },
+    auth: {
+        type: new mongoose.Schema({
+            type: {
+                type: String,
+                enum: ['none', 'basic', 'bearer'],
+                default: 'none'
+            },
+            username: {
+                type: String,
+                trim: true
+            },
+            // Encrypted at rest
+            password: String,
+            // Encrypted at rest
+            token: String
+        }, { _id: false }),
+        default: undefined
+    },
+    // Rotate browser user agents/headers to get past bot protection
+    browserImpersonation: {
+        type: Boolean,
+        default: true
+    }
+}, { _id: false });
+
+// Define a schema for transaction steps: a request, its assertions and the variables it captures
+const transactionStepSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        trim: true
+    },
+    // Absolute, or relative to the server URL; may contain {{variables}}
+    url: {
+        type: String,
+        required: [true, 'Step URL is required'],
+        trim: true
+    },
+    ...requestSchema.obj,
+    browserImpersonation: {
+        type: Boolean,
+        default: false
+    },
+    assertions: {
+        type: assertionsSchema,
+        default: undefined
+    },
+    // Values captured for later steps as {{variable}}
+    extract: {
+        type: [new mongoose.Schema({
+            variable: {
+                type: String,
+                required: [true, 'Variable name is required'],
+                match: [/^[A-Za-z_][A-Za-z0-9_]*$/, 'Invalid variable name']
+            },
+            source: {
+                type: String,
+                enum: ['json', 'header'],
+                default: 'json'
+            },
+            // JSONPath for json, header name for header
+            path: {
+                type: String,
+                required: [true, 'Extraction path is required'],
+                trim: true
+            }
+        }, { _id: false })],
+        default: undefined
+    }
+}, { _id: false });
+
+// Define a schema for database connectivity checks
+const databaseSchema = new mongoose.Schema({
+    // Detected from the connection string scheme when empty
+    engine: {
+        type: String,
+        enum: [...DATABASE_ENGINES, null],
+        default: null
+    },
+    // Encrypted at rest, the server url is used when empty
+    connectionString: {
+        type: String,
+        default: null
+    },
+    // Run ping / SELECT 1 after connecting
+    runQuery: {
+        type: Boolean,
+        default: true
+    }
+}, { _id: false });
+
+// Define a schema for tcp/udp probe settings
+const socketSchema = new mongoose.Schema({
+    // Data written after connecting (tcp) or sent as the probe datagram (udp)
+    send: {
+        type: String,
+        default: null
+    },
+    // Data the response must contain, e.g. an SSH, SMTP or Redis banner
+    expect: {
+        type: String,
+        default: null
+    },
+    // udp only: require a reply even without an expected value
+    expectReply: {
+        type: Boolean,
+        default: false
+    },
+    encoding: {
+        type: String,
+        enum: ['text', 'hex'],
+        default: 'text'
+    }
+}, { _id: false });
+
+// Define a schema for heartbeat (push) monitor settings
+const heartbeatSettingsSchema = new mongoose.Schema({
+    // Expected minutes between pings
+    interval: {
+        type: Number,
+        default: 60,
+        min: [1, 'Heartbeat interval must be at least 1 minute'],
+        max: [43200, 'Heartbeat interval cannot exceed 30 days']
+    },
+    // Extra minutes allowed before a late ping marks the monitor down
+    grace: {
+        type: Number,
+        default: 5,
+        min: [0, 'Grace period cannot be negative'],
+        max: [1440, 'Grace period cannot exceed 1 day']
+    }
+}, { _id: false });
+
+// Define a schema for failure confirmation settings
+const confirmationSchema = new mongoose.Schema({
+    // Consecutive failed checks required before a server is marked down
+    failures: {
+        type: Number,
+        default: 1,
+        min: [1, 'At least 1 failure is required'],
+        max: [10, 'Cannot require more than 10 failures']
+    },
+    // Seconds before a failed check is re-run, 0 waits for the next scheduled check
+    recheckAfter: {
+        type: Number,
+        default: 0,
+        min: [0, 'Recheck delay cannot be negative'],
+        max: [3600, 'Recheck delay cannot exceed 1 hour']
+    }
+}, { _id: false });
+
+// Define a schema for flap detection settings
+const flapDetectionSchema = new mongoose.Schema({
+    enabled: {
+        type: Boolean,
+        default: true
+    },
+    // Status changes within the window that mark a server as flapping
+    threshold: {
+        type: Number,
+        default: 5,
+        min: [2, 'Threshold must be at least 2 status changes'],
+        max: [50, 'Threshold cannot exceed 50 status changes']
+    },
+    // Minutes in which status changes are counted
+    window: {
+        type: Number,
+        default: 30,
+        min: [5, 'Window must be at least 5 minutes'],
+        max: [1440, 'Window cannot exceed 1 day']
+    },
+    // Minutes without a status change before alerts are sent again
+    stablePeriod: {
+        type: Number,
+        default: 15,
+        min: [1, 'Stable period must be at least 1 minute'],
+        max: [1440, 'Stable period cannot exceed 1 day']
     }
 }, { _id: false });
 
@@ -69,6 +434,60 @@ const monitoringSchema = new mongoose.Schema({
         type: alertsSchema,
         default: () => ({})
     },
+    dns: {
+        type: dnsSchema,
+        default: undefined
+    },
+    ssl: {
+        type: sslSchema,
+        default: () => ({})
+    },
+    assertions: {
+        type: assertionsSchema,
+        default: undefined
+    },
+    request: {
+        type: requestSchema,
+        default: undefined
+    },
+    database: {
+        type: databaseSchema,
+        default: undefined
+    },
+    socket: {
+        type: socketSchema,
+        default: undefined
+    },
+    heartbeat: {
+        type: heartbeatSettingsSchema,
+        default: undefined
+    },
+    steps: {
+        type: [transactionStepSchema],
+        default: undefined
+    },
+    confirmation: {
+        type: confirmationSchema,
+        default: undefined
+    },
+    flapDetection: {
+        type: flapDetectionSchema,
+        default: undefined
+    },
+    // Probe regions, all configured regions when empty
+    regions: {
+        type: [{
+            type: String,
+            match: [/^[a-z0-9-]+$/, 'Invalid region name']
+        }],
+        default: undefined
+    },
+    // Regions that must report a failure, majority of the probed regions when unset
+    quorum: {
+        type: Number,
+        min: [1, 'Quorum must be at least 1'],
+        max: [10, 'Quorum cannot exceed 10 regions']
+    },
     trialEndsAt: {
         type: Date,
         default: null
@@ -89,7 +508,7 @@ const serverSchema = new mongoose.Schema({
     },
     type: {
         type: String,
-        enum: ['website', 'api', 'tcp', 'database'],
+        enum: SERVER_TYPES,
         default: 'website'
     },
     description: {
@@ -119,11 +538,45 @@ const serverSchema = new mongoose.Schema({
         enum: ['high', 'medium', 'low'],
         default: 'medium'
     },
+    // Timezone of the time windows and days of week, the owner's timezone when unset
+    timezone: {
+        type: String,
+        default: null,
+        validate: {
+            validator: (value) => value === null || isValidTimezone(value),
+            message: 'Invalid timezone'
+        }
+    },
     status: {
         type: String,
-        enum: ['up', 'down', 'unknown'],
+        enum: SERVER_STATUSES,
         default: 'unknown'
     },
+    // Alerts are muted while the status keeps changing
+    flapping: {
+        type: new mongoose.Schema({
+            active: {
+                type: Boolean,
+                default: false
+            },
+            since: Date,
+            lastChangeAt: Date,
+            // Status the last alert before muting reported
+            lastNotifiedStatus: String,
+            endedAt: Date
+        }, { _id: false }),
+        default: undefined
+    },
+    // Failure confirmation in progress (status 'verifying')
+    verification: {
+        type: new mongoose.Schema({
+            // Status before the first unconfirmed failure
+            previousStatus: String,
+            failures: Number,
+            startedAt: Date
+        }, { _id: false }),
+        default: undefined
+    },
     lastChecked: {
         type: Date,
         default: null
@@ -140,6 +593,41 @@ const serverSchema = new mongoose.Schema({
         type: String,
         default: null
     },
+    certificate: {
+        type: new mongoose.Schema({
+            ...certificateSchema.obj,
+            // Smallest expiryAlertDays threshold already alerted on for this certificate
+            lastAlertThreshold: {
+                type: Number,
+                default: null
+            }
+        }, { _id: false }),
+        default: undefined
+    },
+    // Ping state of heartbeat monitors
+    heartbeat: {
+        type: new mongoose.Schema({
+            // Secret part of the ping URL
+            token: {
+                type: String,
+                required: true
+            },
+            lastPingAt: {
+                type: Date,
+                default: null
+            },
+            // Job duration in seconds reported by the last ping
+            lastDuration: {
+                type: Number,
+                default: null
+            },
+            lastExitCode: {
+                type: Number,
+                default: null
+            }
+        }, { _id: false }),
+        default: undefined
+    },
     monitoring: {
         type: monitoringSchema,
         default: () => ({})
@@ -161,12 +649,23 @@ const serverSchema = new mongoose.Schema({
         default: [],
         validate: {
             validator: function (phones) {
-                // Simple regex for phone numbers (10 digits)
-                const phoneRegex = /^\d{10}$/;
-                return phones.every(phone => phoneRegex.test(phone));
+                // E.164 (+ and country code) or a national number
+                return phones.every(phone => isValidPhoneNumber(phone));
             },
-            message: 'Invalid phone format (must be 10 digits)'
+            message: 'Invalid phone number format'
         }
+    },
+    // Outage notifications follow this policy instead of going to all contacts at once
+    escalationPolicy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'EscalationPolicy',
+        default: null
+    },
+    // Encrypted HMAC secret that signs outgoing webhooks, created on first use
+    webhookSecret: {
+        type: String,
+        default: null,
+        select: false
     }
 }, {
     timestamps: true,
@@ -179,16 +678,10 @@ serverSchema.index({ uploadedBy: 1 });
 serverSchema.index({ status: 1 });
 serverSchema.index({ lastChecked: 1 });
 serverSchema.index({ uploadedAt: -1 });
+serverSchema.index({ 'heartbeat.token': 1 }, { unique: true, sparse: true });
 // Compound index for check scheduler (find by status + sort by lastChecked/calc)
 serverSchema.index({ status: 1, lastChecked: 1 });
 
-// Calculate uptime percentage
-serverSchema.virtual('uptime24h').get(function () {
-    // This would normally be calculated from actual check history
-    // For demonstration purposes, we return a fixed value
-    return 99.8;
-});
-
 // Create and export the model
 const Server = mongoose.model('Server', serverSchema);
 export default Server;
\ No newline at end of file
@@ -1,6 +1,21 @@
 // models/ServerCheck.js - Standardized (UTC)
 
 import mongoose from 'mongoose';
+import { certificateSchema } from './Server.js';
+
+// Phases of the http timing breakdown
+export const HTTP_TIMING_PHASES = ['dns', 'connect', 'tls', 'ttfb', 'transfer'];
+
+// Latency breakdown of a check in milliseconds
+const timingsSchema = new mongoose.Schema({
+    dns: Number,
+    connect: Number,
+    tls: Number,
+    ttfb: Number,
+    transfer: Number,
+    // Database checks
+    query: Number
+}, { _id: false });
 
 const serverCheckSchema = new mongoose.Schema({
     serverId: {
@@ -22,6 +37,57 @@ const serverCheckSchema = new mongoose.Schema({
         type: String,
         default: null
     },
+    // Records returned by dns checks
+    dnsAnswers: {
+        type: [String],
+        default: undefined
+    },
+    // TLS certificate seen by https checks
+    certificate: {
+        type: certificateSchema,
+        default: undefined
+    },
+    // Job details reported by heartbeat pings
+    heartbeat: {
+        type: new mongoose.Schema({
+            // Job duration in seconds
+            duration: Number,
+            exitCode: Number
+        }, { _id: false }),
+        default: undefined
+    },
+    // Per-step results of transaction checks
+    steps: {
+        type: [new mongoose.Schema({
+            name: String,
+            status: {
+                type: String,
+                enum: ['passed', 'failed', 'skipped']
+            },
+            responseTime: Number,
+            statusCode: Number,
+            error: String
+        }, { _id: false })],
+        default: undefined
+    },
+    // Per-region results of multi-region checks, the status above is the quorum decision
+    regions: {
+        type: [new mongoose.Schema({
+            region: String,
+            status: {
+                type: String,
+                enum: ['up', 'down', 'unknown']
+            },
+            responseTime: Number,
+            error: String
+        }, { _id: false })],
+        default: undefined
+    },
+    // Timing breakdown: http phases or database connect/query latency
+    timings: {
+        type: timingsSchema,
+        default: undefined
+    },
     timestamp: {
         type: Date,
         default: Date.now
@@ -30,6 +96,11 @@ const serverCheckSchema = new mongoose.Schema({
     checkType: {
         type: String,
         default: 'automated'
+    },
+    // Taken during a maintenance window, left out of uptime
+    maintenance: {
+        type: Boolean,
+        default: undefined
     }
 }, {
     timeseries: {
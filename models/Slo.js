@@ -0,0 +1,125 @@
+// models/Slo.js
+import mongoose from 'mongoose';
+
+// What an objective measures:
+// availability - share of monitored time the servers were up
+// latency - share of successful checks answering within the threshold, e.g. 95% under 800ms for a p95 target
+export const SLO_TYPES = ['availability', 'latency'];
+
+// Define a schema for the objective itself
+const objectiveSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        enum: SLO_TYPES,
+        default: 'availability'
+    },
+    // Percentage of good time or checks, e.g. 99.9
+    target: {
+        type: Number,
+        required: [true, 'Target is required'],
+        min: [50, 'Target must be at least 50%'],
+        max: [99.999, 'Target cannot exceed 99.999%']
+    },
+    // Response time limit in ms for latency objectives
+    threshold: {
+        type: Number,
+        min: [1, 'Threshold must be at least 1 ms'],
+        max: [60000, 'Threshold cannot exceed 60000 ms'],
+        default: null
+    }
+}, { _id: false });
+
+// Define a schema for burn-rate alerting
+// A burn rate of 1 spends the error budget exactly over the window,
+// the fast rule looks at the last hour and the slow rule at the last 6 hours
+const alertingSchema = new mongoose.Schema({
+    enabled: {
+        type: Boolean,
+        default: true
+    },
+    fastBurnRate: {
+        type: Number,
+        default: 14.4,
+        min: [1, 'Burn rate must be at least 1']
+    },
+    slowBurnRate: {
+        type: Number,
+        default: 6,
+        min: [1, 'Burn rate must be at least 1']
+    },
+    // Recipients of burn-rate alerts, the owner when empty
+    contactEmails: {
+        type: [String],
+        default: [],
+        validate: {
+            validator: function (emails) {
+                const emailRegex = /^\S+@\S+\.\S+$/;
+                return emails.every(email => emailRegex.test(email));
+            },
+            message: 'Invalid email format'
+        }
+    }
+}, { _id: false });
+
+const sloSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Name is required'],
+        trim: true,
+        maxlength: [100, 'Name cannot exceed 100 characters']
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [1000, 'Description cannot exceed 1000 characters']
+    },
+    // One server, or a group measured together
+    servers: {
+        type: [{
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Server'
+        }],
+        validate: {
+            validator: servers => servers.length >= 1 && servers.length <= 100,
+            message: 'An SLO needs between 1 and 100 servers'
+        }
+    },
+    objective: {
+        type: objectiveSchema,
+        required: [true, 'Objective is required']
+    },
+    // Rolling window the error budget is spent over
+    windowDays: {
+        type: Number,
+        default: 30,
+        min: [1, 'Window must be at least 1 day'],
+        max: [90, 'Window cannot exceed 90 days']
+    },
+    alerting: {
+        type: alertingSchema,
+        default: () => ({})
+    },
+    uploadedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User ID is required']
+    }
+}, {
+    timestamps: true
+});
+
+// Latency objectives need a threshold
+sloSchema.pre('validate', function (next) {
+    if (this.objective?.type === 'latency' && !this.objective.threshold) {
+        this.invalidate('objective.threshold', 'Threshold is required for latency objectives');
+    }
+    next();
+});
+
+// Create indexes for better performance
+sloSchema.index({ uploadedBy: 1, createdAt: -1 });
+sloSchema.index({ servers: 1 });
+
+// Create and export the model
+const Slo = mongoose.model('Slo', sloSchema);
+export default Slo;
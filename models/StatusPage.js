@@ -0,0 +1,86 @@
+// models/StatusPage.js
+import mongoose from 'mongoose';
+
+// Public URL part of a status page
+export const STATUS_PAGE_SLUG_REGEX = /^[a-z0-9](?:[a-z0-9-]{1,48}[a-z0-9])$/;
+
+// Define a schema for groups of servers shown as one component
+const componentSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Component name is required'],
+        trim: true,
+        maxlength: [100, 'Component name cannot exceed 100 characters']
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Component description cannot exceed 500 characters']
+    },
+    servers: {
+        type: [{
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Server'
+        }],
+        validate: {
+            validator: servers => servers.length >= 1 && servers.length <= 50,
+            message: 'A component needs between 1 and 50 servers'
+        }
+    }
+}, { _id: true });
+
+const statusPageSchema = new mongoose.Schema({
+    slug: {
+        type: String,
+        required: [true, 'Slug is required'],
+        unique: true,
+        lowercase: true,
+        trim: true,
+        match: [STATUS_PAGE_SLUG_REGEX, 'Slug must be 3-50 lowercase letters, digits or dashes']
+    },
+    title: {
+        type: String,
+        required: [true, 'Title is required'],
+        trim: true,
+        maxlength: [100, 'Title cannot exceed 100 characters']
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [1000, 'Description cannot exceed 1000 characters']
+    },
+    logoUrl: {
+        type: String,
+        trim: true,
+        match: [/^https:\/\/\S+$/, 'Logo URL must be an https URL'],
+        default: null
+    },
+    components: {
+        type: [componentSchema],
+        validate: {
+            validator: components => components.length <= 20,
+            message: 'A status page can have at most 20 components'
+        },
+        default: []
+    },
+    // Unpublished pages are only visible to their owner
+    published: {
+        type: Boolean,
+        default: true
+    },
+    uploadedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User ID is required']
+    }
+}, {
+    timestamps: true
+});
+
+// Create indexes for better performance
+statusPageSchema.index({ uploadedBy: 1 });
+statusPageSchema.index({ 'components.servers': 1 });
+
+// Create and export the model
+const StatusPage = mongoose.model('StatusPage', statusPageSchema);
+export default StatusPage;
@@ -1,5 +1,6 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import { isValidTimezone } from '../utils/timezone.js';
 
 const userSchema = new mongoose.Schema({
     email: {
@@ -20,6 +21,15 @@ const userSchema = new mongoose.Schema({
         type: String,
         trim: true
     },
+    // Timezone of the user's alert and monitoring windows
+    timezone: {
+        type: String,
+        default: 'UTC',
+        validate: {
+            validator: isValidTimezone,
+            message: 'Invalid timezone'
+        }
+    },
     role: {
         type: String,
         enum: ['user', 'admin'],
@@ -0,0 +1,90 @@
+// models/WebhookDelivery.js
+import mongoose from 'mongoose';
+
+// Delivery lifecycle, 'pending' until an attempt succeeds or the retries run out
+export const WEBHOOK_DELIVERY_STATUSES = ['pending', 'success', 'failed'];
+
+// Define a schema for a single delivery attempt
+const attemptSchema = new mongoose.Schema({
+    attemptedAt: {
+        type: Date,
+        default: Date.now
+    },
+    // Null when no response was received (timeout, connection error)
+    statusCode: {
+        type: Number,
+        default: null
+    },
+    // Milliseconds until the response (or the error)
+    latency: {
+        type: Number,
+        default: null
+    },
+    // First characters of the response body
+    responseBody: {
+        type: String,
+        default: null
+    },
+    error: {
+        type: String,
+        default: null
+    }
+}, { _id: false });
+
+const webhookDeliverySchema = new mongoose.Schema({
+    server: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Server',
+        required: [true, 'Server is required']
+    },
+    // Owner of the server, used for authorization like on servers
+    uploadedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User ID is required']
+    },
+    // Alert type sent as the event name
+    event: {
+        type: String,
+        required: [true, 'Event is required']
+    },
+    url: {
+        type: String,
+        required: [true, 'URL is required']
+    },
+    // Exact JSON body, signed on every attempt
+    payload: {
+        type: String,
+        required: [true, 'Payload is required']
+    },
+    status: {
+        type: String,
+        enum: WEBHOOK_DELIVERY_STATUSES,
+        default: 'pending'
+    },
+    attempts: {
+        type: [attemptSchema],
+        default: []
+    },
+    deliveredAt: {
+        type: Date,
+        default: null
+    },
+    // Original delivery when this one was sent again by the user
+    redeliveryOf: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'WebhookDelivery',
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+// Create indexes for better performance
+webhookDeliverySchema.index({ server: 1, createdAt: -1 });
+webhookDeliverySchema.index({ uploadedBy: 1, createdAt: -1 });
+webhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 }); // Keep the log for 30 days
+
+// Create and export the model
+const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+export default WebhookDelivery;
@@ -34,6 +34,7 @@ export const alertQueue = new Queue('alerts', {
  * @param {string} alertData.newStatus - New status
  * @param {Object} alertData.checkResult - Check result data
  * @param {Object} alertData.serverData - Optional server data to avoid DB lookup
+ * @param {string} alertData.alertType - Optional alert type that is not derived from a status change (e.g. certificate_expiry)
  * @param {string} priority - Priority level: 'high', 'normal', 'low'
  */
 export async function addAlertToQueue(alertData, priority = 'normal') {
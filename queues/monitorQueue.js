@@ -1,12 +1,10 @@
 import { Queue } from 'bullmq';
 import { redisConnection } from '../config/redis.js';
+import { getDefaultRegion, getMonitorQueueName } from '../config/regions.js';
+import { getServerRegions, ROUND_TIMEOUT_JOB, ROUND_TIMEOUT_MS } from '../services/regionService.js';
 import logger from '../utils/logger.js';
 
-// Define the queue name
-const QUEUE_NAME = 'monitor-server-queue';
-
-// Create the queue instance
-export const monitorQueue = new Queue(QUEUE_NAME, {
+const queueOptions = {
     connection: redisConnection,
     defaultJobOptions: {
         attempts: 3, // Retry failed checks 3 times
@@ -17,27 +15,76 @@ export const monitorQueue = new Queue(QUEUE_NAME, {
         removeOnComplete: true, // Auto-remove completed jobs to save memory
         removeOnFail: 50 // Keep last 50 failed jobs for debugging
     }
-});
+};
+
+// Queue instances by region, each region has its own worker pool
+const regionQueues = new Map();
 
 /**
- * Add a server check job to the queue
- * @param {Object} server - The server object (must contain _id)
+ * Get the check queue of a probe region
+ * @param {String} region - Region name (default: the default region)
+ * @returns {Queue} BullMQ queue
+ */
+export const getMonitorQueue = (region = getDefaultRegion()) => {
+    const name = getMonitorQueueName(region);
+
+    if (!regionQueues.has(name)) {
+        const queue = new Queue(name, queueOptions);
+
+        // Handle queue errors
+        queue.on('error', (err) => {
+            logger.error(`Monitor Queue Error (${region}):`, err);
+        });
+
+        regionQueues.set(name, queue);
+    }
+
+    return regionQueues.get(name);
+};
+
+// Create the default region queue instance
+export const monitorQueue = getMonitorQueue();
+
+/**
+ * Add a server check job to the queue of every region the server is probed from
+ * @param {Object} server - The server object (must contain _id, monitoring for region selection)
  * @param {number} priority - Optional priority (default: 1)
+ * @param {Object} options - Optional job options (delay in ms for confirmation rechecks)
  */
-export const addCheckJob = async (server, priority = 1) => {
+export const addCheckJob = async (server, priority = 1, options = {}) => {
     try {
         const priorityScore = server.priority === 'high' ? 1 : server.priority === 'low' ? 3 : 2;
+        const regions = getServerRegions(server);
+        const timestamp = Date.now();
+        // Regional results of the same round are combined by quorum
+        const roundId = `${server._id}-${timestamp}`;
 
-        await monitorQueue.add('check-server', {
+        await Promise.all(regions.map(region => getMonitorQueue(region).add('check-server', {
             serverId: server._id || server.id,
             url: server.url,
-            name: server.name
+            name: server.name,
+            roundId,
+            region,
+            regions
         }, {
             priority: priorityScore, // BullMQ supports priority (lower number = higher priority)
-            jobId: `check-${server._id}-${Date.now()}` // Unique ID prevent duplicates in same millisecond
-        });
+            jobId: `check-${server._id}-${region}-${timestamp}`, // Unique ID prevent duplicates in same millisecond
+            ...(options.delay && { delay: options.delay })
+        })));
 
-        // logger.debug(`Added check job for ${server.name} to queue`);
+        // Rounds still open after the timeout are decided with the regions that reported
+        if (regions.length > 1) {
+            await getMonitorQueue(regions[0]).add(ROUND_TIMEOUT_JOB, {
+                serverId: server._id || server.id,
+                roundId,
+                regions
+            }, {
+                jobId: `round-${roundId}`,
+                delay: (options.delay || 0) + ROUND_TIMEOUT_MS
+            });
+        }
+
+        // logger.debug(`Added check job for ${server.name} to ${regions.length} region queue(s)`);
         return true;
     } catch (error) {
         logger.error(`Failed to add job to queue: ${error.message}`);
@@ -45,9 +92,4 @@ export const addCheckJob = async (server, priority = 1) => {
     }
 };
 
-// Handle queue errors
-monitorQueue.on('error', (err) => {
-    logger.error('Monitor Queue Error:', err);
-});
-
 export default monitorQueue;
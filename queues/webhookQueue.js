@@ -0,0 +1,57 @@
+// queues/webhookQueue.js - Webhook delivery queue configuration
+
+import { Queue } from 'bullmq';
+import { redisConnection } from '../config/redis.js';
+import logger from '../utils/logger.js';
+
+export const WEBHOOK_QUEUE_NAME = 'webhooks';
+
+// Delivery attempts, retried after 10s, 20s, 40s... (about 10 minutes in total)
+export const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+
+/**
+ * Dedicated queue for webhook deliveries
+ * Slow or failing receivers are retried without holding up alert processing
+ */
+export const webhookQueue = new Queue(WEBHOOK_QUEUE_NAME, {
+    connection: redisConnection,
+    defaultJobOptions: {
+        attempts: WEBHOOK_MAX_ATTEMPTS,
+        backoff: {
+            type: 'exponential',
+            delay: 10000 // Start with 10 second delay
+        },
+        removeOnComplete: {
+            age: 3600, // Keep completed jobs for 1 hour
+            count: 1000 // Keep last 1000 completed jobs
+        },
+        removeOnFail: {
+            age: 86400 // Keep failed jobs for 24 hours
+        }
+    }
+});
+
+/**
+ * Add a webhook delivery to the queue
+ * @param {String} deliveryId - WebhookDelivery ID
+ */
+export async function addWebhookToQueue(deliveryId) {
+    try {
+        const job = await webhookQueue.add(
+            'deliver-webhook',
+            { deliveryId: String(deliveryId) },
+            { jobId: `webhook-${deliveryId}` }
+        );
+
+        logger.debug(`Webhook delivery ${deliveryId} queued`);
+        return job;
+
+    } catch (error) {
+        logger.error(`Failed to queue webhook delivery ${deliveryId}:`, error);
+        throw error;
+    }
+}
+
+logger.info('✅ Webhook queue initialized');
+
+export default webhookQueue;
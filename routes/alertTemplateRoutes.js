@@ -0,0 +1,83 @@
+// routes/alertTemplateRoutes.js
+import express from 'express';
+import { body, param, query } from 'express-validator';
+import alertTemplateController from '../controllers/alertTemplateController.js';
+import { protect } from '../middleware/auth.js';
+import validate from '../middleware/validator.js';
+import { ALERT_TEMPLATE_CHANNELS, ALERT_TEMPLATE_TYPES } from '../models/AlertTemplate.js';
+
+const router = express.Router();
+
+// Apply protection to all routes
+router.use(protect);
+
+// Shared template field validation
+const templateValidation = [
+    body('server').optional({ values: 'null' }).isMongoId().withMessage('Invalid server ID'),
+    body('alertType').optional().isIn(ALERT_TEMPLATE_TYPES).withMessage('Invalid alert type'),
+    body('subject').optional({ values: 'null' }).isString().isLength({ max: 200 }).withMessage('Subject must be at most 200 characters'),
+    body('body').optional({ values: 'null' }).isString().isLength({ max: 10000 }).withMessage('Body must be at most 10000 characters'),
+    body('payload').optional({ values: 'null' }).isString().isLength({ max: 10000 }).withMessage('Payload must be a JSON string of at most 10000 characters')
+];
+
+// Preview options
+const previewValidation = [
+    body('serverId').optional().isMongoId().withMessage('Invalid server ID'),
+    body('alertType').optional().isIn(ALERT_TEMPLATE_TYPES).withMessage('Invalid alert type')
+];
+
+// Get all alert templates
+router.get('/', [
+    query('channel').optional().isIn(ALERT_TEMPLATE_CHANNELS).withMessage('Invalid channel'),
+    query('serverId').optional().isMongoId().withMessage('Invalid server ID'),
+    validate
+], alertTemplateController.getTemplates);
+
+// Get template variables
+router.get('/variables', alertTemplateController.getTemplateVariables);
+
+// Preview an unsaved template
+router.post('/preview', [
+    body('channel').isIn(ALERT_TEMPLATE_CHANNELS).withMessage('Invalid channel'),
+    ...templateValidation,
+    ...previewValidation,
+    validate
+], alertTemplateController.previewDraft);
+
+// Create alert template
+router.post('/', [
+    body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Template name is required (max 100 characters)'),
+    body('channel').isIn(ALERT_TEMPLATE_CHANNELS).withMessage('Invalid channel'),
+    ...templateValidation,
+    validate
+], alertTemplateController.createTemplate);
+
+// Get alert template by ID
+router.get('/:id', [
+    param('id').isMongoId().withMessage('Invalid template ID'),
+    validate
+], alertTemplateController.getTemplateById);
+
+// Update alert template
+router.patch('/:id', [
+    param('id').isMongoId().withMessage('Invalid template ID'),
+    body('name').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Template name cannot be empty (max 100 characters)'),
+    body('channel').optional().isIn(ALERT_TEMPLATE_CHANNELS).withMessage('Invalid channel'),
+    ...templateValidation,
+    validate
+], alertTemplateController.updateTemplate);
+
+// Delete alert template
+router.delete('/:id', [
+    param('id').isMongoId().withMessage('Invalid template ID'),
+    validate
+], alertTemplateController.deleteTemplate);
+
+// Preview a saved template
+router.post('/:id/preview', [
+    param('id').isMongoId().withMessage('Invalid template ID'),
+    ...previewValidation,
+    validate
+], alertTemplateController.previewTemplate);
+
+export default router;
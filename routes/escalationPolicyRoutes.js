@@ -0,0 +1,65 @@
+// routes/escalationPolicyRoutes.js
+import express from 'express';
+import { body, param } from 'express-validator';
+import escalationPolicyController from '../controllers/escalationPolicyController.js';
+import { protect } from '../middleware/auth.js';
+import validate from '../middleware/validator.js';
+import { ESCALATION_CHANNELS } from '../models/EscalationPolicy.js';
+import { isValidPhoneNumber } from '../utils/phone.js';
+
+const router = express.Router();
+
+// Apply protection to all routes
+router.use(protect);
+
+// Shared level and repeat validation
+const policyValidation = [
+    body('levels.*.emails').optional().isArray({ max: 20 }).withMessage('Level emails must be an array of up to 20 addresses'),
+    body('levels.*.emails.*').isEmail().withMessage('Invalid email address'),
+    body('levels.*.schedules').optional().isArray({ max: 5 }).withMessage('Level schedules must be an array of up to 5 schedules'),
+    body('levels.*.schedules.*').isMongoId().withMessage('Invalid on-call schedule ID'),
+    body('levels.*.phones').optional().isArray({ max: 10 }).withMessage('Level phones must be an array of up to 10 numbers'),
+    body('levels.*.phones.*').custom(isValidPhoneNumber).withMessage('Invalid phone number (use international format, e.g. +14155550123)'),
+    body('levels.*.channels').optional().isArray({ min: 1 }).withMessage('Level channels must be a non-empty array'),
+    body('levels.*.channels.*').isIn(ESCALATION_CHANNELS).withMessage(`Channels must be one of: ${ESCALATION_CHANNELS.join(', ')}`),
+    body('levels.*').custom(level => !level?.channels?.some(channel => ['sms', 'voice'].includes(channel)) || level.phones?.length > 0)
+        .withMessage('Levels with the sms or voice channel need at least one phone number'),
+    body('levels.*.escalateAfter').optional().isInt({ min: 1, max: 1440 }).withMessage('Escalation delay must be between 1 and 1440 minutes'),
+    body('repeat').optional().isObject().withMessage('Repeat settings must be an object'),
+    body('repeat.interval').optional().isInt({ min: 0, max: 1440 }).withMessage('Repeat interval must be between 0 and 1440 minutes'),
+    body('repeat.limit').optional().isInt({ min: 1, max: 20 }).withMessage('Repeat limit must be between 1 and 20')
+];
+
+// Get all escalation policies
+router.get('/', escalationPolicyController.getPolicies);
+
+// Create escalation policy
+router.post('/', [
+    body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Policy name is required (max 100 characters)'),
+    body('levels').isArray({ min: 1, max: 5 }).withMessage('A policy needs between 1 and 5 levels'),
+    ...policyValidation,
+    validate
+], escalationPolicyController.createPolicy);
+
+// Get escalation policy by ID
+router.get('/:id', [
+    param('id').isMongoId().withMessage('Invalid escalation policy ID'),
+    validate
+], escalationPolicyController.getPolicyById);
+
+// Update escalation policy
+router.patch('/:id', [
+    param('id').isMongoId().withMessage('Invalid escalation policy ID'),
+    body('name').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Policy name cannot be empty (max 100 characters)'),
+    body('levels').optional().isArray({ min: 1, max: 5 }).withMessage('A policy needs between 1 and 5 levels'),
+    ...policyValidation,
+    validate
+], escalationPolicyController.updatePolicy);
+
+// Delete escalation policy
+router.delete('/:id', [
+    param('id').isMongoId().withMessage('Invalid escalation policy ID'),
+    validate
+], escalationPolicyController.deletePolicy);
+
+export default router;
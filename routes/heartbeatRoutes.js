@@ -0,0 +1,31 @@
+// routes/heartbeatRoutes.js
+import express from 'express';
+import { param, query, body } from 'express-validator';
+import heartbeatController from '../controllers/heartbeatController.js';
+import validate from '../middleware/validator.js';
+import { createRateLimiter } from '../middleware/rateLimiter.js';
+
+const router = express.Router();
+
+// Pings are public, limit them per ping URL
+const heartbeatLimiter = createRateLimiter({
+    windowMs: 60 * 1000, // 1 minute
+    max: 30,
+    keyGenerator: (req) => req.params.token
+});
+
+const heartbeatValidation = [
+    heartbeatLimiter,
+    param('token').matches(/^[a-f0-9]{48}$/).withMessage('Invalid heartbeat token'),
+    query('duration').optional().isFloat({ min: 0 }).withMessage('Duration must be a positive number of seconds'),
+    query('exitCode').optional().isInt().withMessage('Exit code must be an integer'),
+    body('duration').optional().isFloat({ min: 0 }).withMessage('Duration must be a positive number of seconds'),
+    body('exitCode').optional().isInt().withMessage('Exit code must be an integer'),
+    validate
+];
+
+// Record a ping (GET for simple curl/wget calls, POST with an optional JSON body)
+router.get('/:token', heartbeatValidation, heartbeatController.recordHeartbeat);
+router.post('/:token', heartbeatValidation, heartbeatController.recordHeartbeat);
+
+export default router;
@@ -0,0 +1,48 @@
+// routes/incidentRoutes.js
+import express from 'express';
+import { body, param, query } from 'express-validator';
+import incidentController from '../controllers/incidentController.js';
+import { protect } from '../middleware/auth.js';
+import validate from '../middleware/validator.js';
+import { INCIDENT_STATUSES } from '../models/Incident.js';
+
+const router = express.Router();
+
+// Apply protection to all routes
+router.use(protect);
+
+// Get incidents
+router.get('/', [
+    query('status').optional().isIn([...INCIDENT_STATUSES, 'active']).withMessage('Invalid incident status'),
+    query('serverId').optional().isMongoId().withMessage('Invalid server ID'),
+    validate
+], incidentController.getIncidents);
+
+// Get incident by ID
+router.get('/:id', [
+    param('id').isMongoId().withMessage('Invalid incident ID'),
+    validate
+], incidentController.getIncidentById);
+
+// Acknowledge incident
+router.post('/:id/acknowledge', [
+    param('id').isMongoId().withMessage('Invalid incident ID'),
+    body('message').optional().trim().isLength({ max: 2000 }).withMessage('Message cannot exceed 2000 characters'),
+    validate
+], incidentController.acknowledgeIncident);
+
+// Add note to incident
+router.post('/:id/notes', [
+    param('id').isMongoId().withMessage('Invalid incident ID'),
+    body('message').trim().isLength({ min: 1, max: 2000 }).withMessage('Message is required (max 2000 characters)'),
+    validate
+], incidentController.addNote);
+
+// Resolve incident
+router.post('/:id/resolve', [
+    param('id').isMongoId().withMessage('Invalid incident ID'),
+    body('message').optional().trim().isLength({ max: 2000 }).withMessage('Message cannot exceed 2000 characters'),
+    validate
+], incidentController.resolveIncident);
+
+export default router;
@@ -0,0 +1,65 @@
+// routes/maintenanceWindowRoutes.js
+import express from 'express';
+import { body, param, query } from 'express-validator';
+import maintenanceWindowController from '../controllers/maintenanceWindowController.js';
+import { protect } from '../middleware/auth.js';
+import validate from '../middleware/validator.js';
+import { isValidCronExpression } from '../config/cron.js';
+import { isValidTimezone } from '../utils/timezone.js';
+
+const router = express.Router();
+
+// Apply protection to all routes
+router.use(protect);
+
+// Shared window field validation
+const windowValidation = [
+    body('description').optional({ values: 'null' }).isString().isLength({ max: 1000 }).withMessage('Description must be at most 1000 characters'),
+    body('servers.*').isMongoId().withMessage('Invalid server ID'),
+    body('endsAt').optional({ values: 'null' }).isISO8601().withMessage('End must be an ISO 8601 date'),
+    body('recurrence').optional({ values: 'null' }).isObject().withMessage('Recurrence must be an object'),
+    body('recurrence.cron').if(body('recurrence').exists({ values: 'null' })).custom(isValidCronExpression).withMessage('Recurrence needs a valid 5-field cron expression'),
+    body('recurrence.duration').if(body('recurrence').exists({ values: 'null' })).isInt({ min: 1, max: 1440 }).withMessage('Duration must be between 1 and 1440 minutes'),
+    body('recurrence.timezone').optional().custom(isValidTimezone).withMessage('Invalid timezone'),
+    body('showOnStatusPage').optional().isBoolean().withMessage('showOnStatusPage must be a boolean')
+];
+
+// Get all maintenance windows
+router.get('/', [
+    query('serverId').optional().isMongoId().withMessage('Invalid server ID'),
+    query('includePast').optional().isBoolean().withMessage('includePast must be a boolean'),
+    validate
+], maintenanceWindowController.getMaintenanceWindows);
+
+// Schedule maintenance window
+router.post('/', [
+    body('title').trim().isLength({ min: 1, max: 100 }).withMessage('Title is required (max 100 characters)'),
+    body('servers').isArray({ min: 1, max: 100 }).withMessage('Select between 1 and 100 servers'),
+    body('startsAt').isISO8601().withMessage('Start must be an ISO 8601 date'),
+    ...windowValidation,
+    validate
+], maintenanceWindowController.createMaintenanceWindow);
+
+// Get maintenance window by ID
+router.get('/:id', [
+    param('id').isMongoId().withMessage('Invalid maintenance window ID'),
+    validate
+], maintenanceWindowController.getMaintenanceWindowById);
+
+// Update maintenance window
+router.patch('/:id', [
+    param('id').isMongoId().withMessage('Invalid maintenance window ID'),
+    body('title').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Title cannot be empty (max 100 characters)'),
+    body('servers').optional().isArray({ min: 1, max: 100 }).withMessage('Select between 1 and 100 servers'),
+    body('startsAt').optional().isISO8601().withMessage('Start must be an ISO 8601 date'),
+    ...windowValidation,
+    validate
+], maintenanceWindowController.updateMaintenanceWindow);
+
+// Delete maintenance window
+router.delete('/:id', [
+    param('id').isMongoId().withMessage('Invalid maintenance window ID'),
+    validate
+], maintenanceWindowController.deleteMaintenanceWindow);
+
+export default router;
@@ -0,0 +1,83 @@
+// routes/onCallScheduleRoutes.js
+import express from 'express';
+import { body, param, query } from 'express-validator';
+import onCallScheduleController from '../controllers/onCallScheduleController.js';
+import { protect } from '../middleware/auth.js';
+import validate from '../middleware/validator.js';
+import { ROTATION_TYPES } from '../models/OnCallSchedule.js';
+import { isValidTimezone } from '../utils/timezone.js';
+
+const router = express.Router();
+
+// Apply protection to all routes
+router.use(protect);
+
+// Shared rotation validation
+const rotationValidation = [
+    body('timezone').optional().custom(isValidTimezone).withMessage('Invalid timezone'),
+    body('rotation.type').optional().isIn(ROTATION_TYPES).withMessage('Rotation must be daily or weekly'),
+    body('rotation.participants').optional().isArray({ min: 1, max: 50 }).withMessage('A rotation needs between 1 and 50 participants'),
+    body('rotation.participants.*').isEmail().withMessage('Invalid participant email'),
+    body('rotation.handoffTime').optional().matches(/^([01][0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Invalid handoff time format (HH:MM)'),
+    body('rotation.handoffDay').optional().isInt({ min: 0, max: 6 }).withMessage('Handoff day must be between 0 (Sunday) and 6'),
+    body('rotation.startDate').optional().isISO8601().withMessage('Invalid rotation start date')
+];
+
+// Get all schedules
+router.get('/', onCallScheduleController.getSchedules);
+
+// Create schedule
+router.post('/', [
+    body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Schedule name is required (max 100 characters)'),
+    body('rotation').isObject().withMessage('Rotation is required'),
+    body('rotation.participants').isArray({ min: 1, max: 50 }).withMessage('A rotation needs between 1 and 50 participants'),
+    ...rotationValidation,
+    validate
+], onCallScheduleController.createSchedule);
+
+// Get schedule by ID
+router.get('/:id', [
+    param('id').isMongoId().withMessage('Invalid schedule ID'),
+    validate
+], onCallScheduleController.getScheduleById);
+
+// Update schedule
+router.patch('/:id', [
+    param('id').isMongoId().withMessage('Invalid schedule ID'),
+    body('name').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Schedule name cannot be empty (max 100 characters)'),
+    body('rotation').optional().isObject().withMessage('Rotation must be an object'),
+    ...rotationValidation,
+    validate
+], onCallScheduleController.updateSchedule);
+
+// Delete schedule
+router.delete('/:id', [
+    param('id').isMongoId().withMessage('Invalid schedule ID'),
+    validate
+], onCallScheduleController.deleteSchedule);
+
+// Get current and next on-call person
+router.get('/:id/on-call', [
+    param('id').isMongoId().withMessage('Invalid schedule ID'),
+    query('at').optional().isISO8601().withMessage('Invalid date'),
+    validate
+], onCallScheduleController.getOnCall);
+
+// Add override
+router.post('/:id/overrides', [
+    param('id').isMongoId().withMessage('Invalid schedule ID'),
+    body('email').isEmail().withMessage('Invalid email address'),
+    body('start').isISO8601().withMessage('Invalid override start'),
+    body('end').isISO8601().withMessage('Invalid override end'),
+    body('reason').optional().trim().isLength({ max: 200 }).withMessage('Reason cannot exceed 200 characters'),
+    validate
+], onCallScheduleController.addOverride);
+
+// Remove override
+router.delete('/:id/overrides/:overrideId', [
+    param('id').isMongoId().withMessage('Invalid schedule ID'),
+    param('overrideId').isMongoId().withMessage('Invalid override ID'),
+    validate
+], onCallScheduleController.deleteOverride);
+
+export default router;
@@ -3,20 +3,18 @@ import { body, param, query } from 'express-validator';
 import serverController from '../controllers/serverController.js';
 import { protect, authorize } from '../middleware/auth.js';
 import validate from '../middleware/validator.js';
+import { SERVER_TYPES, DNS_RECORD_TYPES, HTTP_METHODS, DATABASE_ENGINES } from '../models/Server.js';
+import { isValidPhoneNumber } from '../utils/phone.js';
+import { isValidTimezone } from '../utils/timezone.js';
 
 const router = express.Router();
 
 // Apply protection to all routes
 router.use(protect);
 
-// Get all servers
-router.get('/', serverController.getServers);
-
-// Create new server
-router.post('/', [
-    body('name').trim().not().isEmpty().withMessage('Server name is required'),
-    body('url').trim().not().isEmpty().withMessage('URL is required'),
-    body('type').optional().isIn(['website', 'api', 'tcp', 'database']).withMessage('Invalid server type'),
+// Shared server and monitoring settings validation
+const serverValidation = [
+    body('type').optional().isIn(SERVER_TYPES).withMessage('Invalid server type'),
     body('description').optional().trim(),
     body('monitoring').optional().isObject().withMessage('Monitoring must be an object'),
     body('monitoring.frequency').optional().isInt({ min: 1, max: 60 }).withMessage('Frequency must be between 1 and 60 minutes'),
@@ -29,17 +27,88 @@ router.post('/', [
     body('monitoring.alerts.enabled').optional().isBoolean().withMessage('Enabled must be a boolean'),
     body('monitoring.alerts.email').optional().isBoolean().withMessage('Email alert must be a boolean'),
     body('monitoring.alerts.phone').optional().isBoolean().withMessage('Phone alert must be a boolean'),
+    body('monitoring.alerts.voice').optional().isBoolean().withMessage('Voice alert must be a boolean'),
+    body('monitoring.alerts.grouping.enabled').optional().isBoolean().withMessage('Alert grouping enabled must be a boolean'),
+    body('monitoring.alerts.grouping.window').optional().isInt({ min: 1, max: 60 }).withMessage('Grouping window must be between 1 and 60 minutes'),
+    body('monitoring.alerts.slackWebhookUrl').optional({ checkFalsy: true }).isURL({ require_protocol: true, require_tld: false }).withMessage('Invalid Slack webhook URL'),
+    body('monitoring.alerts.teamsWebhookUrl').optional({ checkFalsy: true }).isURL({ require_protocol: true, require_tld: false }).withMessage('Invalid Teams webhook URL'),
+    body('monitoring.alerts.discordWebhookUrl').optional({ checkFalsy: true }).isURL({ require_protocol: true, require_tld: false }).withMessage('Invalid Discord webhook URL'),
     body('monitoring.alerts.responseThreshold').optional().isInt({ min: 100 }).withMessage('Response threshold must be at least 100ms'),
+    body('monitoring.ssl').optional().isObject().withMessage('SSL settings must be an object'),
+    body('monitoring.ssl.verifyCertificate').optional().isBoolean().withMessage('Verify certificate must be a boolean'),
+    body('monitoring.ssl.expiryAlertDays').optional().isArray({ max: 10 }).withMessage('Expiry alert days must be an array'),
+    body('monitoring.ssl.expiryAlertDays.*').optional().isInt({ min: 1, max: 365 }).withMessage('Expiry alert days must be between 1 and 365'),
+    body('monitoring.assertions').optional().isObject().withMessage('Assertions must be an object'),
+    body('monitoring.assertions.statusCodes').optional().isArray({ max: 20 }).withMessage('Status codes must be an array'),
+    body('monitoring.assertions.statusCodes.*').optional().isInt({ min: 100, max: 599 }).withMessage('Status codes must be between 100 and 599'),
+    body('monitoring.assertions.bodyContains').optional().isArray({ max: 10 }).withMessage('Body keywords must be an array'),
+    body('monitoring.assertions.bodyNotContains').optional().isArray({ max: 10 }).withMessage('Body keywords must be an array'),
+    body('monitoring.assertions.jsonPath').optional().isArray({ max: 10 }).withMessage('JSONPath assertions must be an array'),
+    body('monitoring.assertions.jsonPath.*.path').optional().trim().not().isEmpty().withMessage('JSONPath is required'),
+    body('monitoring.request').optional().isObject().withMessage('Request settings must be an object'),
+    body('monitoring.request.method').optional({ nullable: true }).isIn(HTTP_METHODS).withMessage('Invalid HTTP method'),
+    body('monitoring.request.headers').optional().isArray({ max: 20 }).withMessage('Headers must be an array'),
+    body('monitoring.request.headers.*.name').optional().matches(/^[A-Za-z0-9!#$%&'*+.^_`|~-]+$/).withMessage('Invalid header name'),
+    body('monitoring.request.body').optional({ nullable: true }).isString().isLength({ max: 10000 }).withMessage('Request body must be at most 10000 characters'),
+    body('monitoring.request.auth.type').optional().isIn(['none', 'basic', 'bearer']).withMessage('Auth type must be none, basic or bearer'),
+    body('monitoring.request.browserImpersonation').optional().isBoolean().withMessage('Browser impersonation must be a boolean'),
+    body('monitoring.database').optional().isObject().withMessage('Database settings must be an object'),
+    body('monitoring.database.engine').optional({ nullable: true }).isIn(DATABASE_ENGINES).withMessage('Invalid database engine'),
+    body('monitoring.database.connectionString').optional({ nullable: true }).isString().isLength({ max: 2000 }).withMessage('Connection string must be at most 2000 characters'),
+    body('monitoring.database.runQuery').optional().isBoolean().withMessage('Run query must be a boolean'),
+    body('monitoring.socket').optional().isObject().withMessage('Socket settings must be an object'),
+    body('monitoring.socket.send').optional({ nullable: true }).isString().isLength({ max: 1000 }).withMessage('Send data must be at most 1000 characters'),
+    body('monitoring.socket.expect').optional({ nullable: true }).isString().isLength({ max: 1000 }).withMessage('Expected data must be at most 1000 characters'),
+    body('monitoring.socket.expectReply').optional().isBoolean().withMessage('Expect reply must be a boolean'),
+    body('monitoring.socket.encoding').optional().isIn(['text', 'hex']).withMessage('Encoding must be text or hex'),
+    body('monitoring.heartbeat').optional().isObject().withMessage('Heartbeat settings must be an object'),
+    body('monitoring.heartbeat.interval').optional().isInt({ min: 1, max: 43200 }).withMessage('Heartbeat interval must be between 1 and 43200 minutes'),
+    body('monitoring.heartbeat.grace').optional().isInt({ min: 0, max: 1440 }).withMessage('Grace period must be between 0 and 1440 minutes'),
+    body('monitoring.confirmation').optional().isObject().withMessage('Confirmation settings must be an object'),
+    body('monitoring.confirmation.failures').optional().isInt({ min: 1, max: 10 }).withMessage('Confirmation failures must be between 1 and 10'),
+    body('monitoring.confirmation.recheckAfter').optional().isInt({ min: 0, max: 3600 }).withMessage('Recheck delay must be between 0 and 3600 seconds'),
+    body('monitoring.flapDetection').optional().isObject().withMessage('Flap detection settings must be an object'),
+    body('monitoring.flapDetection.enabled').optional().isBoolean().withMessage('Flap detection enabled must be a boolean'),
+    body('monitoring.flapDetection.threshold').optional().isInt({ min: 2, max: 50 }).withMessage('Flap threshold must be between 2 and 50 status changes'),
+    body('monitoring.flapDetection.window').optional().isInt({ min: 5, max: 1440 }).withMessage('Flap window must be between 5 and 1440 minutes'),
+    body('monitoring.flapDetection.stablePeriod').optional().isInt({ min: 1, max: 1440 }).withMessage('Stable period must be between 1 and 1440 minutes'),
+    body('monitoring.regions').optional().isArray({ max: 10 }).withMessage('Regions must be an array of up to 10 regions'),
+    body('monitoring.regions.*').isString().matches(/^[a-z0-9-]+$/).withMessage('Invalid region name'),
+    body('monitoring.quorum').optional({ values: 'null' }).isInt({ min: 1, max: 10 }).withMessage('Quorum must be between 1 and 10 regions'),
+    body('monitoring.steps').optional().isArray({ min: 1, max: 10 }).withMessage('Transaction steps must be an array of 1 to 10 steps'),
+    body('monitoring.steps.*.url').optional().trim().not().isEmpty().withMessage('Step URL is required'),
+    body('monitoring.steps.*.method').optional({ nullable: true }).isIn(HTTP_METHODS).withMessage('Invalid HTTP method'),
+    body('monitoring.steps.*.extract').optional().isArray({ max: 10 }).withMessage('Extract rules must be an array'),
+    body('monitoring.steps.*.extract.*.variable').optional().matches(/^[A-Za-z_][A-Za-z0-9_]*$/).withMessage('Invalid variable name'),
+    body('monitoring.steps.*.extract.*.source').optional().isIn(['json', 'header']).withMessage('Extract source must be json or header'),
+    body('monitoring.dns').optional().isObject().withMessage('DNS settings must be an object'),
+    body('monitoring.dns.recordType').optional().isIn(DNS_RECORD_TYPES).withMessage('Invalid DNS record type'),
+    body('monitoring.dns.resolver').optional({ checkFalsy: true }).matches(/^[0-9a-fA-F.:[\]]+$/).withMessage('Resolver must be an IP address'),
     body('contactEmails').optional().isArray().withMessage('Contact emails must be an array'),
     body('contactEmails.*').optional().isEmail().withMessage('Invalid email format'),
     body('contactPhones').optional().isArray().withMessage('Contact phones must be an array'),
-    body('contactPhones.*').optional().matches(/^\d{10}$/).withMessage('Phone must be 10 digits'),
+    body('contactPhones.*').optional().custom(isValidPhoneNumber).withMessage('Invalid phone number (use international format, e.g. +14155550123)'),
+    body('escalationPolicy').optional({ values: 'null' }).isMongoId().withMessage('Invalid escalation policy ID'),
+    body('timezone').optional({ values: 'null' }).custom(isValidTimezone).withMessage('Invalid timezone')
+];
+
+// Get all servers
+router.get('/', serverController.getServers);
+
+// Create new server
+router.post('/', [
+    body('name').trim().not().isEmpty().withMessage('Server name is required'),
+    // Heartbeat monitors get a generated ping URL
+    body('url').if(body('type').not().equals('heartbeat')).trim().not().isEmpty().withMessage('URL is required'),
+    ...serverValidation,
     validate
 ], serverController.createServer);
 
 // Get server by ID
 router.get('/:id', [
     param('id').isMongoId().withMessage('Invalid server ID'),
+    query('uptimeFrom').optional().isISO8601().withMessage('uptimeFrom must be an ISO 8601 date'),
+    query('uptimeTo').optional().isISO8601().withMessage('uptimeTo must be an ISO 8601 date'),
     validate
 ], serverController.getServerById);
 
@@ -48,24 +117,7 @@ router.patch('/:id', [
     param('id').isMongoId().withMessage('Invalid server ID'),
     body('name').optional().trim().not().isEmpty().withMessage('Server name cannot be empty'),
     body('url').optional().trim().not().isEmpty().withMessage('URL cannot be empty'),
-    body('type').optional().isIn(['website', 'api', 'tcp', 'database']).withMessage('Invalid server type'),
-    body('description').optional().trim(),
-    body('monitoring').optional().isObject().withMessage('Monitoring must be an object'),
-    body('monitoring.frequency').optional().isInt({ min: 1, max: 60 }).withMessage('Frequency must be between 1 and 60 minutes'),
-    body('monitoring.daysOfWeek').optional().isArray().withMessage('Days of week must be an array'),
-    body('monitoring.daysOfWeek.*').optional().isInt({ min: 0, max: 7 }).withMessage('Days must be between 0 and 7'),
-    body('monitoring.timeWindows').optional().isArray().withMessage('Time windows must be an array'),
-    body('monitoring.timeWindows.*.start').optional().matches(/^([01]\d|2[0-3]):([0-5]\d)$/).withMessage('Start time must be in format HH:MM'),
-    body('monitoring.timeWindows.*.end').optional().matches(/^([01]\d|2[0-3]):([0-5]\d)$/).withMessage('End time must be in format HH:MM'),
-    body('monitoring.alerts').optional().isObject().withMessage('Alerts must be an object'),
-    body('monitoring.alerts.enabled').optional().isBoolean().withMessage('Enabled must be a boolean'),
-    body('monitoring.alerts.email').optional().isBoolean().withMessage('Email alert must be a boolean'),
-    body('monitoring.alerts.phone').optional().isBoolean().withMessage('Phone alert must be a boolean'),
-    body('monitoring.alerts.responseThreshold').optional().isInt({ min: 100 }).withMessage('Response threshold must be at least 100ms'),
-    body('contactEmails').optional().isArray().withMessage('Contact emails must be an array'),
-    body('contactEmails.*').optional().isEmail().withMessage('Invalid email format'),
-    body('contactPhones').optional().isArray().withMessage('Contact phones must be an array'),
-    body('contactPhones.*').optional().matches(/^\d{10}$/).withMessage('Phone must be 10 digits'),
+    ...serverValidation,
     validate
 ], serverController.updateServer);
 
@@ -84,10 +136,17 @@ router.post('/:id/check', [
 // Get server history
 router.get('/:id/history', [
     param('id').isMongoId().withMessage('Invalid server ID'),
-    query('period').optional().isIn(['1h', '6h', '12h', '24h', '7d', '30d']).withMessage('Invalid period'),
+    query('period').optional().isIn(['1h', '6h', '12h', '24h', '7d', '30d', '90d']).withMessage('Invalid period'),
     validate
 ], serverController.getServerHistory);
 
+// Get server statistics
+router.get('/:id/stats', [
+    param('id').isMongoId().withMessage('Invalid server ID'),
+    query('period').optional().isIn(['1h', '6h', '12h', '24h', '7d', '30d', '90d']).withMessage('Invalid period'),
+    validate
+], serverController.getServerStats);
+
 // Batch check servers
 router.post('/batch-check', [
     body('serverIds').isArray({ min: 1, max: 10 }).withMessage('Server IDs array required (1-10 items)'),
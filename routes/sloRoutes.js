@@ -0,0 +1,69 @@
+// routes/sloRoutes.js
+import express from 'express';
+import { body, param, query } from 'express-validator';
+import sloController from '../controllers/sloController.js';
+import { protect } from '../middleware/auth.js';
+import validate from '../middleware/validator.js';
+import { SLO_TYPES } from '../models/Slo.js';
+
+const router = express.Router();
+
+// Apply protection to all routes
+router.use(protect);
+
+// Shared SLO field validation
+const sloValidation = [
+    body('description').optional({ values: 'null' }).isString().isLength({ max: 1000 }).withMessage('Description must be at most 1000 characters'),
+    body('servers.*').isMongoId().withMessage('Invalid server ID'),
+    body('objective.type').optional().isIn(SLO_TYPES).withMessage(`Objective type must be one of: ${SLO_TYPES.join(', ')}`),
+    body('objective.threshold').optional({ values: 'null' }).isInt({ min: 1, max: 60000 }).withMessage('Threshold must be between 1 and 60000 ms'),
+    body('windowDays').optional().isInt({ min: 1, max: 90 }).withMessage('Window must be between 1 and 90 days'),
+    body('alerting.enabled').optional().isBoolean().withMessage('alerting.enabled must be a boolean'),
+    body('alerting.fastBurnRate').optional().isFloat({ min: 1 }).withMessage('Burn rate must be at least 1'),
+    body('alerting.slowBurnRate').optional().isFloat({ min: 1 }).withMessage('Burn rate must be at least 1'),
+    body('alerting.contactEmails').optional().isArray({ max: 20 }).withMessage('Up to 20 contact emails are allowed'),
+    body('alerting.contactEmails.*').isEmail().withMessage('Invalid email format')
+];
+
+// Get all SLOs
+router.get('/', sloController.getSlos);
+
+// Monthly compliance summary
+router.get('/compliance', [
+    query('month').optional().matches(/^\d{4}-(0[1-9]|1[0-2])$/).withMessage('Month must be in YYYY-MM format'),
+    query('sloId').optional().isMongoId().withMessage('Invalid SLO ID'),
+    validate
+], sloController.getSloCompliance);
+
+// Create SLO
+router.post('/', [
+    body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Name is required (max 100 characters)'),
+    body('servers').isArray({ min: 1, max: 100 }).withMessage('Select between 1 and 100 servers'),
+    body('objective.target').isFloat({ min: 50, max: 99.999 }).withMessage('Target must be between 50 and 99.999'),
+    ...sloValidation,
+    validate
+], sloController.createSlo);
+
+// Get SLO by ID
+router.get('/:id', [
+    param('id').isMongoId().withMessage('Invalid SLO ID'),
+    validate
+], sloController.getSloById);
+
+// Update SLO
+router.patch('/:id', [
+    param('id').isMongoId().withMessage('Invalid SLO ID'),
+    body('name').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Name cannot be empty (max 100 characters)'),
+    body('servers').optional().isArray({ min: 1, max: 100 }).withMessage('Select between 1 and 100 servers'),
+    body('objective.target').optional().isFloat({ min: 50, max: 99.999 }).withMessage('Target must be between 50 and 99.999'),
+    ...sloValidation,
+    validate
+], sloController.updateSlo);
+
+// Delete SLO
+router.delete('/:id', [
+    param('id').isMongoId().withMessage('Invalid SLO ID'),
+    validate
+], sloController.deleteSlo);
+
+export default router;
@@ -0,0 +1,73 @@
+// routes/statusPageRoutes.js
+import express from 'express';
+import { body, param, query } from 'express-validator';
+import statusPageController from '../controllers/statusPageController.js';
+import { protect } from '../middleware/auth.js';
+import validate from '../middleware/validator.js';
+import { createRateLimiter } from '../middleware/rateLimiter.js';
+import { STATUS_PAGE_SLUG_REGEX } from '../models/StatusPage.js';
+
+const router = express.Router();
+
+// Public pages are served from cache, limit them per IP
+const publicLimiter = createRateLimiter({
+    windowMs: 60 * 1000, // 1 minute
+    max: 60
+});
+
+// Get a published status page (no authentication)
+router.get('/public/:slug', [
+    publicLimiter,
+    param('slug').isLength({ min: 3, max: 50 }).withMessage('Invalid status page address'),
+    query('format').optional().isIn(['json', 'html']).withMessage('Format must be json or html'),
+    validate
+], statusPageController.getPublicStatusPage);
+
+// Apply protection to all other routes
+router.use(protect);
+
+// Shared status page field validation
+const statusPageValidation = [
+    body('description').optional({ values: 'null' }).isString().isLength({ max: 1000 }).withMessage('Description must be at most 1000 characters'),
+    body('logoUrl').optional({ checkFalsy: true }).isURL({ protocols: ['https'], require_protocol: true }).withMessage('Logo URL must be an https URL'),
+    body('components').optional().isArray({ max: 20 }).withMessage('Components must be an array of at most 20 items'),
+    body('components.*.name').trim().isLength({ min: 1, max: 100 }).withMessage('Component name is required (max 100 characters)'),
+    body('components.*.description').optional({ values: 'null' }).isString().isLength({ max: 500 }).withMessage('Component description must be at most 500 characters'),
+    body('components.*.servers').isArray({ min: 1, max: 50 }).withMessage('A component needs between 1 and 50 servers'),
+    body('components.*.servers.*').isMongoId().withMessage('Invalid server ID'),
+    body('published').optional().isBoolean().withMessage('Published must be a boolean')
+];
+
+// Get all status pages
+router.get('/', statusPageController.getStatusPages);
+
+// Create status page
+router.post('/', [
+    body('slug').trim().toLowerCase().matches(STATUS_PAGE_SLUG_REGEX).withMessage('Slug must be 3-50 lowercase letters, digits or dashes'),
+    body('title').trim().isLength({ min: 1, max: 100 }).withMessage('Title is required (max 100 characters)'),
+    ...statusPageValidation,
+    validate
+], statusPageController.createStatusPage);
+
+// Get status page by ID
+router.get('/:id', [
+    param('id').isMongoId().withMessage('Invalid status page ID'),
+    validate
+], statusPageController.getStatusPageById);
+
+// Update status page
+router.patch('/:id', [
+    param('id').isMongoId().withMessage('Invalid status page ID'),
+    body('slug').optional().trim().toLowerCase().matches(STATUS_PAGE_SLUG_REGEX).withMessage('Slug must be 3-50 lowercase letters, digits or dashes'),
+    body('title').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Title cannot be empty (max 100 characters)'),
+    ...statusPageValidation,
+    validate
+], statusPageController.updateStatusPage);
+
+// Delete status page
+router.delete('/:id', [
+    param('id').isMongoId().withMessage('Invalid status page ID'),
+    validate
+], statusPageController.deleteStatusPage);
+
+export default router;
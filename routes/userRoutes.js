@@ -3,6 +3,7 @@ import { body, param } from 'express-validator';
 import userController from '../controllers/userController.js';
 import { protect, authorize } from '../middleware/auth.js';
 import validate from '../middleware/validator.js';
+import { isValidTimezone } from '../utils/timezone.js';
 
 const router = express.Router();
 
@@ -13,6 +14,7 @@ router.use(protect);
 router.patch('/me', [
     body('name').optional().trim(),
     body('email').optional().isEmail().withMessage('Please provide a valid email'),
+    body('timezone').optional().custom(isValidTimezone).withMessage('Invalid timezone'),
     validate
 ], userController.updateUserProfile);
 
@@ -0,0 +1,45 @@
+// routes/webhookRoutes.js
+import express from 'express';
+import { param, query } from 'express-validator';
+import webhookController from '../controllers/webhookController.js';
+import { protect } from '../middleware/auth.js';
+import validate from '../middleware/validator.js';
+import { WEBHOOK_DELIVERY_STATUSES } from '../models/WebhookDelivery.js';
+
+const router = express.Router();
+
+// Apply protection to all routes
+router.use(protect);
+
+// Get webhook deliveries
+router.get('/deliveries', [
+    query('status').optional().isIn(WEBHOOK_DELIVERY_STATUSES).withMessage('Invalid delivery status'),
+    query('serverId').optional().isMongoId().withMessage('Invalid server ID'),
+    validate
+], webhookController.getDeliveries);
+
+// Get webhook delivery by ID
+router.get('/deliveries/:id', [
+    param('id').isMongoId().withMessage('Invalid delivery ID'),
+    validate
+], webhookController.getDeliveryById);
+
+// Redeliver webhook
+router.post('/deliveries/:id/redeliver', [
+    param('id').isMongoId().withMessage('Invalid delivery ID'),
+    validate
+], webhookController.redeliverDelivery);
+
+// Get server's webhook signing secret
+router.get('/servers/:serverId/secret', [
+    param('serverId').isMongoId().withMessage('Invalid server ID'),
+    validate
+], webhookController.getWebhookSecret);
+
+// Rotate server's webhook signing secret
+router.post('/servers/:serverId/secret/rotate', [
+    param('serverId').isMongoId().withMessage('Invalid server ID'),
+    validate
+], webhookController.rotateWebhookSecret);
+
+export default router;
@@ -0,0 +1,123 @@
+// services/alertGroupingService.js - Bundle outage alerts into one digest per recipient
+
+import { alertQueue } from '../queues/alertQueue.js';
+import { redisConnection } from '../config/redis.js';
+import { sendAlertDigestEmail } from './emailService.js';
+import logger from '../utils/logger.js';
+
+// Job name on the alerts queue
+export const ALERT_DIGEST_JOB = 'send-alert-digest';
+
+// Alerts that are bundled, other alert types are always sent right away
+export const GROUPED_ALERT_TYPES = ['server_down', 'server_recovery'];
+
+/**
+ * Get the grouping window of a server
+ * @param {Object} server - Server with monitoring.alerts.grouping
+ * @returns {Number|null} Window in ms, null when grouping is off
+ */
+export const getGroupingWindow = (server) => {
+    const grouping = server.monitoring?.alerts?.grouping;
+    if (!grouping?.enabled) return null;
+
+    return (grouping.window || 5) * 60 * 1000;
+};
+
+/**
+ * Split the email recipients of an alert into the ones notified now and the ones getting a digest
+ * The first alert of a recipient opens a window, later alerts within it are queued for the digest
+ * @param {Object} server - Server data (_id, name, url, contactEmails, error, monitoring)
+ * @param {String} alertType - Alert type
+ * @param {String} oldStatus - Previous status
+ * @param {String} newStatus - New status
+ * @returns {Promise<Object>} { immediate, grouped } recipient lists
+ */
+export const groupAlertRecipients = async (server, alertType, oldStatus, newStatus) => {
+    const recipients = server.contactEmails || [];
+    const window = getGroupingWindow(server);
+
+    if (!window || !GROUPED_ALERT_TYPES.includes(alertType)) {
+        return { immediate: recipients, grouped: [] };
+    }
+
+    const immediate = [];
+    const grouped = [];
+    const now = Date.now();
+
+    const entry = JSON.stringify({
+        serverId: String(server._id),
+        serverName: server.name,
+        serverUrl: server.url,
+        alertType,
+        oldStatus,
+        newStatus,
+        error: server.error || null,
+        time: new Date(now).toISOString()
+    });
+
+    for (const recipient of recipients) {
+        const groupKey = `alert-group:${recipient}`;
+
+        // First alert of the window goes out right away
+        const opened = await redisConnection.set(groupKey, now, 'PX', window, 'NX');
+        const groupStart = opened ? null : await redisConnection.get(groupKey);
+
+        if (!groupStart) {
+            immediate.push(recipient);
+            continue;
+        }
+
+        const digestKey = `alert-digest:${recipient}:${groupStart}`;
+        const sendAt = Number(groupStart) + window;
+
+        await redisConnection.multi()
+            .rpush(digestKey, entry)
+            .pexpireat(digestKey, sendAt + window)
+            .exec();
+
+        // One digest job per window, the job ID deduplicates it
+        await alertQueue.add(ALERT_DIGEST_JOB, { recipient, groupStart }, {
+            delay: Math.max(0, sendAt - now),
+            jobId: `alert-digest-${recipient}-${groupStart}`
+        });
+
+        grouped.push(recipient);
+    }
+
+    if (grouped.length) {
+        logger.info(`Alert for ${server.name} (${alertType}) grouped into digests for ${grouped.length} recipients`);
+    }
+
+    return { immediate, grouped };
+};
+
+/**
+ * Send the digest of a closed window
+ * The bundled alerts are only removed once the email went out, a failed send throws so the job is retried
+ * @param {Object} data - Job data ({ recipient, groupStart })
+ * @returns {Promise<Number>} Number of alerts in the digest
+ */
+export const runAlertDigest = async ({ recipient, groupStart }) => {
+    const digestKey = `alert-digest:${recipient}:${groupStart}`;
+
+    const entries = await redisConnection.lrange(digestKey, 0, -1);
+    if (!entries?.length) return 0;
+
+    const alerts = entries.map(entry => JSON.parse(entry));
+    if (!(await sendAlertDigestEmail(recipient, alerts))) {
+        throw new Error(`Alert digest for ${recipient} could not be sent`);
+    }
+
+    // Only the sent alerts are removed
+    await redisConnection.ltrim(digestKey, entries.length, -1);
+
+    return alerts.length;
+};
+
+export default {
+    ALERT_DIGEST_JOB,
+    GROUPED_ALERT_TYPES,
+    getGroupingWindow,
+    groupAlertRecipients,
+    runAlertDigest
+};
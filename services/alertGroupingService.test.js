@@ -0,0 +1,119 @@
+import { describe, it, beforeEach, afterEach, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { redisConnection } from '../config/redis.js';
+import { alertQueue } from '../queues/alertQueue.js';
+import { ALERT_DIGEST_JOB, getGroupingWindow, groupAlertRecipients, runAlertDigest } from './alertGroupingService.js';
+
+const MINUTE = 60 * 1000;
+
+after(() => redisConnection.disconnect());
+
+/**
+ * In-memory stand-in for the Redis string and list commands used by digests
+ */
+const createStore = () => {
+    const strings = new Map();
+    const lists = new Map();
+    const list = key => lists.get(key) || lists.set(key, []).get(key);
+
+    return {
+        lists,
+        set: async (key, value, px, ttl, nx) => {
+            if (nx === 'NX' && strings.has(key)) return null;
+            strings.set(key, String(value));
+            return 'OK';
+        },
+        get: async key => strings.get(key) ?? null,
+        lrange: async key => [...list(key)],
+        ltrim: async (key, start) => { lists.set(key, list(key).slice(start)); return 'OK'; },
+        multi: () => {
+            const operations = [];
+            const chain = {
+                rpush: (key, value) => { operations.push(() => list(key).push(value)); return chain; },
+                pexpireat: () => { operations.push(() => 1); return chain; },
+                exec: async () => operations.map(operation => [null, operation()])
+            };
+            return chain;
+        }
+    };
+};
+
+const server = (name, grouping = { enabled: true, window: 5 }) => ({
+    _id: `server-${name}`,
+    name,
+    url: `https://${name}.example.com`,
+    contactEmails: ['ops@example.com', 'lead@example.com'],
+    monitoring: { alerts: { grouping } }
+});
+
+describe('getGroupingWindow', () => {
+    it('is off unless enabled, 5 minutes by default', () => {
+        assert.equal(getGroupingWindow({}), null);
+        assert.equal(getGroupingWindow(server('api', { enabled: true })), 5 * MINUTE);
+        assert.equal(getGroupingWindow(server('api', { enabled: true, window: 10 })), 10 * MINUTE);
+    });
+});
+
+describe('alert digests', () => {
+    let store;
+    let jobs;
+
+    beforeEach(() => {
+        store = createStore();
+        jobs = [];
+        for (const command of ['set', 'get', 'lrange', 'ltrim', 'multi']) {
+            mock.method(redisConnection, command, store[command]);
+        }
+        mock.method(alertQueue, 'add', async (name, data, options) => jobs.push({ name, data, options }));
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    it('notifies right away for the first alert of a window', async () => {
+        const groups = await groupAlertRecipients(server('api'), 'server_down', 'up', 'down');
+
+        assert.deepEqual(groups, { immediate: ['ops@example.com', 'lead@example.com'], grouped: [] });
+        assert.equal(jobs.length, 0);
+    });
+
+    it('bundles later alerts of the window into one digest per recipient', async () => {
+        await groupAlertRecipients(server('api'), 'server_down', 'up', 'down');
+        const groups = await groupAlertRecipients(server('db'), 'server_down', 'up', 'down');
+        await groupAlertRecipients(server('web'), 'server_recovery', 'down', 'up');
+
+        assert.deepEqual(groups, { immediate: [], grouped: ['ops@example.com', 'lead@example.com'] });
+
+        const opsJobs = jobs.filter(job => job.data.recipient === 'ops@example.com');
+        assert.equal(opsJobs.length, 2);
+        assert.equal(opsJobs[0].name, ALERT_DIGEST_JOB);
+        assert.equal(opsJobs[0].options.jobId, opsJobs[1].options.jobId);
+        assert.ok(opsJobs[0].options.delay > 4 * MINUTE && opsJobs[0].options.delay <= 5 * MINUTE);
+
+        const [digest] = await redisConnection.lrange(`alert-digest:ops@example.com:${opsJobs[0].data.groupStart}`, 0, -1);
+        assert.deepEqual(
+            (({ serverName, alertType, newStatus }) => ({ serverName, alertType, newStatus }))(JSON.parse(digest)),
+            { serverName: 'db', alertType: 'server_down', newStatus: 'down' }
+        );
+    });
+
+    it('never bundles other alert types or servers without grouping', async () => {
+        await groupAlertRecipients(server('api'), 'server_down', 'up', 'down');
+
+        assert.equal((await groupAlertRecipients(server('api'), 'slow_response', 'up', 'up')).immediate.length, 2);
+        assert.equal((await groupAlertRecipients(server('db', { enabled: false }), 'server_down', 'up', 'down')).immediate.length, 2);
+        assert.equal(jobs.length, 0);
+    });
+
+    it('keeps the bundled alerts when the digest cannot be sent', async () => {
+        await groupAlertRecipients(server('api'), 'server_down', 'up', 'down');
+        await groupAlertRecipients(server('db'), 'server_down', 'up', 'down');
+        const { recipient, groupStart } = jobs[0].data;
+
+        await assert.rejects(runAlertDigest({ recipient, groupStart }), /Alert digest for ops@example\.com could not be sent/);
+        assert.equal((await redisConnection.lrange(`alert-digest:${recipient}:${groupStart}`, 0, -1)).length, 1);
+    });
+
+    it('sends nothing for empty windows', async () => {
+        assert.equal(await runAlertDigest({ recipient: 'ops@example.com', groupStart: '1' }), 0);
+    });
+});
@@ -1,7 +1,15 @@
 import logger from '../utils/logger.js';
 import { sendAlertEmail } from './emailService.js';
 import ServerCheck from '../models/ServerCheck.js';
-import axios from 'axios';
+import { getEscalationPolicy, applyEscalationLevel } from './escalationService.js';
+import { sendChatAlerts } from './chatNotificationService.js';
+import { sendPhoneAlerts } from './phoneAlertService.js';
+import { queueWebhookAlert } from './webhookService.js';
+import { findAlertTemplates, buildTemplateContext, renderAlertTemplates } from './alertTemplateService.js';
+import { groupAlertRecipients } from './alertGroupingService.js';
+import { resolveServerTimezone } from './timezoneService.js';
+import { isInMaintenance } from './maintenanceService.js';
+import { isTimeInWindow } from '../utils/timezone.js';
 
 /**
  * Check if we should send an alert based on smart logic
@@ -9,100 +17,56 @@ import axios from 'axios';
  * @param {String} oldStatus - Previous status (up/down)
  * @param {String} newStatus - New status (up/down)
  * @param {Object} checkResult - Result object (error, responseTime)
+ * @param {String} alertType - Explicit alert type not tied to a status change
  * @returns {Boolean} - Whether to send alert
  */
-export const shouldSendAlert = async (server, oldStatus, newStatus, checkResult) => {
+export const shouldSendAlert = async (server, oldStatus, newStatus, checkResult, alertType = null) => {
     // Basic checks
     if (!server.monitoring?.alerts?.enabled) return false;
 
     const statusChanged = oldStatus !== newStatus;
     const hasSlowResponse = newStatus === 'up' && checkResult.error?.includes('Slow response');
 
-    if (!statusChanged && !hasSlowResponse) return false;
+    if (!statusChanged && !hasSlowResponse && !alertType) return false;
 
-    const now = new Date();
+    // Alerts are suppressed during maintenance windows
+    if (checkResult.maintenance || await isInMaintenance(server._id)) {
+        logger.info(`Alert suppressed for ${server.name}: server is in maintenance`);
+        return false;
+    }
 
-    // Check time window for alerts
+    // Check time window for alerts, in the server's (or its owner's) timezone
     const alertTimeWindow = server.monitoring?.alerts?.timeWindow;
     if (alertTimeWindow?.start && alertTimeWindow?.end) {
-        // 00:00 to 00:00 means 24/7 alerts
-        if (alertTimeWindow.start === '00:00' && alertTimeWindow.end === '00:00') {
-            // Allowed
-        } else {
-            const currentTime = now.getHours().toString().padStart(2, '0') + ':' +
-                now.getMinutes().toString().padStart(2, '0');
-
-            if (alertTimeWindow.start <= alertTimeWindow.end) {
-                // Standard window
-                if (currentTime < alertTimeWindow.start || currentTime > alertTimeWindow.end) {
-                    return false;
-                }
-            } else {
-                // Overnight window (e.g. 23:00 to 07:00)
-                // If NOT in start-to-midnight AND NOT in midnight-to-end, then we are outside
-                if (currentTime < alertTimeWindow.start && currentTime > alertTimeWindow.end) {
-                    return false;
-                }
-            }
+        const timeZone = await resolveServerTimezone(server);
+        if (!isTimeInWindow(alertTimeWindow, new Date(), timeZone)) {
+            return false;
         }
     }
 
     return true;
 };
 
-/**
- * Execute a webhook for the alert
- * @param {Object} server - Server data
- * @param {String} alertType - Type of alert
- * @param {Object} payload - Data to send
- */
-const sendWebhookAlert = async (server, alertType, payload) => {
-    const webhookUrl = server.monitoring?.alerts?.webhookUrl;
-    if (!webhookUrl) return;
-
-    try {
-        logger.info(`Sending webhook for ${server.name} (${server._id}) to ${webhookUrl}`);
-
-        await axios.post(webhookUrl, {
-            event: alertType,
-            server: {
-                id: server._id,
-                name: server.name,
-                url: server.url,
-                status: server.status
-            },
-            ...payload,
-            timestamp: new Date().toISOString()
-        }, {
-            timeout: 5000, // 5s timeout for webhooks
-            headers: {
-                'Content-Type': 'application/json',
-                'User-Agent': 'PingPilott-Webhook-Bot/1.0'
-            }
-        });
-
-        logger.info(`Webhook sent successfully for ${server.name}`);
-    } catch (error) {
-        logger.error(`Failed to send webhook for ${server.name}: ${error.message}`);
-        // We could implement retry logic here or put it in a separate queue
-    }
-};
-
 /**
  * Handle sending the alert
  * @param {Object} server - The server document
  * @param {String} oldStatus - Previous status
  * @param {String} newStatus - New status
  * @param {Object} checkResult - Result object
+ * @param {String} explicitAlertType - Alert type that is not derived from the status change
+ * @param {Object} incident - Incident opened or resolved by this change, for templates
+ * @returns {Promise<Object|undefined>} Sent notification ({ alertType, channels, escalationPolicy }) when an alert went out
  */
-export const handleAlerts = async (server, oldStatus, newStatus, checkResult) => {
+export const handleAlerts = async (server, oldStatus, newStatus, checkResult, explicitAlertType = null, incident = null) => {
     try {
-        const shouldSend = await shouldSendAlert(server, oldStatus, newStatus, checkResult);
+        const shouldSend = await shouldSendAlert(server, oldStatus, newStatus, checkResult, explicitAlertType);
         if (!shouldSend) return;
 
         let alertType;
 
-        if (oldStatus === 'up' && newStatus === 'down') {
+        if (explicitAlertType) {
+            alertType = explicitAlertType;
+        } else if (oldStatus === 'up' && newStatus === 'down') {
             alertType = 'server_down';
         } else if (oldStatus !== 'up' && newStatus === 'up') {
             alertType = 'server_recovery';
@@ -115,33 +79,68 @@ export const handleAlerts = async (server, oldStatus, newStatus, checkResult) =>
         // Enhanced server object for email
         // Logic to handle if server is mongoose doc or POJO
         const serverObj = server.toObject ? server.toObject() : server;
+
+        // Outages with an escalation policy go to its first level on the level's channels,
+        // later levels are notified by escalation jobs
+        const escalationPolicy = alertType === 'server_down' ? await getEscalationPolicy(serverObj) : null;
+        const alertServer = escalationPolicy ? await applyEscalationLevel(serverObj, escalationPolicy.levels[0]) : serverObj;
+
         const enhancedServer = {
-            ...serverObj,
+            ...alertServer,
             responseTime: checkResult.responseTime,
             error: checkResult.error,
+            certificate: checkResult.certificate || serverObj.certificate,
             alertTime: new Date().toISOString()
         };
 
-        const emailEnabled = server.monitoring?.alerts?.email ?? true;
-        const webhookUrl = server.monitoring?.alerts?.webhookUrl;
+        // Custom messages from the user's templates, channels without one use the defaults
+        const templates = await findAlertTemplates(serverObj, alertType);
+        const custom = renderAlertTemplates(templates, buildTemplateContext(enhancedServer, alertType, oldStatus, newStatus, incident));
+
+        const emailEnabled = enhancedServer.monitoring?.alerts?.email ?? true;
+        const webhookUrl = enhancedServer.monitoring?.alerts?.webhookUrl;
+        const channels = [];
+
+        // Send Email, recipients already alerted within the grouping window get a digest instead
+        if (emailEnabled && enhancedServer.contactEmails?.length > 0) {
+            const { immediate, grouped } = await groupAlertRecipients(enhancedServer, alertType, oldStatus, newStatus);
+
+            if (immediate.length > 0) {
+                if (await sendAlertEmail({ ...enhancedServer, contactEmails: immediate }, alertType, oldStatus, newStatus, custom.email)) {
+                    channels.push('email');
+                }
+                logger.info(`🔔 Smart alert email sent for ${server.name}: ${alertType}`);
+            }
 
-        // Send Email
-        if (emailEnabled && server.contactEmails?.length > 0) {
-            await sendAlertEmail(enhancedServer, alertType, oldStatus, newStatus);
-            logger.info(`🔔 Smart alert email sent for ${server.name}: ${alertType}`);
+            if (grouped.length > 0) {
+                channels.push('digest');
+            }
         }
 
-        // Send Webhook (Fire and Forget)
+        // Queue a signed webhook, retried by the webhook worker
         if (webhookUrl) {
-            // Non-blocking call
-            sendWebhookAlert(enhancedServer, alertType, {
-                oldStatus,
-                newStatus,
-                responseTime: checkResult.responseTime,
-                error: checkResult.error
-            });
+            try {
+                await queueWebhookAlert(enhancedServer, alertType, {
+                    oldStatus,
+                    newStatus,
+                    responseTime: checkResult.responseTime,
+                    error: checkResult.error,
+                    ...(alertType === 'certificate_expiry' && { certificate: enhancedServer.certificate })
+                }, custom.webhook?.payload);
+                channels.push('webhook');
+            } catch (error) {
+                logger.error(`Failed to queue webhook for ${server.name}: ${error.message}`);
+            }
         }
 
+        // Send Slack, Teams and Discord messages
+        channels.push(...await sendChatAlerts(enhancedServer, alertType, oldStatus, newStatus, custom));
+
+        // Send SMS and voice calls within the plan's quota
+        channels.push(...await sendPhoneAlerts(enhancedServer, alertType, oldStatus, newStatus, custom.sms?.text));
+
+        return { alertType, channels, escalationPolicy };
+
     } catch (error) {
         logger.error(`Failed to handle alerts for ${server.name}: ${error.message}`);
     }
@@ -0,0 +1,334 @@
+// services/alertTemplateService.js - User-defined alert messages per channel
+
+import AlertTemplate from '../models/AlertTemplate.js';
+import { getDashboardUrl } from './chatNotificationService.js';
+import { renderTemplate, validateTemplate, lookupVariable, TemplateError } from '../utils/template.js';
+import logger from '../utils/logger.js';
+
+// Variables available in templates
+export const TEMPLATE_VARIABLES = [
+    { name: 'event', description: 'Alert type (server_down, server_recovery, slow_response, certificate_expiry)' },
+    { name: 'time', description: 'Time of the alert (ISO 8601)' },
+    { name: 'server.id', description: 'Server ID' },
+    { name: 'server.name', description: 'Server name' },
+    { name: 'server.url', description: 'Monitored URL' },
+    { name: 'server.type', description: 'Monitor type' },
+    { name: 'oldStatus', description: 'Status before the alert' },
+    { name: 'newStatus', description: 'Status after the alert' },
+    { name: 'responseTime', description: 'Response time of the check in ms' },
+    { name: 'responseThreshold', description: 'Slow response threshold in ms' },
+    { name: 'error', description: 'Error reported by the check' },
+    { name: 'duration', description: 'Incident duration, e.g. "1h 5m"' },
+    { name: 'durationSeconds', description: 'Incident duration in seconds' },
+    { name: 'dashboardUrl', description: 'Link to the server in the dashboard' },
+    { name: 'incident.id', description: 'Incident ID' },
+    { name: 'incident.title', description: 'Incident title' },
+    { name: 'incident.url', description: 'Link to the incident in the dashboard' },
+    { name: 'incident.startedAt', description: 'Start of the incident (ISO 8601)' },
+    { name: 'certificate.daysRemaining', description: 'Days until the SSL certificate expires' },
+    { name: 'certificate.validTo', description: 'SSL certificate expiry date (ISO 8601)' },
+    { name: 'certificate.issuer', description: 'SSL certificate issuer' }
+];
+
+const VARIABLE_NAMES = TEMPLATE_VARIABLES.map(variable => variable.name);
+
+// Template fields used by each channel
+export const CHANNEL_FIELDS = {
+    email: ['subject', 'body'],
+    webhook: ['payload'],
+    slack: ['subject', 'body'],
+    teams: ['subject', 'body'],
+    discord: ['subject', 'body'],
+    sms: ['body']
+};
+
+// Whole-value variables in webhook payloads keep their JSON type (numbers, null)
+const SINGLE_VARIABLE_REGEX = /^\{\{\{?\s*([a-zA-Z_][\w]*(?:\.[a-zA-Z_][\w]*)*)\s*\}?\}\}$/;
+
+/**
+ * Format a duration in seconds as text
+ * @param {Number} seconds - Duration
+ * @returns {String} e.g. "2d 3h", "1h 5m", "45s"
+ */
+export const formatDuration = (seconds) => {
+    if (seconds === null || seconds === undefined) return null;
+
+    const units = [['d', 86400], ['h', 3600], ['m', 60], ['s', 1]];
+    const parts = [];
+    let remaining = Math.max(0, Math.round(seconds));
+
+    for (const [unit, size] of units) {
+        if (remaining >= size || (unit === 's' && !parts.length)) {
+            parts.push(`${Math.floor(remaining / size)}${unit}`);
+            remaining %= size;
+        }
+        if (parts.length === 2) break;
+    }
+
+    return parts.join(' ');
+};
+
+/**
+ * Get the dashboard link of an incident
+ * @param {String} incidentId - Incident ID
+ * @returns {String} Incident URL
+ */
+export const getIncidentUrl = (incidentId) => {
+    return `${process.env.FRONTEND_URL || 'http://pingpilott.vercel.app'}/dashboard/incidents/${incidentId}`;
+};
+
+/**
+ * Build the template variables of an alert
+ * @param {Object} server - Server data with responseTime, error and certificate of the alert
+ * @param {String} alertType - Alert type
+ * @param {String} oldStatus - Previous status
+ * @param {String} newStatus - New status
+ * @param {Object} incident - Incident of the alert, if any
+ * @returns {Object} Template context
+ */
+export const buildTemplateContext = (server, alertType, oldStatus, newStatus, incident = null) => {
+    const durationSeconds = incident?.startedAt
+        ? Math.round(((incident.resolvedAt ? new Date(incident.resolvedAt) : new Date()) - new Date(incident.startedAt)) / 1000)
+        : null;
+
+    return {
+        event: alertType,
+        time: server.alertTime || new Date().toISOString(),
+        server: {
+            id: String(server._id),
+            name: server.name,
+            url: server.url,
+            type: server.type || 'website'
+        },
+        oldStatus,
+        newStatus,
+        responseTime: server.responseTime ?? null,
+        responseThreshold: server.monitoring?.alerts?.responseThreshold || 1000,
+        error: server.error || null,
+        duration: formatDuration(durationSeconds),
+        durationSeconds,
+        dashboardUrl: getDashboardUrl(server._id),
+        incident: incident ? {
+            id: String(incident._id),
+            title: incident.title,
+            url: getIncidentUrl(incident._id),
+            startedAt: new Date(incident.startedAt).toISOString()
+        } : null,
+        certificate: server.certificate ? {
+            daysRemaining: server.certificate.daysRemaining ?? null,
+            validTo: server.certificate.validTo ? new Date(server.certificate.validTo).toISOString() : null,
+            issuer: server.certificate.issuer || null
+        } : null
+    };
+};
+
+/**
+ * Build the template variables of a sample event, for previews
+ * @param {String} alertType - Alert type
+ * @param {Object} server - Server to use instead of the example one
+ * @returns {Object} Template context
+ */
+export const buildSampleContext = (alertType = 'server_down', server = null) => {
+    const now = Date.now();
+    const event = alertType === 'any' ? 'server_down' : alertType;
+    const isDown = event === 'server_down';
+    const isRecovery = event === 'server_recovery';
+    const isSlow = event === 'slow_response';
+
+    const sampleServer = {
+        _id: '000000000000000000000000',
+        name: 'Example API',
+        url: 'https://api.example.com/health',
+        type: 'api',
+        ...server,
+        responseTime: isDown ? null : isSlow ? 2350 : 182,
+        error: isDown ? 'Connection timed out after 30000ms' : isSlow ? 'Slow response: 2350ms' : null,
+        certificate: event === 'certificate_expiry'
+            ? { daysRemaining: 7, validTo: new Date(now + 7 * 86400000), issuer: "Let's Encrypt" }
+            : null,
+        alertTime: new Date(now).toISOString()
+    };
+
+    // Outages and recoveries come with a 12 minute incident
+    const incident = isDown || isRecovery ? {
+        _id: '000000000000000000000001',
+        title: `${sampleServer.name} is down`,
+        startedAt: new Date(now - 754000),
+        resolvedAt: isRecovery ? new Date(now) : null
+    } : null;
+
+    return buildTemplateContext(sampleServer, event, isRecovery ? 'down' : 'up', isDown ? 'down' : 'up', incident);
+};
+
+/**
+ * Render a webhook payload template: string values are templates, other JSON values are kept
+ * @param {String} source - JSON document
+ * @param {Object} context - Template variables
+ * @returns {*} Rendered JSON value
+ */
+export const renderJsonTemplate = (source, context) => {
+    const render = (value) => {
+        if (Array.isArray(value)) return value.map(render);
+
+        if (value && typeof value === 'object') {
+            return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, render(item)]));
+        }
+
+        if (typeof value !== 'string') return value;
+
+        const single = value.match(SINGLE_VARIABLE_REGEX);
+        if (single) {
+            const variable = lookupVariable(context, single[1]);
+            return variable === undefined ? null : variable;
+        }
+
+        return renderTemplate(value, context);
+    };
+
+    return render(JSON.parse(source));
+};
+
+/**
+ * Check the fields of a template
+ * @param {Object} template - { channel, subject, body, payload }
+ * @returns {Array} Errors as { field, message }
+ */
+export const validateAlertTemplate = ({ channel, subject, body, payload }) => {
+    const errors = [];
+    const fields = CHANNEL_FIELDS[channel] || [];
+
+    for (const [field, value] of Object.entries({ subject, body })) {
+        if (!value) continue;
+        if (!fields.includes(field)) {
+            errors.push({ field, message: `${field} is not used by ${channel} templates` });
+            continue;
+        }
+        validateTemplate(value, VARIABLE_NAMES).forEach(message => errors.push({ field, message }));
+    }
+
+    if (payload) {
+        if (channel !== 'webhook') {
+            errors.push({ field: 'payload', message: `payload is not used by ${channel} templates` });
+        } else {
+            let document;
+            try {
+                document = JSON.parse(payload);
+            } catch (error) {
+                errors.push({ field: 'payload', message: `Payload must be valid JSON: ${error.message}` });
+            }
+
+            if (document !== undefined) {
+                if (document === null || typeof document !== 'object') {
+                    errors.push({ field: 'payload', message: 'Payload must be a JSON object or array' });
+                }
+
+                // Every string in the document is a template
+                const strings = [];
+                const collect = (value) => {
+                    if (typeof value === 'string') strings.push(value);
+                    else if (value && typeof value === 'object') Object.values(value).forEach(collect);
+                };
+                collect(document);
+
+                strings.flatMap(value => validateTemplate(value, VARIABLE_NAMES))
+                    .forEach(message => errors.push({ field: 'payload', message }));
+            }
+        }
+    }
+
+    if (!fields.some(field => ({ subject, body, payload })[field])) {
+        errors.push({ field: fields[0] || 'channel', message: `${channel} templates need ${fields.join(' or ')}` });
+    }
+
+    return errors;
+};
+
+/**
+ * Render one template for its channel
+ * @param {Object} template - Template document
+ * @param {Object} context - Template variables
+ * @returns {Object} email: { subject, html }, webhook: { payload }, chat: { title, text }, sms: { text }
+ * @throws {TemplateError|SyntaxError} On templates that cannot be rendered
+ */
+export const renderAlertTemplate = (template, context) => {
+    const subject = template.subject ? renderTemplate(template.subject, context) : undefined;
+
+    switch (template.channel) {
+        case 'email':
+            return {
+                subject,
+                html: template.body ? renderTemplate(template.body, context, { escape: 'html' }) : undefined
+            };
+
+        case 'webhook':
+            return { payload: template.payload ? renderJsonTemplate(template.payload, context) : undefined };
+
+        case 'sms':
+            return { text: template.body ? renderTemplate(template.body, context) : undefined };
+
+        default:
+            return {
+                title: subject,
+                text: template.body ? renderTemplate(template.body, context) : undefined
+            };
+    }
+};
+
+/**
+ * Find the templates that apply to an alert, one per channel
+ * Server templates win over the user's defaults, alert type templates over 'any'
+ * @param {Object} server - Server data (_id, uploadedBy)
+ * @param {String} alertType - Alert type
+ * @returns {Promise<Object>} Templates by channel
+ */
+export const findAlertTemplates = async (server, alertType) => {
+    if (!server.uploadedBy) return {};
+
+    const templates = await AlertTemplate.find({
+        uploadedBy: server.uploadedBy,
+        server: { $in: [server._id, null] },
+        alertType: { $in: [alertType, 'any'] }
+    }).lean();
+
+    const rank = (template) => (template.server ? 2 : 0) + (template.alertType === 'any' ? 0 : 1);
+
+    return templates.reduce((byChannel, template) => {
+        const current = byChannel[template.channel];
+        if (!current || rank(template) > rank(current)) byChannel[template.channel] = template;
+        return byChannel;
+    }, {});
+};
+
+/**
+ * Render the templates that apply to an alert
+ * Broken templates are skipped, so the channel falls back to its default message
+ * @param {Object} templates - Templates by channel
+ * @param {Object} context - Template variables
+ * @returns {Object} Rendered content by channel
+ */
+export const renderAlertTemplates = (templates, context) => {
+    return Object.fromEntries(Object.entries(templates).flatMap(([channel, template]) => {
+        try {
+            return [[channel, renderAlertTemplate(template, context)]];
+        } catch (error) {
+            if (!(error instanceof TemplateError) && !(error instanceof SyntaxError)) throw error;
+
+            logger.warn(`Alert template ${template._id} (${channel}) could not be rendered: ${error.message}`);
+            return [];
+        }
+    }));
+};
+
+export default {
+    TEMPLATE_VARIABLES,
+    CHANNEL_FIELDS,
+    formatDuration,
+    getIncidentUrl,
+    buildTemplateContext,
+    buildSampleContext,
+    renderJsonTemplate,
+    validateAlertTemplate,
+    renderAlertTemplate,
+    findAlertTemplates,
+    renderAlertTemplates
+};
@@ -0,0 +1,130 @@
+import { describe, it, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import AlertTemplate from '../models/AlertTemplate.js';
+import {
+    formatDuration,
+    buildTemplateContext,
+    renderJsonTemplate,
+    validateAlertTemplate,
+    renderAlertTemplates,
+    findAlertTemplates
+} from './alertTemplateService.js';
+
+const server = {
+    _id: 'server-1',
+    name: 'api',
+    url: 'https://api.example.com',
+    responseTime: 450,
+    error: 'Timeout',
+    uploadedBy: 'user-1'
+};
+
+const incident = {
+    _id: 'incident-1',
+    title: 'api is down',
+    startedAt: new Date('2026-01-01T10:00:00Z'),
+    resolvedAt: new Date('2026-01-01T11:05:00Z')
+};
+
+describe('formatDuration', () => {
+    it('keeps the two largest units', () => {
+        assert.equal(formatDuration(45), '45s');
+        assert.equal(formatDuration(3900), '1h 5m');
+        assert.equal(formatDuration(2 * 86400 + 3 * 3600 + 59), '2d 3h');
+        assert.equal(formatDuration(0), '0s');
+        assert.equal(formatDuration(null), null);
+    });
+});
+
+describe('buildTemplateContext', () => {
+    it('exposes the alert, server and incident', () => {
+        const context = buildTemplateContext(server, 'server_recovery', 'down', 'up', incident);
+
+        assert.deepEqual(context.server, { id: 'server-1', name: 'api', url: 'https://api.example.com', type: 'website' });
+        assert.equal(context.duration, '1h 5m');
+        assert.equal(context.durationSeconds, 3900);
+        assert.match(context.incident.url, /\/dashboard\/incidents\/incident-1$/);
+        assert.equal(context.certificate, null);
+    });
+});
+
+describe('renderJsonTemplate', () => {
+    it('keeps the JSON type of whole-value variables', () => {
+        const context = buildTemplateContext(server, 'server_down', 'up', 'down');
+        const payload = renderJsonTemplate(
+            '{"text":"{{ server.name }} is {{ newStatus }}","ms":"{{ responseTime }}","incident":"{{ incident }}","tags":["{{ event }}", 1]}',
+            context
+        );
+
+        assert.deepEqual(payload, { text: 'api is down', ms: 450, incident: null, tags: ['server_down', 1] });
+    });
+});
+
+describe('validateAlertTemplate', () => {
+    it('accepts templates using known variables', () => {
+        assert.deepEqual(validateAlertTemplate({ channel: 'email', subject: '{{ server.name }} alert', body: '{{ error }}' }), []);
+        assert.deepEqual(validateAlertTemplate({ channel: 'webhook', payload: '{"name":"{{ server.name }}"}' }), []);
+    });
+
+    it('reports fields the channel does not use, unknown variables and bad JSON', () => {
+        assert.deepEqual(validateAlertTemplate({ channel: 'sms', subject: 'Hi', body: '{{ server.password }}' }), [
+            { field: 'subject', message: 'subject is not used by sms templates' },
+            { field: 'body', message: 'Unknown variable "server.password"' }
+        ]);
+        assert.match(validateAlertTemplate({ channel: 'webhook', payload: '{oops' })[0].message, /^Payload must be valid JSON/);
+        assert.deepEqual(validateAlertTemplate({ channel: 'webhook', payload: '"text"' }), [
+            { field: 'payload', message: 'Payload must be a JSON object or array' }
+        ]);
+        assert.deepEqual(validateAlertTemplate({ channel: 'teams' }), [
+            { field: 'subject', message: 'teams templates need subject or body' }
+        ]);
+    });
+});
+
+describe('renderAlertTemplates', () => {
+    const context = buildTemplateContext({ ...server, name: 'api <prod>' }, 'server_down', 'up', 'down');
+
+    it('renders each channel in its own format', () => {
+        const rendered = renderAlertTemplates({
+            email: { channel: 'email', subject: '{{ server.name }} down', body: '<p>{{ server.name }}</p>' },
+            slack: { channel: 'slack', subject: 'Outage', body: '{{ error }}' },
+            sms: { channel: 'sms', body: '{{ server.name }}: {{ error }}' }
+        }, context);
+
+        assert.deepEqual(rendered, {
+            email: { subject: 'api <prod> down', html: '<p>api &lt;prod&gt;</p>' },
+            slack: { title: 'Outage', text: 'Timeout' },
+            sms: { text: 'api <prod>: Timeout' }
+        });
+    });
+
+    it('skips broken templates so the channel falls back to its default', () => {
+        const rendered = renderAlertTemplates({
+            webhook: { _id: 'template-1', channel: 'webhook', payload: '{broken' },
+            sms: { channel: 'sms', body: '{{ event }}' }
+        }, context);
+
+        assert.deepEqual(rendered, { sms: { text: 'server_down' } });
+    });
+});
+
+describe('findAlertTemplates', () => {
+    afterEach(() => mock.restoreAll());
+
+    it('prefers server templates over defaults and alert types over any', async () => {
+        mock.method(AlertTemplate, 'find', () => ({
+            lean: async () => [
+                { _id: 'default-any', channel: 'email', server: null, alertType: 'any' },
+                { _id: 'server-any', channel: 'email', server: 'server-1', alertType: 'any' },
+                { _id: 'default-down', channel: 'email', server: null, alertType: 'server_down' },
+                { _id: 'default-sms', channel: 'sms', server: null, alertType: 'any' },
+                { _id: 'server-sms', channel: 'sms', server: 'server-1', alertType: 'server_down' }
+            ]
+        }));
+
+        const templates = await findAlertTemplates(server, 'server_down');
+
+        assert.equal(templates.email._id, 'server-any');
+        assert.equal(templates.sms._id, 'server-sms');
+    });
+});
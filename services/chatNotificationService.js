@@ -0,0 +1,269 @@
+// services/chatNotificationService.js - Slack, Microsoft Teams and Discord alert channels
+
+import axios from 'axios';
+import logger from '../utils/logger.js';
+
+const CHAT_TIMEOUT = 5000; // 5s timeout, same as webhooks
+
+// Status colours, matching the alert emails
+const ALERT_COLORS = {
+    server_down: '#f44336',
+    server_recovery: '#4CAF50',
+    slow_response: '#ff9800',
+    certificate_expiry: '#ff9800',
+    default: '#2196F3'
+};
+
+// Adaptive Card text colours for the same alerts
+const TEAMS_COLORS = {
+    server_down: 'Attention',
+    server_recovery: 'Good',
+    slow_response: 'Warning',
+    certificate_expiry: 'Warning',
+    default: 'Accent'
+};
+
+/**
+ * Get the dashboard link of a server
+ * @param {String} serverId - Server ID
+ * @returns {String} Dashboard URL
+ */
+export const getDashboardUrl = (serverId) => {
+    return `${process.env.FRONTEND_URL || 'http://pingpilott.vercel.app'}/dashboard/servers/${serverId}`;
+};
+
+/**
+ * Build the channel-independent content of an alert
+ * @param {Object} server - Server data with responseTime, error and certificate of the alert
+ * @param {String} alertType - Alert type
+ * @param {String} oldStatus - Previous status
+ * @param {String} newStatus - New status
+ * @returns {Object} { title, summary, color, fields, dashboardUrl, timestamp }
+ */
+export const buildAlertSummary = (server, alertType, oldStatus, newStatus) => {
+    const responseTime = server.responseTime ? `${server.responseTime}ms` : 'Unknown';
+    const fields = [
+        { name: 'Status', value: `${oldStatus} → ${newStatus}` },
+        { name: 'Response time', value: responseTime },
+        { name: 'URL', value: server.url || 'Unknown' }
+    ];
+
+    let title;
+    let summary;
+
+    switch (alertType) {
+        case 'server_down':
+            title = `🚨 ${server.name} is DOWN`;
+            summary = `Your server *${server.name}* is currently down.`;
+            fields.push({ name: 'Error', value: server.error || 'Unknown error' });
+            break;
+
+        case 'server_recovery':
+            title = `✅ ${server.name} is back UP`;
+            summary = `Your server *${server.name}* is up again.`;
+            break;
+
+        case 'slow_response': {
+            const threshold = server.monitoring?.alerts?.responseThreshold || 1000;
+            title = `⚠️ ${server.name} is responding slowly`;
+            summary = `Your server *${server.name}* is responding slower than ${threshold}ms.`;
+            break;
+        }
+
+        case 'certificate_expiry': {
+            const daysRemaining = server.certificate?.daysRemaining;
+            title = daysRemaining < 0
+                ? `🔒 SSL certificate for ${server.name} has expired`
+                : `🔒 SSL certificate for ${server.name} expires in ${daysRemaining} day${daysRemaining === 1 ? '' : 's'}`;
+            summary = 'Please renew the certificate to avoid interruptions for your visitors.';
+            fields.push({
+                name: 'Expires on',
+                value: server.certificate?.validTo ? new Date(server.certificate.validTo).toUTCString() : 'Unknown'
+            });
+            break;
+        }
+
+        default:
+            title = `🔔 ${server.name} status update`;
+            summary = `Your server *${server.name}* changed status from ${oldStatus} to ${newStatus}.`;
+    }
+
+    return {
+        alertType,
+        title,
+        summary,
+        color: ALERT_COLORS[alertType] || ALERT_COLORS.default,
+        fields,
+        dashboardUrl: getDashboardUrl(server._id),
+        timestamp: new Date().toISOString()
+    };
+};
+
+/**
+ * Build a Slack incoming webhook message (coloured attachment with blocks)
+ * @param {Object} alert - Alert summary
+ * @returns {Object} Slack payload
+ */
+export const buildSlackPayload = (alert) => ({
+    text: alert.title,
+    attachments: [{
+        color: alert.color,
+        blocks: [
+            {
+                type: 'section',
+                text: { type: 'mrkdwn', text: `*${alert.title}*\n${alert.summary}` }
+            },
+            {
+                type: 'section',
+                fields: alert.fields.map(field => ({
+                    type: 'mrkdwn',
+                    text: `*${field.name}*\n${field.value}`
+                }))
+            },
+            {
+                type: 'actions',
+                elements: [{
+                    type: 'button',
+                    text: { type: 'plain_text', text: 'View in dashboard' },
+                    url: alert.dashboardUrl
+                }]
+            },
+            {
+                type: 'context',
+                elements: [{ type: 'mrkdwn', text: `Ping Pilot • ${alert.timestamp}` }]
+            }
+        ]
+    }]
+});
+
+/**
+ * Build a Microsoft Teams incoming webhook message (Adaptive Card)
+ * @param {Object} alert - Alert summary
+ * @returns {Object} Teams payload
+ */
+export const buildTeamsPayload = (alert) => ({
+    type: 'message',
+    attachments: [{
+        contentType: 'application/vnd.microsoft.card.adaptive',
+        content: {
+            $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+            type: 'AdaptiveCard',
+            version: '1.4',
+            msteams: { width: 'Full' },
+            body: [
+                {
+                    type: 'TextBlock',
+                    text: alert.title,
+                    weight: 'Bolder',
+                    size: 'Medium',
+                    color: TEAMS_COLORS[alert.alertType] || TEAMS_COLORS.default,
+                    wrap: true
+                },
+                {
+                    type: 'TextBlock',
+                    text: alert.summary.replace(/\*/g, '**'),
+                    wrap: true
+                },
+                {
+                    type: 'FactSet',
+                    facts: alert.fields.map(field => ({ title: field.name, value: field.value }))
+                }
+            ],
+            actions: [{
+                type: 'Action.OpenUrl',
+                title: 'View in dashboard',
+                url: alert.dashboardUrl
+            }]
+        }
+    }]
+});
+
+/**
+ * Build a Discord webhook message (embed)
+ * @param {Object} alert - Alert summary
+ * @returns {Object} Discord payload
+ */
+export const buildDiscordPayload = (alert) => ({
+    username: 'Ping Pilot',
+    embeds: [{
+        title: alert.title,
+        url: alert.dashboardUrl,
+        description: alert.summary.replace(/\*/g, '**'),
+        color: parseInt(alert.color.slice(1), 16),
+        fields: alert.fields.map(field => ({
+            name: field.name,
+            value: String(field.value).slice(0, 1024), // Discord field value limit
+            inline: field.name !== 'Error'
+        })),
+        footer: { text: 'Ping Pilot' },
+        timestamp: alert.timestamp
+    }]
+});
+
+// Chat channels by name, with their alert settings key and message format
+export const CHAT_CHANNELS = {
+    slack: { setting: 'slackWebhookUrl', label: 'Slack', buildPayload: buildSlackPayload },
+    teams: { setting: 'teamsWebhookUrl', label: 'Teams', buildPayload: buildTeamsPayload },
+    discord: { setting: 'discordWebhookUrl', label: 'Discord', buildPayload: buildDiscordPayload }
+};
+
+/**
+ * Send an alert to one chat channel
+ * @param {String} channel - Channel name (slack, teams, discord)
+ * @param {String} url - Incoming webhook URL
+ * @param {Object} alert - Alert summary
+ */
+export const sendChatMessage = async (channel, url, alert) => {
+    await axios.post(url, CHAT_CHANNELS[channel].buildPayload(alert), {
+        timeout: CHAT_TIMEOUT,
+        headers: {
+            'Content-Type': 'application/json',
+            'User-Agent': 'PingPilott-Webhook-Bot/1.0'
+        }
+    });
+};
+
+/**
+ * Send an alert to every chat channel configured on a server
+ * @param {Object} server - Server data (monitoring.alerts holds the webhook URLs)
+ * @param {String} alertType - Alert type
+ * @param {String} oldStatus - Previous status
+ * @param {String} newStatus - New status
+ * @param {Object} customContent - Custom { title, text } by channel from the user's templates
+ * @returns {Promise<Array>} Names of the channels that accepted the message
+ */
+export const sendChatAlerts = async (server, alertType, oldStatus, newStatus, customContent = {}) => {
+    const alertSettings = server.monitoring?.alerts || {};
+    const channels = Object.keys(CHAT_CHANNELS).filter(channel => alertSettings[CHAT_CHANNELS[channel].setting]);
+
+    if (!channels.length) return [];
+
+    const alert = buildAlertSummary(server, alertType, oldStatus, newStatus);
+
+    const results = await Promise.allSettled(channels.map(channel => {
+        const custom = customContent[channel];
+        const message = custom
+            ? { ...alert, title: custom.title || alert.title, summary: custom.text || alert.summary }
+            : alert;
+
+        return sendChatMessage(channel, alertSettings[CHAT_CHANNELS[channel].setting], message);
+    }));
+
+    return channels.filter((channel, index) => {
+        if (results[index].status === 'fulfilled') {
+            logger.info(`${CHAT_CHANNELS[channel].label} alert sent for ${server.name}: ${alertType}`);
+            return true;
+        }
+
+        logger.error(`Failed to send ${CHAT_CHANNELS[channel].label} alert for ${server.name}: ${results[index].reason?.message}`);
+        return false;
+    });
+};
+
+export default {
+    CHAT_CHANNELS,
+    getDashboardUrl,
+    buildAlertSummary,
+    sendChatMessage,
+    sendChatAlerts
+};
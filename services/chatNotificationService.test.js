@@ -0,0 +1,124 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import {
+    buildAlertSummary,
+    buildSlackPayload,
+    buildTeamsPayload,
+    buildDiscordPayload,
+    sendChatAlerts
+} from './chatNotificationService.js';
+
+const server = {
+    _id: 'server-1',
+    name: 'api',
+    url: 'https://api.example.com',
+    responseTime: 320,
+    error: 'Connection refused'
+};
+
+describe('buildAlertSummary', () => {
+    it('describes outages with the error', () => {
+        const alert = buildAlertSummary(server, 'server_down', 'up', 'down');
+
+        assert.equal(alert.title, '🚨 api is DOWN');
+        assert.equal(alert.color, '#f44336');
+        assert.deepEqual(alert.fields, [
+            { name: 'Status', value: 'up → down' },
+            { name: 'Response time', value: '320ms' },
+            { name: 'URL', value: 'https://api.example.com' },
+            { name: 'Error', value: 'Connection refused' }
+        ]);
+        assert.match(alert.dashboardUrl, /\/dashboard\/servers\/server-1$/);
+    });
+
+    it('counts the days left on certificates', () => {
+        const expiring = { ...server, certificate: { daysRemaining: 1, validTo: '2026-05-01T00:00:00Z' } };
+        const expired = { ...server, certificate: { daysRemaining: -2 } };
+
+        assert.equal(buildAlertSummary(expiring, 'certificate_expiry', 'up', 'up').title, '🔒 SSL certificate for api expires in 1 day');
+        assert.equal(buildAlertSummary(expired, 'certificate_expiry', 'up', 'up').title, '🔒 SSL certificate for api has expired');
+    });
+});
+
+describe('chat payloads', () => {
+    const alert = buildAlertSummary(server, 'server_down', 'up', 'down');
+
+    it('builds a coloured Slack attachment with a dashboard button', () => {
+        const payload = buildSlackPayload(alert);
+        const [attachment] = payload.attachments;
+
+        assert.equal(payload.text, alert.title);
+        assert.equal(attachment.color, '#f44336');
+        assert.equal(attachment.blocks[1].fields[3].text, '*Error*\nConnection refused');
+        assert.equal(attachment.blocks[2].elements[0].url, alert.dashboardUrl);
+    });
+
+    it('builds a Teams Adaptive Card', () => {
+        const { content } = buildTeamsPayload(alert).attachments[0];
+
+        assert.equal(content.type, 'AdaptiveCard');
+        assert.equal(content.body[0].color, 'Attention');
+        assert.equal(content.body[1].text, 'Your server **api** is currently down.');
+        assert.deepEqual(content.body[2].facts[0], { title: 'Status', value: 'up → down' });
+        assert.equal(content.actions[0].url, alert.dashboardUrl);
+    });
+
+    it('builds a Discord embed within the field limits', () => {
+        const long = buildAlertSummary({ ...server, error: 'x'.repeat(2000) }, 'server_down', 'up', 'down');
+        const [embed] = buildDiscordPayload(long).embeds;
+
+        assert.equal(embed.color, 0xf44336);
+        assert.equal(embed.fields[3].value.length, 1024);
+        assert.equal(embed.fields[3].inline, false);
+        assert.equal(embed.fields[0].inline, true);
+    });
+});
+
+describe('sendChatAlerts', () => {
+    let chatServer;
+    let baseUrl;
+    const received = [];
+
+    before(async () => {
+        chatServer = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                received.push({ url: req.url, body: JSON.parse(body) });
+                res.statusCode = req.url === '/broken' ? 500 : 200;
+                res.end('ok');
+            });
+        });
+        await new Promise(resolve => chatServer.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${chatServer.address().port}`;
+    });
+
+    after(() => {
+        chatServer.closeAllConnections();
+        chatServer.close();
+    });
+
+    it('posts to every configured channel and returns those that accepted', async () => {
+        const channels = await sendChatAlerts({
+            ...server,
+            monitoring: {
+                alerts: {
+                    slackWebhookUrl: `${baseUrl}/slack`,
+                    teamsWebhookUrl: null,
+                    discordWebhookUrl: `${baseUrl}/broken`
+                }
+            }
+        }, 'server_down', 'up', 'down', { slack: { title: 'API outage' } });
+
+        assert.deepEqual(channels, ['slack']);
+
+        const slack = received.find(message => message.url === '/slack');
+        assert.equal(slack.body.text, 'API outage');
+        assert.ok(received.some(message => message.url === '/broken' && message.body.embeds));
+    });
+
+    it('sends nothing without chat channels', async () => {
+        assert.deepEqual(await sendChatAlerts({ ...server, monitoring: { alerts: {} } }, 'server_down', 'up', 'down'), []);
+    });
+});
@@ -4,6 +4,7 @@ import logger from '../utils/logger.js';
 import ServerCheck from '../models/ServerCheck.js';
 import CronJob from '../models/CronJob.js';
 import mongoose from 'mongoose';
+import { rollupPendingChecks } from './rollupService.js';
 
 /**
  * Get date string (YYYY-MM-DD) for a given date
@@ -27,6 +28,7 @@ export const runAggressiveDataRetention = async () => {
     const stats = {
         serverChecksDeleted: 0,
         cronJobsDeleted: 0,
+        hoursRolledUp: 0,
         databaseSizeBeforeMB: 0,
         databaseSizeAfterMB: 0,
         duration: 0,
@@ -46,6 +48,10 @@ export const runAggressiveDataRetention = async () => {
 
         logger.info(`📊 Database size before cleanup: ${stats.databaseSizeBeforeMB} MB`);
 
+        // STEP 0: Roll up checks before they are gone
+        const rollup = await rollupPendingChecks();
+        stats.hoursRolledUp = rollup.hours;
+
         // STEP 1: Clear ALL ServerCheck data
         logger.info('🗑️ Deleting ALL ServerCheck records...');
 
@@ -134,12 +140,17 @@ export const runSelectiveDataRetention = async (hoursToKeep = 24) => {
     const stats = {
         serverChecksDeleted: 0,
         cronJobsDeleted: 0,
+        hoursRolledUp: 0,
         serverChecksKept: 0,
         duration: 0,
         cleanupDate: getDateString()
     };
 
     try {
+        // Roll up checks before they are gone
+        const rollup = await rollupPendingChecks();
+        stats.hoursRolledUp = rollup.hours;
+
         // Calculate cutoff time
         const cutoffTime = new Date(Date.now() - hoursToKeep * 60 * 60 * 1000);
 
@@ -197,12 +208,17 @@ export const runEmergencyCleanup = async () => {
     const stats = {
         serverChecksDeleted: 0,
         cronJobsDeleted: 0,
+        hoursRolledUp: 0,
         duration: 0,
         emergency: true,
         cleanupDate: getDateString()
     };
 
     try {
+        // Roll up checks before they are gone
+        const rollup = await rollupPendingChecks();
+        stats.hoursRolledUp = rollup.hours;
+
         // Nuclear option - delete everything
         const [serverCheckResult, cronJobResult] = await Promise.all([
             ServerCheck.deleteMany({}),
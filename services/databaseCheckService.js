@@ -0,0 +1,149 @@
+// services/databaseCheckService.js - Native database connectivity checks
+
+import mongoose from 'mongoose';
+import Redis from 'ioredis';
+import pg from 'pg';
+import mysql from 'mysql2';
+import { DATABASE_ENGINES } from '../models/Server.js';
+
+// Connection and query timeout in milliseconds (10 seconds)
+const DATABASE_TIMEOUT = 10000;
+
+// Connection string schemes mapped to engines
+const ENGINE_SCHEMES = {
+    'mongodb': 'mongodb',
+    'mongodb+srv': 'mongodb',
+    'redis': 'redis',
+    'rediss': 'redis',
+    'postgres': 'postgres',
+    'postgresql': 'postgres',
+    'mysql': 'mysql'
+};
+
+/**
+ * Detect the database engine from a connection string scheme
+ * @param {String} connectionString - Database connection string
+ * @returns {String|null} Engine name or null when the scheme is unknown
+ */
+export const detectDatabaseEngine = (connectionString) => {
+    const match = /^([a-z0-9+]+):\/\//i.exec(connectionString || '');
+    return match ? ENGINE_SCHEMES[match[1].toLowerCase()] || null : null;
+};
+
+/**
+ * Run a step and reject when it takes longer than the database timeout
+ * @param {Promise} promise - Step to run
+ * @param {String} step - Step name used in the timeout error
+ * @returns {Promise}
+ */
+const withTimeout = (promise, step) => {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`${step} timeout`)), DATABASE_TIMEOUT);
+    });
+
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Engine drivers: create a client, connect it, run a lightweight query and close it
+ * Clients are created before connecting so timed out connections can still be closed
+ */
+const DRIVERS = {
+    mongodb: {
+        create: (connectionString) => new mongoose.mongo.MongoClient(connectionString, {
+            serverSelectionTimeoutMS: DATABASE_TIMEOUT,
+            connectTimeoutMS: DATABASE_TIMEOUT,
+            maxPoolSize: 1
+        }),
+        connect: (client) => client.connect(),
+        query: (client) => client.db().command({ ping: 1 }),
+        close: (client) => client.close()
+    },
+    redis: {
+        create: (connectionString) => new Redis(connectionString, {
+            lazyConnect: true,
+            connectTimeout: DATABASE_TIMEOUT,
+            maxRetriesPerRequest: 0,
+            enableOfflineQueue: false,
+            retryStrategy: () => null
+        }),
+        connect: (client) => client.connect(),
+        query: (client) => client.ping(),
+        close: (client) => client.disconnect()
+    },
+    postgres: {
+        create: (connectionString) => new pg.Client({
+            connectionString,
+            connectionTimeoutMillis: DATABASE_TIMEOUT,
+            query_timeout: DATABASE_TIMEOUT
+        }),
+        connect: (client) => client.connect(),
+        query: (client) => client.query('SELECT 1'),
+        close: (client) => client.end()
+    },
+    mysql: {
+        create: (connectionString) => mysql.createConnection({
+            uri: connectionString,
+            connectTimeout: DATABASE_TIMEOUT
+        }),
+        connect: (client) => new Promise((resolve, reject) => {
+            client.connect((err) => err ? reject(err) : resolve());
+        }),
+        query: (client) => client.promise().query('SELECT 1'),
+        close: (client) => client.destroy()
+    }
+};
+
+/**
+ * Check database connectivity using a native driver
+ * @param {String} connectionString - Database connection string
+ * @param {Object} options - Database settings (engine, runQuery)
+ * @returns {Promise<Object>} Timings ({ connect, query }) in milliseconds, rejects if connecting or querying fails
+ */
+export const checkDatabaseServer = async (connectionString, options = {}) => {
+    const engine = options.engine || detectDatabaseEngine(connectionString);
+
+    if (!engine || !DATABASE_ENGINES.includes(engine)) {
+        throw new Error(`Unsupported database connection string (expected ${DATABASE_ENGINES.join(', ')})`);
+    }
+
+    const driver = DRIVERS[engine];
+    const timings = {};
+    let client;
+    let startTime = Date.now();
+
+    try {
+        client = driver.create(connectionString);
+        // Errors are surfaced by connect() and query(), avoid unhandled error events
+        client.on('error', () => { });
+
+        await withTimeout(driver.connect(client), 'Connection');
+        timings.connect = Date.now() - startTime;
+
+        if (options.runQuery !== false) {
+            startTime = Date.now();
+            await withTimeout(driver.query(client), 'Query');
+            timings.query = Date.now() - startTime;
+        }
+
+        return timings;
+    } catch (err) {
+        const phase = timings.connect === undefined ? 'connection' : 'query';
+        const error = new Error(`Database ${phase} failed (${engine}): ${err.message}`);
+        error.timings = timings;
+        throw error;
+    } finally {
+        // Don't wait for the close handshake, a hung server must not block the check
+        if (client) {
+            Promise.resolve()
+                .then(() => driver.close(client))
+                .catch(() => { });
+        }
+    }
+};
+
+export default {
+    detectDatabaseEngine,
+    checkDatabaseServer
+};
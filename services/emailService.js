@@ -47,12 +47,13 @@ export const initTransporter = () => {
 /**
  * Send alert email for server status change
  * @param {Object} server - Server object
- * @param {String} alertType - Type of alert: 'server_down', 'server_recovery', 'slow_response'
+ * @param {String} alertType - Type of alert: 'server_down', 'server_recovery', 'slow_response', 'certificate_expiry'
  * @param {String} oldStatus - Previous status
  * @param {String} newStatus - New status
+ * @param {Object} content - Custom { subject, html } from the user's template, missing parts use the defaults
  * @returns {Boolean} Whether the email was sent
  */
-export const sendAlertEmail = async (server, alertType, oldStatus, newStatus) => {
+export const sendAlertEmail = async (server, alertType, oldStatus, newStatus, content = null) => {
   // Get or initialize transporter
   const mailer = initTransporter();
   if (!mailer) {
@@ -65,7 +66,9 @@ export const sendAlertEmail = async (server, alertType, oldStatus, newStatus) =>
     await mailer.verify();
 
     // Prepare email content
-    const { subject, html } = getAlertEmailContent(server, alertType, oldStatus, newStatus);
+    const defaultContent = getAlertEmailContent(server, alertType, oldStatus, newStatus);
+    const subject = content?.subject || defaultContent.subject;
+    const html = content?.html || defaultContent.html;
 
     // Get from email or use default
     const fromEmail = process.env.SMTP_FROM_EMAIL || 'noreply@pingpilot.com';
@@ -173,6 +176,38 @@ const getAlertEmailContent = (server, alertType, oldStatus, newStatus) => {
       `;
       break;
 
+    case 'certificate_expiry': {
+      const certificate = server.certificate || {};
+      const daysRemaining = certificate.daysRemaining;
+      const expiresOn = certificate.validTo ? new Date(certificate.validTo).toLocaleString() : 'Unknown';
+      const expiryText = daysRemaining < 0
+        ? 'has <strong style="color: red;">EXPIRED</strong>'
+        : `expires in <strong style="color: orange;">${daysRemaining} day${daysRemaining === 1 ? '' : 's'}</strong>`;
+
+      subject = daysRemaining < 0
+        ? `🔒 ALERT: SSL certificate for ${serverName} has expired`
+        : `🔒 WARNING: SSL certificate for ${serverName} expires in ${daysRemaining} day${daysRemaining === 1 ? '' : 's'}`;
+      html = `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="background-color: #ff9800; color: white; padding: 15px; text-align: center;">
+            <h1 style="margin: 0;">SSL Certificate Expiry Warning</h1>
+          </div>
+          <div style="padding: 20px; border: 1px solid #ddd; background-color: #f9f9f9;">
+            <p>The SSL certificate for <strong>${serverName}</strong> ${expiryText}.</p>
+            <p>URL: ${serverUrl}</p>
+            <p>Expires on: ${expiresOn}</p>
+            <p>Subject: ${certificate.subject || 'Unknown'}</p>
+            <p>Issuer: ${certificate.issuer || 'Unknown'}</p>
+            <p>Please renew the certificate to avoid interruptions for your visitors.</p>
+            <p style="margin-top: 30px; font-size: 12px; color: #777;">
+              This is an automated message from Ping Pilot monitoring.
+            </p>
+          </div>
+        </div>
+      `;
+      break;
+    }
+
     default:
       subject = `🔔 NOTIFICATION: ${serverName} status update`;
       html = `
@@ -196,6 +231,142 @@ const getAlertEmailContent = (server, alertType, oldStatus, newStatus) => {
   return { subject, html };
 };
 
+/**
+ * Send one digest email for alerts grouped within a time window
+ * @param {String} recipient - Email address
+ * @param {Array} alerts - Grouped alerts ({ serverName, serverUrl, alertType, oldStatus, newStatus, error, time })
+ * @returns {Boolean} Whether the email was sent
+ */
+export const sendAlertDigestEmail = async (recipient, alerts) => {
+  const mailer = initTransporter();
+  if (!mailer) {
+    logger.warn('Cannot send alert digest: email service not configured');
+    return false;
+  }
+
+  try {
+    const downCount = alerts.filter(alert => alert.alertType === 'server_down').length;
+    const recoveredCount = alerts.filter(alert => alert.alertType === 'server_recovery').length;
+
+    const subject = downCount > 0
+      ? `🚨 ALERT DIGEST: ${downCount} server${downCount === 1 ? '' : 's'} down, ${recoveredCount} recovered`
+      : `✅ ALERT DIGEST: ${recoveredCount} server${recoveredCount === 1 ? '' : 's'} recovered`;
+
+    const rows = alerts.map(alert => {
+      const isDown = alert.alertType === 'server_down';
+      return `
+              <tr>
+                <td style="padding: 8px; border-bottom: 1px solid #ddd;"><strong>${alert.serverName}</strong><br><span style="font-size: 12px; color: #777;">${alert.serverUrl}</span></td>
+                <td style="padding: 8px; border-bottom: 1px solid #ddd; color: ${isDown ? 'red' : 'green'};"><strong>${isDown ? 'DOWN' : 'UP'}</strong></td>
+                <td style="padding: 8px; border-bottom: 1px solid #ddd;">${new Date(alert.time).toLocaleString()}</td>
+                <td style="padding: 8px; border-bottom: 1px solid #ddd;">${isDown ? alert.error || 'Unknown error' : ''}</td>
+              </tr>`;
+    }).join('');
+
+    const html = `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="background-color: ${downCount > 0 ? '#f44336' : '#4CAF50'}; color: white; padding: 15px; text-align: center;">
+            <h1 style="margin: 0;">Alert Digest</h1>
+          </div>
+          <div style="padding: 20px; border: 1px solid #ddd; background-color: #f9f9f9;">
+            <p>${alerts.length} more alert${alerts.length === 1 ? ' was' : 's were'} raised shortly after the previous notification:</p>
+            <table style="width: 100%; border-collapse: collapse; font-size: 14px;">
+              <tr>
+                <th style="padding: 8px; text-align: left; border-bottom: 2px solid #ddd;">Server</th>
+                <th style="padding: 8px; text-align: left; border-bottom: 2px solid #ddd;">Status</th>
+                <th style="padding: 8px; text-align: left; border-bottom: 2px solid #ddd;">Time</th>
+                <th style="padding: 8px; text-align: left; border-bottom: 2px solid #ddd;">Error</th>
+              </tr>${rows}
+            </table>
+            <p style="margin-top: 30px; font-size: 12px; color: #777;">
+              This is an automated message from Ping Pilot monitoring.
+            </p>
+          </div>
+        </div>
+      `;
+
+    const fromEmail = process.env.SMTP_FROM_EMAIL || 'noreply@pingpilot.com';
+
+    const info = await mailer.sendMail({
+      from: `"Ping Pilot" <${fromEmail}>`,
+      to: recipient,
+      subject,
+      html,
+    });
+
+    logger.info(`Alert digest with ${alerts.length} alerts sent to ${recipient}: ${info.messageId}`);
+    return true;
+  } catch (error) {
+    logger.error(`Error sending alert digest to ${recipient}: ${error.message}`);
+    return false;
+  }
+};
+
+/**
+ * Send a burn-rate alert of an SLO
+ * @param {Array} recipients - Email addresses
+ * @param {Object} alert - { slo, window, burnRate, threshold, status }
+ * @returns {Boolean} Whether the email was sent
+ */
+export const sendSloBurnAlertEmail = async (recipients, { slo, window, burnRate, threshold, status }) => {
+  const mailer = initTransporter();
+  if (!mailer) {
+    logger.warn('Cannot send SLO burn-rate alert: email service not configured');
+    return false;
+  }
+
+  try {
+    const objective = slo.objective.type === 'latency'
+      ? `${slo.objective.target}% of checks under ${slo.objective.threshold}ms`
+      : `${slo.objective.target}% availability`;
+
+    const subject = `🔥 SLO ALERT: ${slo.name} is burning its error budget at ${burnRate}x`;
+
+    const html = `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="background-color: #ff9800; color: white; padding: 15px; text-align: center;">
+            <h1 style="margin: 0;">SLO Burn-Rate Alert</h1>
+          </div>
+          <div style="padding: 20px; border: 1px solid #ddd; background-color: #f9f9f9;">
+            <p>Over the last <strong>${window}</strong>, <strong>${slo.name}</strong> spent its error budget at <strong>${burnRate}x</strong> the sustainable rate (alert threshold ${threshold}x).</p>
+            <table style="width: 100%; border-collapse: collapse; font-size: 14px;">
+              <tr>
+                <td style="padding: 8px; border-bottom: 1px solid #ddd;"><strong>Objective</strong></td>
+                <td style="padding: 8px; border-bottom: 1px solid #ddd;">${objective} over ${slo.windowDays} days</td>
+              </tr>
+              <tr>
+                <td style="padding: 8px; border-bottom: 1px solid #ddd;"><strong>Current</strong></td>
+                <td style="padding: 8px; border-bottom: 1px solid #ddd;">${status.sli === null ? 'No data' : `${status.sli}%`}</td>
+              </tr>
+              <tr>
+                <td style="padding: 8px; border-bottom: 1px solid #ddd;"><strong>Error budget left</strong></td>
+                <td style="padding: 8px; border-bottom: 1px solid #ddd;">${status.errorBudget.remainingPercent}%</td>
+              </tr>
+            </table>
+            <p style="margin-top: 30px; font-size: 12px; color: #777;">
+              This is an automated message from Ping Pilot monitoring.
+            </p>
+          </div>
+        </div>
+      `;
+
+    const fromEmail = process.env.SMTP_FROM_EMAIL || 'noreply@pingpilot.com';
+
+    const info = await mailer.sendMail({
+      from: `"Ping Pilot" <${fromEmail}>`,
+      to: recipients.join(', '),
+      subject,
+      html,
+    });
+
+    logger.info(`SLO burn-rate alert for ${slo.name} sent to ${recipients.length} recipients: ${info.messageId}`);
+    return true;
+  } catch (error) {
+    logger.error(`Error sending SLO burn-rate alert for ${slo.name}: ${error.message}`);
+    return false;
+  }
+};
+
 /**
  * Send verification email to user
  * @param {Object} user - User object
@@ -453,6 +624,8 @@ export const sendResponseNotificationEmail = async (ticket, user, isToAdmin) =>
 export default {
   initTransporter,
   sendAlertEmail,
+  sendAlertDigestEmail,
+  sendSloBurnAlertEmail,
   sendVerificationEmail,
   sendPasswordResetEmail,
   sendResponseNotificationEmail,
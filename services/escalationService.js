@@ -0,0 +1,205 @@
+// services/escalationService.js - Multi-level escalation of unacknowledged incidents
+
+import EscalationPolicy from '../models/EscalationPolicy.js';
+import Incident from '../models/Incident.js';
+import Server from '../models/Server.js';
+import { alertQueue } from '../queues/alertQueue.js';
+import { sendAlertEmail } from './emailService.js';
+import { sendChatAlerts, CHAT_CHANNELS } from './chatNotificationService.js';
+import { sendPhoneAlerts } from './phoneAlertService.js';
+import { recordIncidentNotification } from './incidentService.js';
+import { getOnCallEmails } from './onCallService.js';
+import { findAlertTemplates, buildTemplateContext, renderAlertTemplates } from './alertTemplateService.js';
+import logger from '../utils/logger.js';
+
+// Delayed escalation steps run as jobs on the alerts queue
+export const ESCALATION_JOB = 'escalate-incident';
+
+/**
+ * Load the escalation policy of a server
+ * @param {Object} server - Server data with escalationPolicy
+ * @returns {Promise<Object|null>} Policy with at least one level
+ */
+export const getEscalationPolicy = async (server) => {
+    if (!server.escalationPolicy) return null;
+
+    const policy = await EscalationPolicy.findById(server.escalationPolicy).lean();
+    return policy?.levels?.length ? policy : null;
+};
+
+/**
+ * Resolve the recipients of an escalation level at send time
+ * @param {Object} level - Level settings (emails, schedules)
+ * @returns {Promise<Array>} Unique email addresses
+ */
+export const getLevelRecipients = async (level) => {
+    const onCallEmails = await getOnCallEmails(level.schedules);
+    return [...new Set([...(level.emails || []), ...onCallEmails])];
+};
+
+/**
+ * Point an alert at an escalation level
+ * The level decides the recipients and channels, independent of the server's own alert settings
+ * @param {Object} server - Server data
+ * @param {Object} level - Level settings (emails, schedules, phones, channels)
+ * @returns {Promise<Object>} Server data with the level's contact emails, phones and alert channels
+ */
+export const applyEscalationLevel = async (server, level) => {
+    const channels = level.channels?.length ? level.channels : ['email'];
+    const alerts = server.monitoring?.alerts || {};
+
+    return {
+        ...server,
+        contactEmails: channels.includes('email') ? await getLevelRecipients(level) : [],
+        contactPhones: level.phones || [],
+        monitoring: {
+            ...server.monitoring,
+            alerts: {
+                ...alerts,
+                email: channels.includes('email'),
+                phone: channels.includes('sms') || channels.includes('voice'),
+                voice: channels.includes('voice'),
+                // Chat channels are only kept for levels that use chat
+                ...Object.fromEntries(Object.values(CHAT_CHANNELS).map(({ setting }) => [
+                    setting,
+                    channels.includes('chat') ? alerts[setting] : null
+                ]))
+            }
+        }
+    };
+};
+
+/**
+ * Get the step that follows a notified level
+ * Levels escalate in order, then the last level is repeated while repeats are configured
+ * @param {Object} policy - Escalation policy
+ * @param {Number} level - Index of the notified level
+ * @param {Number} repeats - Repeats of the level sent so far
+ * @returns {Object|null} { level, repeats, delay } with delay in minutes
+ */
+export const getNextEscalationStep = (policy, level, repeats = 0) => {
+    if (level + 1 < policy.levels.length) {
+        return { level: level + 1, repeats: 0, delay: policy.levels[level].escalateAfter };
+    }
+
+    if (policy.repeat?.interval > 0 && repeats < (policy.repeat.limit ?? 3)) {
+        return { level, repeats: repeats + 1, delay: policy.repeat.interval };
+    }
+
+    return null;
+};
+
+/**
+ * Schedule the step after a notified level, and remember it on the incident
+ * @param {String} incidentId - Incident ID
+ * @param {Object} policy - Escalation policy
+ * @param {Number} level - Index of the notified level
+ * @param {Number} repeats - Repeats of the level sent so far
+ */
+const scheduleNextStep = async (incidentId, policy, level, repeats) => {
+    const next = getNextEscalationStep(policy, level, repeats);
+    const nextAt = next ? new Date(Date.now() + next.delay * 60 * 1000) : null;
+
+    await Incident.updateOne({ _id: incidentId }, {
+        $set: {
+            'escalation.level': level,
+            'escalation.repeats': repeats,
+            'escalation.nextAt': nextAt
+        }
+    });
+
+    if (!next) return;
+
+    await alertQueue.add(ESCALATION_JOB, {
+        incidentId: String(incidentId),
+        level: next.level,
+        repeats: next.repeats
+    }, {
+        delay: next.delay * 60 * 1000,
+        jobId: `escalation-${incidentId}-${next.level}-${next.repeats}` // One job per step
+    });
+};
+
+/**
+ * Start escalating an incident after its first level was notified
+ * @param {Object} incident - Incident document
+ * @param {Object} policy - Escalation policy
+ */
+export const startEscalation = async (incident, policy) => {
+    // Incidents that were already escalating keep their progress
+    if (incident.escalation?.policy) return;
+
+    await Incident.updateOne({ _id: incident._id }, {
+        $set: { escalation: { policy: policy._id, level: 0, repeats: 0 } }
+    });
+    await scheduleNextStep(incident._id, policy, 0, 0);
+};
+
+/**
+ * Run a delayed escalation step
+ * Stops once the incident is acknowledged, resolved, or the step is outdated
+ * @param {Object} step - Job data ({ incidentId, level, repeats })
+ * @returns {Promise<Boolean>} Whether the level was notified
+ */
+export const runEscalationStep = async ({ incidentId, level, repeats }) => {
+    const incident = await Incident.findById(incidentId).lean();
+
+    if (!incident || incident.status !== 'open' || !incident.escalation?.policy) {
+        return false;
+    }
+
+    // Ignore steps that were already run (e.g. a retried job)
+    const current = incident.escalation;
+    if (level < current.level || (level === current.level && repeats <= current.repeats)) {
+        return false;
+    }
+
+    const [policy, server] = await Promise.all([
+        EscalationPolicy.findById(current.policy).lean(),
+        Server.findById(incident.server)
+            .select('name url type status responseTime error monitoring uploadedBy')
+            .lean()
+    ]);
+
+    const levelConfig = policy?.levels?.[level];
+    if (!levelConfig || !server?.monitoring?.alerts?.enabled) {
+        return false;
+    }
+
+    const alertServer = {
+        ...await applyEscalationLevel(server, levelConfig),
+        error: server.error || incident.cause,
+        alertTime: new Date().toISOString()
+    };
+
+    // Escalated alerts use the same templates as the first notification
+    const templates = await findAlertTemplates(server, 'server_down');
+    const custom = renderAlertTemplates(templates, buildTemplateContext(alertServer, 'server_down', 'up', 'down', incident));
+    const channels = [];
+
+    if (alertServer.contactEmails.length) {
+        if (await sendAlertEmail(alertServer, 'server_down', 'up', 'down', custom.email)) {
+            channels.push('email');
+        }
+    }
+
+    channels.push(...await sendChatAlerts(alertServer, 'server_down', 'up', 'down', custom));
+    channels.push(...await sendPhoneAlerts(alertServer, 'server_down', 'up', 'down', custom.sms?.text));
+
+    logger.info(`Escalated incident ${incidentId} for ${server.name} to level ${level + 1}${repeats ? ` (repeat ${repeats})` : ''}`);
+
+    await recordIncidentNotification(incidentId, { alertType: 'server_down', channels, level });
+    await scheduleNextStep(incidentId, policy, level, repeats);
+
+    return true;
+};
+
+export default {
+    ESCALATION_JOB,
+    getEscalationPolicy,
+    getLevelRecipients,
+    applyEscalationLevel,
+    getNextEscalationStep,
+    startEscalation,
+    runEscalationStep
+};
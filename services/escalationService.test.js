@@ -0,0 +1,159 @@
+import { describe, it, beforeEach, afterEach, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import Incident from '../models/Incident.js';
+import OnCallSchedule from '../models/OnCallSchedule.js';
+import { redisConnection } from '../config/redis.js';
+import { alertQueue } from '../queues/alertQueue.js';
+import {
+    ESCALATION_JOB,
+    getLevelRecipients,
+    applyEscalationLevel,
+    getNextEscalationStep,
+    startEscalation,
+    runEscalationStep
+} from './escalationService.js';
+
+const policy = {
+    _id: 'policy-1',
+    levels: [
+        { escalateAfter: 5, emails: ['first@example.com'] },
+        { escalateAfter: 10, emails: ['second@example.com'] }
+    ]
+};
+
+const server = {
+    name: 'api',
+    contactEmails: ['owner@example.com'],
+    contactPhones: ['+15550000001'],
+    monitoring: {
+        alerts: {
+            enabled: true,
+            email: true,
+            phone: true,
+            slackWebhookUrl: 'https://hooks.slack.test/a',
+            discordWebhookUrl: 'https://discord.test/b'
+        }
+    }
+};
+
+after(() => redisConnection.disconnect());
+
+describe('getNextEscalationStep', () => {
+    it('escalates to the next level after its delay', () => {
+        assert.deepEqual(getNextEscalationStep(policy, 0), { level: 1, repeats: 0, delay: 5 });
+    });
+
+    it('stops after the last level without repeats', () => {
+        assert.equal(getNextEscalationStep(policy, 1), null);
+    });
+
+    it('repeats the last level up to the limit', () => {
+        const repeating = { ...policy, repeat: { interval: 15, limit: 2 } };
+
+        assert.deepEqual(getNextEscalationStep(repeating, 1, 0), { level: 1, repeats: 1, delay: 15 });
+        assert.deepEqual(getNextEscalationStep(repeating, 1, 1), { level: 1, repeats: 2, delay: 15 });
+        assert.equal(getNextEscalationStep(repeating, 1, 2), null);
+    });
+});
+
+describe('escalation levels', () => {
+    beforeEach(() => {
+        mock.method(OnCallSchedule, 'find', () => ({
+            lean: async () => [{
+                timezone: 'UTC',
+                rotation: { type: 'weekly', participants: ['oncall@example.com'] },
+                overrides: []
+            }]
+        }));
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    it('adds the on-call people of the level schedules to its emails', async () => {
+        const recipients = await getLevelRecipients({ emails: ['oncall@example.com', 'lead@example.com'], schedules: ['schedule-1'] });
+
+        assert.deepEqual(recipients, ['oncall@example.com', 'lead@example.com']);
+    });
+
+    it('sends email only by default', async () => {
+        const levelServer = await applyEscalationLevel(server, { emails: ['first@example.com'] });
+
+        assert.deepEqual(levelServer.contactEmails, ['first@example.com']);
+        assert.deepEqual(levelServer.contactPhones, []);
+        assert.equal(levelServer.monitoring.alerts.email, true);
+        assert.equal(levelServer.monitoring.alerts.phone, false);
+        assert.equal(levelServer.monitoring.alerts.slackWebhookUrl, null);
+        assert.equal(levelServer.monitoring.alerts.enabled, true);
+    });
+
+    it('texts and calls the level phones instead of the server contacts', async () => {
+        const levelServer = await applyEscalationLevel(server, {
+            emails: ['second@example.com'],
+            phones: ['+15550000002'],
+            channels: ['voice', 'chat']
+        });
+
+        assert.deepEqual(levelServer.contactEmails, []);
+        assert.deepEqual(levelServer.contactPhones, ['+15550000002']);
+        assert.equal(levelServer.monitoring.alerts.email, false);
+        assert.equal(levelServer.monitoring.alerts.phone, true);
+        assert.equal(levelServer.monitoring.alerts.voice, true);
+        assert.equal(levelServer.monitoring.alerts.slackWebhookUrl, 'https://hooks.slack.test/a');
+        assert.equal(levelServer.monitoring.alerts.discordWebhookUrl, 'https://discord.test/b');
+    });
+});
+
+describe('escalation steps', () => {
+    let updates;
+    let jobs;
+
+    beforeEach(() => {
+        updates = [];
+        jobs = [];
+        mock.method(Incident, 'updateOne', async (filter, update) => {
+            updates.push({ filter, update });
+            return { modifiedCount: 1 };
+        });
+        mock.method(alertQueue, 'add', async (name, data, options) => {
+            jobs.push({ name, data, options });
+        });
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    it('schedules the second level when an incident starts escalating', async () => {
+        await startEscalation({ _id: 'incident-1' }, policy);
+
+        assert.deepEqual(updates[0].update.$set.escalation, { policy: 'policy-1', level: 0, repeats: 0 });
+        assert.ok(updates[1].update.$set['escalation.nextAt'] instanceof Date);
+        assert.deepEqual(jobs, [{
+            name: ESCALATION_JOB,
+            data: { incidentId: 'incident-1', level: 1, repeats: 0 },
+            options: { delay: 5 * 60 * 1000, jobId: 'escalation-incident-1-1-0' }
+        }]);
+    });
+
+    it('keeps the progress of incidents that are already escalating', async () => {
+        await startEscalation({ _id: 'incident-1', escalation: { policy: 'policy-1', level: 1 } }, policy);
+
+        assert.equal(updates.length, 0);
+        assert.equal(jobs.length, 0);
+    });
+
+    it('stops once the incident is acknowledged', async () => {
+        mock.method(Incident, 'findById', () => ({
+            lean: async () => ({ status: 'acknowledged', escalation: { policy: 'policy-1', level: 0, repeats: 0 } })
+        }));
+
+        assert.equal(await runEscalationStep({ incidentId: 'incident-1', level: 1, repeats: 0 }), false);
+    });
+
+    it('ignores steps that already ran', async () => {
+        mock.method(Incident, 'findById', () => ({
+            lean: async () => ({ status: 'open', escalation: { policy: 'policy-1', level: 1, repeats: 0 } })
+        }));
+
+        assert.equal(await runEscalationStep({ incidentId: 'incident-1', level: 1, repeats: 0 }), false);
+        assert.equal(jobs.length, 0);
+    });
+});
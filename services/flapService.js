@@ -0,0 +1,147 @@
+// services/flapService.js - Flap detection: mute alerts of servers whose status keeps changing
+
+import Server from '../models/Server.js';
+import { alertQueue, addAlertToQueue } from '../queues/alertQueue.js';
+import { redisConnection } from '../config/redis.js';
+import logger from '../utils/logger.js';
+
+// Job name on the alerts queue
+export const FLAP_CHECK_JOB = 'check-flapping';
+
+/**
+ * Get the flap detection policy of a server
+ * @param {Object} server - Server with monitoring.flapDetection
+ * @returns {Object} { enabled, threshold, window, stablePeriod } with durations in ms
+ */
+export const getFlapPolicy = (server) => {
+    const settings = server.monitoring?.flapDetection || {};
+
+    return {
+        enabled: settings.enabled ?? true,
+        threshold: settings.threshold || 5,
+        window: (settings.window || 30) * 60 * 1000,
+        stablePeriod: (settings.stablePeriod || 15) * 60 * 1000
+    };
+};
+
+/**
+ * Check whether a number of status changes within the window means flapping
+ * @param {Number} changes - Status changes within the window
+ * @param {Object} policy - Flap policy
+ * @returns {Boolean}
+ */
+export const isFlapping = (changes, policy) => policy.enabled && changes > policy.threshold;
+
+/**
+ * Schedule the check that ends flapping once the status is stable
+ */
+const scheduleFlapCheck = async (serverId, delay) => {
+    await alertQueue.add(FLAP_CHECK_JOB, { serverId: String(serverId) }, {
+        delay: Math.max(0, delay),
+        jobId: `flap-${serverId}-${Date.now() + delay}`
+    });
+};
+
+/**
+ * Record a confirmed status change and mute the server when it starts flapping
+ * @param {Object} server - Server data (_id, name, monitoring)
+ * @param {String} oldStatus - Previous status
+ * @param {String} newStatus - New status
+ * @returns {Promise<Object>} { flapping, started } - flapping means alerts for this change are muted
+ */
+export const recordStatusChange = async (server, oldStatus, newStatus) => {
+    const policy = getFlapPolicy(server);
+    if (!policy.enabled) return { flapping: false, started: false };
+
+    const now = Date.now();
+    const key = `status-changes:${server._id}`;
+
+    const [, , [, changes]] = await redisConnection.multi()
+        .zadd(key, now, `${now}-${newStatus}`)
+        .zremrangebyscore(key, 0, now - policy.window)
+        .zcard(key)
+        .pexpire(key, policy.window)
+        .exec();
+
+    // Already muted, keep track of the last change for the stability check
+    const muted = await Server.updateOne(
+        { _id: server._id, 'flapping.active': true },
+        { $set: { 'flapping.lastChangeAt': new Date(now) } }
+    );
+    if (muted.matchedCount) return { flapping: true, started: false };
+
+    if (!isFlapping(changes, policy)) return { flapping: false, started: false };
+
+    const result = await Server.updateOne(
+        { _id: server._id, 'flapping.active': { $ne: true } },
+        {
+            $set: {
+                flapping: {
+                    active: true,
+                    since: new Date(now),
+                    lastChangeAt: new Date(now),
+                    lastNotifiedStatus: oldStatus
+                }
+            }
+        }
+    );
+
+    const started = result.modifiedCount > 0;
+    if (started) {
+        logger.warn(`Server ${server.name} (${server._id}) is flapping: ${changes} status changes in ${policy.window / 60000} minutes, alerts muted`);
+        await scheduleFlapCheck(server._id, policy.stablePeriod);
+    }
+
+    return { flapping: true, started };
+};
+
+/**
+ * End flapping once the status has been stable for the stable period
+ * Sends the alert for the settled status when it differs from the last one sent
+ * @param {Object} data - Job data ({ serverId })
+ * @returns {Promise<Boolean>} Whether flapping ended
+ */
+export const runFlapCheck = async ({ serverId }) => {
+    const server = await Server.findById(serverId)
+        .select('name status monitoring.flapDetection flapping')
+        .lean();
+
+    if (!server?.flapping?.active) return false;
+
+    const policy = getFlapPolicy(server);
+    const stableFor = Date.now() - new Date(server.flapping.lastChangeAt || server.flapping.since).getTime();
+
+    // Still changing (and detection still on): check again when it could be stable
+    if (policy.enabled && stableFor < policy.stablePeriod) {
+        await scheduleFlapCheck(serverId, policy.stablePeriod - stableFor);
+        return false;
+    }
+
+    const result = await Server.updateOne(
+        { _id: serverId, 'flapping.active': true },
+        { $set: { 'flapping.active': false, 'flapping.endedAt': new Date() } }
+    );
+    if (!result.modifiedCount) return false;
+
+    logger.info(`Server ${server.name} (${serverId}) stopped flapping, alerts resumed with status ${server.status}`);
+
+    const { lastNotifiedStatus } = server.flapping;
+    if (lastNotifiedStatus && ['up', 'down'].includes(server.status) && server.status !== lastNotifiedStatus) {
+        await addAlertToQueue({
+            serverId: String(serverId),
+            oldStatus: lastNotifiedStatus,
+            newStatus: server.status,
+            checkResult: {}
+        }, server.status === 'down' ? 'high' : 'normal');
+    }
+
+    return true;
+};
+
+export default {
+    FLAP_CHECK_JOB,
+    getFlapPolicy,
+    isFlapping,
+    recordStatusChange,
+    runFlapCheck
+};
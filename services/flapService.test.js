@@ -0,0 +1,145 @@
+import { describe, it, beforeEach, afterEach, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import Server from '../models/Server.js';
+import { redisConnection } from '../config/redis.js';
+import { alertQueue } from '../queues/alertQueue.js';
+import { FLAP_CHECK_JOB, getFlapPolicy, isFlapping, recordStatusChange, runFlapCheck } from './flapService.js';
+
+const MINUTE = 60 * 1000;
+
+after(() => redisConnection.disconnect());
+
+/**
+ * In-memory stand-in for the Redis sorted set commands used to count status changes
+ */
+const createSortedSetStore = () => {
+    const sets = new Map();
+    const set = key => sets.get(key) || sets.set(key, new Map()).get(key);
+
+    return {
+        multi: () => {
+            const operations = [];
+            const chain = {
+                zadd: (key, score, member) => chain.queue(() => set(key).set(member, score)),
+                zremrangebyscore: (key, min, max) => chain.queue(() => {
+                    for (const [member, score] of set(key)) {
+                        if (score >= min && score <= max) set(key).delete(member);
+                    }
+                }),
+                zcard: key => chain.queue(() => set(key).size),
+                pexpire: () => chain.queue(() => 1),
+                queue: (operation) => { operations.push(operation); return chain; },
+                exec: async () => operations.map(operation => [null, operation()])
+            };
+            return chain;
+        }
+    };
+};
+
+describe('getFlapPolicy', () => {
+    it('is on by default with 5 changes in 30 minutes', () => {
+        assert.deepEqual(getFlapPolicy({}), { enabled: true, threshold: 5, window: 30 * MINUTE, stablePeriod: 15 * MINUTE });
+    });
+
+    it('reads the server settings', () => {
+        const policy = getFlapPolicy({ monitoring: { flapDetection: { enabled: false, threshold: 3, window: 10, stablePeriod: 5 } } });
+
+        assert.deepEqual(policy, { enabled: false, threshold: 3, window: 10 * MINUTE, stablePeriod: 5 * MINUTE });
+    });
+});
+
+describe('isFlapping', () => {
+    it('needs more changes than the threshold', () => {
+        const policy = getFlapPolicy({});
+
+        assert.equal(isFlapping(5, policy), false);
+        assert.equal(isFlapping(6, policy), true);
+        assert.equal(isFlapping(6, { ...policy, enabled: false }), false);
+    });
+});
+
+describe('flap detection', () => {
+    const server = { _id: 'server-1', name: 'api', monitoring: { flapDetection: { threshold: 2 } } };
+    let flapping;
+    let stored;
+    let jobs;
+
+    beforeEach(() => {
+        flapping = null;
+        stored = { name: 'api', status: 'up', monitoring: {} };
+        jobs = [];
+
+        mock.method(redisConnection, 'multi', createSortedSetStore().multi);
+        mock.method(alertQueue, 'add', async (name, data, options) => jobs.push({ name, data, options }));
+
+        // Conditional updates on the server's flapping state
+        mock.method(Server, 'updateOne', async (filter, update) => {
+            const active = Boolean(flapping?.active);
+            if (filter['flapping.active'] === true && !active) return { matchedCount: 0, modifiedCount: 0 };
+            if (filter['flapping.active']?.$ne === true && active) return { matchedCount: 0, modifiedCount: 0 };
+
+            const set = update.$set;
+            if (set.flapping) flapping = { ...set.flapping };
+            if ('flapping.lastChangeAt' in set) flapping.lastChangeAt = set['flapping.lastChangeAt'];
+            if ('flapping.active' in set) flapping = { ...flapping, active: set['flapping.active'], endedAt: set['flapping.endedAt'] };
+            return { matchedCount: 1, modifiedCount: 1 };
+        });
+        mock.method(Server, 'findById', () => ({ select: () => ({ lean: async () => ({ ...stored, flapping }) }) }));
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    it('mutes a server once it changes status more often than the threshold', async () => {
+        // A minute between changes
+        let clock = Date.now();
+        mock.method(Date, 'now', () => (clock += MINUTE));
+
+        assert.deepEqual(await recordStatusChange(server, 'up', 'down'), { flapping: false, started: false });
+        assert.deepEqual(await recordStatusChange(server, 'down', 'up'), { flapping: false, started: false });
+        assert.deepEqual(await recordStatusChange(server, 'up', 'down'), { flapping: true, started: true });
+
+        assert.equal(flapping.active, true);
+        assert.equal(flapping.lastNotifiedStatus, 'up');
+        assert.equal(jobs[0].name, FLAP_CHECK_JOB);
+        assert.equal(jobs[0].options.delay, 15 * MINUTE);
+
+        assert.deepEqual(await recordStatusChange(server, 'down', 'up'), { flapping: true, started: false });
+        assert.equal(jobs.length, 1);
+    });
+
+    it('never mutes when detection is off', async () => {
+        const off = { ...server, monitoring: { flapDetection: { enabled: false } } };
+
+        for (let change = 0; change < 4; change++) {
+            assert.deepEqual(await recordStatusChange(off, 'up', 'down'), { flapping: false, started: false });
+        }
+        assert.equal(Server.updateOne.mock.callCount(), 0);
+    });
+
+    it('keeps muting while the status is still changing', async () => {
+        flapping = { active: true, since: new Date(), lastChangeAt: new Date(Date.now() - 5 * MINUTE), lastNotifiedStatus: 'up' };
+
+        assert.equal(await runFlapCheck({ serverId: 'server-1' }), false);
+        assert.equal(flapping.active, true);
+        assert.ok(Math.abs(jobs[0].options.delay - 10 * MINUTE) < 1000);
+    });
+
+    it('resumes alerts and sends the settled status once stable', async () => {
+        stored.status = 'down';
+        flapping = { active: true, since: new Date(), lastChangeAt: new Date(Date.now() - 20 * MINUTE), lastNotifiedStatus: 'up' };
+
+        assert.equal(await runFlapCheck({ serverId: 'server-1' }), true);
+
+        assert.equal(flapping.active, false);
+        assert.equal(jobs[0].name, 'process-alert');
+        assert.deepEqual(jobs[0].data, { serverId: 'server-1', oldStatus: 'up', newStatus: 'down', checkResult: {} });
+        assert.equal(jobs[0].options.priority, 1);
+    });
+
+    it('sends nothing when the server settled on the last notified status', async () => {
+        flapping = { active: true, since: new Date(), lastChangeAt: new Date(Date.now() - 20 * MINUTE), lastNotifiedStatus: 'up' };
+
+        assert.equal(await runFlapCheck({ serverId: 'server-1' }), true);
+        assert.equal(jobs.length, 0);
+    });
+});
@@ -0,0 +1,183 @@
+// services/incidentService.js - Incident lifecycle driven by the alert pipeline
+
+import Incident from '../models/Incident.js';
+import { isInMaintenance } from './maintenanceService.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Find the unresolved incident of a server
+ * @param {String} serverId - Server ID
+ * @returns {Promise<Object|null>} Incident document
+ */
+export const findActiveIncident = (serverId) => {
+    return Incident.findOne({ server: serverId, status: { $ne: 'resolved' } })
+        .sort({ startedAt: -1 });
+};
+
+/**
+ * Build a timeline entry
+ * @param {String} type - Entry type
+ * @param {String} message - Entry text
+ * @param {Object} options - Optional user and data
+ */
+const buildTimelineEntry = (type, message, { user = null, data } = {}) => ({
+    type,
+    message,
+    user,
+    ...(data && { data }),
+    createdAt: new Date()
+});
+
+/**
+ * Stop escalating an incident, pending escalation jobs see the new status and stop
+ * @param {Object} incident - Incident document
+ */
+const stopEscalation = (incident) => {
+    if (incident.escalation) {
+        incident.escalation.nextAt = null;
+    }
+};
+
+/**
+ * Open an incident for a confirmed outage, or add the change to the one already open
+ * @param {Object} server - Server data (_id, name, uploadedBy)
+ * @param {String} oldStatus - Previous confirmed status
+ * @param {Object} checkResult - Check that confirmed the outage
+ * @returns {Promise<Object>} Incident document
+ */
+export const openIncident = async (server, oldStatus, checkResult = {}) => {
+    const existing = await findActiveIncident(server._id);
+
+    if (existing) {
+        existing.timeline.push(buildTimelineEntry('status_change', `Status changed from ${oldStatus} to down`, {
+            data: { oldStatus, newStatus: 'down', error: checkResult.error || null }
+        }));
+        return existing.save();
+    }
+
+    const incident = await Incident.create({
+        server: server._id,
+        uploadedBy: server.uploadedBy,
+        title: `${server.name} is down`,
+        cause: checkResult.error || null,
+        timeline: [buildTimelineEntry('opened', checkResult.error || 'Outage confirmed', {
+            data: { oldStatus, newStatus: 'down' }
+        })]
+    });
+
+    logger.info(`Incident ${incident._id} opened for ${server.name}`);
+    return incident;
+};
+
+/**
+ * Resolve an incident
+ * @param {Object} incident - Incident document
+ * @param {Object} options - user (manual resolution) and message
+ * @returns {Promise<Object>} Incident document
+ */
+export const resolveIncident = async (incident, { user = null, message } = {}) => {
+    const now = new Date();
+
+    incident.status = 'resolved';
+    incident.resolvedAt = now;
+    incident.resolvedBy = user;
+    stopEscalation(incident);
+    incident.timeline.push(buildTimelineEntry('resolved', message || (user ? 'Resolved manually' : 'Server recovered'), { user }));
+
+    await incident.save();
+    logger.info(`Incident ${incident._id} resolved${user ? ` by user ${user}` : ''}`);
+    return incident;
+};
+
+/**
+ * Acknowledge an incident
+ * @param {Object} incident - Incident document
+ * @param {String} userId - Acknowledging user
+ * @param {String} message - Optional note
+ * @returns {Promise<Object>} Incident document
+ */
+export const acknowledgeIncident = async (incident, userId, message) => {
+    incident.status = 'acknowledged';
+    incident.acknowledgedAt = new Date();
+    incident.acknowledgedBy = userId;
+    stopEscalation(incident);
+    incident.timeline.push(buildTimelineEntry('acknowledged', message || 'Incident acknowledged', { user: userId }));
+
+    return incident.save();
+};
+
+/**
+ * Add a note to an incident
+ * @param {Object} incident - Incident document
+ * @param {String} userId - Author
+ * @param {String} message - Note text
+ * @returns {Promise<Object>} Incident document
+ */
+export const addIncidentNote = async (incident, userId, message) => {
+    incident.timeline.push(buildTimelineEntry('note', message, { user: userId }));
+    return incident.save();
+};
+
+/**
+ * Update incidents for a confirmed status change
+ * Outages open an incident, recoveries resolve it, other changes are added to the timeline
+ * Outages during a maintenance window are planned and open no incident
+ * @param {Object} server - Server data (_id, name, uploadedBy)
+ * @param {String} oldStatus - Previous confirmed status
+ * @param {String} newStatus - New confirmed status
+ * @param {Object} checkResult - Check result
+ * @returns {Promise<Object|null>} Incident affected by the change
+ */
+export const syncIncidentWithStatus = async (server, oldStatus, newStatus, checkResult = {}) => {
+    if (oldStatus === newStatus) return null;
+
+    if (newStatus === 'down') {
+        if (checkResult.maintenance || await isInMaintenance(server._id)) {
+            logger.info(`No incident opened for ${server.name}: server is in maintenance`);
+            return null;
+        }
+        return openIncident(server, oldStatus, checkResult);
+    }
+
+    const incident = await findActiveIncident(server._id);
+    if (!incident) return null;
+
+    if (newStatus === 'up') {
+        return resolveIncident(incident);
+    }
+
+    incident.timeline.push(buildTimelineEntry('status_change', `Status changed from ${oldStatus} to ${newStatus}`, {
+        data: { oldStatus, newStatus, error: checkResult.error || null }
+    }));
+    return incident.save();
+};
+
+/**
+ * Record sent notifications on an incident timeline
+ * @param {String} incidentId - Incident ID
+ * @param {Object} notification - { alertType, channels, level } (level index for escalations)
+ */
+export const recordIncidentNotification = async (incidentId, { alertType, channels, level }) => {
+    if (!channels?.length) return;
+
+    const escalated = level !== undefined && level !== null;
+    const message = `${alertType} notification sent via ${channels.join(', ')}${escalated ? ` (level ${level + 1})` : ''}`;
+
+    await Incident.updateOne({ _id: incidentId }, {
+        $push: {
+            timeline: buildTimelineEntry('notification', message, {
+                data: { alertType, channels, ...(escalated && { level: level + 1 }) }
+            })
+        }
+    });
+};
+
+export default {
+    findActiveIncident,
+    openIncident,
+    resolveIncident,
+    acknowledgeIncident,
+    addIncidentNote,
+    syncIncidentWithStatus,
+    recordIncidentNotification
+};
@@ -0,0 +1,181 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import Incident from '../models/Incident.js';
+import MaintenanceWindow from '../models/MaintenanceWindow.js';
+import {
+    openIncident,
+    resolveIncident,
+    acknowledgeIncident,
+    syncIncidentWithStatus,
+    recordIncidentNotification
+} from './incidentService.js';
+
+const server = { _id: 'server-1', name: 'api', uploadedBy: 'user-1' };
+
+/**
+ * Incident stand-in that records saves
+ */
+const createIncident = (fields = {}) => ({
+    _id: 'incident-1',
+    status: 'open',
+    timeline: [],
+    escalation: { level: 0, nextAt: new Date() },
+    saves: 0,
+    save() { this.saves += 1; return Promise.resolve(this); },
+    ...fields
+});
+
+describe('incident lifecycle', () => {
+    let active;
+    let created;
+    let maintenanceWindows;
+
+    beforeEach(() => {
+        active = null;
+        created = [];
+        maintenanceWindows = [];
+
+        mock.method(Incident, 'findOne', () => ({ sort: async () => active }));
+        mock.method(Incident, 'create', async (data) => {
+            created.push(data);
+            return { _id: 'incident-2', ...data };
+        });
+        mock.method(MaintenanceWindow, 'find', () => ({ lean: async () => maintenanceWindows }));
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    it('opens an incident for a confirmed outage', async () => {
+        const incident = await openIncident(server, 'up', { error: 'Connection refused' });
+
+        assert.equal(incident.title, 'api is down');
+        assert.equal(incident.cause, 'Connection refused');
+        assert.equal(incident.uploadedBy, 'user-1');
+        assert.equal(incident.timeline[0].type, 'opened');
+        assert.equal(incident.timeline[0].message, 'Connection refused');
+    });
+
+    it('adds a repeated outage to the open incident', async () => {
+        active = createIncident();
+
+        const incident = await openIncident(server, 'degraded', { error: 'Timeout' });
+
+        assert.equal(incident, active);
+        assert.equal(created.length, 0);
+        assert.equal(active.saves, 1);
+        assert.equal(active.timeline[0].message, 'Status changed from degraded to down');
+        assert.equal(active.timeline[0].data.error, 'Timeout');
+    });
+
+    it('resolves and stops escalating', async () => {
+        const incident = createIncident();
+
+        await resolveIncident(incident);
+
+        assert.equal(incident.status, 'resolved');
+        assert.ok(incident.resolvedAt instanceof Date);
+        assert.equal(incident.resolvedBy, null);
+        assert.equal(incident.escalation.nextAt, null);
+        assert.equal(incident.timeline[0].message, 'Server recovered');
+    });
+
+    it('records who resolved manually', async () => {
+        const incident = createIncident();
+
+        await resolveIncident(incident, { user: 'user-2' });
+
+        assert.equal(incident.resolvedBy, 'user-2');
+        assert.equal(incident.timeline[0].message, 'Resolved manually');
+        assert.equal(incident.timeline[0].user, 'user-2');
+    });
+
+    it('acknowledges and stops escalating', async () => {
+        const incident = createIncident();
+
+        await acknowledgeIncident(incident, 'user-2', 'Looking into it');
+
+        assert.equal(incident.status, 'acknowledged');
+        assert.equal(incident.acknowledgedBy, 'user-2');
+        assert.equal(incident.escalation.nextAt, null);
+        assert.equal(incident.timeline[0].message, 'Looking into it');
+    });
+
+    it('opens no incident during maintenance', async () => {
+        maintenanceWindows = [{
+            startsAt: new Date(Date.now() - 60 * 1000),
+            endsAt: new Date(Date.now() + 60 * 1000)
+        }];
+
+        assert.equal(await syncIncidentWithStatus(server, 'up', 'down', {}), null);
+        assert.equal(await syncIncidentWithStatus(server, 'up', 'down', { maintenance: true }), null);
+        assert.equal(created.length, 0);
+    });
+
+    it('resolves the open incident on recovery', async () => {
+        active = createIncident();
+
+        const incident = await syncIncidentWithStatus(server, 'down', 'up');
+
+        assert.equal(incident.status, 'resolved');
+    });
+
+    it('adds other status changes to the timeline', async () => {
+        active = createIncident();
+
+        await syncIncidentWithStatus(server, 'down', 'degraded', { error: 'Slow response' });
+
+        assert.equal(active.status, 'open');
+        assert.equal(active.timeline[0].message, 'Status changed from down to degraded');
+    });
+
+    it('ignores unchanged statuses and changes without an open incident', async () => {
+        assert.equal(await syncIncidentWithStatus(server, 'down', 'down'), null);
+        assert.equal(await syncIncidentWithStatus(server, 'down', 'up'), null);
+    });
+});
+
+describe('recordIncidentNotification', () => {
+    let updates;
+
+    beforeEach(() => {
+        updates = [];
+        mock.method(Incident, 'updateOne', async (filter, update) => {
+            updates.push({ filter, update });
+            return { modifiedCount: 1 };
+        });
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    it('names the channels and the escalation level', async () => {
+        await recordIncidentNotification('incident-1', { alertType: 'server_down', channels: ['email', 'sms'], level: 1 });
+
+        const entry = updates[0].update.$push.timeline;
+        assert.deepEqual(updates[0].filter, { _id: 'incident-1' });
+        assert.equal(entry.message, 'server_down notification sent via email, sms (level 2)');
+        assert.deepEqual(entry.data, { alertType: 'server_down', channels: ['email', 'sms'], level: 2 });
+    });
+
+    it('leaves the level out for first notifications', async () => {
+        await recordIncidentNotification('incident-1', { alertType: 'server_up', channels: ['slack'] });
+
+        assert.equal(updates[0].update.$push.timeline.message, 'server_up notification sent via slack');
+    });
+
+    it('records nothing when no channel was used', async () => {
+        await recordIncidentNotification('incident-1', { alertType: 'server_down', channels: [] });
+
+        assert.equal(updates.length, 0);
+    });
+});
+
+describe('incident duration', () => {
+    it('counts seconds from start to resolution', () => {
+        const incident = new Incident({
+            startedAt: new Date('2026-01-01T10:00:00Z'),
+            resolvedAt: new Date('2026-01-01T10:05:30Z')
+        });
+
+        assert.equal(incident.duration, 330);
+    });
+});
@@ -0,0 +1,126 @@
+// services/maintenanceService.js - Scheduled maintenance: tag checks and suppress alerts
+
+import MaintenanceWindow from '../models/MaintenanceWindow.js';
+import { getNextExecutionDate, getPreviousExecutionDate } from '../config/cron.js';
+
+/**
+ * Get the occurrence of a window that covers a date
+ * @param {Object} window - Maintenance window
+ * @param {Date} date - Instant
+ * @returns {Object|null} { start, end } of the covering occurrence
+ */
+export const getActiveOccurrence = (window, date = new Date()) => {
+    const time = new Date(date);
+    const startsAt = new Date(window.startsAt);
+    const endsAt = window.endsAt ? new Date(window.endsAt) : null;
+
+    if (time < startsAt || (endsAt && time >= endsAt)) return null;
+
+    if (!window.recurrence) return { start: startsAt, end: endsAt };
+
+    const { cron, duration, timezone } = window.recurrence;
+    const start = getPreviousExecutionDate(cron, time, timezone || 'UTC', duration);
+    if (!start || start < startsAt) return null;
+
+    const end = new Date(start.getTime() + duration * 60 * 1000);
+    return time < end ? { start, end } : null;
+};
+
+/**
+ * Get the current or next occurrence of a window
+ * @param {Object} window - Maintenance window
+ * @param {Date} from - Instant
+ * @returns {Object|null} { start, end }, null when the window is over
+ */
+export const getNextOccurrence = (window, from = new Date()) => {
+    const active = getActiveOccurrence(window, from);
+    if (active) return active;
+
+    const time = new Date(from);
+    const startsAt = new Date(window.startsAt);
+    const endsAt = window.endsAt ? new Date(window.endsAt) : null;
+
+    if (!window.recurrence) {
+        return startsAt > time ? { start: startsAt, end: endsAt } : null;
+    }
+
+    const { cron, duration, timezone } = window.recurrence;
+    const start = getNextExecutionDate(cron, time > startsAt ? time : startsAt, timezone || 'UTC');
+    if (!start || (endsAt && start >= endsAt)) return null;
+
+    return { start, end: new Date(start.getTime() + duration * 60 * 1000) };
+};
+
+/**
+ * Load the windows of servers that may be active at a date
+ */
+const findCandidateWindows = (serverIds, date) => {
+    return MaintenanceWindow.find({
+        servers: { $in: serverIds },
+        startsAt: { $lte: date },
+        $or: [{ endsAt: null }, { endsAt: { $gt: date } }]
+    }).lean();
+};
+
+/**
+ * Get the maintenance window a server is in
+ * @param {String|ObjectId} serverId - Server ID
+ * @param {Date} date - Instant
+ * @returns {Promise<Object|null>} { window, start, end } or null outside maintenance
+ */
+export const getActiveMaintenance = async (serverId, date = new Date()) => {
+    const windows = await findCandidateWindows([serverId], date);
+
+    for (const window of windows) {
+        const occurrence = getActiveOccurrence(window, date);
+        if (occurrence) return { window, ...occurrence };
+    }
+
+    return null;
+};
+
+/**
+ * Check whether a server is in maintenance
+ * @param {String|ObjectId} serverId - Server ID
+ * @param {Date} date - Instant
+ * @returns {Promise<Boolean>}
+ */
+export const isInMaintenance = async (serverId, date = new Date()) => {
+    return Boolean(await getActiveMaintenance(serverId, date));
+};
+
+/**
+ * Get the active and upcoming windows of servers that are shown on status pages
+ * @param {Array} serverIds - Server IDs
+ * @param {Number} days - How far ahead to look
+ * @returns {Promise<Array>} [{ window, start, end, active }] sorted by start
+ */
+export const getAnnouncedMaintenance = async (serverIds, days = 7) => {
+    const now = new Date();
+    const horizon = new Date(now.getTime() + days * 24 * 60 * 60 * 1000);
+
+    const windows = await MaintenanceWindow.find({
+        servers: { $in: serverIds },
+        showOnStatusPage: true,
+        startsAt: { $lte: horizon },
+        $or: [{ endsAt: null }, { endsAt: { $gt: now } }]
+    }).lean();
+
+    return windows
+        .map(window => ({ window, occurrence: getNextOccurrence(window, now) }))
+        .filter(({ occurrence }) => occurrence && occurrence.start <= horizon)
+        .map(({ window, occurrence }) => ({
+            window,
+            ...occurrence,
+            active: occurrence.start <= now
+        }))
+        .sort((a, b) => a.start - b.start);
+};
+
+export default {
+    getActiveOccurrence,
+    getNextOccurrence,
+    getActiveMaintenance,
+    isInMaintenance,
+    getAnnouncedMaintenance
+};
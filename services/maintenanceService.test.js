@@ -0,0 +1,91 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import MaintenanceWindow from '../models/MaintenanceWindow.js';
+import { getActiveOccurrence, getNextOccurrence, getActiveMaintenance, getAnnouncedMaintenance } from './maintenanceService.js';
+
+// Sundays 02:00 to 04:00 in Berlin, from March 2026
+const weekly = {
+    startsAt: new Date('2026-03-01T00:00:00Z'),
+    endsAt: null,
+    recurrence: { cron: '0 2 * * 0', duration: 120, timezone: 'Europe/Berlin' }
+};
+
+const oneOff = {
+    startsAt: new Date('2026-03-10T22:00:00Z'),
+    endsAt: new Date('2026-03-11T01:00:00Z')
+};
+
+describe('getActiveOccurrence', () => {
+    it('covers one-off windows from start to end', () => {
+        assert.deepEqual(getActiveOccurrence(oneOff, new Date('2026-03-10T23:00:00Z')), { start: oneOff.startsAt, end: oneOff.endsAt });
+        assert.equal(getActiveOccurrence(oneOff, new Date('2026-03-11T01:00:00Z')), null);
+    });
+
+    it('covers each occurrence of recurring windows in their timezone', () => {
+        // 02:30 CET on Sunday 2026-03-08
+        assert.deepEqual(getActiveOccurrence(weekly, new Date('2026-03-08T01:30:00Z')), {
+            start: new Date('2026-03-08T01:00:00Z'),
+            end: new Date('2026-03-08T03:00:00Z')
+        });
+        assert.equal(getActiveOccurrence(weekly, new Date('2026-03-08T03:00:00Z')), null);
+        assert.equal(getActiveOccurrence(weekly, new Date('2026-03-11T01:30:00Z')), null);
+    });
+
+    it('ignores occurrences before the window starts or after it ends', () => {
+        assert.equal(getActiveOccurrence({ ...weekly, startsAt: new Date('2026-03-08T02:00:00Z') }, new Date('2026-03-08T02:30:00Z')), null);
+        assert.equal(getActiveOccurrence({ ...weekly, endsAt: new Date('2026-03-05T00:00:00Z') }, new Date('2026-03-08T01:30:00Z')), null);
+    });
+});
+
+describe('getNextOccurrence', () => {
+    it('returns the running or the next occurrence', () => {
+        assert.deepEqual(getNextOccurrence(weekly, new Date('2026-03-08T01:30:00Z')).start, new Date('2026-03-08T01:00:00Z'));
+        assert.deepEqual(getNextOccurrence(weekly, new Date('2026-03-10T00:00:00Z')), {
+            start: new Date('2026-03-15T01:00:00Z'),
+            end: new Date('2026-03-15T03:00:00Z')
+        });
+    });
+
+    it('follows daylight saving time', () => {
+        assert.deepEqual(getNextOccurrence(weekly, new Date('2026-04-01T00:00:00Z')).start, new Date('2026-04-05T00:00:00Z'));
+    });
+
+    it('ends with the window', () => {
+        assert.deepEqual(getNextOccurrence(oneOff, new Date('2026-03-01T00:00:00Z')).start, oneOff.startsAt);
+        assert.equal(getNextOccurrence(oneOff, new Date('2026-03-12T00:00:00Z')), null);
+        assert.equal(getNextOccurrence({ ...weekly, endsAt: new Date('2026-03-14T00:00:00Z') }, new Date('2026-03-10T00:00:00Z')), null);
+    });
+});
+
+describe('maintenance lookups', () => {
+    let windows;
+
+    beforeEach(() => {
+        windows = [];
+        mock.method(MaintenanceWindow, 'find', () => ({ lean: async () => windows }));
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    it('finds the window a server is in', async () => {
+        windows = [oneOff, weekly];
+
+        const active = await getActiveMaintenance('server-1', new Date('2026-03-08T01:30:00Z'));
+
+        assert.equal(active.window, weekly);
+        assert.deepEqual(active.start, new Date('2026-03-08T01:00:00Z'));
+        assert.equal(await getActiveMaintenance('server-1', new Date('2026-03-09T12:00:00Z')), null);
+    });
+
+    it('announces active and upcoming windows in order', async () => {
+        const now = Date.now();
+        const soon = { _id: 'soon', startsAt: new Date(now + 60 * 60 * 1000), endsAt: new Date(now + 2 * 60 * 60 * 1000) };
+        const running = { _id: 'running', startsAt: new Date(now - 60 * 1000), endsAt: new Date(now + 60 * 1000) };
+        const later = { _id: 'later', startsAt: new Date(now + 30 * 24 * 60 * 60 * 1000), endsAt: new Date(now + 31 * 24 * 60 * 60 * 1000) };
+        windows = [soon, later, running];
+
+        const announced = await getAnnouncedMaintenance(['server-1']);
+
+        assert.deepEqual(announced.map(({ window, active }) => [window._id, active]), [['running', true], ['soon', false]]);
+    });
+});
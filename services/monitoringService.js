@@ -1,13 +1,29 @@
 // services/monitoringService.js - Optimized with Connection Pooling & Browser Headers
 import axios from 'axios';
 import net from 'net';
+import dgram from 'dgram';
+import dns from 'dns';
+import tls from 'tls';
 import http from 'http';
 import https from 'https';
+import followRedirects from 'follow-redirects';
+import { performance } from 'perf_hooks';
+import mongoose from 'mongoose';
 import logger from '../utils/logger.js';
+import { queryJsonPath, jsonValueEquals } from '../utils/jsonPath.js';
+import { decryptSecret } from '../utils/encryption.js';
+import { checkDatabaseServer } from './databaseCheckService.js';
+import { runTransaction } from './transactionService.js';
 
 // HTTP timeout in milliseconds (10 seconds)
 const HTTP_TIMEOUT = 10000;
 
+// How long a UDP probe waits for an ICMP port unreachable (2 seconds)
+const UDP_UNREACHABLE_WAIT = 2000;
+
+// Largest response body downloaded for body assertions (1MB)
+const MAX_ASSERTION_BODY_SIZE = 1024 * 1024;
+
 // Connection pools for efficiency and reuse
 const httpAgent = new http.Agent({
     keepAlive: true,
@@ -22,15 +38,68 @@ const httpsAgent = new https.Agent({
     rejectUnauthorized: false
 });
 
+// Maximum redirects followed by http checks
+const MAX_REDIRECTS = 5;
+
 // Create configured axios instance
 const monitoringAxios = axios.create({
     timeout: HTTP_TIMEOUT,
     httpAgent,
     httpsAgent,
-    maxRedirects: 5,
+    maxRedirects: MAX_REDIRECTS,
     validateStatus: false
 });
 
+/**
+ * Create an axios transport that records timing marks of a request
+ * Marks are reset for every redirect hop, so they describe the final request
+ * @param {Object} marks - Object receiving performance.now() marks
+ * @returns {Object} Transport with a follow-redirects compatible request()
+ */
+const createTimingTransport = (marks) => ({
+    request: (options, callback) => {
+        const transport = options.protocol === 'https:' ? followRedirects.https : followRedirects.http;
+
+        const req = transport.request({ ...options, maxRedirects: MAX_REDIRECTS }, (res) => {
+            marks.firstByte = performance.now();
+            res.once('end', () => { marks.end = performance.now(); });
+            callback(res);
+        });
+
+        req.on('socket', (socket) => {
+            for (const key of Object.keys(marks)) delete marks[key];
+            marks.start = performance.now();
+
+            // Reused keep-alive sockets skip DNS, connect and TLS
+            if (!socket.connecting) return;
+
+            socket.once('lookup', () => { marks.lookup = performance.now(); });
+            socket.once('connect', () => { marks.connect = performance.now(); });
+            socket.once('secureConnect', () => { marks.secureConnect = performance.now(); });
+        });
+
+        return req;
+    }
+});
+
+/**
+ * Turn timing marks into phase durations
+ * @param {Object} marks - Marks recorded by createTimingTransport
+ * @returns {Object} { dns, connect, tls, ttfb, transfer } in ms (null when the phase was not reached)
+ */
+const computeTimingPhases = (marks) => {
+    const connectStart = marks.lookup ?? marks.start;
+    const requestSent = marks.secureConnect ?? marks.connect ?? marks.start;
+
+    return {
+        dns: marks.lookup ? Math.round(marks.lookup - marks.start) : 0,
+        connect: marks.connect ? Math.round(marks.connect - connectStart) : (marks.firstByte ? 0 : null),
+        tls: marks.secureConnect && marks.connect ? Math.round(marks.secureConnect - marks.connect) : (marks.firstByte ? 0 : null),
+        ttfb: marks.firstByte ? Math.round(marks.firstByte - requestSent) : null,
+        transfer: marks.end && marks.firstByte ? Math.round(marks.end - marks.firstByte) : null
+    };
+};
+
 // More realistic browser user agents
 const USER_AGENTS = [
     'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/122.0.0.0 Safari/537.36',
@@ -38,6 +107,9 @@ const USER_AGENTS = [
     'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:123.0) Gecko/20100101 Firefox/123.0'
 ];
 
+// User agent sent when browser impersonation is turned off
+const MONITOR_USER_AGENT = 'PingPilott-Monitor/1.0';
+
 // Get random user agent
 const getRandomUserAgent = () => {
     return USER_AGENTS[Math.floor(Math.random() * USER_AGENTS.length)];
@@ -53,6 +125,8 @@ export const checkServerStatus = async (server) => {
     let status = 'unknown';
     let responseTime = null;
     let error = null;
+    let measuredTime = null;
+    const details = {};
 
     // Get response threshold from server settings or default to 1000ms
     const responseThreshold = server.monitoring?.alerts?.responseThreshold || 1000;
@@ -64,25 +138,98 @@ export const checkServerStatus = async (server) => {
         if (server.type === 'tcp') {
             // For TCP servers, use socket connection
             try {
-                await checkTcpServer(server.url);
+                await checkTcpServer(server.url, server.monitoring?.socket);
                 status = 'up';
             } catch (err) {
                 status = 'down';
                 error = err.message;
             }
-        } else {
-            // For HTTP/HTTPS resources, use axios with browser headers
+        } else if (server.type === 'udp') {
+            // For UDP services, send a probe datagram
+            try {
+                // The ICMP wait is not part of the response time
+                measuredTime = await checkUdpServer(server.url, server.monitoring?.socket);
+                status = 'up';
+            } catch (err) {
+                status = 'down';
+                error = err.message;
+            }
+        } else if (server.type === 'database') {
+            // For databases, connect with the native driver and optionally run a ping query
+            const database = server.monitoring?.database || {};
             try {
-                await checkHttpServer(server.url);
+                details.timings = await checkDatabaseServer(
+                    decryptSecret(database.connectionString) || server.url,
+                    database
+                );
                 status = 'up';
+            } catch (err) {
+                status = 'down';
+                error = err.message;
+                if (err.timings) details.timings = err.timings;
+            }
+        } else if (server.type === 'heartbeat') {
+            // Heartbeats are pushed by the monitored job, only verify the last ping is on time
+            try {
+                status = checkHeartbeatServer(server);
             } catch (err) {
                 status = 'down';
                 error = err.message;
             }
+        } else if (server.type === 'transaction') {
+            // For transactions, run the steps in order and report the step that broke
+            try {
+                details.steps = await runTransaction(server.monitoring?.steps, server.url);
+                status = 'up';
+            } catch (err) {
+                status = 'down';
+                error = err.message;
+                if (err.steps) details.steps = err.steps;
+            }
+        } else if (server.type === 'dns') {
+            // For DNS monitors, resolve the configured record
+            try {
+                details.dnsAnswers = await checkDnsServer(server.url, server.monitoring?.dns);
+                status = 'up';
+            } catch (err) {
+                status = 'down';
+                error = err.message;
+                if (err.answers) details.dnsAnswers = err.answers;
+            }
+        } else {
+            // For HTTP/HTTPS resources, use axios with browser headers
+            // and inspect the TLS certificate alongside the request
+            const [httpResult, certificate] = await Promise.all([
+                checkHttpServer(server.url, {
+                    assertions: server.monitoring?.assertions,
+                    request: server.monitoring?.request
+                }).then(response => ({ response }), err => ({ error: err })),
+                isHttpsTarget(server.url) ? checkCertificate(server.url).catch(() => null) : null
+            ]);
+
+            if (httpResult.error) {
+                status = 'down';
+                error = httpResult.error.message;
+            } else {
+                status = 'up';
+            }
+
+            const timings = httpResult.response?.timings || httpResult.error?.timings;
+            if (timings) details.timings = timings;
+
+            if (certificate) {
+                details.certificate = certificate;
+
+                const verify = server.monitoring?.ssl?.verifyCertificate !== false;
+                if (status === 'up' && verify && !certificate.authorized) {
+                    status = 'down';
+                    error = `Certificate error: ${certificate.authorizationError || 'untrusted certificate'}`;
+                }
+            }
         }
 
         // Calculate response time
-        responseTime = Date.now() - startTime;
+        responseTime = measuredTime ?? Date.now() - startTime;
 
         // Check if response is slow
         if (status === 'up' && responseTime > responseThreshold) {
@@ -94,7 +241,8 @@ export const checkServerStatus = async (server) => {
         return {
             status,
             responseTime,
-            error
+            error,
+            ...details
         };
     } catch (err) {
         responseTime = Date.now() - startTime;
@@ -108,31 +256,93 @@ export const checkServerStatus = async (server) => {
     }
 };
 
+/**
+ * Parse a host:port address, including bracketed IPv6 literals ([::1]:5432)
+ * A bare IPv6 literal (2001:db8::1) is treated as a host without a port
+ * @param {String} address - Address with optional scheme (tcp://, udp://)
+ * @param {Number} defaultPort - Port used when the address has none
+ * @returns {Object} { host, port }
+ */
+export const parseHostPort = (address, defaultPort = null) => {
+    let value = String(address || '').trim()
+        .replace(/^[a-z][a-z0-9+.-]*:\/\//i, '') // Strip scheme
+        .replace(/\/.*$/, ''); // Strip path
+
+    let host = value;
+    let port = defaultPort;
+
+    const bracketed = /^\[([^\]]+)\](?::(\d+))?$/.exec(value);
+    if (bracketed) {
+        host = bracketed[1];
+        if (bracketed[2]) port = parseInt(bracketed[2], 10);
+    } else if (net.isIPv6(value)) {
+        host = value;
+    } else if (value.includes(':')) {
+        const separator = value.lastIndexOf(':');
+        host = value.slice(0, separator);
+        port = parseInt(value.slice(separator + 1), 10);
+    }
+
+    if (!host || (net.isIP(host) === 0 && host.includes(':'))) {
+        throw new Error('Invalid address format (expected host:port or [ipv6]:port)');
+    }
+    if (!Number.isInteger(port) || port < 1 || port > 65535) {
+        throw new Error('Invalid or missing port (expected host:port)');
+    }
+
+    return { host, port };
+};
+
+/**
+ * Decode a configured socket payload
+ * @param {String} value - Payload text
+ * @param {String} encoding - 'text' or 'hex'
+ * @returns {Buffer}
+ */
+const decodeSocketPayload = (value, encoding = 'text') => {
+    return encoding === 'hex'
+        ? Buffer.from(value.replace(/\s+/g, ''), 'hex')
+        : Buffer.from(value, 'utf8');
+};
+
+/**
+ * Check whether received data contains the expected value
+ * @param {Buffer} data - Data received from the server
+ * @param {Object} options - Socket settings (expect, encoding)
+ * @returns {Boolean}
+ */
+const socketDataMatches = (data, options) => {
+    return data.includes(decodeSocketPayload(options.expect, options.encoding));
+};
+
+/**
+ * Format received data for error messages
+ * @param {Buffer} data - Data received from the server
+ * @returns {String}
+ */
+const formatSocketData = (data) => {
+    const text = data.toString('utf8').replace(/[\r\n]+/g, ' ').trim();
+    return text.length > 100 ? `${text.slice(0, 100)}...` : text;
+};
+
 /**
  * Check a TCP server
- * @param {String} url - TCP server address (host:port)
- * @returns {Promise} Resolves if connection succeeds, rejects if it fails
+ * @param {String} url - TCP server address (host:port or [ipv6]:port)
+ * @param {Object} options - Socket settings
+ * @param {String} options.send - Data written after connecting
+ * @param {String} options.expect - Data the server must send back (e.g. an SSH or SMTP banner)
+ * @param {String} options.encoding - Encoding of send/expect ('text' or 'hex')
+ * @returns {Promise} Resolves if connection (and banner) succeeds, rejects if it fails
  */
-export const checkTcpServer = (url) => {
+export const checkTcpServer = (url, options = {}) => {
     return new Promise((resolve, reject) => {
         try {
             // Parse host and port from URL
-            let host, port;
-
-            if (url.includes(':')) {
-                [host, port] = url.split(':');
-                port = parseInt(port, 10);
-            } else {
-                host = url;
-                port = 80; // Default to HTTP port
-            }
-
-            if (!host) {
-                return reject(new Error('Invalid TCP address format (expected host:port)'));
-            }
+            const { host, port } = parseHostPort(url, 80); // Default to HTTP port
 
             const socket = new net.Socket();
             let resolved = false;
+            let received = Buffer.alloc(0);
 
             // Set timeout
             socket.setTimeout(HTTP_TIMEOUT);
@@ -144,22 +354,49 @@ export const checkTcpServer = (url) => {
                 }
             };
 
-            socket.on('connect', () => {
+            const finish = (err) => {
                 cleanup();
                 resolved = true;
-                resolve();
+                err ? reject(err) : resolve();
+            };
+
+            socket.on('connect', () => {
+                if (!options.send && !options.expect) {
+                    return finish();
+                }
+
+                const payload = options.send ? decodeSocketPayload(options.send, options.encoding) : null;
+
+                if (!options.expect) {
+                    // Nothing to wait for once the data is written
+                    socket.write(payload, () => finish());
+                } else if (payload) {
+                    socket.write(payload);
+                }
+            });
+
+            socket.on('data', (data) => {
+                received = Buffer.concat([received, data]).subarray(-4096);
+
+                if (options.expect && socketDataMatches(received, options)) {
+                    finish();
+                }
+            });
+
+            socket.on('end', () => {
+                finish(new Error(received.length
+                    ? `Unexpected response: ${formatSocketData(received)}`
+                    : 'Connection closed before expected response'));
             });
 
             socket.on('timeout', () => {
-                cleanup();
-                resolved = true;
-                reject(new Error('Connection timeout'));
+                finish(new Error(received.length
+                    ? `Unexpected response: ${formatSocketData(received)}`
+                    : 'Connection timeout'));
             });
 
             socket.on('error', (err) => {
-                cleanup();
-                resolved = true;
-                reject(err);
+                finish(err);
             });
 
             // Attempt connection
@@ -171,12 +408,336 @@ export const checkTcpServer = (url) => {
     });
 };
 
+/**
+ * Check a UDP service
+ * UDP is connectionless: without an expected reply the port counts as up
+ * unless an ICMP port unreachable comes back within the wait period
+ * @param {String} url - UDP server address (host:port or [ipv6]:port)
+ * @param {Object} options - Socket settings
+ * @param {String} options.send - Probe payload (defaults to an empty datagram)
+ * @param {String} options.expect - Data the reply must contain
+ * @param {Boolean} options.expectReply - Require a reply even without an expected value
+ * @param {String} options.encoding - Encoding of send/expect ('text' or 'hex')
+ * @returns {Promise<Number>} Resolves with the reply time (or send time without a reply) in ms, rejects if the probe fails
+ */
+export const checkUdpServer = async (url, options = {}) => {
+    const { host, port } = parseHostPort(url);
+    const { address, family } = await dns.promises.lookup(host);
+    const waitForReply = !!(options.expectReply || options.expect);
+
+    return new Promise((resolve, reject) => {
+        const socket = dgram.createSocket(family === 6 ? 'udp6' : 'udp4');
+        const startTime = Date.now();
+        let elapsed = null;
+        let settled = false;
+
+        const finish = (err) => {
+            if (settled) return;
+            settled = true;
+            clearTimeout(timer);
+            socket.close();
+            err ? reject(err) : resolve(elapsed ?? Date.now() - startTime);
+        };
+
+        const timer = setTimeout(() => {
+            if (waitForReply) {
+                finish(new Error('No UDP reply received'));
+            } else {
+                finish();
+            }
+        }, waitForReply ? HTTP_TIMEOUT : UDP_UNREACHABLE_WAIT);
+
+        socket.on('message', (data) => {
+            if (!options.expect || socketDataMatches(data, options)) {
+                finish();
+            } else {
+                finish(new Error(`Unexpected response: ${formatSocketData(data)}`));
+            }
+        });
+
+        socket.on('error', (err) => {
+            finish(err.code === 'ECONNREFUSED' ? new Error('UDP port unreachable') : err);
+        });
+
+        // Connected sockets receive ICMP port unreachable as ECONNREFUSED
+        socket.connect(port, address, () => {
+            const payload = options.send
+                ? decodeSocketPayload(options.send, options.encoding)
+                : Buffer.alloc(0);
+
+            socket.send(payload, (err) => {
+                if (err) return finish(err);
+                if (!waitForReply) elapsed = Date.now() - startTime;
+            });
+        });
+    });
+};
+
+/**
+ * Get the time by which the next heartbeat ping must arrive
+ * @param {Object} server - Server with heartbeat state, monitoring.heartbeat settings and createdAt
+ * @returns {Date} Deadline (interval plus grace period after the last ping or creation)
+ */
+export const getHeartbeatDeadline = (server) => {
+    const interval = server.monitoring?.heartbeat?.interval ?? 60;
+    const grace = server.monitoring?.heartbeat?.grace ?? 5;
+    const since = server.heartbeat?.lastPingAt || server.createdAt || Date.now();
+
+    return new Date(new Date(since).getTime() + (interval + grace) * 60000);
+};
+
+/**
+ * Evaluate a heartbeat monitor from its last ping
+ * @param {Object} server - Server with heartbeat state, monitoring.heartbeat settings and createdAt
+ * @returns {String} 'up', or 'unknown' while waiting for the first ping; throws if a ping is overdue or the job failed
+ */
+export const checkHeartbeatServer = (server) => {
+    const lastPingAt = server.heartbeat?.lastPingAt;
+
+    if (Date.now() > getHeartbeatDeadline(server).getTime()) {
+        throw new Error(lastPingAt
+            ? `No heartbeat received since ${new Date(lastPingAt).toISOString()}`
+            : 'No heartbeat received yet');
+    }
+
+    const exitCode = server.heartbeat?.lastExitCode;
+    if (exitCode !== null && exitCode !== undefined && exitCode !== 0) {
+        throw new Error(`Job exited with code ${exitCode}`);
+    }
+
+    return lastPingAt ? 'up' : 'unknown';
+};
+
+/**
+ * Resolve a DNS record and compare it against the expected value
+ * @param {String} url - Hostname to resolve (protocol and path are ignored)
+ * @param {Object} options - DNS settings (recordType, resolver, expectedValue)
+ * @returns {Promise<Array>} Resolved answers, rejects if resolution fails or does not match
+ */
+export const checkDnsServer = async (url, options = {}) => {
+    const hostname = extractHostname(url);
+    const recordType = options?.recordType || 'A';
+
+    if (!hostname) {
+        throw new Error('DNS resolution failed: invalid hostname');
+    }
+
+    const resolver = new dns.promises.Resolver({ timeout: HTTP_TIMEOUT, tries: 2 });
+    if (options?.resolver) {
+        resolver.setServers([options.resolver]);
+    }
+
+    let answers;
+    try {
+        switch (recordType) {
+            case 'AAAA':
+                answers = await resolver.resolve6(hostname);
+                break;
+            case 'CNAME':
+                answers = await resolver.resolveCname(hostname);
+                break;
+            case 'MX':
+                answers = (await resolver.resolveMx(hostname))
+                    .sort((a, b) => a.priority - b.priority)
+                    .map(record => `${record.priority} ${record.exchange}`);
+                break;
+            case 'TXT':
+                answers = (await resolver.resolveTxt(hostname)).map(chunks => chunks.join(''));
+                break;
+            case 'A':
+            default:
+                answers = await resolver.resolve4(hostname);
+        }
+    } catch (err) {
+        throw new Error(`DNS resolution failed: ${recordType} ${hostname} (${err.code || err.message})`);
+    }
+
+    if (!answers.length) {
+        throw new Error(`DNS resolution failed: no ${recordType} records for ${hostname}`);
+    }
+
+    const expected = options?.expectedValue?.trim();
+    if (expected) {
+        const normalize = (value) => String(value).trim().toLowerCase().replace(/\.$/, '');
+        const target = normalize(expected);
+
+        // MX answers match on either "priority exchange" or the exchange alone
+        const matched = answers.some(answer =>
+            normalize(answer) === target ||
+            (recordType === 'MX' && normalize(answer.split(' ').slice(1).join(' ')) === target)
+        );
+
+        if (!matched) {
+            const mismatch = new Error(`DNS answer mismatch: expected ${expected}, got ${answers.join(', ')}`);
+            mismatch.answers = answers;
+            throw mismatch;
+        }
+    }
+
+    return answers;
+};
+
+/**
+ * Inspect the TLS certificate presented by an HTTPS endpoint
+ * @param {String} url - HTTPS URL or hostname
+ * @returns {Promise<Object>} Certificate details and chain validation result
+ */
+export const checkCertificate = (url) => {
+    return new Promise((resolve, reject) => {
+        let target;
+        try {
+            target = new URL(/^[a-z]+:\/\//i.test(url) ? url : `https://${url}`);
+        } catch (err) {
+            return reject(new Error(`Invalid URL: ${url}`));
+        }
+
+        const host = target.hostname.replace(/^\[|\]$/g, '');
+        const port = parseInt(target.port, 10) || 443;
+
+        // Chain problems are read from authorizationError instead of aborting the handshake
+        const socket = tls.connect({
+            host,
+            port,
+            servername: net.isIP(host) ? undefined : host,
+            rejectUnauthorized: false,
+            timeout: HTTP_TIMEOUT
+        });
+
+        socket.once('secureConnect', () => {
+            const cert = socket.getPeerCertificate();
+            const authorized = socket.authorized;
+            const authorizationError = socket.authorizationError ? String(socket.authorizationError) : null;
+            socket.end();
+
+            if (!cert || !Object.keys(cert).length) {
+                return reject(new Error('No certificate presented'));
+            }
+
+            const validTo = new Date(cert.valid_to);
+            resolve({
+                issuer: formatCertificateName(cert.issuer),
+                subject: formatCertificateName(cert.subject),
+                subjectAltNames: (cert.subjectaltname || '')
+                    .split(',')
+                    .map(name => name.trim().replace(/^(DNS|IP Address):/, ''))
+                    .filter(Boolean),
+                validFrom: new Date(cert.valid_from),
+                validTo,
+                daysRemaining: Math.floor((validTo.getTime() - Date.now()) / (24 * 60 * 60 * 1000)),
+                authorized,
+                authorizationError
+            });
+        });
+
+        socket.once('timeout', () => {
+            socket.destroy();
+            reject(new Error('TLS handshake timeout'));
+        });
+
+        socket.once('error', (err) => {
+            socket.destroy();
+            reject(err);
+        });
+    });
+};
+
+/**
+ * Get the expiry alert threshold a certificate currently falls under
+ * @param {Object} certificate - Certificate details from checkCertificate
+ * @param {Array} expiryAlertDays - Configured thresholds in days
+ * @returns {Number|null} Smallest matching threshold, or null if none applies
+ */
+export const getCertificateAlertThreshold = (certificate, expiryAlertDays = [30, 14, 7, 1]) => {
+    if (certificate?.daysRemaining === undefined || certificate?.daysRemaining === null) return null;
+
+    const matching = expiryAlertDays.filter(days => certificate.daysRemaining <= days);
+    return matching.length ? Math.min(...matching) : null;
+};
+
+/**
+ * Format a certificate issuer/subject object as a readable string
+ */
+const formatCertificateName = (name = {}) => {
+    return ['CN', 'O', 'OU', 'C']
+        .filter(key => name[key])
+        .map(key => `${key}=${Array.isArray(name[key]) ? name[key].join('+') : name[key]}`)
+        .join(', ');
+};
+
+/**
+ * Whether a monitor URL is checked over HTTPS (missing protocols default to HTTPS)
+ */
+const isHttpsTarget = (url) => {
+    return !!url && !url.startsWith('http://');
+};
+
+/**
+ * Extract the bare hostname from a monitor URL
+ * @param {String} url - URL or hostname, optionally with protocol, port and path
+ * @returns {String|null} Hostname
+ */
+const extractHostname = (url) => {
+    if (!url) return null;
+
+    const withoutProtocol = url.trim().replace(/^[a-z]+:\/\//i, '');
+    const host = withoutProtocol.split(/[/?#]/)[0];
+
+    // Strip the port, leaving bare IPv6 literals intact
+    if (host.startsWith('[')) {
+        return host.slice(1, host.indexOf(']')) || null;
+    }
+    if ((host.match(/:/g) || []).length === 1) {
+        return host.split(':')[0] || null;
+    }
+
+    return host || null;
+};
+
+/**
+ * Build the ServerCheck document for a check result
+ * @param {String|ObjectId} serverId - Server ID
+ * @param {Object} checkResult - Result from checkServerStatus, maintenance is set during maintenance windows
+ * @param {String} checkType - automated, manual or batch
+ * @param {Date} timestamp - Time of the check
+ * @returns {Object} ServerCheck document
+ */
+export const buildCheckRecord = (serverId, checkResult, checkType = 'automated', timestamp = new Date()) => {
+    const record = {
+        serverId: new mongoose.Types.ObjectId(String(serverId)),
+        status: checkResult.status,
+        responseTime: checkResult.responseTime,
+        error: checkResult.error,
+        timestamp,
+        checkType
+    };
+
+    if (checkResult.dnsAnswers) record.dnsAnswers = checkResult.dnsAnswers;
+    if (checkResult.certificate) record.certificate = checkResult.certificate;
+    if (checkResult.timings) record.timings = checkResult.timings;
+    if (checkResult.heartbeat) record.heartbeat = checkResult.heartbeat;
+    if (checkResult.steps) record.steps = checkResult.steps;
+    if (checkResult.regions) record.regions = checkResult.regions;
+    if (checkResult.maintenance) record.maintenance = true;
+
+    return record;
+};
+
 /**
  * Check an HTTP/HTTPS server with browser-like headers
  * @param {String} url - HTTP server URL
- * @returns {Promise} Resolves if connection succeeds, rejects if it fails
+ * @param {Object} options - Check options
+ * @param {Object} options.assertions - Response assertions (statusCodes, bodyContains, bodyNotContains, jsonPath)
+ * @param {Object} options.request - Custom request settings (method, headers, body, auth, browserImpersonation)
+ * @param {Boolean} options.readBody - Download the full response body even without body assertions
+ * @returns {Promise} Resolves with the response if the check passes, rejects if it fails
  */
-export const checkHttpServer = async (url) => {
+export const checkHttpServer = async (url, options = {}) => {
+    const assertions = options.assertions;
+    const allowedStatusCodes = assertions?.statusCodes?.length ? assertions.statusCodes : null;
+
+    // Timing marks of the latest attempt, HEAD->GET fallbacks are not part of the breakdown
+    let marks = null;
+
     try {
         // Add protocol if missing
         let targetUrl = url;
@@ -184,44 +745,60 @@ export const checkHttpServer = async (url) => {
             targetUrl = `https://${targetUrl}`;
         }
 
+        const request = options.request || {};
+        const headers = buildRequestHeaders(request);
+
+        const withTimings = (config) => {
+            marks = {};
+            return { ...config, transport: createTimingTransport(marks) };
+        };
+        const readBody = options.readBody || hasBodyAssertions(assertions);
+        // Body assertions and variable extraction need the full payload, plain checks only the first 10KB
+        const maxContentLength = readBody ? MAX_ASSERTION_BODY_SIZE : 1024 * 10;
+
         // Try multiple strategies to avoid bot detection
-        const strategies = [
+        const headStrategy = async () => {
             // Strategy 1: HEAD request with browser headers (Optimized)
-            async () => {
-                const response = await monitoringAxios.head(targetUrl, {
-                    headers: {
-                        'User-Agent': getRandomUserAgent(),
-                        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
-                        'Accept-Language': 'en-US,en;q=0.5',
-                        'Accept-Encoding': 'gzip, deflate, br',
-                        'DNT': '1',
-                        'Connection': 'keep-alive',
-                        'Upgrade-Insecure-Requests': '1',
-                        'Cache-Control': 'max-age=0'
-                    }
-                });
-                return response;
-            },
+            const response = await monitoringAxios.head(targetUrl, withTimings({ headers }));
+            return response;
+        };
 
+        const getStrategy = async () => {
             // Strategy 2: GET request with browser headers (fallback for HEAD failures)
-            async () => {
-                const response = await monitoringAxios.get(targetUrl, {
-                    headers: {
-                        'User-Agent': getRandomUserAgent(),
-                        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
-                        'Accept-Language': 'en-US,en;q=0.5',
-                        'Accept-Encoding': 'gzip, deflate, br',
-                        'DNT': '1',
-                        'Connection': 'keep-alive',
-                        'Upgrade-Insecure-Requests': '1',
-                        'Cache-Control': 'max-age=0'
-                    },
-                    maxContentLength: 1024 * 10, // Limit to 10KB
-                    transformResponse: [(data) => data] // Don't parse response
-                });
-                return response;
-            }
-        ];
+            const response = await monitoringAxios.get(targetUrl, withTimings({
+                headers,
+                maxContentLength,
+                transformResponse: [(data) => data] // Don't parse response
+            }));
+            return response;
+        };
+
+        // Configured requests (method, body or no impersonation) are sent exactly once as specified
+        const customStrategy = async () => {
+            const method = request.method || 'GET';
+            const response = await monitoringAxios.request(withTimings({
+                url: targetUrl,
+                method,
+                headers: {
+                    ...(request.body && { 'Content-Type': request.contentType || 'application/json' }),
+                    ...headers
+                },
+                ...(request.body && !['GET', 'HEAD'].includes(method) && { data: request.body }),
+                maxContentLength,
+                transformResponse: [(data) => data]
+            }));
+            return response;
+        };
+
+        let strategies;
+        if (isCustomRequest(request)) {
+            strategies = [customStrategy];
+        } else if (readBody) {
+            // Body assertions cannot be evaluated on a HEAD response
+            strategies = [getStrategy];
+        } else {
+            strategies = [headStrategy, getStrategy];
+        }
 
         let lastError;
 
@@ -229,10 +806,28 @@ export const checkHttpServer = async (url) => {
         for (const strategy of strategies) {
             try {
                 const response = await strategy();
+                response.timings = computeTimingPhases(marks);
+                const isLastStrategy = strategies.indexOf(strategy) === strategies.length - 1;
+
+                // Explicit status code assertions replace the default 2xx/3xx rule
+                if (allowedStatusCodes) {
+                    if (allowedStatusCodes.includes(response.status)) {
+                        assertResponseBody(response, assertions);
+                        return response;
+                    }
+
+                    // HEAD may be rejected where GET is allowed
+                    if (!isLastStrategy && [403, 405].includes(response.status)) {
+                        continue;
+                    }
+
+                    throw createAssertionError(`status code ${response.status} not in [${allowedStatusCodes.join(', ')}]`);
+                }
 
                 // Consider 2xx and 3xx responses as up
                 if (response.status >= 200 && response.status < 400) {
-                    return true;
+                    assertResponseBody(response, assertions);
+                    return response;
                 }
 
                 // For 403, try the next strategy
@@ -245,6 +840,11 @@ export const checkHttpServer = async (url) => {
                 throw new Error(`HTTP ${response.status}: ${response.statusText || 'Error'}`);
 
             } catch (error) {
+                // Failed assertions are final, no other strategy can fix them
+                if (error.isAssertion) {
+                    throw error;
+                }
+
                 lastError = error;
 
                 // If it's a 405 Method Not Allowed on HEAD, try GET
@@ -268,12 +868,135 @@ export const checkHttpServer = async (url) => {
         throw lastError || new Error('All connection strategies failed');
 
     } catch (error) {
-        if (error.response) {
-            throw new Error(`HTTP ${error.response.status}: ${error.response.statusText || 'Error'}`);
+        let checkError;
+        if (error.isAssertion) {
+            checkError = error;
+        } else if (error.response) {
+            checkError = new Error(`HTTP ${error.response.status}: ${error.response.statusText || 'Error'}`);
         } else if (error.request) {
-            throw new Error(`No response received: ${error.message}`);
+            checkError = new Error(`No response received: ${error.message}`);
         } else {
-            throw new Error(`Request error: ${error.message}`);
+            checkError = new Error(`Request error: ${error.message}`);
+        }
+
+        // Keep the phases reached before the failure
+        if (marks?.start) {
+            checkError.timings = computeTimingPhases(marks);
+        }
+        throw checkError;
+    }
+};
+
+/**
+ * Whether a request config must be sent as-is instead of using the HEAD/GET strategies
+ * @param {Object} request - Custom request settings
+ * @returns {Boolean}
+ */
+const isCustomRequest = (request = {}) => {
+    return !!(request.method || request.body || request.browserImpersonation === false);
+};
+
+/**
+ * Build request headers from browser defaults, custom headers and auth settings
+ * Secret header values and credentials are decrypted here, right before sending
+ * @param {Object} request - Custom request settings
+ * @returns {Object} Headers
+ */
+const buildRequestHeaders = (request = {}) => {
+    const headers = request.browserImpersonation === false
+        ? { 'User-Agent': MONITOR_USER_AGENT, 'Accept': '*/*' }
+        : {
+            'User-Agent': getRandomUserAgent(),
+            'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
+            'Accept-Language': 'en-US,en;q=0.5',
+            'Accept-Encoding': 'gzip, deflate, br',
+            'DNT': '1',
+            'Connection': 'keep-alive',
+            'Upgrade-Insecure-Requests': '1',
+            'Cache-Control': 'max-age=0'
+        };
+
+    for (const header of request.headers || []) {
+        if (!header?.name) continue;
+        headers[header.name] = header.secret ? decryptSecret(header.value) : header.value;
+    }
+
+    const auth = request.auth;
+    if (auth?.type === 'basic' && auth.username) {
+        const credentials = `${auth.username}:${decryptSecret(auth.password) || ''}`;
+        headers['Authorization'] = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    } else if (auth?.type === 'bearer' && auth.token) {
+        headers['Authorization'] = `Bearer ${decryptSecret(auth.token)}`;
+    }
+
+    return headers;
+};
+
+/**
+ * Whether the assertions need the response body
+ * @param {Object} assertions - Response assertions
+ * @returns {Boolean}
+ */
+const hasBodyAssertions = (assertions) => {
+    return !!(assertions?.bodyContains?.length ||
+        assertions?.bodyNotContains?.length ||
+        assertions?.jsonPath?.length);
+};
+
+/**
+ * Create an error for a failed assertion
+ * @param {String} message - Failure description
+ * @returns {Error}
+ */
+const createAssertionError = (message) => {
+    const error = new Error(`Assertion failed: ${message}`);
+    error.isAssertion = true;
+    return error;
+};
+
+/**
+ * Evaluate body keyword and JSONPath assertions against a response
+ * @param {Object} response - Axios response with a raw string body
+ * @param {Object} assertions - Response assertions
+ * @throws {Error} Describing the first failed assertion
+ */
+const assertResponseBody = (response, assertions) => {
+    if (!hasBodyAssertions(assertions)) return;
+
+    const body = typeof response.data === 'string' ? response.data : JSON.stringify(response.data ?? '');
+
+    for (const keyword of assertions.bodyContains || []) {
+        if (!body.includes(keyword)) {
+            throw createAssertionError(`body does not contain "${keyword}"`);
+        }
+    }
+
+    for (const keyword of assertions.bodyNotContains || []) {
+        if (body.includes(keyword)) {
+            throw createAssertionError(`body contains "${keyword}"`);
+        }
+    }
+
+    if (assertions.jsonPath?.length) {
+        let json;
+        try {
+            json = JSON.parse(body);
+        } catch (error) {
+            throw createAssertionError('response body is not valid JSON');
+        }
+
+        for (const { path, equals } of assertions.jsonPath) {
+            let actual;
+            try {
+                actual = queryJsonPath(json, path);
+            } catch (error) {
+                throw createAssertionError(error.message);
+            }
+
+            if (!jsonValueEquals(actual, equals)) {
+                const received = actual === undefined ? 'nothing' : JSON.stringify(actual);
+                throw createAssertionError(`${path} expected ${equals}, got ${received}`);
+            }
         }
     }
 };
@@ -281,5 +1004,13 @@ export const checkHttpServer = async (url) => {
 export default {
     checkServerStatus,
     checkTcpServer,
-    checkHttpServer
+    checkUdpServer,
+    parseHostPort,
+    checkHttpServer,
+    checkDnsServer,
+    checkHeartbeatServer,
+    getHeartbeatDeadline,
+    checkCertificate,
+    getCertificateAlertThreshold,
+    buildCheckRecord
 };
\ No newline at end of file
@@ -0,0 +1,129 @@
+// services/onCallService.js - On-call rotations and overrides
+
+import OnCallSchedule from '../models/OnCallSchedule.js';
+import { getZonedParts, zonedTimeToDate, addLocalDays, diffLocalDays } from '../utils/timezone.js';
+
+/**
+ * Get the rotation shift running at a date
+ * Shifts start at the handoff time in the schedule timezone, so they follow DST changes
+ * @param {Object} schedule - Schedule (timezone, rotation)
+ * @param {Date} date - Instant
+ * @returns {Object} { email, start, end }
+ */
+export const getRotationShift = (schedule, date = new Date()) => {
+    const { rotation } = schedule;
+    const timeZone = schedule.timezone || 'UTC';
+    const [hour, minute] = (rotation.handoffTime || '09:00').split(':').map(Number);
+    const periodDays = rotation.type === 'daily' ? 1 : 7;
+
+    // Local date of the last handoff at or before an instant
+    const getShiftDay = (instant) => {
+        const parts = getZonedParts(instant, timeZone);
+        const beforeHandoff = parts.hour * 60 + parts.minute < hour * 60 + minute;
+        const day = addLocalDays(parts, beforeHandoff ? -1 : 0);
+
+        if (periodDays === 1) return day;
+        return addLocalDays(day, -((day.weekday - (rotation.handoffDay ?? 1) + 7) % 7));
+    };
+
+    const shiftDay = getShiftDay(date);
+    const firstShiftDay = getShiftDay(rotation.startDate || date);
+    const participants = rotation.participants || [];
+    const index = Math.round(diffLocalDays(firstShiftDay, shiftDay) / periodDays);
+
+    return {
+        email: participants.length
+            ? participants[((index % participants.length) + participants.length) % participants.length]
+            : null,
+        start: zonedTimeToDate({ ...shiftDay, hour, minute }, timeZone),
+        end: zonedTimeToDate({ ...addLocalDays(shiftDay, periodDays), hour, minute }, timeZone)
+    };
+};
+
+/**
+ * Get who is on call at a date
+ * Overrides take precedence over the rotation, the latest starting override wins when they overlap
+ * @param {Object} schedule - Schedule (timezone, rotation, overrides)
+ * @param {Date} date - Instant
+ * @returns {Object} { email, source: 'override' | 'rotation', start, end, override }
+ */
+export const getOnCallAt = (schedule, date = new Date()) => {
+    const time = new Date(date).getTime();
+    const overrides = (schedule.overrides || []).filter(override => new Date(override.end).getTime() > time);
+
+    const active = overrides
+        .filter(override => new Date(override.start).getTime() <= time)
+        .sort((a, b) => new Date(b.start) - new Date(a.start))[0];
+
+    const upcomingStarts = overrides
+        .map(override => new Date(override.start).getTime())
+        .filter(start => start > time);
+    const nextOverrideStart = upcomingStarts.length ? Math.min(...upcomingStarts) : Infinity;
+
+    if (active) {
+        return {
+            email: active.email,
+            source: 'override',
+            start: new Date(active.start),
+            end: new Date(Math.min(new Date(active.end).getTime(), nextOverrideStart)),
+            override: active._id
+        };
+    }
+
+    const shift = getRotationShift(schedule, date);
+
+    // Overrides that ended during the shift move its effective start
+    const endedOverrides = (schedule.overrides || [])
+        .map(override => new Date(override.end).getTime())
+        .filter(end => end <= time && end > shift.start.getTime());
+
+    return {
+        email: shift.email,
+        source: 'rotation',
+        start: new Date(Math.max(shift.start.getTime(), ...endedOverrides)),
+        end: new Date(Math.min(shift.end.getTime(), nextOverrideStart))
+    };
+};
+
+/**
+ * Get the current and the next on-call assignment
+ * The next assignment is the first one with a different person
+ * @param {Object} schedule - Schedule
+ * @param {Date} date - Instant
+ * @returns {Object} { current, next }
+ */
+export const getOnCallSummary = (schedule, date = new Date()) => {
+    const current = getOnCallAt(schedule, date);
+    const maxSteps = (schedule.rotation?.participants?.length || 1) + (schedule.overrides?.length || 0) + 1;
+
+    let next = getOnCallAt(schedule, current.end);
+    for (let step = 1; step < maxSteps && next.email === current.email; step++) {
+        next = getOnCallAt(schedule, next.end);
+    }
+
+    return { current, next };
+};
+
+/**
+ * Resolve the email addresses of whoever is on call for schedules
+ * @param {Array} scheduleIds - Schedule IDs
+ * @param {Date} date - Instant (default now)
+ * @returns {Promise<Array>} Email addresses
+ */
+export const getOnCallEmails = async (scheduleIds = [], date = new Date()) => {
+    if (!scheduleIds?.length) return [];
+
+    const schedules = await OnCallSchedule.find({ _id: { $in: scheduleIds } }).lean();
+    const emails = schedules
+        .map(schedule => getOnCallAt(schedule, date).email)
+        .filter(Boolean);
+
+    return [...new Set(emails)];
+};
+
+export default {
+    getRotationShift,
+    getOnCallAt,
+    getOnCallSummary,
+    getOnCallEmails
+};
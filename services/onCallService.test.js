@@ -0,0 +1,133 @@
+import { describe, it, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import OnCallSchedule from '../models/OnCallSchedule.js';
+import { getRotationShift, getOnCallAt, getOnCallSummary, getOnCallEmails } from './onCallService.js';
+
+// Weekly Monday 09:00 handoffs in Berlin, the first shift starts on 2026-03-02 09:00 CET
+const schedule = {
+    timezone: 'Europe/Berlin',
+    rotation: {
+        type: 'weekly',
+        participants: ['ana@example.com', 'ben@example.com', 'cho@example.com'],
+        handoffTime: '09:00',
+        handoffDay: 1,
+        startDate: new Date('2026-03-02T08:00:00Z')
+    },
+    overrides: []
+};
+
+const withOverrides = (...overrides) => ({
+    ...schedule,
+    overrides: overrides.map(([email, start, end], index) => ({
+        _id: `override-${index}`,
+        email,
+        start: new Date(start),
+        end: new Date(end)
+    }))
+});
+
+describe('getRotationShift', () => {
+    it('hands off at the local handoff time', () => {
+        assert.equal(getRotationShift(schedule, new Date('2026-03-09T07:59:00Z')).email, 'ana@example.com');
+        assert.deepEqual(getRotationShift(schedule, new Date('2026-03-09T08:00:00Z')), {
+            email: 'ben@example.com',
+            start: new Date('2026-03-09T08:00:00Z'),
+            end: new Date('2026-03-16T08:00:00Z')
+        });
+    });
+
+    it('wraps around the participants', () => {
+        assert.equal(getRotationShift(schedule, new Date('2026-03-24T12:00:00Z')).email, 'ana@example.com');
+    });
+
+    it('follows daylight saving changes', () => {
+        const shift = getRotationShift(schedule, new Date('2026-03-29T12:00:00Z'));
+
+        assert.equal(shift.start.toISOString(), '2026-03-23T08:00:00.000Z');
+        assert.equal(shift.end.toISOString(), '2026-03-30T07:00:00.000Z');
+    });
+
+    it('rotates daily', () => {
+        const daily = { ...schedule, rotation: { ...schedule.rotation, type: 'daily' } };
+
+        assert.equal(getRotationShift(daily, new Date('2026-03-03T08:00:00Z')).email, 'ben@example.com');
+        assert.equal(getRotationShift(daily, new Date('2026-03-04T08:00:00Z')).email, 'cho@example.com');
+    });
+
+    it('has nobody on call without participants', () => {
+        const empty = { ...schedule, rotation: { ...schedule.rotation, participants: [] } };
+
+        assert.equal(getRotationShift(empty, new Date('2026-03-09T08:00:00Z')).email, null);
+    });
+});
+
+describe('getOnCallAt', () => {
+    it('prefers an active override over the rotation', () => {
+        const onCall = getOnCallAt(
+            withOverrides(['sub@example.com', '2026-03-10T00:00:00Z', '2026-03-11T00:00:00Z']),
+            new Date('2026-03-10T12:00:00Z')
+        );
+
+        assert.equal(onCall.email, 'sub@example.com');
+        assert.equal(onCall.source, 'override');
+        assert.equal(onCall.override, 'override-0');
+    });
+
+    it('lets the latest starting override win and ends it at the next one', () => {
+        const overlapping = withOverrides(
+            ['long@example.com', '2026-03-10T00:00:00Z', '2026-03-13T00:00:00Z'],
+            ['short@example.com', '2026-03-11T00:00:00Z', '2026-03-12T00:00:00Z']
+        );
+
+        const before = getOnCallAt(overlapping, new Date('2026-03-10T12:00:00Z'));
+        assert.equal(before.email, 'long@example.com');
+        assert.equal(before.end.toISOString(), '2026-03-11T00:00:00.000Z');
+
+        assert.equal(getOnCallAt(overlapping, new Date('2026-03-11T12:00:00Z')).email, 'short@example.com');
+    });
+
+    it('trims rotation shifts around overrides', () => {
+        const onCall = getOnCallAt(
+            withOverrides(
+                ['sub@example.com', '2026-03-10T00:00:00Z', '2026-03-11T00:00:00Z'],
+                ['sub@example.com', '2026-03-13T00:00:00Z', '2026-03-14T00:00:00Z']
+            ),
+            new Date('2026-03-12T00:00:00Z')
+        );
+
+        assert.equal(onCall.email, 'ben@example.com');
+        assert.equal(onCall.source, 'rotation');
+        assert.equal(onCall.start.toISOString(), '2026-03-11T00:00:00.000Z');
+        assert.equal(onCall.end.toISOString(), '2026-03-13T00:00:00.000Z');
+    });
+});
+
+describe('getOnCallSummary', () => {
+    it('skips to the next different person', () => {
+        const { current, next } = getOnCallSummary(
+            withOverrides(['ben@example.com', '2026-03-16T08:00:00Z', '2026-03-17T08:00:00Z']),
+            new Date('2026-03-10T00:00:00Z')
+        );
+
+        assert.equal(current.email, 'ben@example.com');
+        assert.equal(next.email, 'cho@example.com');
+        assert.equal(next.start.toISOString(), '2026-03-17T08:00:00.000Z');
+    });
+});
+
+describe('getOnCallEmails', () => {
+    afterEach(() => mock.restoreAll());
+
+    it('returns whoever is on call for each schedule, once', async () => {
+        mock.method(OnCallSchedule, 'find', () => ({ lean: async () => [schedule, schedule] }));
+
+        assert.deepEqual(await getOnCallEmails(['a', 'b'], new Date('2026-03-09T08:00:00Z')), ['ben@example.com']);
+    });
+
+    it('needs no lookup without schedules', async () => {
+        const find = mock.method(OnCallSchedule, 'find');
+
+        assert.deepEqual(await getOnCallEmails([]), []);
+        assert.equal(find.mock.callCount(), 0);
+    });
+});
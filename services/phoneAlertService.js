@@ -0,0 +1,195 @@
+// services/phoneAlertService.js - SMS and voice call alerts with plan quotas
+
+import User from '../models/User.js';
+import { redisConnection } from '../config/redis.js';
+import { getPhoneProvider } from './phoneProviders.js';
+import { getDashboardUrl } from './chatNotificationService.js';
+import { normalizePhoneNumber, maskPhoneNumber } from '../utils/phone.js';
+import logger from '../utils/logger.js';
+
+// Monthly SMS and call allowance of plans with advanced alerts (-1 = unlimited)
+export const PHONE_ALERT_QUOTAS = {
+    admin: -1,
+    business: 500,
+    pro: 100
+};
+
+// Monthly counters are kept a bit longer than the month they count
+const USAGE_TTL = 35 * 24 * 60 * 60;
+
+/**
+ * Get the monthly phone alert quota of a user
+ * @param {Object} user - User with role and subscription
+ * @returns {Number} Allowed messages and calls per month, -1 for unlimited, 0 when not included in the plan
+ */
+export const getPhoneAlertQuota = (user) => {
+    if (!user) return 0;
+
+    const plan = user.subscription?.plan || 'free';
+    if (user.role === 'admin' || plan === 'admin') return PHONE_ALERT_QUOTAS.admin;
+    if (!user.subscription?.features?.advancedAlerts) return 0;
+
+    return plan.startsWith('business') ? PHONE_ALERT_QUOTAS.business : PHONE_ALERT_QUOTAS.pro;
+};
+
+/**
+ * Get the usage counter key of a user for the current month
+ */
+const getUsageKey = (userId, date = new Date()) => {
+    return `phone-alerts:${userId}:${date.toISOString().slice(0, 7)}`;
+};
+
+/**
+ * Get the phone alerts a user sent this month
+ * @param {String} userId - User ID
+ * @returns {Promise<Number>} Messages and calls sent
+ */
+export const getPhoneAlertUsage = async (userId) => {
+    return parseInt(await redisConnection.get(getUsageKey(userId))) || 0;
+};
+
+/**
+ * Reserve phone alerts from the monthly quota
+ * @param {String} userId - User ID
+ * @param {Number} count - Messages and calls wanted
+ * @param {Number} quota - Monthly quota (-1 = unlimited)
+ * @returns {Promise<Number>} Messages and calls that may be sent
+ */
+const reservePhoneAlerts = async (userId, count, quota) => {
+    if (quota === -1) return count;
+
+    const key = getUsageKey(userId);
+    const [[, used]] = await redisConnection.multi()
+        .incrby(key, count)
+        .expire(key, USAGE_TTL)
+        .exec();
+
+    const allowed = Math.max(0, Math.min(count, quota - (used - count)));
+
+    // Give back what is over the quota
+    if (allowed < count) {
+        await redisConnection.decrby(key, count - allowed);
+    }
+
+    return allowed;
+};
+
+/**
+ * Build the SMS and voice texts of an alert
+ * @param {Object} server - Server data with responseTime and error of the alert
+ * @param {String} alertType - Alert type
+ * @param {String} oldStatus - Previous status
+ * @param {String} newStatus - New status
+ * @returns {Object} { sms, voice }
+ */
+export const buildPhoneAlertMessages = (server, alertType, oldStatus, newStatus) => {
+    let sms;
+    let voice;
+
+    switch (alertType) {
+        case 'server_down':
+            sms = `${server.name} is DOWN (${server.url})${server.error ? `: ${server.error}` : ''}`;
+            voice = `Ping Pilot alert. Your server ${server.name} is down.`;
+            break;
+
+        case 'server_recovery':
+            sms = `${server.name} is back UP (${server.url})${server.responseTime ? `, ${server.responseTime}ms` : ''}`;
+            voice = `Ping Pilot notice. Your server ${server.name} is back up.`;
+            break;
+
+        case 'slow_response':
+            sms = `${server.name} is responding slowly (${server.responseTime}ms)`;
+            voice = `Ping Pilot warning. Your server ${server.name} is responding slowly.`;
+            break;
+
+        case 'certificate_expiry':
+            sms = `SSL certificate for ${server.name} expires in ${server.certificate?.daysRemaining} days`;
+            voice = `Ping Pilot warning. The SSL certificate for ${server.name} is about to expire.`;
+            break;
+
+        default:
+            sms = `${server.name} changed status from ${oldStatus} to ${newStatus}`;
+            voice = `Ping Pilot notice. Your server ${server.name} is now ${newStatus}.`;
+    }
+
+    return {
+        sms: `[Ping Pilot] ${sms}. ${getDashboardUrl(server._id)}`,
+        voice
+    };
+};
+
+/**
+ * Send SMS (and voice calls for outages) to the server's contact phones
+ * @param {Object} server - Server data (monitoring.alerts.phone/voice, contactPhones, uploadedBy)
+ * @param {String} alertType - Alert type
+ * @param {String} oldStatus - Previous status
+ * @param {String} newStatus - New status
+ * @param {String} customSms - SMS text from the user's template
+ * @returns {Promise<Array>} Channels that delivered at least one message ('sms', 'voice')
+ */
+export const sendPhoneAlerts = async (server, alertType, oldStatus, newStatus, customSms = null) => {
+    const alertSettings = server.monitoring?.alerts || {};
+    if (!alertSettings.phone || !server.contactPhones?.length) return [];
+
+    const provider = getPhoneProvider();
+    if (!provider) return [];
+
+    const numbers = [...new Set(server.contactPhones.map(phone => normalizePhoneNumber(phone)).filter(Boolean))];
+    if (numbers.length < server.contactPhones.length) {
+        logger.warn(`Skipping contact phones of ${server.name} without a country code (set SMS_DEFAULT_COUNTRY_CODE)`);
+    }
+    if (!numbers.length) return [];
+
+    const owner = await User.findById(server.uploadedBy).select('role subscription').lean();
+    const quota = getPhoneAlertQuota(owner);
+
+    if (quota === 0) {
+        logger.info(`Phone alerts for ${server.name} skipped: not included in the owner's plan`);
+        return [];
+    }
+
+    // Calls are reserved for outages, texts come first when the quota runs low
+    const wanted = [
+        ...numbers.map(to => ({ kind: 'sms', to })),
+        ...(alertSettings.voice && alertType === 'server_down' ? numbers.map(to => ({ kind: 'voice', to })) : [])
+    ];
+
+    const allowed = await reservePhoneAlerts(owner._id, wanted.length, quota);
+    if (allowed < wanted.length) {
+        logger.warn(`Phone alert quota reached for user ${owner._id}: ${wanted.length - allowed} of ${wanted.length} messages for ${server.name} not sent`);
+    }
+
+    const messages = buildPhoneAlertMessages(server, alertType, oldStatus, newStatus);
+    if (customSms) messages.sms = customSms;
+    const deliveries = wanted.slice(0, allowed);
+
+    const results = await Promise.allSettled(deliveries.map(({ kind, to }) => kind === 'sms'
+        ? provider.sendSms({ to, body: messages.sms })
+        : provider.makeCall({ to, message: messages.voice })
+    ));
+
+    const channels = new Set();
+    results.forEach((result, index) => {
+        const { kind, to } = deliveries[index];
+
+        if (result.status === 'fulfilled') {
+            channels.add(kind);
+        } else {
+            logger.error(`Failed to send ${kind} alert for ${server.name} to ${maskPhoneNumber(to)}: ${result.reason?.message}`);
+        }
+    });
+
+    if (channels.size) {
+        logger.info(`Phone alerts sent for ${server.name} via ${provider.name}: ${alertType} (${[...channels].join(', ')})`);
+    }
+
+    return [...channels];
+};
+
+export default {
+    PHONE_ALERT_QUOTAS,
+    getPhoneAlertQuota,
+    getPhoneAlertUsage,
+    buildPhoneAlertMessages,
+    sendPhoneAlerts
+};
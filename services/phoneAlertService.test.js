@@ -0,0 +1,141 @@
+import { describe, it, beforeEach, afterEach, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import User from '../models/User.js';
+import { redisConnection } from '../config/redis.js';
+import { createFakeProvider, setPhoneProvider } from './phoneProviders.js';
+import {
+    getPhoneAlertQuota,
+    getPhoneAlertUsage,
+    buildPhoneAlertMessages,
+    sendPhoneAlerts
+} from './phoneAlertService.js';
+
+process.env.SMS_DEFAULT_COUNTRY_CODE = '';
+
+const pro = { _id: 'user-1', role: 'user', subscription: { plan: 'pro', features: { advancedAlerts: true } } };
+
+const server = {
+    _id: 'server-1',
+    name: 'api',
+    url: 'https://api.example.com',
+    error: 'Connection refused',
+    uploadedBy: 'user-1',
+    contactPhones: ['+1 415 555 0100', '+14155550100', '+44 20 7946 0958'],
+    monitoring: { alerts: { phone: true, voice: true } }
+};
+
+/**
+ * In-memory stand-in for the Redis counter commands used by the quota
+ */
+const createCounterStore = () => {
+    const counters = new Map();
+    const incrby = (key, count) => {
+        counters.set(key, (counters.get(key) || 0) + count);
+        return counters.get(key);
+    };
+
+    return {
+        get: async key => (counters.has(key) ? String(counters.get(key)) : null),
+        decrby: async (key, count) => incrby(key, -count),
+        multi: () => {
+            const operations = [];
+            const chain = {
+                incrby: (key, count) => { operations.push(() => incrby(key, count)); return chain; },
+                expire: () => { operations.push(() => 1); return chain; },
+                exec: async () => operations.map(operation => [null, operation()])
+            };
+            return chain;
+        }
+    };
+};
+
+describe('getPhoneAlertQuota', () => {
+    it('depends on the plan', () => {
+        assert.equal(getPhoneAlertQuota(pro), 100);
+        assert.equal(getPhoneAlertQuota({ subscription: { plan: 'business-yearly', features: { advancedAlerts: true } } }), 500);
+        assert.equal(getPhoneAlertQuota({ role: 'admin' }), -1);
+    });
+
+    it('is zero without advanced alerts', () => {
+        assert.equal(getPhoneAlertQuota({ subscription: { plan: 'free', features: {} } }), 0);
+        assert.equal(getPhoneAlertQuota(null), 0);
+    });
+});
+
+describe('buildPhoneAlertMessages', () => {
+    it('texts the error and the dashboard link', () => {
+        const { sms, voice } = buildPhoneAlertMessages(server, 'server_down', 'up', 'down');
+
+        assert.match(sms, /^\[Ping Pilot\] api is DOWN \(https:\/\/api\.example\.com\): Connection refused\. .*\/dashboard\/servers\/server-1$/);
+        assert.equal(voice, 'Ping Pilot alert. Your server api is down.');
+    });
+});
+
+describe('sendPhoneAlerts', () => {
+    let provider;
+    let owner;
+
+    beforeEach(() => {
+        provider = createFakeProvider();
+        setPhoneProvider(provider);
+        owner = pro;
+
+        const store = createCounterStore();
+        for (const command of ['get', 'decrby', 'multi']) {
+            mock.method(redisConnection, command, store[command]);
+        }
+        mock.method(User, 'findById', () => ({ select: () => ({ lean: async () => owner }) }));
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+        setPhoneProvider(undefined);
+    });
+
+    after(() => redisConnection.disconnect());
+
+    it('texts and calls each unique number once for outages', async () => {
+        const channels = await sendPhoneAlerts(server, 'server_down', 'up', 'down');
+
+        assert.deepEqual(channels, ['sms', 'voice']);
+        assert.deepEqual(provider.outbox.map(({ kind, to }) => `${kind} ${to}`), [
+            'sms +14155550100',
+            'sms +442079460958',
+            'voice +14155550100',
+            'voice +442079460958'
+        ]);
+        assert.equal(await getPhoneAlertUsage('user-1'), 4);
+    });
+
+    it('only texts for other alerts and uses the template text', async () => {
+        const channels = await sendPhoneAlerts(server, 'server_recovery', 'down', 'up', 'api recovered');
+
+        assert.deepEqual(channels, ['sms']);
+        assert.deepEqual(provider.outbox.map(({ text }) => text), ['api recovered', 'api recovered']);
+    });
+
+    it('texts first and stops at the monthly quota', async () => {
+        owner = { ...pro, _id: 'user-2' };
+        await redisConnection.multi().incrby(`phone-alerts:user-2:${new Date().toISOString().slice(0, 7)}`, 97).exec();
+
+        const channels = await sendPhoneAlerts(server, 'server_down', 'up', 'down');
+
+        assert.deepEqual(channels, ['sms', 'voice']);
+        assert.deepEqual(provider.outbox.map(({ kind }) => kind), ['sms', 'sms', 'voice']);
+        assert.equal(await getPhoneAlertUsage('user-2'), 100);
+    });
+
+    it('sends nothing when the plan has no phone alerts', async () => {
+        owner = { _id: 'user-3', subscription: { plan: 'free', features: {} } };
+
+        assert.deepEqual(await sendPhoneAlerts(server, 'server_down', 'up', 'down'), []);
+        assert.equal(provider.outbox.length, 0);
+    });
+
+    it('leaves out numbers without a country code', async () => {
+        const channels = await sendPhoneAlerts({ ...server, contactPhones: ['030 1234567'] }, 'server_down', 'up', 'down');
+
+        assert.deepEqual(channels, []);
+        assert.equal(User.findById.mock.callCount(), 0);
+    });
+});
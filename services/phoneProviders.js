@@ -0,0 +1,127 @@
+// services/phoneProviders.js - SMS and voice call providers
+//
+// A provider is an object with:
+//   name                          - Provider name
+//   sendSms({ to, body })         - Send a text message, resolves to { id }
+//   makeCall({ to, message })     - Place a call reading the message, resolves to { id }
+// Phone numbers are always E.164.
+
+import axios from 'axios';
+import logger from '../utils/logger.js';
+import { maskPhoneNumber } from '../utils/phone.js';
+
+const PROVIDER_TIMEOUT = 10000; // 10s
+
+/**
+ * Escape text for use inside TwiML
+ * @param {String} text - Text to escape
+ * @returns {String} Escaped text
+ */
+const escapeXml = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+/**
+ * Create a Twilio provider (also works with Twilio-compatible APIs through apiUrl)
+ * @param {Object} options - { accountSid, authToken, from, apiUrl }
+ * @returns {Object} Provider
+ */
+export const createTwilioProvider = ({ accountSid, authToken, from, apiUrl = 'https://api.twilio.com' }) => {
+    const baseUrl = `${apiUrl.replace(/\/+$/, '')}/2010-04-01/Accounts/${encodeURIComponent(accountSid)}`;
+
+    const post = async (resource, params) => {
+        const response = await axios.post(`${baseUrl}/${resource}.json`, new URLSearchParams(params).toString(), {
+            timeout: PROVIDER_TIMEOUT,
+            auth: { username: accountSid, password: authToken },
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+        });
+
+        return { id: response.data?.sid };
+    };
+
+    return {
+        name: 'twilio',
+        sendSms: ({ to, body }) => post('Messages', { To: to, From: from, Body: body }),
+        makeCall: ({ to, message }) => post('Calls', {
+            To: to,
+            From: from,
+            Twiml: `<Response><Say>${escapeXml(message)}</Say><Pause length="1"/><Say>${escapeXml(message)}</Say></Response>`
+        })
+    };
+};
+
+/**
+ * Create a fake provider that keeps messages in memory, for local development and tests
+ * @returns {Object} Provider with an outbox of sent messages and a clear() helper
+ */
+export const createFakeProvider = () => {
+    const outbox = [];
+
+    const record = (kind, to, text) => {
+        const id = `fake-${kind}-${outbox.length + 1}`;
+        outbox.push({ id, kind, to, text, sentAt: new Date() });
+        logger.info(`Fake ${kind} to ${maskPhoneNumber(to)}: ${text}`);
+        return { id };
+    };
+
+    return {
+        name: 'fake',
+        outbox,
+        clear: () => { outbox.length = 0; },
+        sendSms: async ({ to, body }) => record('sms', to, body),
+        makeCall: async ({ to, message }) => record('voice', to, message)
+    };
+};
+
+let provider;
+
+/**
+ * Get the configured provider (SMS_PROVIDER: twilio or fake)
+ * @returns {Object|null} Provider or null when phone alerts are not configured
+ */
+export const getPhoneProvider = () => {
+    if (provider !== undefined) return provider;
+
+    const name = process.env.SMS_PROVIDER || (process.env.TWILIO_ACCOUNT_SID ? 'twilio' : '');
+
+    if (name === 'fake') {
+        provider = createFakeProvider();
+    } else if (name === 'twilio') {
+        const { TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_FROM_NUMBER, TWILIO_API_URL } = process.env;
+
+        if (!TWILIO_ACCOUNT_SID || !TWILIO_AUTH_TOKEN || !TWILIO_FROM_NUMBER) {
+            logger.warn('Twilio configuration incomplete. SMS and voice alerts will be disabled.');
+            provider = null;
+        } else {
+            provider = createTwilioProvider({
+                accountSid: TWILIO_ACCOUNT_SID,
+                authToken: TWILIO_AUTH_TOKEN,
+                from: TWILIO_FROM_NUMBER,
+                ...(TWILIO_API_URL && { apiUrl: TWILIO_API_URL })
+            });
+        }
+    } else {
+        if (name) logger.warn(`Unknown SMS provider "${name}". SMS and voice alerts will be disabled.`);
+        provider = null;
+    }
+
+    return provider;
+};
+
+/**
+ * Replace the provider (tests and custom integrations)
+ * @param {Object|null} customProvider - Provider implementing sendSms and makeCall
+ */
+export const setPhoneProvider = (customProvider) => {
+    provider = customProvider;
+};
+
+export default {
+    createTwilioProvider,
+    createFakeProvider,
+    getPhoneProvider,
+    setPhoneProvider
+};
@@ -0,0 +1,69 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { createTwilioProvider, createFakeProvider } from './phoneProviders.js';
+
+describe('createFakeProvider', () => {
+    it('keeps sent texts and calls in its outbox', async () => {
+        const provider = createFakeProvider();
+
+        assert.deepEqual(await provider.sendSms({ to: '+14155550100', body: 'api is DOWN' }), { id: 'fake-sms-1' });
+        assert.deepEqual(await provider.makeCall({ to: '+14155550100', message: 'api is down' }), { id: 'fake-voice-2' });
+        assert.deepEqual(provider.outbox.map(({ kind, to, text }) => ({ kind, to, text })), [
+            { kind: 'sms', to: '+14155550100', text: 'api is DOWN' },
+            { kind: 'voice', to: '+14155550100', text: 'api is down' }
+        ]);
+
+        provider.clear();
+        assert.equal(provider.outbox.length, 0);
+    });
+});
+
+describe('createTwilioProvider', () => {
+    let apiServer;
+    let apiUrl;
+    const requests = [];
+
+    before(async () => {
+        apiServer = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                requests.push({ url: req.url, authorization: req.headers.authorization, params: new URLSearchParams(body) });
+                res.setHeader('Content-Type', 'application/json');
+                res.end(JSON.stringify({ sid: `SM${requests.length}` }));
+            });
+        });
+        await new Promise(resolve => apiServer.listen(0, '127.0.0.1', resolve));
+        apiUrl = `http://127.0.0.1:${apiServer.address().port}/`;
+    });
+
+    after(() => {
+        apiServer.closeAllConnections();
+        apiServer.close();
+    });
+
+    const provider = () => createTwilioProvider({ accountSid: 'AC123', authToken: 'token', from: '+15550000000', apiUrl });
+
+    it('sends texts through the Messages API', async () => {
+        assert.deepEqual(await provider().sendSms({ to: '+14155550100', body: 'api is DOWN' }), { id: 'SM1' });
+
+        const [request] = requests;
+        assert.equal(request.url, '/2010-04-01/Accounts/AC123/Messages.json');
+        assert.equal(request.authorization, `Basic ${Buffer.from('AC123:token').toString('base64')}`);
+        assert.equal(request.params.get('To'), '+14155550100');
+        assert.equal(request.params.get('From'), '+15550000000');
+        assert.equal(request.params.get('Body'), 'api is DOWN');
+    });
+
+    it('places calls reading the escaped message twice', async () => {
+        await provider().makeCall({ to: '+14155550100', message: 'R&D <api> is down' });
+
+        const request = requests.at(-1);
+        assert.equal(request.url, '/2010-04-01/Accounts/AC123/Calls.json');
+        assert.equal(
+            request.params.get('Twiml'),
+            '<Response><Say>R&amp;D &lt;api&gt; is down</Say><Pause length="1"/><Say>R&amp;D &lt;api&gt; is down</Say></Response>'
+        );
+    });
+});
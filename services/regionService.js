@@ -0,0 +1,231 @@
+// services/regionService.js - Multi-region probing and quorum-based status
+
+import mongoose from 'mongoose';
+import ServerCheck from '../models/ServerCheck.js';
+import { redisConnection } from '../config/redis.js';
+import { getProbeRegions, getDefaultRegion } from '../config/regions.js';
+import logger from '../utils/logger.js';
+
+// Job that decides a round with the results in hand when regions did not report in time
+export const ROUND_TIMEOUT_JOB = 'decide-round';
+export const ROUND_TIMEOUT_MS = 90 * 1000;
+
+// Regional results of a check round are kept so late regions can still be added to its check record
+const ROUND_KEY_PREFIX = 'probe-round:';
+const ROUND_TTL = 600; // 10 minutes
+const DECIDED_FIELD = '_decided';
+const CHECK_FIELD = '_check';
+
+/**
+ * Get the regions a server is probed from
+ * Servers without a selection use every configured region, heartbeats only need one
+ * @param {Object} server - Server with type and monitoring.regions
+ * @returns {Array} Region names
+ */
+export const getServerRegions = (server) => {
+    if (server.type === 'heartbeat') return [getDefaultRegion()];
+
+    const configured = getProbeRegions();
+    const selected = (server.monitoring?.regions || []).filter(region => configured.includes(region));
+
+    return selected.length ? selected : configured;
+};
+
+/**
+ * Get the number of regions that must see a failure before the server counts as down
+ * @param {Object} server - Server with monitoring.quorum
+ * @param {Number} regionCount - Number of probed regions
+ * @returns {Number} Quorum (majority unless configured)
+ */
+export const getQuorum = (server, regionCount) => {
+    const quorum = server.monitoring?.quorum || Math.floor(regionCount / 2) + 1;
+    return Math.min(Math.max(quorum, 1), regionCount);
+};
+
+/**
+ * Decide the status of a check round from the regional results received so far
+ * @param {Object} results - Check results by region
+ * @param {Array} regions - Regions probed in the round
+ * @param {Number} quorum - Regions that must report down
+ * @returns {String|null} Decided status, null while the outcome is still open
+ */
+export const resolveQuorumStatus = (results, regions, quorum) => {
+    const reported = regions.filter(region => results[region]);
+    const down = reported.filter(region => results[region].status === 'down').length;
+    const up = reported.filter(region => results[region].status === 'up').length;
+    const pending = regions.length - reported.length;
+
+    if (down >= quorum) return 'down';
+
+    // Remaining regions can no longer reach the quorum
+    if (down + pending < quorum) return up > 0 ? 'up' : 'unknown';
+
+    return null;
+};
+
+/**
+ * Per-region entry of a check record
+ */
+const toRegionEntry = (region, result) => ({
+    region,
+    status: result.status,
+    responseTime: result.responseTime,
+    error: result.error || null
+});
+
+/**
+ * Read the regional results of a round from its stored hash
+ */
+const parseRoundResults = (stored, regions) => {
+    const results = {};
+    regions.forEach(name => {
+        if (stored[name]) results[name] = JSON.parse(stored[name]);
+    });
+    return results;
+};
+
+/**
+ * Add regional results that arrived after the decision to the check record of the round
+ * Regions already on the record are skipped, so results can be appended more than once
+ * @param {String} checkId - Check record ID
+ * @param {Object} results - Check results by region
+ */
+const appendRegionResults = async (checkId, results) => {
+    if (!checkId) return;
+
+    await Promise.all(Object.entries(results).map(([region, result]) => ServerCheck.updateOne(
+        { _id: checkId, 'regions.region': { $ne: region } },
+        { $push: { regions: toRegionEntry(region, result) } }
+    )));
+};
+
+/**
+ * Claim the decision of a round, only one region or the timeout may apply it
+ * @returns {Promise<ObjectId|null>} ID of the check record to write, null when already decided
+ */
+const claimDecision = async (key, decidedBy) => {
+    const claimed = await redisConnection.hsetnx(key, DECIDED_FIELD, decidedBy);
+    if (!claimed) return null;
+
+    const checkId = new mongoose.Types.ObjectId();
+    await redisConnection.hset(key, CHECK_FIELD, String(checkId));
+    return checkId;
+};
+
+/**
+ * Combine regional results into the check result of the round
+ * @param {Object} results - Check results by region
+ * @param {Array} regions - Regions probed in the round
+ * @param {String} status - Decided status
+ * @param {String} preferredRegion - Region whose details are used when it agrees with the decision
+ * @returns {Object} Check result with per-region results
+ */
+const combineRegionResults = (results, regions, status, preferredRegion) => {
+    const agreeing = [preferredRegion, ...regions].find(region => results[region]?.status === status);
+    const base = results[agreeing] || results[preferredRegion];
+    const responseTimes = regions
+        .filter(region => results[region]?.status === status && results[region].responseTime != null)
+        .map(region => results[region].responseTime);
+
+    return {
+        ...base,
+        status,
+        // Average latency of the regions that agree with the decision
+        responseTime: responseTimes.length
+            ? Math.round(responseTimes.reduce((sum, time) => sum + time, 0) / responseTimes.length)
+            : base.responseTime,
+        error: status === 'up' ? null : base.error,
+        regions: regions
+            .filter(region => results[region])
+            .map(region => toRegionEntry(region, results[region]))
+    };
+};
+
+/**
+ * Record the result of one region for a check round
+ * The region that completes the quorum gets the combined result, the others get null
+ * Results after the decision are added to the check record of the round
+ * @param {Object} server - Server with monitoring.quorum
+ * @param {Object} round - Job data ({ roundId, region, regions })
+ * @param {Object} checkResult - Result of the check in this region
+ * @returns {Promise<Object|null>} Combined check result with the checkId to write it under, once the round is decided
+ */
+export const recordRegionResult = async (server, round, checkResult) => {
+    const regions = round.regions?.length ? round.regions : [round.region || getDefaultRegion()];
+    const region = round.region || regions[0];
+
+    // Single-region rounds are decided right away
+    if (regions.length === 1 || !round.roundId) {
+        return checkResult;
+    }
+
+    const key = `${ROUND_KEY_PREFIX}${round.roundId}`;
+    const [, , [, stored]] = await redisConnection.multi()
+        .hset(key, region, JSON.stringify(checkResult))
+        .expire(key, ROUND_TTL)
+        .hgetall(key)
+        .exec();
+
+    if (stored[DECIDED_FIELD]) {
+        await appendRegionResults(stored[CHECK_FIELD], { [region]: checkResult });
+        return null;
+    }
+
+    const results = parseRoundResults(stored, regions);
+    results[region] = checkResult;
+
+    const status = resolveQuorumStatus(results, regions, getQuorum(server, regions.length));
+    if (!status) return null;
+
+    const checkId = await claimDecision(key, region);
+    if (!checkId) {
+        // Another region decided in the meantime
+        await appendRegionResults(await redisConnection.hget(key, CHECK_FIELD), { [region]: checkResult });
+        return null;
+    }
+
+    return { ...combineRegionResults(results, regions, status, region), checkId };
+};
+
+/**
+ * Decide a round that is still open when its timeout runs out
+ * Regions that did not report count as not down, so the quorum is taken from the results in hand
+ * Rounds decided in time get any results that raced with the decision added to their check record
+ * @param {Object} server - Server with monitoring.quorum
+ * @param {Object} round - Job data ({ roundId, regions })
+ * @returns {Promise<Object|null>} Combined check result with its checkId, null when there is nothing to decide
+ */
+export const decideRoundOnTimeout = async (server, round) => {
+    const regions = round.regions || [];
+    const key = `${ROUND_KEY_PREFIX}${round.roundId}`;
+
+    const stored = await redisConnection.hgetall(key);
+    const results = parseRoundResults(stored, regions);
+    const reported = regions.filter(region => results[region]);
+
+    if (stored[DECIDED_FIELD]) {
+        await appendRegionResults(stored[CHECK_FIELD], results);
+        return null;
+    }
+
+    if (!reported.length) {
+        logger.warn(`No region reported for round ${round.roundId} of ${server.name}`);
+        return null;
+    }
+
+    const checkId = await claimDecision(key, 'timeout');
+    if (!checkId) return null;
+
+    const status = resolveQuorumStatus(results, reported, getQuorum(server, regions.length));
+    logger.info(`Round ${round.roundId} of ${server.name} decided ${status} after timeout, missing regions: ${regions.filter(region => !results[region]).join(', ')}`);
+
+    return { ...combineRegionResults(results, reported, status, reported[0]), checkId };
+};
+
+export default {
+    getServerRegions,
+    getQuorum,
+    resolveQuorumStatus,
+    recordRegionResult,
+    decideRoundOnTimeout
+};
@@ -0,0 +1,163 @@
+import { describe, it, beforeEach, afterEach, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import ServerCheck from '../models/ServerCheck.js';
+import { redisConnection } from '../config/redis.js';
+import { getMonitorQueueName } from '../config/regions.js';
+import {
+    getServerRegions,
+    getQuorum,
+    resolveQuorumStatus,
+    recordRegionResult,
+    decideRoundOnTimeout
+} from './regionService.js';
+
+process.env.PROBE_REGIONS = 'eu-west, us-east,ap-south,Bad_Name';
+
+const REGIONS = ['eu-west', 'us-east', 'ap-south'];
+
+/**
+ * In-memory stand-in for the Redis hash commands used by check rounds
+ */
+const createHashStore = () => {
+    const hashes = new Map();
+    const hash = key => hashes.get(key) || hashes.set(key, {}).get(key);
+
+    return {
+        multi: () => {
+            const operations = [];
+            const chain = {
+                hset: (key, field, value) => chain.queue(() => { hash(key)[field] = value; return 1; }),
+                expire: () => chain.queue(() => 1),
+                hgetall: key => chain.queue(() => ({ ...hash(key) })),
+                queue: (operation) => { operations.push(operation); return chain; },
+                exec: async () => operations.map(operation => [null, operation()])
+            };
+            return chain;
+        },
+        hsetnx: async (key, field, value) => {
+            if (field in hash(key)) return 0;
+            hash(key)[field] = value;
+            return 1;
+        },
+        hset: async (key, field, value) => { hash(key)[field] = value; return 1; },
+        hget: async (key, field) => hash(key)[field] ?? null,
+        hgetall: async key => ({ ...hash(key) })
+    };
+};
+
+describe('probe region configuration', () => {
+    it('reads valid, unique region names from PROBE_REGIONS', () => {
+        assert.deepEqual(getServerRegions({ type: 'website' }), REGIONS);
+    });
+
+    it('probes the selected regions only, heartbeats from the default region', () => {
+        assert.deepEqual(getServerRegions({ type: 'website', monitoring: { regions: ['us-east', 'mars'] } }), ['us-east']);
+        assert.deepEqual(getServerRegions({ type: 'heartbeat', monitoring: { regions: ['us-east'] } }), ['eu-west']);
+    });
+
+    it('keeps the original queue name for the default region', () => {
+        assert.equal(getMonitorQueueName('eu-west'), 'monitor-server-queue');
+        assert.equal(getMonitorQueueName('us-east'), 'monitor-server-queue-us-east');
+    });
+});
+
+describe('getQuorum', () => {
+    it('defaults to a majority of the regions', () => {
+        assert.equal(getQuorum({}, 3), 2);
+        assert.equal(getQuorum({}, 4), 3);
+    });
+
+    it('clamps the configured quorum to the probed regions', () => {
+        assert.equal(getQuorum({ monitoring: { quorum: 5 } }, 3), 3);
+        assert.equal(getQuorum({ monitoring: { quorum: 1 } }, 3), 1);
+    });
+});
+
+describe('resolveQuorumStatus', () => {
+    const down = { status: 'down' };
+    const up = { status: 'up' };
+
+    it('is down once the quorum of regions failed', () => {
+        assert.equal(resolveQuorumStatus({ 'eu-west': down, 'us-east': down }, REGIONS, 2), 'down');
+    });
+
+    it('stays open while the pending regions can still reach the quorum', () => {
+        assert.equal(resolveQuorumStatus({ 'eu-west': down }, REGIONS, 2), null);
+        assert.equal(resolveQuorumStatus({ 'eu-west': down, 'us-east': up }, REGIONS, 2), null);
+    });
+
+    it('is up once the quorum can no longer be reached', () => {
+        assert.equal(resolveQuorumStatus({ 'eu-west': up, 'us-east': up }, REGIONS, 2), 'up');
+        assert.equal(resolveQuorumStatus({ 'eu-west': up, 'us-east': down, 'ap-south': up }, REGIONS, 2), 'up');
+    });
+
+    it('is unknown when no region saw the server up', () => {
+        assert.equal(resolveQuorumStatus({ 'eu-west': { status: 'unknown' }, 'us-east': { status: 'unknown' } }, REGIONS, 2), 'unknown');
+    });
+});
+
+describe('check rounds', () => {
+    const server = { name: 'api', monitoring: {} };
+    let appended;
+
+    beforeEach(() => {
+        const store = createHashStore();
+        for (const command of ['multi', 'hsetnx', 'hset', 'hget', 'hgetall']) {
+            mock.method(redisConnection, command, store[command]);
+        }
+
+        appended = [];
+        mock.method(ServerCheck, 'updateOne', async (filter, update) => {
+            appended.push({ filter, update });
+            return { modifiedCount: 1 };
+        });
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    after(() => redisConnection.disconnect());
+
+    const round = (roundId, region) => ({ roundId, region, regions: REGIONS });
+
+    it('returns single-region results right away', async () => {
+        const result = { status: 'up', responseTime: 80 };
+        assert.equal(await recordRegionResult(server, { region: 'eu-west', regions: ['eu-west'] }, result), result);
+    });
+
+    it('decides the round in the region that completes the quorum', async () => {
+        assert.equal(await recordRegionResult(server, round('r1', 'eu-west'), { status: 'down', responseTime: 100, error: 'timeout' }), null);
+
+        const decided = await recordRegionResult(server, round('r1', 'us-east'), { status: 'down', responseTime: 300, error: 'refused' });
+
+        assert.equal(decided.status, 'down');
+        assert.equal(decided.error, 'refused');
+        assert.equal(decided.responseTime, 200);
+        assert.ok(decided.checkId);
+        assert.deepEqual(decided.regions.map(entry => entry.region), ['eu-west', 'us-east']);
+    });
+
+    it('appends results that arrive after the decision to the check record', async () => {
+        await recordRegionResult(server, round('r2', 'eu-west'), { status: 'down', responseTime: 100 });
+        const decided = await recordRegionResult(server, round('r2', 'us-east'), { status: 'down', responseTime: 100 });
+
+        assert.equal(await recordRegionResult(server, round('r2', 'ap-south'), { status: 'up', responseTime: 90 }), null);
+
+        assert.equal(appended.length, 1);
+        assert.deepEqual(appended[0].filter, { _id: String(decided.checkId), 'regions.region': { $ne: 'ap-south' } });
+        assert.equal(appended[0].update.$push.regions.status, 'up');
+    });
+
+    it('decides open rounds on timeout from the results in hand', async () => {
+        await recordRegionResult(server, round('r3', 'eu-west'), { status: 'down', responseTime: 100, error: 'timeout' });
+
+        const decided = await decideRoundOnTimeout(server, { roundId: 'r3', regions: REGIONS });
+
+        assert.equal(decided.status, 'unknown');
+        assert.deepEqual(decided.regions.map(entry => entry.region), ['eu-west']);
+        assert.equal(await decideRoundOnTimeout(server, { roundId: 'r3', regions: REGIONS }), null);
+    });
+
+    it('decides nothing on timeout when no region reported', async () => {
+        assert.equal(await decideRoundOnTimeout(server, { roundId: 'r4', regions: REGIONS }), null);
+    });
+});
@@ -0,0 +1,418 @@
+// services/rollupService.js - Roll raw checks up into hourly and daily AggregatedStats
+
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+import Server from '../models/Server.js';
+import ServerCheck from '../models/ServerCheck.js';
+import AggregatedStats from '../models/AggregatedStats.js';
+import { redisConnection } from '../config/redis.js';
+import { getCheckWeightStages } from './uptimeService.js';
+import logger from '../utils/logger.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Everything before the watermark has been rolled up, each check is counted once
+const WATERMARK_KEY = 'rollup:watermark';
+const LOCK_KEY = 'rollup:lock';
+const LOCK_TTL_MS = 15 * 60 * 1000;
+const LOCK_WAIT_MS = 5 * 60 * 1000;
+
+// Servers per aggregation
+const ROLLUP_BATCH_SIZE = 100;
+
+export const PERCENTILES = [50, 95, 99];
+
+// Upper bounds in ms of the response time histogram kept per hour, so latency SLOs
+// with any threshold can still be measured once the raw checks are gone
+export const LATENCY_BUCKETS = [50, 100, 200, 300, 500, 750, 1000, 1500, 2000, 3000, 5000, 10000, 30000, 60000];
+
+/**
+ * Start of the UTC day of a date
+ */
+export const getUtcDayStart = (date) => {
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+};
+
+/**
+ * Nearest-rank percentiles of response times
+ * @param {Array} values - Response times in ms
+ * @returns {Object} { p50ResponseTime, p95ResponseTime, p99ResponseTime }, null without values
+ */
+export const getPercentiles = (values) => {
+    const sorted = [...values].sort((a, b) => a - b);
+
+    return Object.fromEntries(PERCENTILES.map(p => [
+        `p${p}ResponseTime`,
+        sorted.length ? sorted[Math.max(0, Math.ceil((p / 100) * sorted.length) - 1)] : null
+    ]));
+};
+
+/**
+ * Percentile of values that each stand for a number of checks
+ */
+const getWeightedPercentile = (parts, p) => {
+    const items = parts.filter(part => part.value !== null && part.value !== undefined && part.weight > 0)
+        .sort((a, b) => a.value - b.value);
+    const total = items.reduce((sum, item) => sum + item.weight, 0);
+    if (!total) return null;
+
+    let cumulative = 0;
+    for (const item of items) {
+        cumulative += item.weight;
+        if (cumulative >= (p / 100) * total) return item.value;
+    }
+
+    return items[items.length - 1].value;
+};
+
+/**
+ * Cumulative histogram of response times, the checks at or below each bound
+ */
+const buildLatencyHistogram = (times) => {
+    return LATENCY_BUCKETS.map(le => ({ le, count: times.filter(time => time <= le).length }));
+};
+
+/**
+ * Count the checks of a bucket that were at most a threshold
+ * Thresholds between two bounds are interpolated linearly, above the last bound every timed check counts
+ * @param {Object} bucket - Bucket with timedChecks and latency
+ * @param {Number} threshold - Threshold in ms
+ * @returns {Object} { good, total }, both 0 for hours rolled up without a histogram
+ */
+export const countChecksWithin = (bucket, threshold) => {
+    const total = bucket.timedChecks || 0;
+    const histogram = bucket.latency || [];
+    if (!total || !histogram.length) return { good: 0, total: 0 };
+
+    const upper = histogram.findIndex(item => item.le >= threshold);
+    if (upper === -1) return { good: total, total };
+    if (histogram[upper].le === threshold) return { good: histogram[upper].count, total };
+
+    const lower = upper > 0 ? histogram[upper - 1] : { le: 0, count: 0 };
+    const share = (threshold - lower.le) / (histogram[upper].le - lower.le);
+
+    return { good: lower.count + (histogram[upper].count - lower.count) * share, total };
+};
+
+/**
+ * Uptime percentage of a bucket, duration-weighted where possible
+ */
+const getBucketUptimePercentage = ({ uptime, downtime, totalChecks, upChecks }) => {
+    if (uptime + downtime > 0) return Math.round((uptime / (uptime + downtime)) * 10000) / 100;
+    if (totalChecks > 0) return Math.round((upChecks / totalChecks) * 10000) / 100;
+    return 100;
+};
+
+/**
+ * Build a stats bucket from raw check totals
+ * @param {Object} raw - { totalChecks, upChecks, errorCount, uptime, downtime (ms), responseTimes }
+ * @returns {Object} Bucket with the AggregatedStats hourly fields, durations in seconds
+ */
+export const buildBucket = ({ totalChecks, upChecks, errorCount, uptime, downtime, responseTimes }) => {
+    const times = responseTimes.filter(time => typeof time === 'number' && time > 0);
+
+    const bucket = {
+        totalChecks,
+        upChecks,
+        errorCount,
+        avgResponseTime: times.length ? Math.round(times.reduce((sum, time) => sum + time, 0) / times.length) : 0,
+        minResponseTime: times.length ? Math.min(...times) : null,
+        maxResponseTime: times.length ? Math.max(...times) : null,
+        ...getPercentiles(times),
+        timedChecks: times.length,
+        latency: buildLatencyHistogram(times),
+        uptime: Math.round(uptime / 1000),
+        downtime: Math.round(downtime / 1000)
+    };
+
+    return { ...bucket, uptimePercentage: getBucketUptimePercentage(bucket) };
+};
+
+/**
+ * Merge buckets, e.g. the hours of a day or two parts of one hour
+ * Percentiles are approximated from the bucket percentiles weighted by successful checks
+ * @param {Array} buckets - Buckets
+ * @returns {Object} Merged bucket
+ */
+export const combineBuckets = (buckets) => {
+    const sum = (field) => buckets.reduce((total, bucket) => total + (bucket[field] || 0), 0);
+    const defined = (field) => buckets.map(bucket => bucket[field]).filter(value => value !== null && value !== undefined);
+
+    const upChecks = sum('upChecks');
+    const weightedAvg = upChecks > 0
+        ? buckets.reduce((total, bucket) => total + (bucket.avgResponseTime || 0) * (bucket.upChecks || 0), 0) / upChecks
+        : 0;
+
+    const bucket = {
+        totalChecks: sum('totalChecks'),
+        upChecks,
+        errorCount: sum('errorCount'),
+        avgResponseTime: Math.round(weightedAvg),
+        minResponseTime: defined('minResponseTime').length ? Math.min(...defined('minResponseTime')) : null,
+        maxResponseTime: defined('maxResponseTime').length ? Math.max(...defined('maxResponseTime')) : null,
+        ...Object.fromEntries(PERCENTILES.map(p => [
+            `p${p}ResponseTime`,
+            getWeightedPercentile(buckets.map(item => ({ value: item[`p${p}ResponseTime`], weight: item.upChecks || 0 })), p)
+        ])),
+        timedChecks: sum('timedChecks'),
+        latency: LATENCY_BUCKETS.map(le => ({
+            le,
+            count: buckets.reduce((total, item) => total + (item.latency?.find(entry => entry.le === le)?.count || 0), 0)
+        })),
+        uptime: sum('uptime'),
+        downtime: sum('downtime')
+    };
+
+    return { ...bucket, uptimePercentage: getBucketUptimePercentage(bucket) };
+};
+
+/**
+ * Daily summary of the hours of a day
+ */
+const buildDailySummary = (hours) => {
+    const { uptime, downtime, timedChecks, latency, ...summary } = combineBuckets(hours);
+    return { ...summary, totalUptime: uptime, totalDowntime: downtime };
+};
+
+/**
+ * Aggregate the raw checks of servers into hour buckets
+ * @returns {Promise<Array>} [{ serverId, start, bucket }]
+ */
+const aggregateHours = async (servers, from, to) => {
+    const ids = servers.map(server => new mongoose.Types.ObjectId(String(server._id)));
+
+    const results = await ServerCheck.aggregate([
+        { $match: { serverId: { $in: ids }, timestamp: { $gte: from, $lt: to } } },
+        ...getCheckWeightStages(servers, to),
+        {
+            $group: {
+                _id: {
+                    serverId: '$serverId',
+                    hour: { $dateTrunc: { date: '$timestamp', unit: 'hour' } }
+                },
+                totalChecks: { $sum: 1 },
+                upChecks: { $sum: { $cond: [{ $eq: ['$status', 'up'] }, 1, 0] } },
+                errorCount: { $sum: { $cond: [{ $eq: ['$status', 'down'] }, 1, 0] } },
+                uptime: { $sum: { $cond: [{ $eq: ['$status', 'up'] }, '$weight', 0] } },
+                downtime: { $sum: { $cond: [{ $eq: ['$status', 'down'] }, '$weight', 0] } },
+                responseTimes: {
+                    $push: { $cond: [{ $eq: ['$status', 'up'] }, '$responseTime', null] }
+                }
+            }
+        }
+    ]).allowDiskUse(true);
+
+    return results.map(result => ({
+        serverId: String(result._id.serverId),
+        start: new Date(result._id.hour),
+        bucket: buildBucket(result)
+    }));
+};
+
+/**
+ * Add hour buckets to the AggregatedStats documents of their days
+ * Hours already rolled up are merged, so an hour may be rolled up in parts
+ */
+const storeHours = async (hours) => {
+    const days = new Map();
+    hours.forEach(({ serverId, start, bucket }) => {
+        const date = getUtcDayStart(start);
+        const key = `${serverId}|${date.getTime()}`;
+        if (!days.has(key)) days.set(key, { serverId, date, hours: [] });
+        days.get(key).hours.push({ hour: start.getUTCHours(), ...bucket });
+    });
+
+    if (!days.size) return 0;
+
+    const existing = await AggregatedStats.find({
+        $or: [...days.values()].map(({ serverId, date }) => ({ serverId, date }))
+    })
+        .select('serverId date hourlyStats')
+        .lean();
+
+    const existingByKey = new Map(existing.map(doc => [`${doc.serverId}|${new Date(doc.date).getTime()}`, doc]));
+
+    const operations = [...days.entries()].map(([key, { serverId, date, hours: newHours }]) => {
+        const merged = new Map((existingByKey.get(key)?.hourlyStats || []).map(hour => [hour.hour, hour]));
+
+        newHours.forEach(hour => {
+            const previous = merged.get(hour.hour);
+            merged.set(hour.hour, previous ? { hour: hour.hour, ...combineBuckets([previous, hour]) } : hour);
+        });
+
+        const hourlyStats = [...merged.values()].sort((a, b) => a.hour - b.hour);
+
+        return {
+            updateOne: {
+                filter: { serverId, date },
+                update: { $set: { hourlyStats, dailySummary: buildDailySummary(hourlyStats) } },
+                upsert: true
+            }
+        };
+    });
+
+    await AggregatedStats.bulkWrite(operations, { ordered: false });
+    return operations.length;
+};
+
+/**
+ * Roll up the raw checks of all servers in a time range
+ * @param {Date} from - Range start
+ * @param {Date} to - Range end
+ * @returns {Promise<Object>} { hours, days }
+ */
+export const rollupChecks = async (from, to) => {
+    const cursor = Server.find({})
+        .select('_id monitoring.frequency')
+        .lean()
+        .cursor({ batchSize: ROLLUP_BATCH_SIZE });
+
+    let hours = 0;
+    let days = 0;
+    let batch = [];
+
+    const flush = async () => {
+        const rolled = await aggregateHours(batch, from, to);
+        hours += rolled.length;
+        days += await storeHours(rolled);
+        batch = [];
+    };
+
+    for await (const server of cursor) {
+        batch.push(server);
+        if (batch.length === ROLLUP_BATCH_SIZE) await flush();
+    }
+
+    if (batch.length) await flush();
+
+    return { hours, days };
+};
+
+/**
+ * Where the last rollup stopped
+ * Falls back to the last rollup write, then to the oldest raw check
+ */
+const getWatermark = async () => {
+    const stored = await redisConnection.get(WATERMARK_KEY);
+    if (stored) return new Date(Number(stored));
+
+    const [lastRollup, firstCheck] = await Promise.all([
+        AggregatedStats.findOne({}).sort({ updatedAt: -1 }).select('updatedAt').lean(),
+        ServerCheck.findOne({}).sort({ timestamp: 1 }).select('timestamp').lean()
+    ]);
+
+    return lastRollup?.updatedAt || firstCheck?.timestamp || null;
+};
+
+/**
+ * Take the rollup lock, waiting for a running rollup to finish
+ * @returns {Promise<String|null>} Lock token, null when the wait timed out
+ */
+const acquireLock = async () => {
+    const token = crypto.randomBytes(8).toString('hex');
+    const deadline = Date.now() + LOCK_WAIT_MS;
+
+    while (Date.now() < deadline) {
+        const acquired = await redisConnection.set(LOCK_KEY, token, 'PX', LOCK_TTL_MS, 'NX');
+        if (acquired) return token;
+        await new Promise(resolve => setTimeout(resolve, 2000));
+    }
+
+    return null;
+};
+
+const releaseLock = async (token) => {
+    if (await redisConnection.get(LOCK_KEY) === token) {
+        await redisConnection.del(LOCK_KEY);
+    }
+};
+
+/**
+ * Roll up every raw check not rolled up yet
+ * Runs hourly and right before data retention deletes raw checks
+ * @param {Date} to - Roll up until here
+ * @returns {Promise<Object>} { from, to, hours, days, duration }
+ */
+export const rollupPendingChecks = async (to = new Date()) => {
+    const startTime = Date.now();
+
+    const token = await acquireLock();
+    if (!token) throw new Error('Timed out waiting for the running rollup');
+
+    try {
+        const from = await getWatermark();
+        if (!from || from >= to) {
+            return { from, to, hours: 0, days: 0, duration: Date.now() - startTime };
+        }
+
+        const result = await rollupChecks(from, to);
+        await redisConnection.set(WATERMARK_KEY, to.getTime());
+
+        logger.info(`Rolled up checks from ${from.toISOString()} to ${to.toISOString()}`, result);
+
+        return { from, to, ...result, duration: Date.now() - startTime };
+    } finally {
+        await releaseLock(token);
+    }
+};
+
+/**
+ * Roll up the completed hours, for the hourly schedule
+ */
+export const rollupCompletedHours = () => {
+    return rollupPendingChecks(new Date(Math.floor(Date.now() / HOUR_MS) * HOUR_MS));
+};
+
+/**
+ * Oldest raw check of a server, older data only exists as rollups
+ * @param {String|ObjectId} serverId - Server ID
+ * @returns {Promise<Date>} Now when there are no raw checks
+ */
+export const getRawDataHorizon = async (serverId) => {
+    const firstCheck = await ServerCheck.findOne({ serverId })
+        .sort({ timestamp: 1 })
+        .select('timestamp')
+        .lean();
+
+    return firstCheck ? new Date(firstCheck.timestamp) : new Date();
+};
+
+/**
+ * Hourly rollups of a server between a start and the raw-data horizon
+ * Hours reaching past the horizon are left to the raw checks
+ * @param {String|ObjectId} serverId - Server ID
+ * @param {Date} from - Range start
+ * @param {Date} horizon - Raw-data horizon
+ * @returns {Promise<Array>} [{ start, ...bucket }] in chronological order
+ */
+export const getRollupHours = async (serverId, from, horizon) => {
+    if (from >= horizon) return [];
+
+    const docs = await AggregatedStats.find({
+        serverId,
+        date: { $gte: getUtcDayStart(from), $lt: horizon }
+    })
+        .select('date hourlyStats')
+        .sort({ date: 1 })
+        .lean();
+
+    return docs.flatMap(doc => (doc.hourlyStats || []).map(({ hour, ...bucket }) => ({
+        start: new Date(new Date(doc.date).getTime() + hour * HOUR_MS),
+        ...bucket
+    }))).filter(hour => hour.start >= from && hour.start.getTime() + HOUR_MS <= horizon.getTime());
+};
+
+export default {
+    PERCENTILES,
+    LATENCY_BUCKETS,
+    getUtcDayStart,
+    getPercentiles,
+    buildBucket,
+    combineBuckets,
+    countChecksWithin,
+    rollupChecks,
+    rollupPendingChecks,
+    rollupCompletedHours,
+    getRawDataHorizon,
+    getRollupHours
+};
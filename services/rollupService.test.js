@@ -0,0 +1,210 @@
+import { describe, it, beforeEach, afterEach, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Server from '../models/Server.js';
+import ServerCheck from '../models/ServerCheck.js';
+import AggregatedStats from '../models/AggregatedStats.js';
+import { redisConnection } from '../config/redis.js';
+import {
+    getPercentiles,
+    countChecksWithin,
+    buildBucket,
+    combineBuckets,
+    rollupPendingChecks,
+    getRollupHours
+} from './rollupService.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+after(() => redisConnection.disconnect());
+
+const raw = (fields) => ({ totalChecks: 0, upChecks: 0, errorCount: 0, uptime: 0, downtime: 0, responseTimes: [], ...fields });
+
+describe('getPercentiles', () => {
+    it('uses the nearest rank', () => {
+        const values = Array.from({ length: 100 }, (_, index) => index + 1);
+
+        assert.deepEqual(getPercentiles(values), { p50ResponseTime: 50, p95ResponseTime: 95, p99ResponseTime: 99 });
+        assert.deepEqual(getPercentiles([]), { p50ResponseTime: null, p95ResponseTime: null, p99ResponseTime: null });
+    });
+});
+
+describe('buildBucket', () => {
+    it('summarizes the successful response times of an hour', () => {
+        const bucket = buildBucket(raw({
+            totalChecks: 5,
+            upChecks: 4,
+            errorCount: 1,
+            uptime: 48 * 60 * 1000,
+            downtime: 12 * 60 * 1000,
+            responseTimes: [80, 120, 450, 900, null]
+        }));
+
+        assert.equal(bucket.avgResponseTime, 388);
+        assert.equal(bucket.minResponseTime, 80);
+        assert.equal(bucket.maxResponseTime, 900);
+        assert.equal(bucket.timedChecks, 4);
+        assert.deepEqual(bucket.latency.slice(0, 7), [
+            { le: 50, count: 0 },
+            { le: 100, count: 1 },
+            { le: 200, count: 2 },
+            { le: 300, count: 2 },
+            { le: 500, count: 3 },
+            { le: 750, count: 3 },
+            { le: 1000, count: 4 }
+        ]);
+        assert.equal(bucket.uptime, 2880);
+        assert.equal(bucket.downtime, 720);
+        assert.equal(bucket.uptimePercentage, 80);
+    });
+
+    it('falls back to check counts without durations', () => {
+        assert.equal(buildBucket(raw({ totalChecks: 4, upChecks: 3 })).uptimePercentage, 75);
+        assert.equal(buildBucket(raw({})).uptimePercentage, 100);
+    });
+});
+
+describe('countChecksWithin', () => {
+    const bucket = buildBucket(raw({ totalChecks: 4, upChecks: 4, responseTimes: [80, 120, 450, 900] }));
+
+    it('reads thresholds on a bound from the histogram', () => {
+        assert.deepEqual(countChecksWithin(bucket, 500), { good: 3, total: 4 });
+    });
+
+    it('interpolates thresholds between bounds', () => {
+        // 1 check at or below 100ms, 2 at or below 200ms
+        assert.deepEqual(countChecksWithin(bucket, 150), { good: 1.5, total: 4 });
+        assert.deepEqual(countChecksWithin(bucket, 25), { good: 0, total: 4 });
+    });
+
+    it('counts every timed check above the last bound', () => {
+        assert.deepEqual(countChecksWithin(bucket, 120000), { good: 4, total: 4 });
+    });
+
+    it('counts nothing for hours without a histogram', () => {
+        assert.deepEqual(countChecksWithin({ timedChecks: 10 }, 500), { good: 0, total: 0 });
+    });
+});
+
+describe('combineBuckets', () => {
+    it('merges counts, durations and histograms', () => {
+        const first = buildBucket(raw({ totalChecks: 2, upChecks: 2, uptime: 600000, responseTimes: [100, 300] }));
+        const second = buildBucket(raw({ totalChecks: 3, upChecks: 1, errorCount: 2, uptime: 300000, downtime: 600000, responseTimes: [1200] }));
+
+        const combined = combineBuckets([first, second]);
+
+        assert.equal(combined.totalChecks, 5);
+        assert.equal(combined.upChecks, 3);
+        assert.equal(combined.errorCount, 2);
+        assert.equal(combined.avgResponseTime, 533);
+        assert.equal(combined.minResponseTime, 100);
+        assert.equal(combined.maxResponseTime, 1200);
+        assert.equal(combined.p99ResponseTime, 1200);
+        assert.equal(combined.timedChecks, 3);
+        assert.equal(combined.latency.find(entry => entry.le === 1000).count, 2);
+        assert.equal(combined.latency.find(entry => entry.le === 1500).count, 3);
+        assert.equal(combined.uptimePercentage, 60);
+    });
+});
+
+describe('rollupPendingChecks', () => {
+    const serverId = new mongoose.Types.ObjectId();
+    const day = new Date('2026-03-10T00:00:00Z');
+    let store;
+    let writes;
+    let existing;
+
+    beforeEach(() => {
+        store = new Map([['rollup:watermark', String(Date.parse('2026-03-10T10:30:00Z'))]]);
+        writes = [];
+        existing = [];
+
+        mock.method(redisConnection, 'get', async key => store.get(key) ?? null);
+        mock.method(redisConnection, 'set', async (key, value, ...options) => {
+            if (options.includes('NX') && store.has(key)) return null;
+            store.set(key, String(value));
+            return 'OK';
+        });
+        mock.method(redisConnection, 'del', async key => Number(store.delete(key)));
+
+        mock.method(Server, 'find', () => ({
+            select: () => ({
+                lean: () => ({
+                    cursor: async function* () { yield { _id: serverId, monitoring: { frequency: 5 } }; }
+                })
+            })
+        }));
+        mock.method(ServerCheck, 'aggregate', () => ({
+            allowDiskUse: async () => [{
+                _id: { serverId, hour: new Date('2026-03-10T10:00:00Z') },
+                ...raw({ totalChecks: 6, upChecks: 6, uptime: 30 * 60 * 1000, responseTimes: [100, 100, 100, 100, 100, 100] })
+            }]
+        }));
+        mock.method(AggregatedStats, 'find', () => ({ select: () => ({ lean: async () => existing }) }));
+        mock.method(AggregatedStats, 'bulkWrite', async (operations) => { writes.push(...operations); });
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    it('merges the rest of a partly rolled up hour and moves the watermark', async () => {
+        // The first half of 10:00 was rolled up by the previous run
+        existing = [{
+            serverId,
+            date: day,
+            hourlyStats: [{
+                hour: 10,
+                ...buildBucket(raw({ totalChecks: 6, upChecks: 3, errorCount: 3, uptime: 15 * 60 * 1000, downtime: 15 * 60 * 1000, responseTimes: [300, 300, 300] }))
+            }]
+        }];
+        const to = new Date('2026-03-10T11:00:00Z');
+
+        const result = await rollupPendingChecks(to);
+
+        assert.equal(result.hours, 1);
+        assert.equal(result.days, 1);
+        assert.equal(ServerCheck.aggregate.mock.calls[0].arguments[0][0].$match.timestamp.$gte.toISOString(), '2026-03-10T10:30:00.000Z');
+
+        const { filter, update, upsert } = writes[0].updateOne;
+        const [hour] = update.$set.hourlyStats;
+        assert.deepEqual(filter, { serverId: String(serverId), date: day });
+        assert.equal(upsert, true);
+        assert.equal(hour.totalChecks, 12);
+        assert.equal(hour.uptime, 2700);
+        assert.equal(hour.uptimePercentage, 75);
+        assert.equal(hour.timedChecks, 9);
+        assert.equal(update.$set.dailySummary.totalUptime, 2700);
+        assert.equal(update.$set.dailySummary.latency, undefined);
+
+        assert.equal(store.get('rollup:watermark'), String(to.getTime()));
+        assert.equal(store.has('rollup:lock'), false);
+    });
+
+    it('does nothing when everything is rolled up', async () => {
+        const result = await rollupPendingChecks(new Date('2026-03-10T10:00:00Z'));
+
+        assert.equal(result.hours, 0);
+        assert.equal(ServerCheck.aggregate.mock.callCount(), 0);
+        assert.equal(store.has('rollup:lock'), false);
+    });
+});
+
+describe('getRollupHours', () => {
+    afterEach(() => mock.restoreAll());
+
+    it('returns the hours before the raw-data horizon', async () => {
+        mock.method(AggregatedStats, 'find', () => ({
+            select: () => ({
+                sort: () => ({
+                    lean: async () => [{
+                        date: new Date('2026-03-10T00:00:00Z'),
+                        hourlyStats: [{ hour: 8, totalChecks: 12 }, { hour: 9, totalChecks: 12 }, { hour: 10, totalChecks: 6 }]
+                    }]
+                })
+            })
+        }));
+
+        const hours = await getRollupHours('server-1', new Date('2026-03-10T09:00:00Z'), new Date('2026-03-10T10:30:00Z'));
+
+        assert.deepEqual(hours, [{ start: new Date('2026-03-10T09:00:00Z'), totalChecks: 12 }]);
+    });
+});
@@ -0,0 +1,426 @@
+// services/sloService.js - SLO error budgets, burn rates and monthly compliance
+
+import mongoose from 'mongoose';
+import Slo from '../models/Slo.js';
+import Server from '../models/Server.js';
+import User from '../models/User.js';
+import ServerCheck from '../models/ServerCheck.js';
+import AggregatedStats from '../models/AggregatedStats.js';
+import { alertQueue } from '../queues/alertQueue.js';
+import { redisConnection } from '../config/redis.js';
+import { CACHE_STRATEGIES } from '../config/performance.js';
+import { getCachedData, setCachedData } from '../utils/cacheManager.js';
+import { computeUptimes } from './uptimeService.js';
+import { getUtcDayStart, countChecksWithin } from './rollupService.js';
+import { sendSloBurnAlertEmail } from './emailService.js';
+import logger from '../utils/logger.js';
+
+// Job name on the alerts queue
+export const SLO_BURN_JOB = 'send-slo-burn-alert';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Burn-rate rules: fast catches sudden outages, slow catches steady erosion
+export const BURN_RATE_RULES = {
+    fast: { window: HOUR_MS, label: '1h', setting: 'fastBurnRate' },
+    slow: { window: 6 * HOUR_MS, label: '6h', setting: 'slowBurnRate' }
+};
+
+// Share of the error budget left below which an SLO is at risk
+const AT_RISK_BUDGET_PERCENT = 25;
+
+export const getSloStatusCacheKey = (sloId) => `api:slos:status:${sloId}`;
+
+/**
+ * Drop the cached status of an SLO after it changed
+ */
+export const invalidateSloStatus = async (sloId) => {
+    try {
+        await redisConnection.del(getSloStatusCacheKey(sloId));
+    } catch (error) {
+        logger.error(`Error invalidating SLO status cache: ${error.message}`);
+    }
+};
+
+/**
+ * Share of events that may be bad
+ */
+const getAllowedBadRatio = (slo) => 1 - slo.objective.target / 100;
+
+/**
+ * Get the service level indicator in percent
+ * @returns {Number|null} null without data
+ */
+export const getSli = (good, total) => {
+    return total > 0 ? Math.round((good / total) * 100000) / 1000 : null;
+};
+
+/**
+ * Get how much of the error budget was spent
+ * Availability budgets are in seconds of downtime, latency budgets in slow checks
+ * @param {Object} slo - SLO with objective
+ * @param {Number} good - Good seconds or checks
+ * @param {Number} total - Monitored seconds or checks
+ * @returns {Object} { unit, allowed, spent, remaining, consumedPercent, remainingPercent }
+ */
+export const getErrorBudget = (slo, good, total) => {
+    const allowed = total * getAllowedBadRatio(slo);
+    const spent = total - good;
+    const consumedPercent = allowed > 0 ? Math.round((spent / allowed) * 10000) / 100 : 0;
+
+    return {
+        unit: slo.objective.type === 'latency' ? 'checks' : 'seconds',
+        allowed: Math.round(allowed),
+        spent,
+        remaining: Math.max(0, Math.round(allowed - spent)),
+        consumedPercent,
+        remainingPercent: Math.max(0, Math.round((100 - consumedPercent) * 100) / 100)
+    };
+};
+
+/**
+ * Get how fast the error budget is being spent, 1 means exactly over the window
+ * @returns {Number|null} null without data
+ */
+export const getBurnRate = (slo, good, total) => {
+    if (!total) return null;
+    return Math.round(((total - good) / total / getAllowedBadRatio(slo)) * 100) / 100;
+};
+
+/**
+ * Classify an SLO by its indicator and remaining budget
+ * @returns {String} 'no_data', 'breached', 'at_risk' or 'met'
+ */
+export const getComplianceStatus = (slo, sli, errorBudget) => {
+    if (sli === null) return 'no_data';
+    if (sli < slo.objective.target) return 'breached';
+    if (errorBudget.remainingPercent < AT_RISK_BUDGET_PERCENT) return 'at_risk';
+    return 'met';
+};
+
+/**
+ * Count good and total seconds per server and range from duration-weighted uptime
+ */
+const measureAvailability = async (servers, ranges, to) => {
+    const uptimes = await computeUptimes(servers, ranges, to);
+
+    return new Map([...uptimes].map(([serverId, uptime]) => [
+        serverId,
+        Object.fromEntries(Object.keys(ranges).map(key => [key, {
+            good: uptime[key].monitored - uptime[key].downtime,
+            total: uptime[key].monitored
+        }]))
+    ]));
+};
+
+/**
+ * Count fast and total successful checks of hourly rollups per server and range
+ * Only hours before the first raw check of a server are used, the raw checks cover the rest
+ */
+const sumLatencyRollups = async (servers, threshold, ranges, to, rawStarts) => {
+    const ids = servers.map(server => new mongoose.Types.ObjectId(String(server._id)));
+    const from = new Date(Math.min(...Object.values(ranges).map(date => date.getTime())));
+
+    const docs = await AggregatedStats.find({
+        serverId: { $in: ids },
+        date: { $gte: getUtcDayStart(from), $lt: to }
+    })
+        .select('serverId date hourlyStats.hour hourlyStats.timedChecks hourlyStats.latency')
+        .lean();
+
+    const totals = new Map();
+
+    docs.forEach(doc => {
+        const serverId = String(doc.serverId);
+        const horizon = rawStarts.get(serverId) || to;
+
+        (doc.hourlyStats || []).forEach(hour => {
+            const start = new Date(new Date(doc.date).getTime() + hour.hour * HOUR_MS);
+            if (start.getTime() + HOUR_MS > horizon.getTime()) return;
+
+            const { good, total } = countChecksWithin(hour, threshold);
+            if (!total) return;
+
+            if (!totals.has(serverId)) totals.set(serverId, {});
+            const serverTotals = totals.get(serverId);
+
+            Object.entries(ranges).forEach(([key, since]) => {
+                if (start < since) return;
+                serverTotals[`good_${key}`] = (serverTotals[`good_${key}`] || 0) + good;
+                serverTotals[`total_${key}`] = (serverTotals[`total_${key}`] || 0) + total;
+            });
+        });
+    });
+
+    return totals;
+};
+
+/**
+ * Count fast and total successful checks per server and range
+ * Failed checks count against availability, not latency
+ * Time before the oldest raw check is read from the hourly rollups
+ */
+const measureLatency = async (servers, threshold, ranges, to) => {
+    const ids = servers.map(server => new mongoose.Types.ObjectId(String(server._id)));
+    const from = new Date(Math.min(...Object.values(ranges).map(date => date.getTime())));
+
+    const group = { _id: '$serverId', firstCheck: { $min: '$timestamp' } };
+    Object.entries(ranges).forEach(([key, since]) => {
+        const inRange = { $gte: ['$timestamp', since] };
+        group[`total_${key}`] = { $sum: { $cond: [inRange, 1, 0] } };
+        group[`good_${key}`] = {
+            $sum: { $cond: [{ $and: [inRange, { $lte: ['$responseTime', threshold] }] }, 1, 0] }
+        };
+    });
+
+    const results = await ServerCheck.aggregate([
+        {
+            $match: {
+                serverId: { $in: ids },
+                timestamp: { $gte: from, $lt: to },
+                status: 'up',
+                maintenance: { $ne: true },
+                responseTime: { $type: 'number' }
+            }
+        },
+        { $group: group }
+    ]);
+
+    const byServer = new Map(results.map(result => [String(result._id), result]));
+    const rawStarts = new Map([...byServer].map(([serverId, result]) => [serverId, new Date(result.firstCheck)]));
+    const rollups = await sumLatencyRollups(servers, threshold, ranges, to, rawStarts);
+
+    return new Map(servers.map(server => {
+        const result = byServer.get(String(server._id)) || {};
+        const rollup = rollups.get(String(server._id)) || {};
+        return [String(server._id), Object.fromEntries(Object.keys(ranges).map(key => [key, {
+            good: Math.round((result[`good_${key}`] || 0) + (rollup[`good_${key}`] || 0)),
+            total: (result[`total_${key}`] || 0) + (rollup[`total_${key}`] || 0)
+        }]))];
+    }));
+};
+
+/**
+ * Measure an SLO over ranges ending at the same time
+ * @param {Object} slo - SLO with servers, objective and uploadedBy
+ * @param {Object} ranges - Start dates keyed by range name
+ * @param {Date} to - End of all ranges
+ * @returns {Promise<Object>} { [range]: { good, total, servers: [{ serverId, name, good, total }] } }
+ */
+export const measureSlo = async (slo, ranges, to = new Date()) => {
+    // Servers the owner no longer has are left out
+    const servers = await Server.find({ _id: { $in: slo.servers }, uploadedBy: slo.uploadedBy })
+        .select('name monitoring.frequency')
+        .lean();
+
+    const counts = !servers.length
+        ? new Map()
+        : slo.objective.type === 'latency'
+            ? await measureLatency(servers, slo.objective.threshold, ranges, to)
+            : await measureAvailability(servers, ranges, to);
+
+    return Object.fromEntries(Object.keys(ranges).map(key => {
+        const perServer = servers.map(server => ({
+            serverId: String(server._id),
+            name: server.name,
+            ...(counts.get(String(server._id))?.[key] || { good: 0, total: 0 })
+        }));
+
+        return [key, {
+            good: perServer.reduce((sum, server) => sum + server.good, 0),
+            total: perServer.reduce((sum, server) => sum + server.total, 0),
+            servers: perServer
+        }];
+    }));
+};
+
+/**
+ * Calculate the current state of an SLO over its rolling window
+ * @param {Object} slo - SLO
+ * @param {Date} now - End of the window
+ * @returns {Promise<Object>} { sli, target, status, errorBudget, burnRates, servers, calculatedAt }
+ */
+export const buildSloStatus = async (slo, now = new Date()) => {
+    const ranges = {
+        window: new Date(now.getTime() - slo.windowDays * DAY_MS),
+        ...Object.fromEntries(Object.entries(BURN_RATE_RULES)
+            .map(([name, rule]) => [name, new Date(now.getTime() - rule.window)]))
+    };
+
+    const measured = await measureSlo(slo, ranges, now);
+    const { good, total, servers } = measured.window;
+
+    const sli = getSli(good, total);
+    const errorBudget = getErrorBudget(slo, good, total);
+
+    return {
+        sli,
+        target: slo.objective.target,
+        status: getComplianceStatus(slo, sli, errorBudget),
+        errorBudget,
+        burnRates: Object.fromEntries(Object.entries(BURN_RATE_RULES).map(([name, rule]) => [name, {
+            window: rule.label,
+            rate: getBurnRate(slo, measured[name].good, measured[name].total),
+            threshold: slo.alerting?.[rule.setting] ?? null
+        }])),
+        servers: servers.map(server => ({
+            serverId: server.serverId,
+            name: server.name,
+            sli: getSli(server.good, server.total)
+        })),
+        calculatedAt: now.toISOString()
+    };
+};
+
+/**
+ * Get the current state of an SLO, from the cache where possible
+ */
+export const getSloStatus = async (slo) => {
+    const cacheKey = getSloStatusCacheKey(slo._id);
+
+    const cached = await getCachedData(cacheKey);
+    if (cached) return cached;
+
+    const status = await buildSloStatus(slo);
+    await setCachedData(cacheKey, status, CACHE_STRATEGIES.analytics);
+
+    return status;
+};
+
+/**
+ * Summarise the compliance of SLOs for a calendar month (UTC)
+ * @param {Array} slos - SLOs
+ * @param {String} month - Month as YYYY-MM
+ * @returns {Promise<Object>} { month, from, to, partial, summary, slos }
+ */
+export const getMonthlyCompliance = async (slos, month) => {
+    const [year, monthIndex] = month.split('-').map(Number);
+    const from = new Date(Date.UTC(year, monthIndex - 1, 1));
+    const end = new Date(Date.UTC(year, monthIndex, 1));
+    const now = new Date();
+    const to = end < now ? end : now;
+
+    const results = await Promise.all(slos.map(async slo => {
+        const { good, total, servers } = (await measureSlo(slo, { month: from }, to)).month;
+        const sli = getSli(good, total);
+        const errorBudget = getErrorBudget(slo, good, total);
+
+        return {
+            sloId: String(slo._id),
+            name: slo.name,
+            objective: slo.objective,
+            sli,
+            compliant: sli === null ? null : sli >= slo.objective.target,
+            status: getComplianceStatus(slo, sli, errorBudget),
+            errorBudget,
+            servers: servers.map(server => ({
+                serverId: server.serverId,
+                name: server.name,
+                sli: getSli(server.good, server.total)
+            }))
+        };
+    }));
+
+    return {
+        month,
+        from: from.toISOString(),
+        to: to.toISOString(),
+        partial: end > now,
+        summary: {
+            total: results.length,
+            compliant: results.filter(result => result.compliant === true).length,
+            breached: results.filter(result => result.compliant === false).length,
+            noData: results.filter(result => result.compliant === null).length
+        },
+        slos: results
+    };
+};
+
+/**
+ * Check the burn rates of all alerting SLOs and queue alerts for fast-burning ones
+ * Each rule alerts at most once per its window
+ * @returns {Promise<Object>} { evaluated, alerts }
+ */
+export const evaluateSloBurnRates = async () => {
+    const slos = await Slo.find({ 'alerting.enabled': true }).lean();
+    let alerts = 0;
+
+    for (const slo of slos) {
+        try {
+            const status = await buildSloStatus(slo);
+            await setCachedData(getSloStatusCacheKey(slo._id), status, CACHE_STRATEGIES.analytics);
+
+            for (const [name, rule] of Object.entries(BURN_RATE_RULES)) {
+                const { rate, threshold } = status.burnRates[name];
+                if (rate === null || !threshold || rate < threshold) continue;
+
+                const opened = await redisConnection.set(`slo-burn:${slo._id}:${name}`, Date.now(), 'PX', rule.window, 'NX');
+                if (!opened) continue;
+
+                await alertQueue.add(SLO_BURN_JOB, {
+                    sloId: String(slo._id),
+                    rule: name,
+                    burnRate: rate
+                }, {
+                    jobId: `slo-burn-${slo._id}-${name}-${Date.now()}`
+                });
+
+                alerts++;
+                logger.warn(`SLO ${slo.name} (${slo._id}) burning error budget at ${rate}x over ${rule.label}`);
+            }
+        } catch (error) {
+            logger.error(`Error evaluating SLO ${slo._id}: ${error.message}`, { stack: error.stack });
+        }
+    }
+
+    return { evaluated: slos.length, alerts };
+};
+
+/**
+ * Send a queued burn-rate alert
+ * @param {Object} data - Job data ({ sloId, rule, burnRate })
+ * @returns {Promise<Boolean>} Whether the alert was sent
+ */
+export const runSloBurnAlert = async ({ sloId, rule, burnRate }) => {
+    const slo = await Slo.findById(sloId).lean();
+    if (!slo || !slo.alerting?.enabled) return false;
+
+    let recipients = slo.alerting.contactEmails || [];
+    if (!recipients.length) {
+        const owner = await User.findById(slo.uploadedBy).select('email').lean();
+        recipients = owner?.email ? [owner.email] : [];
+    }
+
+    if (!recipients.length) {
+        logger.warn(`No recipients for burn-rate alert of SLO ${sloId}`);
+        return false;
+    }
+
+    const status = await getSloStatus(slo);
+
+    return sendSloBurnAlertEmail(recipients, {
+        slo,
+        window: BURN_RATE_RULES[rule]?.label || rule,
+        burnRate,
+        threshold: slo.alerting[BURN_RATE_RULES[rule]?.setting] ?? null,
+        status
+    });
+};
+
+export default {
+    SLO_BURN_JOB,
+    BURN_RATE_RULES,
+    getSloStatusCacheKey,
+    invalidateSloStatus,
+    getSli,
+    getErrorBudget,
+    getBurnRate,
+    getComplianceStatus,
+    measureSlo,
+    buildSloStatus,
+    getSloStatus,
+    getMonthlyCompliance,
+    evaluateSloBurnRates,
+    runSloBurnAlert
+};
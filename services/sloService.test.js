@@ -0,0 +1,197 @@
+import { describe, it, beforeEach, afterEach, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Slo from '../models/Slo.js';
+import Server from '../models/Server.js';
+import ServerCheck from '../models/ServerCheck.js';
+import AggregatedStats from '../models/AggregatedStats.js';
+import { redisConnection } from '../config/redis.js';
+import { alertQueue } from '../queues/alertQueue.js';
+import {
+    SLO_BURN_JOB,
+    getSli,
+    getErrorBudget,
+    getBurnRate,
+    getComplianceStatus,
+    buildSloStatus,
+    evaluateSloBurnRates
+} from './sloService.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+after(() => redisConnection.disconnect());
+
+const availability = { objective: { type: 'availability', target: 99.9 } };
+const latency = { objective: { type: 'latency', target: 95, threshold: 500 } };
+
+describe('SLO math', () => {
+    it('computes the indicator in percent', () => {
+        assert.equal(getSli(999, 1000), 99.9);
+        assert.equal(getSli(2, 3), 66.667);
+        assert.equal(getSli(0, 0), null);
+    });
+
+    it('spends the error budget in seconds or checks', () => {
+        // 30 days allow 2592 seconds of downtime at 99.9%
+        assert.deepEqual(getErrorBudget(availability, 2592000 - 648, 2592000), {
+            unit: 'seconds',
+            allowed: 2592,
+            spent: 648,
+            remaining: 1944,
+            consumedPercent: 25,
+            remainingPercent: 75
+        });
+
+        const overspent = getErrorBudget(latency, 80, 100);
+        assert.equal(overspent.unit, 'checks');
+        assert.equal(overspent.consumedPercent, 400);
+        assert.equal(overspent.remaining, 0);
+        assert.equal(overspent.remainingPercent, 0);
+    });
+
+    it('measures burn rates against the allowed error ratio', () => {
+        assert.equal(getBurnRate(availability, 999, 1000), 1);
+        assert.equal(getBurnRate(availability, 986, 1000), 14);
+        assert.equal(getBurnRate(availability, 0, 0), null);
+    });
+
+    it('classifies compliance', () => {
+        const budget = (remainingPercent) => ({ remainingPercent });
+
+        assert.equal(getComplianceStatus(availability, null, budget(100)), 'no_data');
+        assert.equal(getComplianceStatus(availability, 99.8, budget(0)), 'breached');
+        assert.equal(getComplianceStatus(availability, 99.92, budget(20)), 'at_risk');
+        assert.equal(getComplianceStatus(availability, 99.99, budget(90)), 'met');
+    });
+});
+
+describe('SLO status', () => {
+    const now = new Date('2026-03-31T12:00:00Z');
+    const serverId = new mongoose.Types.ObjectId();
+    let rawResults;
+
+    beforeEach(() => {
+        rawResults = [];
+        mock.method(Server, 'find', () => ({ select: () => ({ lean: async () => [{ _id: serverId, name: 'api' }] }) }));
+        mock.method(ServerCheck, 'aggregate', async () => rawResults);
+        mock.method(AggregatedStats, 'find', () => ({ select: () => ({ lean: async () => [] }) }));
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    it('measures availability by monitored time with fast and slow burn rates', async () => {
+        // Half an hour down, all of it in the last hour
+        rawResults = [{
+            _id: serverId,
+            firstCheck: new Date('2026-03-01T12:00:00Z'),
+            up_window: 719.5 * HOUR_MS,
+            down_window: 0.5 * HOUR_MS,
+            up_fast: 0.5 * HOUR_MS,
+            down_fast: 0.5 * HOUR_MS,
+            up_slow: 5.5 * HOUR_MS,
+            down_slow: 0.5 * HOUR_MS
+        }];
+
+        const status = await buildSloStatus({
+            ...availability,
+            windowDays: 30,
+            servers: [serverId],
+            alerting: { fastBurnRate: 14.4 }
+        }, now);
+
+        assert.equal(status.sli, 99.931);
+        assert.equal(status.status, 'met');
+        assert.equal(status.errorBudget.allowed, 2592);
+        assert.equal(status.errorBudget.spent, 1800);
+        assert.deepEqual(status.burnRates, {
+            fast: { window: '1h', rate: 500, threshold: 14.4 },
+            slow: { window: '6h', rate: 83.33, threshold: null }
+        });
+        assert.deepEqual(status.servers, [{ serverId: String(serverId), name: 'api', sli: 99.931 }]);
+    });
+
+    it('measures latency by the share of fast successful checks', async () => {
+        rawResults = [{
+            _id: serverId,
+            firstCheck: new Date('2026-03-01T12:00:00Z'),
+            total_window: 1000,
+            good_window: 940,
+            total_fast: 12,
+            good_fast: 12,
+            total_slow: 72,
+            good_slow: 72
+        }];
+
+        const status = await buildSloStatus({ ...latency, windowDays: 30, servers: [serverId] }, now);
+
+        const [{ $match }, { $group }] = ServerCheck.aggregate.mock.calls[0].arguments[0];
+        assert.equal($match.status, 'up');
+        assert.deepEqual($group.good_window.$sum.$cond[0].$and[1], { $lte: ['$responseTime', 500] });
+
+        assert.equal(status.sli, 94);
+        assert.equal(status.status, 'breached');
+        assert.equal(status.errorBudget.unit, 'checks');
+        assert.equal(status.burnRates.fast.rate, 0);
+    });
+
+    it('has no data without servers of the owner', async () => {
+        mock.method(Server, 'find', () => ({ select: () => ({ lean: async () => [] }) }));
+
+        const status = await buildSloStatus({ ...availability, windowDays: 7, servers: [serverId] }, now);
+
+        assert.equal(status.sli, null);
+        assert.equal(status.status, 'no_data');
+        assert.equal(ServerCheck.aggregate.mock.callCount(), 0);
+    });
+});
+
+describe('evaluateSloBurnRates', () => {
+    const serverId = new mongoose.Types.ObjectId();
+    let keys;
+    let jobs;
+
+    beforeEach(() => {
+        keys = new Set();
+        jobs = [];
+
+        mock.method(Slo, 'find', () => ({
+            lean: async () => [{
+                _id: 'slo-1',
+                name: 'API availability',
+                ...availability,
+                windowDays: 30,
+                servers: [serverId],
+                alerting: { enabled: true, fastBurnRate: 14.4, slowBurnRate: 100 }
+            }]
+        }));
+        mock.method(Server, 'find', () => ({ select: () => ({ lean: async () => [{ _id: serverId, name: 'api' }] }) }));
+        mock.method(ServerCheck, 'aggregate', async () => [{
+            _id: serverId,
+            firstCheck: new Date(Date.now() - 30 * 24 * HOUR_MS),
+            up_window: 700 * HOUR_MS,
+            down_window: 0.5 * HOUR_MS,
+            up_fast: 0.5 * HOUR_MS,
+            down_fast: 0.5 * HOUR_MS,
+            up_slow: 5.5 * HOUR_MS,
+            down_slow: 0.5 * HOUR_MS
+        }]);
+        mock.method(AggregatedStats, 'find', () => ({ select: () => ({ lean: async () => [] }) }));
+        mock.method(redisConnection, 'set', async (key, value, px, ttl, nx) => {
+            if (nx !== 'NX') return 'OK';
+            if (keys.has(key)) return null;
+            keys.add(key);
+            return 'OK';
+        });
+        mock.method(alertQueue, 'add', async (name, data) => jobs.push({ name, data }));
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    it('alerts for rules over their threshold once per window', async () => {
+        assert.deepEqual(await evaluateSloBurnRates(), { evaluated: 1, alerts: 1 });
+        assert.deepEqual(jobs, [{ name: SLO_BURN_JOB, data: { sloId: 'slo-1', rule: 'fast', burnRate: 500 } }]);
+
+        assert.deepEqual(await evaluateSloBurnRates(), { evaluated: 1, alerts: 0 });
+        assert.equal(jobs.length, 1);
+    });
+});
@@ -0,0 +1,403 @@
+// services/statusPageService.js - Public status page data and rendering
+
+import mongoose from 'mongoose';
+import StatusPage from '../models/StatusPage.js';
+import Server from '../models/Server.js';
+import ServerCheck from '../models/ServerCheck.js';
+import AggregatedStats from '../models/AggregatedStats.js';
+import Incident from '../models/Incident.js';
+import { getAnnouncedMaintenance } from './maintenanceService.js';
+import { getCachedData, setCachedData, dedupedFetch } from '../utils/cacheManager.js';
+import { escapeHtml } from '../utils/template.js';
+import { redisConnection } from '../config/redis.js';
+import { CACHE_STRATEGIES } from '../config/performance.js';
+import logger from '../utils/logger.js';
+
+// Days of uptime bars on a status page
+export const STATUS_PAGE_DAYS = 90;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Public status of a server, from best to worst
+export const COMPONENT_STATUSES = ['operational', 'under_maintenance', 'degraded', 'partial_outage', 'major_outage', 'unknown'];
+
+const SERVER_COMPONENT_STATUS = {
+    up: 'operational',
+    verifying: 'degraded',
+    down: 'major_outage',
+    unknown: 'unknown'
+};
+
+const STATUS_LABELS = {
+    operational: 'Operational',
+    under_maintenance: 'Under maintenance',
+    degraded: 'Degraded performance',
+    partial_outage: 'Partial outage',
+    major_outage: 'Major outage',
+    unknown: 'No data'
+};
+
+const STATUS_COLORS = {
+    operational: '#4CAF50',
+    under_maintenance: '#2196F3',
+    degraded: '#ff9800',
+    partial_outage: '#ff9800',
+    major_outage: '#f44336',
+    unknown: '#9e9e9e'
+};
+
+/**
+ * Cache key of a public status page
+ * @param {String} slug - Status page slug
+ * @returns {String} Cache key
+ */
+export const getStatusPageCacheKey = (slug) => `api:status-pages:${slug}`;
+
+/**
+ * Drop the cached copy of a status page after it changed
+ * @param {String} slug - Status page slug
+ */
+export const invalidateStatusPageCache = async (slug) => {
+    try {
+        await redisConnection.del(getStatusPageCacheKey(slug));
+    } catch (error) {
+        logger.error(`Error invalidating status page cache: ${error.message}`);
+    }
+};
+
+/**
+ * Get the public status of a group of servers
+ * All up is operational, all down a major outage, some down a partial outage
+ * @param {Array} statuses - Server statuses (up, down, verifying, unknown)
+ * @returns {String} Component status
+ */
+export const getComponentStatus = (statuses) => {
+    if (!statuses.length) return 'unknown';
+
+    const mapped = statuses.map(status => SERVER_COMPONENT_STATUS[status] || 'unknown');
+    const known = mapped.filter(status => status !== 'unknown');
+
+    if (!known.length) return 'unknown';
+    if (known.every(status => status === 'major_outage')) return 'major_outage';
+    if (known.includes('major_outage')) return 'partial_outage';
+    if (known.includes('degraded')) return 'degraded';
+
+    return 'operational';
+};
+
+/**
+ * Get the overall status of a page from its components
+ * @param {Array} statuses - Component statuses
+ * @returns {String} Worst known component status
+ */
+export const getOverallStatus = (statuses) => {
+    const known = statuses.filter(status => status !== 'unknown');
+    if (!known.length) return 'unknown';
+
+    return known.reduce((worst, status) =>
+        COMPONENT_STATUSES.indexOf(status) > COMPONENT_STATUSES.indexOf(worst) ? status : worst
+    );
+};
+
+/**
+ * Get the UTC day keys of the last days, oldest first
+ * @param {Number} days - Number of days
+ * @param {Date} now - End of the range
+ * @returns {Array} Days as YYYY-MM-DD
+ */
+export const getDayKeys = (days = STATUS_PAGE_DAYS, now = new Date()) => {
+    const today = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+
+    return Array.from({ length: days }, (_, index) =>
+        new Date(today - (days - 1 - index) * DAY_MS).toISOString().slice(0, 10)
+    );
+};
+
+/**
+ * Load the daily check counts of servers for the last days
+ * Raw checks are used where they still exist, aggregated stats for older days
+ * @param {Array} serverIds - Server IDs
+ * @param {Number} days - Number of days
+ * @returns {Promise<Map>} Map of "serverId:day" to { total, up }
+ */
+export const getDailyCheckCounts = async (serverIds, days = STATUS_PAGE_DAYS) => {
+    const ids = serverIds.map(id => new mongoose.Types.ObjectId(String(id)));
+    const start = new Date(`${getDayKeys(days)[0]}T00:00:00.000Z`);
+
+    const [rawDays, aggregatedDays] = await Promise.all([
+        ServerCheck.aggregate([
+            // Maintenance is not downtime
+            { $match: { serverId: { $in: ids }, timestamp: { $gte: start }, maintenance: { $ne: true } } },
+            {
+                $group: {
+                    _id: {
+                        serverId: '$serverId',
+                        day: { $dateToString: { format: '%Y-%m-%d', date: '$timestamp' } }
+                    },
+                    total: { $sum: 1 },
+                    up: { $sum: { $cond: [{ $eq: ['$status', 'up'] }, 1, 0] } }
+                }
+            }
+        ]).allowDiskUse(true),
+
+        AggregatedStats.find({ serverId: { $in: ids }, date: { $gte: start } })
+            .select('serverId date dailySummary')
+            .lean()
+    ]);
+
+    const counts = new Map();
+
+    aggregatedDays.forEach(({ serverId, date, dailySummary }) => {
+        if (!dailySummary?.totalChecks) return;
+
+        counts.set(`${serverId}:${new Date(date).toISOString().slice(0, 10)}`, {
+            total: dailySummary.totalChecks,
+            up: dailySummary.upChecks ??
+                Math.round(dailySummary.totalChecks * (dailySummary.uptimePercentage ?? 100) / 100)
+        });
+    });
+
+    // Rollups and raw checks overlap on the current day, the more complete one wins
+    rawDays.forEach(({ _id, total, up }) => {
+        const key = `${_id.serverId}:${_id.day}`;
+        if (total >= (counts.get(key)?.total || 0)) counts.set(key, { total, up });
+    });
+
+    return counts;
+};
+
+/**
+ * Build the uptime bars of a group of servers
+ * @param {Array} serverIds - Server IDs of the group
+ * @param {Map} counts - Daily check counts from getDailyCheckCounts
+ * @param {Array} dayKeys - Days of the bars
+ * @returns {Object} { uptime, days: [{ date, uptime, checks }] } with uptime null without data
+ */
+export const buildUptimeBars = (serverIds, counts, dayKeys) => {
+    let total = 0;
+    let up = 0;
+
+    const days = dayKeys.map(date => {
+        const day = serverIds.reduce((sum, id) => {
+            const count = counts.get(`${id}:${date}`);
+            return count ? { total: sum.total + count.total, up: sum.up + count.up } : sum;
+        }, { total: 0, up: 0 });
+
+        total += day.total;
+        up += day.up;
+
+        return {
+            date,
+            uptime: day.total ? Math.round((day.up / day.total) * 10000) / 100 : null,
+            checks: day.total
+        };
+    });
+
+    return {
+        uptime: total ? Math.round((up / total) * 10000) / 100 : null,
+        days
+    };
+};
+
+/**
+ * Build the public data of a status page
+ * Only servers of the page owner are shown, errors and internal notes are left out
+ * @param {Object} page - Status page document
+ * @returns {Promise<Object>} Public status page data
+ */
+export const buildStatusPageData = async (page) => {
+    const serverIds = [...new Set(page.components.flatMap(component => component.servers.map(String)))];
+
+    const [servers, incidents, counts, maintenance] = await Promise.all([
+        Server.find({ _id: { $in: serverIds }, uploadedBy: page.uploadedBy })
+            .select('name status lastChecked')
+            .lean(),
+        Incident.find({ server: { $in: serverIds }, uploadedBy: page.uploadedBy, status: { $ne: 'resolved' } })
+            .select('server status startedAt acknowledgedAt')
+            .sort({ startedAt: -1 })
+            .lean(),
+        getDailyCheckCounts(serverIds),
+        getAnnouncedMaintenance(serverIds)
+    ]);
+
+    const serversById = new Map(servers.map(server => [String(server._id), server]));
+    const dayKeys = getDayKeys();
+
+    // Announced windows of the page owner, servers in an active one show as under maintenance
+    const announced = maintenance.filter(({ window }) => String(window.uploadedBy) === String(page.uploadedBy));
+    const serversInMaintenance = new Set(announced
+        .filter(({ active }) => active)
+        .flatMap(({ window }) => window.servers.map(String)));
+
+    const components = page.components.map(component => {
+        const members = component.servers.map(String).filter(id => serversById.has(id));
+        const status = members.some(id => serversInMaintenance.has(id))
+            ? 'under_maintenance'
+            : getComponentStatus(members.map(id => serversById.get(id).status));
+
+        return {
+            id: String(component._id),
+            name: component.name,
+            description: component.description || null,
+            status,
+            ...buildUptimeBars(members, counts, dayKeys)
+        };
+    });
+
+    // Incidents name the component of their server rather than the internal server,
+    // their titles are built from it since stored titles contain the server name
+    const componentOfServer = new Map();
+    page.components.forEach(component => component.servers.forEach(serverId => {
+        if (!componentOfServer.has(String(serverId))) componentOfServer.set(String(serverId), component.name);
+    }));
+
+    return {
+        slug: page.slug,
+        title: page.title,
+        description: page.description || null,
+        logoUrl: page.logoUrl || null,
+        status: getOverallStatus(components.map(component => component.status)),
+        components,
+        incidents: incidents.map(incident => {
+            const component = componentOfServer.get(String(incident.server)) || null;
+
+            return {
+                id: String(incident._id),
+                title: component ? `${component} outage` : 'Service disruption',
+                component,
+                status: incident.status,
+                startedAt: incident.startedAt,
+                acknowledgedAt: incident.acknowledgedAt
+            };
+        }),
+        maintenance: announced.map(({ window, start, end, active }) => ({
+            id: String(window._id),
+            title: window.title,
+            description: window.description || null,
+            components: [...new Set(window.servers.map(id => componentOfServer.get(String(id))).filter(Boolean))],
+            start,
+            end,
+            active
+        })),
+        updatedAt: new Date().toISOString()
+    };
+};
+
+/**
+ * Get the public data of a published status page, cached
+ * @param {String} slug - Status page slug
+ * @returns {Promise<Object|null>} Status page data, null when there is no published page
+ */
+export const getPublicStatusPage = async (slug) => {
+    const cacheKey = getStatusPageCacheKey(slug);
+
+    const cached = await getCachedData(cacheKey);
+    if (cached) return cached;
+
+    return dedupedFetch(cacheKey, async () => {
+        const page = await StatusPage.findOne({ slug, published: true }).lean();
+        if (!page) return null;
+
+        const data = await buildStatusPageData(page);
+        await setCachedData(cacheKey, data, CACHE_STRATEGIES.statusPage);
+
+        return data;
+    });
+};
+
+/**
+ * Color of a day bar by its uptime
+ */
+const getBarColor = (uptime) => {
+    if (uptime === null) return STATUS_COLORS.unknown;
+    if (uptime >= 99.9) return STATUS_COLORS.operational;
+    if (uptime >= 99) return '#8bc34a';
+    if (uptime >= 95) return STATUS_COLORS.degraded;
+    return STATUS_COLORS.major_outage;
+};
+
+/**
+ * Render a status page as a standalone HTML document
+ * @param {Object} data - Public status page data
+ * @returns {String} HTML
+ */
+export const renderStatusPageHtml = (data) => {
+    const incidents = data.incidents.map(incident => `
+        <div style="padding: 12px 15px; border-left: 4px solid ${incident.status === 'acknowledged' ? STATUS_COLORS.degraded : STATUS_COLORS.major_outage}; background-color: white; margin-bottom: 10px;">
+          <strong>${escapeHtml(incident.title)}</strong>
+          <div style="font-size: 13px; color: #777;">
+            ${incident.component ? `${escapeHtml(incident.component)} &middot; ` : ''}${incident.status === 'acknowledged' ? 'Investigating' : 'Identified'} &middot; since ${new Date(incident.startedAt).toUTCString()}
+          </div>
+        </div>`).join('');
+
+    const maintenance = (data.maintenance || []).map(item => `
+        <div style="padding: 12px 15px; border-left: 4px solid ${STATUS_COLORS.under_maintenance}; background-color: white; margin-bottom: 10px;">
+          <strong>${escapeHtml(item.title)}</strong>${item.active ? ' <span style="color: #2196F3;">(in progress)</span>' : ''}
+          <div style="font-size: 13px; color: #777;">
+            ${item.components.length ? `${escapeHtml(item.components.join(', '))} &middot; ` : ''}${new Date(item.start).toUTCString()} - ${new Date(item.end).toUTCString()}
+          </div>
+          ${item.description ? `<div style="font-size: 13px; margin-top: 5px;">${escapeHtml(item.description)}</div>` : ''}
+        </div>`).join('');
+
+    const components = data.components.map(component => {
+        const bars = component.days.map(day => `<span title="${day.date}: ${day.uptime === null ? 'No data' : `${day.uptime}% uptime`}" style="flex: 1; height: 34px; margin-right: 1px; border-radius: 1px; background-color: ${getBarColor(day.uptime)};"></span>`).join('');
+
+        return `
+        <div style="padding: 15px; border: 1px solid #ddd; background-color: white; margin-bottom: 10px;">
+          <div style="display: flex; justify-content: space-between; align-items: baseline;">
+            <strong>${escapeHtml(component.name)}</strong>
+            <span style="color: ${STATUS_COLORS[component.status]};">${STATUS_LABELS[component.status]}</span>
+          </div>
+          ${component.description ? `<div style="font-size: 13px; color: #777;">${escapeHtml(component.description)}</div>` : ''}
+          <div style="display: flex; margin-top: 10px;">${bars}</div>
+          <div style="display: flex; justify-content: space-between; font-size: 12px; color: #777; margin-top: 5px;">
+            <span>${STATUS_PAGE_DAYS} days ago</span>
+            <span>${component.uptime === null ? 'No data' : `${component.uptime}% uptime`}</span>
+            <span>Today</span>
+          </div>
+        </div>`;
+    }).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <title>${escapeHtml(data.title)} Status</title>
+  </head>
+  <body style="font-family: Arial, sans-serif; background-color: #f9f9f9; margin: 0;">
+    <div style="max-width: 800px; margin: 0 auto; padding: 20px;">
+      <div style="text-align: center; margin-bottom: 20px;">
+        ${data.logoUrl ? `<img src="${escapeHtml(data.logoUrl)}" alt="${escapeHtml(data.title)}" style="max-height: 60px;">` : ''}
+        <h1 style="margin: 10px 0;">${escapeHtml(data.title)}</h1>
+        ${data.description ? `<p style="color: #777;">${escapeHtml(data.description)}</p>` : ''}
+      </div>
+      <div style="background-color: ${STATUS_COLORS[data.status]}; color: white; padding: 15px; text-align: center; margin-bottom: 20px;">
+        <h2 style="margin: 0;">${data.status === 'operational' ? 'All systems operational' : STATUS_LABELS[data.status]}</h2>
+      </div>
+      ${incidents ? `<h3>Active incidents</h3>${incidents}` : ''}
+      ${maintenance ? `<h3>Scheduled maintenance</h3>${maintenance}` : ''}
+      <h3>Components</h3>
+      ${components || '<p style="color: #777;">No components yet.</p>'}
+      <p style="margin-top: 30px; font-size: 12px; color: #777; text-align: center;">
+        Updated ${new Date(data.updatedAt).toUTCString()} &middot; Powered by Ping Pilot
+      </p>
+    </div>
+  </body>
+</html>`;
+};
+
+export default {
+    STATUS_PAGE_DAYS,
+    COMPONENT_STATUSES,
+    getStatusPageCacheKey,
+    invalidateStatusPageCache,
+    getComponentStatus,
+    getOverallStatus,
+    getDayKeys,
+    getDailyCheckCounts,
+    buildUptimeBars,
+    buildStatusPageData,
+    getPublicStatusPage,
+    renderStatusPageHtml
+};
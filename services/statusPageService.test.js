@@ -0,0 +1,152 @@
+import { describe, it, beforeEach, afterEach, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Server from '../models/Server.js';
+import ServerCheck from '../models/ServerCheck.js';
+import AggregatedStats from '../models/AggregatedStats.js';
+import Incident from '../models/Incident.js';
+import MaintenanceWindow from '../models/MaintenanceWindow.js';
+import { redisConnection } from '../config/redis.js';
+import {
+    getComponentStatus,
+    getOverallStatus,
+    getDayKeys,
+    buildUptimeBars,
+    buildStatusPageData,
+    renderStatusPageHtml
+} from './statusPageService.js';
+
+after(() => redisConnection.disconnect());
+
+describe('component status', () => {
+    it('summarizes the servers of a component', () => {
+        assert.equal(getComponentStatus(['up', 'up']), 'operational');
+        assert.equal(getComponentStatus(['up', 'verifying']), 'degraded');
+        assert.equal(getComponentStatus(['up', 'down']), 'partial_outage');
+        assert.equal(getComponentStatus(['down', 'down', 'unknown']), 'major_outage');
+        assert.equal(getComponentStatus(['unknown']), 'unknown');
+        assert.equal(getComponentStatus([]), 'unknown');
+    });
+
+    it('shows the worst known component on the page', () => {
+        assert.equal(getOverallStatus(['operational', 'partial_outage', 'degraded', 'unknown']), 'partial_outage');
+        assert.equal(getOverallStatus(['operational', 'under_maintenance']), 'under_maintenance');
+        assert.equal(getOverallStatus(['unknown']), 'unknown');
+    });
+});
+
+describe('uptime bars', () => {
+    it('lists the last days oldest first', () => {
+        assert.deepEqual(getDayKeys(3, new Date('2026-03-01T12:00:00Z')), ['2026-02-27', '2026-02-28', '2026-03-01']);
+    });
+
+    it('adds up the checks of the component servers per day', () => {
+        const counts = new Map([
+            ['a:2026-02-28', { total: 100, up: 99 }],
+            ['b:2026-02-28', { total: 100, up: 100 }],
+            ['a:2026-03-01', { total: 3, up: 1 }]
+        ]);
+
+        assert.deepEqual(buildUptimeBars(['a', 'b'], counts, ['2026-02-27', '2026-02-28', '2026-03-01']), {
+            uptime: 98.52,
+            days: [
+                { date: '2026-02-27', uptime: null, checks: 0 },
+                { date: '2026-02-28', uptime: 99.5, checks: 200 },
+                { date: '2026-03-01', uptime: 33.33, checks: 3 }
+            ]
+        });
+    });
+});
+
+describe('buildStatusPageData', () => {
+    const owner = new mongoose.Types.ObjectId();
+    const api = new mongoose.Types.ObjectId();
+    const db = new mongoose.Types.ObjectId();
+    const foreign = new mongoose.Types.ObjectId();
+    const today = new Date().toISOString().slice(0, 10);
+
+    const page = {
+        slug: 'acme',
+        title: 'Acme',
+        uploadedBy: owner,
+        components: [
+            { _id: 'component-1', name: 'API', servers: [api, foreign] },
+            { _id: 'component-2', name: 'Database', servers: [db] }
+        ]
+    };
+
+    beforeEach(() => {
+        const chain = (result) => ({ select: () => chain(result), sort: () => chain(result), lean: async () => result });
+
+        mock.method(Server, 'find', () => chain([
+            { _id: api, name: 'api-prod-1', status: 'down' },
+            { _id: db, name: 'db-primary', status: 'up' }
+        ]));
+        mock.method(Incident, 'find', () => chain([
+            { _id: 'incident-1', server: api, status: 'open', title: 'api-prod-1 is down', cause: 'ECONNREFUSED 10.0.0.5', startedAt: new Date() }
+        ]));
+        mock.method(ServerCheck, 'aggregate', () => ({
+            allowDiskUse: async () => [{ _id: { serverId: String(api), day: today }, total: 4, up: 3 }]
+        }));
+        mock.method(AggregatedStats, 'find', () => chain([]));
+        mock.method(MaintenanceWindow, 'find', () => chain([{
+            _id: 'window-1',
+            title: 'Database upgrade',
+            uploadedBy: owner,
+            servers: [db],
+            startsAt: new Date(Date.now() - 60 * 1000),
+            endsAt: new Date(Date.now() + 60 * 60 * 1000)
+        }]));
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    it('shows components, incidents and maintenance without internal details', async () => {
+        const data = await buildStatusPageData(page);
+
+        assert.equal(data.status, 'major_outage');
+        assert.deepEqual(data.components.map(({ name, status }) => ({ name, status })), [
+            { name: 'API', status: 'major_outage' },
+            { name: 'Database', status: 'under_maintenance' }
+        ]);
+        assert.equal(data.components[0].days.at(-1).uptime, 75);
+
+        assert.deepEqual(data.incidents.map(({ title, component, status }) => ({ title, component, status })), [
+            { title: 'API outage', component: 'API', status: 'open' }
+        ]);
+        assert.deepEqual(data.maintenance.map(({ title, components, active }) => ({ title, components, active })), [
+            { title: 'Database upgrade', components: ['Database'], active: true }
+        ]);
+
+        const json = JSON.stringify(data);
+        assert.ok(!json.includes('api-prod-1'));
+        assert.ok(!json.includes('ECONNREFUSED'));
+    });
+
+    it('only loads servers of the page owner', async () => {
+        await buildStatusPageData(page);
+
+        assert.deepEqual(Server.find.mock.calls[0].arguments[0].uploadedBy, owner);
+    });
+});
+
+describe('renderStatusPageHtml', () => {
+    it('escapes page content', () => {
+        const html = renderStatusPageHtml({
+            title: 'Acme <script>alert(1)</script>',
+            description: null,
+            logoUrl: 'https://acme.test/logo.png" onerror="alert(1)',
+            status: 'operational',
+            components: [{ name: 'API & Web', description: null, status: 'operational', uptime: 99.95, days: [] }],
+            incidents: [],
+            maintenance: [],
+            updatedAt: new Date().toISOString()
+        });
+
+        assert.ok(html.includes('<h1 style="margin: 10px 0;">Acme &lt;script&gt;alert(1)&lt;/script&gt;</h1>'));
+        assert.ok(html.includes('logo.png&quot; onerror=&quot;alert(1)'));
+        assert.ok(html.includes('API &amp; Web'));
+        assert.ok(html.includes('All systems operational'));
+        assert.ok(!html.includes('<script>'));
+    });
+});
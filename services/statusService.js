@@ -0,0 +1,69 @@
+// services/statusService.js - Server status transitions and failure confirmation
+
+/**
+ * Get the confirmation policy of a server
+ * A recheck delay implies at least one confirming check
+ * @param {Object} server - Server with monitoring.confirmation
+ * @returns {Object} { failures, recheckAfter } (recheckAfter in seconds)
+ */
+export const getConfirmationPolicy = (server) => {
+    const confirmation = server.monitoring?.confirmation || {};
+    const recheckAfter = confirmation.recheckAfter || 0;
+    const failures = Math.max(confirmation.failures || 1, recheckAfter > 0 ? 2 : 1);
+
+    return { failures, recheckAfter };
+};
+
+/**
+ * Apply the confirmation policy to a raw check result
+ * Failed checks move the server to 'verifying' until enough consecutive failures confirm
+ * the outage; a recovering check during verification ends it without an alert
+ * @param {Object} server - Server with status, verification and monitoring.confirmation
+ * @param {Object} checkResult - Raw check result (status up/down/unknown)
+ * @returns {Object} { status, verification, statusChanged, alert, recheckDelay }
+ * alert is { oldStatus, newStatus } for confirmed transitions, recheckDelay is in ms
+ */
+export const resolveStatusTransition = (server, checkResult) => {
+    const oldStatus = server.status || 'unknown';
+    const checkStatus = checkResult.status;
+    const isVerifying = oldStatus === 'verifying';
+    // Status last confirmed before the current verification
+    const confirmedStatus = isVerifying ? server.verification?.previousStatus || 'up' : oldStatus;
+
+    const result = (status, verification = null, recheckDelay = null) => ({
+        status,
+        verification,
+        statusChanged: status !== oldStatus,
+        alert: status !== 'verifying' && status !== confirmedStatus
+            ? { oldStatus: confirmedStatus, newStatus: status }
+            : null,
+        recheckDelay
+    });
+
+    if (checkStatus === 'down' && oldStatus !== 'down') {
+        const { failures: requiredFailures, recheckAfter } = getConfirmationPolicy(server);
+        const failures = (isVerifying ? server.verification?.failures || 0 : 0) + 1;
+
+        if (failures >= requiredFailures) {
+            return result('down');
+        }
+
+        return result('verifying', {
+            previousStatus: confirmedStatus,
+            failures,
+            startedAt: isVerifying ? server.verification?.startedAt : new Date()
+        }, recheckAfter > 0 ? recheckAfter * 1000 : null);
+    }
+
+    // Inconclusive checks don't confirm or cancel a verification
+    if (isVerifying && checkStatus === 'unknown') {
+        return result('verifying', server.verification);
+    }
+
+    return result(checkStatus);
+};
+
+export default {
+    getConfirmationPolicy,
+    resolveStatusTransition
+};
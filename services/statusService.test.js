@@ -0,0 +1,89 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { getConfirmationPolicy, resolveStatusTransition } from './statusService.js';
+
+const confirming = (failures, recheckAfter = 0) => ({ monitoring: { confirmation: { failures, recheckAfter } } });
+
+describe('getConfirmationPolicy', () => {
+    it('alerts on the first failure by default', () => {
+        assert.deepEqual(getConfirmationPolicy({}), { failures: 1, recheckAfter: 0 });
+    });
+
+    it('needs a confirming check when a recheck delay is set', () => {
+        assert.deepEqual(getConfirmationPolicy(confirming(1, 30)), { failures: 2, recheckAfter: 30 });
+        assert.deepEqual(getConfirmationPolicy(confirming(4, 30)), { failures: 4, recheckAfter: 30 });
+    });
+});
+
+describe('resolveStatusTransition', () => {
+    it('goes down and alerts immediately without confirmation', () => {
+        const transition = resolveStatusTransition({ status: 'up' }, { status: 'down' });
+
+        assert.equal(transition.status, 'down');
+        assert.deepEqual(transition.alert, { oldStatus: 'up', newStatus: 'down' });
+    });
+
+    it('verifies a first failure and schedules the recheck', () => {
+        const transition = resolveStatusTransition({ status: 'up', ...confirming(3, 20) }, { status: 'down' });
+
+        assert.equal(transition.status, 'verifying');
+        assert.equal(transition.statusChanged, true);
+        assert.equal(transition.alert, null);
+        assert.equal(transition.recheckDelay, 20000);
+        assert.equal(transition.verification.previousStatus, 'up');
+        assert.equal(transition.verification.failures, 1);
+    });
+
+    it('confirms the outage once enough consecutive checks failed', () => {
+        const startedAt = new Date('2026-01-01T10:00:00Z');
+        const server = {
+            status: 'verifying',
+            verification: { previousStatus: 'up', failures: 1, startedAt },
+            ...confirming(3)
+        };
+
+        const second = resolveStatusTransition(server, { status: 'down' });
+        assert.equal(second.status, 'verifying');
+        assert.equal(second.statusChanged, false);
+        assert.deepEqual(second.verification, { previousStatus: 'up', failures: 2, startedAt });
+
+        const third = resolveStatusTransition({ ...server, verification: second.verification }, { status: 'down' });
+        assert.equal(third.status, 'down');
+        assert.deepEqual(third.alert, { oldStatus: 'up', newStatus: 'down' });
+    });
+
+    it('ends a verification without alerting when the server recovers', () => {
+        const transition = resolveStatusTransition({
+            status: 'verifying',
+            verification: { previousStatus: 'up', failures: 1 },
+            ...confirming(3)
+        }, { status: 'up' });
+
+        assert.equal(transition.status, 'up');
+        assert.equal(transition.statusChanged, true);
+        assert.equal(transition.alert, null);
+    });
+
+    it('keeps verifying on inconclusive checks', () => {
+        const verification = { previousStatus: 'up', failures: 1 };
+        const transition = resolveStatusTransition({ status: 'verifying', verification, ...confirming(3) }, { status: 'unknown' });
+
+        assert.equal(transition.status, 'verifying');
+        assert.equal(transition.verification, verification);
+        assert.equal(transition.alert, null);
+    });
+
+    it('alerts on recovery from a confirmed outage', () => {
+        const transition = resolveStatusTransition({ status: 'down', ...confirming(3) }, { status: 'up' });
+
+        assert.deepEqual(transition.alert, { oldStatus: 'down', newStatus: 'up' });
+    });
+
+    it('does not re-verify servers that are already down', () => {
+        const transition = resolveStatusTransition({ status: 'down', ...confirming(3) }, { status: 'down' });
+
+        assert.equal(transition.status, 'down');
+        assert.equal(transition.statusChanged, false);
+        assert.equal(transition.alert, null);
+    });
+});
@@ -0,0 +1,62 @@
+// services/timezoneService.js - Timezone of a server's time windows
+
+import User from '../models/User.js';
+
+// Timezone of servers whose owner has none. Defaults to the host's zone,
+// which is where windows were evaluated before servers had a timezone
+export const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE
+    || Intl.DateTimeFormat().resolvedOptions().timeZone
+    || 'UTC';
+
+/**
+ * Load the timezones of users
+ * @param {Array} userIds - User IDs
+ * @returns {Promise<Map>} Timezone by user ID
+ */
+export const getUserTimezones = async (userIds) => {
+    const ids = [...new Set(userIds.filter(Boolean).map(String))];
+    if (!ids.length) return new Map();
+
+    const users = await User.find({ _id: { $in: ids } }).select('timezone').lean();
+
+    return new Map(users.map(user => [String(user._id), user.timezone || DEFAULT_TIMEZONE]));
+};
+
+/**
+ * Get the timezone of a server: its own, else its owner's
+ * @param {Object} server - Server data (timezone, uploadedBy as ID or populated user)
+ * @returns {Promise<String>} Timezone name
+ */
+export const resolveServerTimezone = async (server) => {
+    if (server.timezone) return server.timezone;
+
+    const owner = server.uploadedBy;
+    if (!owner) return DEFAULT_TIMEZONE;
+    if (owner.timezone) return owner.timezone;
+
+    const timezones = await getUserTimezones([owner._id || owner]);
+    return timezones.get(String(owner._id || owner)) || DEFAULT_TIMEZONE;
+};
+
+/**
+ * Get the timezones of many servers with one user lookup
+ * @param {Array} servers - Servers (timezone, uploadedBy)
+ * @returns {Promise<Map>} Timezone by server ID
+ */
+export const resolveServerTimezones = async (servers) => {
+    const userTimezones = await getUserTimezones(
+        servers.filter(server => !server.timezone).map(server => server.uploadedBy?._id || server.uploadedBy)
+    );
+
+    return new Map(servers.map(server => [
+        String(server._id),
+        server.timezone || userTimezones.get(String(server.uploadedBy?._id || server.uploadedBy)) || DEFAULT_TIMEZONE
+    ]));
+};
+
+export default {
+    DEFAULT_TIMEZONE,
+    getUserTimezones,
+    resolveServerTimezone,
+    resolveServerTimezones
+};
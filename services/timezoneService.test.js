@@ -0,0 +1,46 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import User from '../models/User.js';
+import { DEFAULT_TIMEZONE, resolveServerTimezone, resolveServerTimezones } from './timezoneService.js';
+
+describe('server timezones', () => {
+    beforeEach(() => {
+        mock.method(User, 'find', () => ({
+            select: () => ({
+                lean: async () => [
+                    { _id: 'user-1', timezone: 'Asia/Tokyo' },
+                    { _id: 'user-2' }
+                ]
+            })
+        }));
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    it('falls back to the host zone', () => {
+        assert.equal(DEFAULT_TIMEZONE, process.env.DEFAULT_TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone);
+    });
+
+    it('prefers the server zone, then the owner zone', async () => {
+        assert.equal(await resolveServerTimezone({ timezone: 'Europe/Berlin', uploadedBy: 'user-1' }), 'Europe/Berlin');
+        assert.equal(await resolveServerTimezone({ uploadedBy: { _id: 'user-3', timezone: 'America/Denver' } }), 'America/Denver');
+        assert.equal(await resolveServerTimezone({ uploadedBy: 'user-1' }), 'Asia/Tokyo');
+        assert.equal(await resolveServerTimezone({ uploadedBy: 'user-2' }), DEFAULT_TIMEZONE);
+        assert.equal(await resolveServerTimezone({}), DEFAULT_TIMEZONE);
+    });
+
+    it('resolves many servers with one user lookup', async () => {
+        const timezones = await resolveServerTimezones([
+            { _id: 'server-1', timezone: 'Europe/Berlin', uploadedBy: 'user-1' },
+            { _id: 'server-2', uploadedBy: 'user-1' },
+            { _id: 'server-3', uploadedBy: 'user-2' }
+        ]);
+
+        assert.deepEqual([...timezones], [
+            ['server-1', 'Europe/Berlin'],
+            ['server-2', 'Asia/Tokyo'],
+            ['server-3', DEFAULT_TIMEZONE]
+        ]);
+        assert.equal(User.find.mock.callCount(), 1);
+    });
+});
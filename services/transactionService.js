@@ -0,0 +1,170 @@
+// services/transactionService.js - Multi-step transaction (synthetic API flow) checks
+
+import { checkHttpServer } from './monitoringService.js';
+import { queryJsonPath } from '../utils/jsonPath.js';
+import { decryptSecret } from '../utils/encryption.js';
+
+// {{variable}} placeholders in step urls, headers and bodies
+const VARIABLE_PATTERN = /\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}/g;
+
+/**
+ * Replace {{variable}} placeholders with values extracted by earlier steps
+ * @param {String} value - Template text
+ * @param {Object} variables - Extracted variables
+ * @returns {String} Text with placeholders replaced
+ */
+export const interpolateVariables = (value, variables) => {
+    if (typeof value !== 'string') return value;
+
+    return value.replace(VARIABLE_PATTERN, (match, name) => {
+        if (!Object.prototype.hasOwnProperty.call(variables, name)) {
+            throw new Error(`Unknown variable "${name}"`);
+        }
+        return variables[name];
+    });
+};
+
+/**
+ * Resolve a step URL, relative URLs are resolved against the server URL
+ * @param {String} url - Step URL (after interpolation)
+ * @param {String} baseUrl - Server URL
+ * @returns {String} Absolute URL
+ */
+const resolveStepUrl = (url, baseUrl) => {
+    if (/^https?:\/\//i.test(url)) return url;
+
+    const base = /^https?:\/\//i.test(baseUrl) ? baseUrl : `https://${baseUrl}`;
+    return new URL(url, base).toString();
+};
+
+/**
+ * Build the request settings of a step with variables filled in
+ * Secret headers and credentials are decrypted first so they can contain placeholders too
+ * @param {Object} step - Step settings
+ * @param {Object} variables - Extracted variables
+ * @returns {Object} Request settings for checkHttpServer
+ */
+const buildStepRequest = (step, variables) => {
+    const auth = step.auth?.type && step.auth.type !== 'none'
+        ? {
+            type: step.auth.type,
+            username: interpolateVariables(step.auth.username, variables),
+            password: interpolateVariables(decryptSecret(step.auth.password), variables),
+            token: interpolateVariables(decryptSecret(step.auth.token), variables)
+        }
+        : undefined;
+
+    return {
+        method: step.method || 'GET',
+        headers: (step.headers || []).map(header => ({
+            name: header.name,
+            value: interpolateVariables(header.secret ? decryptSecret(header.value) : header.value, variables)
+        })),
+        body: interpolateVariables(step.body, variables),
+        contentType: step.contentType,
+        auth,
+        browserImpersonation: step.browserImpersonation ?? false
+    };
+};
+
+/**
+ * Extract variables from a step response
+ * @param {Object} response - Axios response (raw string body)
+ * @param {Array} extract - Extraction rules ({ variable, source: 'json' | 'header', path })
+ * @param {Object} variables - Variables to add to
+ */
+const extractVariables = (response, extract = [], variables) => {
+    let json;
+
+    for (const rule of extract) {
+        let value;
+
+        if (rule.source === 'header') {
+            value = response.headers?.[rule.path.toLowerCase()];
+        } else {
+            if (json === undefined) {
+                try {
+                    json = typeof response.data === 'string' ? JSON.parse(response.data) : response.data;
+                } catch (error) {
+                    throw new Error(`cannot extract "${rule.variable}", response is not valid JSON`);
+                }
+            }
+            value = queryJsonPath(json, rule.path);
+        }
+
+        if (value === undefined || value === null) {
+            const location = rule.source === 'header' ? `header ${rule.path}` : rule.path;
+            throw new Error(`cannot extract "${rule.variable}" from ${location}`);
+        }
+
+        variables[rule.variable] = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    }
+};
+
+/**
+ * Run a multi-step transaction, stopping at the first failing step
+ * @param {Array} steps - Step settings (name, url, method, headers, body, auth, assertions, extract)
+ * @param {String} baseUrl - Server URL used to resolve relative step URLs
+ * @returns {Promise<Array>} Step results ({ name, status, responseTime, statusCode, error });
+ * rejects with an error naming the failed step, carrying the step results as error.steps
+ */
+export const runTransaction = async (steps = [], baseUrl = '') => {
+    if (!steps?.length) {
+        throw new Error('Transaction has no steps');
+    }
+
+    const variables = {};
+    const results = [];
+    let failure = null;
+
+    for (const [index, step] of steps.entries()) {
+        const name = step.name || `Step ${index + 1}`;
+
+        // Steps after a failure are reported as skipped
+        if (failure) {
+            results.push({ name, status: 'skipped' });
+            continue;
+        }
+
+        const startTime = Date.now();
+
+        try {
+            const url = resolveStepUrl(interpolateVariables(step.url, variables), baseUrl);
+            const response = await checkHttpServer(url, {
+                assertions: step.assertions,
+                request: buildStepRequest(step, variables),
+                readBody: !!step.extract?.length
+            });
+
+            extractVariables(response, step.extract, variables);
+
+            results.push({
+                name,
+                status: 'passed',
+                responseTime: Date.now() - startTime,
+                statusCode: response.status
+            });
+        } catch (err) {
+            results.push({
+                name,
+                status: 'failed',
+                responseTime: Date.now() - startTime,
+                error: err.message
+            });
+            const label = step.name ? `Step ${index + 1} (${step.name})` : `Step ${index + 1}`;
+            failure = new Error(`${label} failed: ${err.message}`);
+        }
+    }
+
+    if (failure) {
+        failure.steps = results;
+        throw failure;
+    }
+
+    return results;
+};
+
+export default {
+    interpolateVariables,
+    runTransaction
+};
@@ -0,0 +1,120 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { interpolateVariables, runTransaction } from './transactionService.js';
+
+describe('interpolateVariables', () => {
+    it('replaces placeholders with extracted values', () => {
+        assert.equal(
+            interpolateVariables('/orders/{{ orderId }}?user={{userId}}', { orderId: '42', userId: 'u1' }),
+            '/orders/42?user=u1'
+        );
+    });
+
+    it('leaves non-string values alone', () => {
+        assert.equal(interpolateVariables(undefined, {}), undefined);
+    });
+
+    it('fails on unknown variables', () => {
+        assert.throws(() => interpolateVariables('Bearer {{token}}', {}), /Unknown variable "token"/);
+    });
+});
+
+describe('runTransaction', () => {
+    let apiServer;
+    let baseUrl;
+
+    before(async () => {
+        // Login returns a token and a session header, orders need the token
+        apiServer = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                res.setHeader('Content-Type', 'application/json');
+
+                if (req.method === 'POST' && req.url === '/login') {
+                    const { user } = JSON.parse(body);
+                    res.setHeader('X-Session', `session-${user}`);
+                    return res.end(JSON.stringify({ auth: { token: `token-${user}` } }));
+                }
+                if (req.url === '/orders/7') {
+                    const authorized = req.headers.authorization === 'Bearer token-alice' &&
+                        req.headers['x-session'] === 'session-alice';
+                    res.statusCode = authorized ? 200 : 401;
+                    return res.end(JSON.stringify({ id: 7, state: 'shipped' }));
+                }
+
+                res.statusCode = 404;
+                res.end('{}');
+            });
+        });
+        await new Promise(resolve => apiServer.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${apiServer.address().port}`;
+    });
+
+    after(() => {
+        apiServer.closeAllConnections();
+        apiServer.close();
+    });
+
+    const loginStep = {
+        name: 'Login',
+        url: '/login',
+        method: 'POST',
+        body: '{"user":"alice"}',
+        extract: [
+            { variable: 'token', source: 'json', path: '$.auth.token' },
+            { variable: 'session', source: 'header', path: 'X-Session' }
+        ]
+    };
+
+    it('passes variables extracted by a step to the next steps', async () => {
+        const results = await runTransaction([
+            loginStep,
+            {
+                name: 'Get order',
+                url: '/orders/7',
+                headers: [{ name: 'X-Session', value: '{{session}}' }],
+                auth: { type: 'bearer', token: '{{token}}' },
+                assertions: { jsonPath: [{ path: '$.state', equals: 'shipped' }] }
+            }
+        ], baseUrl);
+
+        assert.deepEqual(results.map(({ name, status, statusCode }) => ({ name, status, statusCode })), [
+            { name: 'Login', status: 'passed', statusCode: 200 },
+            { name: 'Get order', status: 'passed', statusCode: 200 }
+        ]);
+    });
+
+    it('names the failed step and skips the remaining steps', async () => {
+        await assert.rejects(
+            runTransaction([
+                loginStep,
+                { url: '/orders/7' },
+                { name: 'Logout', url: '/logout', method: 'POST' }
+            ], baseUrl),
+            (error) => {
+                assert.match(error.message, /^Step 2 failed: .*HTTP 401: Unauthorized$/);
+                assert.deepEqual(error.steps.map(step => step.status), ['passed', 'failed', 'skipped']);
+                return true;
+            }
+        );
+    });
+
+    it('fails when a variable cannot be extracted', async () => {
+        await assert.rejects(
+            runTransaction([{
+                name: 'Login',
+                url: '/login',
+                method: 'POST',
+                body: '{"user":"bob"}',
+                extract: [{ variable: 'refresh', source: 'json', path: '$.auth.refreshToken' }]
+            }], baseUrl),
+            /Step 1 \(Login\) failed: cannot extract "refresh" from \$\.auth\.refreshToken/
+        );
+    });
+
+    it('fails without steps', async () => {
+        await assert.rejects(runTransaction([], baseUrl), /Transaction has no steps/);
+    });
+});
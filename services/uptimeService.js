@@ -0,0 +1,346 @@
+// services/uptimeService.js - Duration-weighted uptime from checks and rollups
+
+import mongoose from 'mongoose';
+import Server from '../models/Server.js';
+import ServerCheck from '../models/ServerCheck.js';
+import AggregatedStats from '../models/AggregatedStats.js';
+import { redisConnection } from '../config/redis.js';
+import { CACHE_STRATEGIES } from '../config/performance.js';
+import logger from '../utils/logger.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Ranges shown on every server
+export const UPTIME_RANGES = {
+    '24h': DAY_MS,
+    '7d': 7 * DAY_MS,
+    '30d': 30 * DAY_MS,
+    '90d': 90 * DAY_MS
+};
+
+// Custom ranges cannot reach further back than the rollups are kept
+export const MAX_UPTIME_RANGE_MS = 90 * DAY_MS;
+
+// A check stands for the time until the next one, at most this many check intervals,
+// so gaps where monitoring was paused count as neither up nor down
+const MAX_CHECK_WEIGHT_INTERVALS = 2;
+
+// Servers per aggregation when refreshing the cache
+const REFRESH_BATCH_SIZE = 100;
+
+export const getUptimeCacheKey = (serverId) => `uptime:${serverId}`;
+
+/**
+ * Longest time a single check of a server may stand for
+ */
+const getMaxCheckWeight = (server) => {
+    return (server.monitoring?.frequency || 5) * 60 * 1000 * MAX_CHECK_WEIGHT_INTERVALS;
+};
+
+/**
+ * Aggregation stages that weight every up or down check by the time until the next check of its server
+ * Maintenance checks are dropped afterwards, the time they cover is left out entirely
+ * @param {Array} servers - Servers with _id and monitoring.frequency
+ * @param {Date} to - End of the range, the weight of the last check runs until here
+ * @returns {Array} Stages adding `weight` in ms, to follow a $match on the servers and range
+ */
+export const getCheckWeightStages = (servers, to) => {
+    const maxWeights = servers.map(server => ({
+        id: new mongoose.Types.ObjectId(String(server._id)),
+        weight: getMaxCheckWeight(server)
+    }));
+
+    return [
+        {
+            $setWindowFields: {
+                partitionBy: '$serverId',
+                sortBy: { timestamp: 1 },
+                output: {
+                    nextTimestamp: { $shift: { output: '$timestamp', by: 1, default: to } }
+                }
+            }
+        },
+        { $match: { maintenance: { $ne: true }, status: { $in: ['up', 'down'] } } },
+        {
+            $addFields: {
+                weight: {
+                    $min: [
+                        { $subtract: ['$nextTimestamp', '$timestamp'] },
+                        {
+                            $let: {
+                                vars: {
+                                    limit: {
+                                        $first: {
+                                            $filter: {
+                                                input: { $literal: maxWeights },
+                                                cond: { $eq: ['$$this.id', '$serverId'] }
+                                            }
+                                        }
+                                    }
+                                },
+                                in: '$$limit.weight'
+                            }
+                        }
+                    ]
+                }
+            }
+        }
+    ];
+};
+
+/**
+ * Turn up and down durations into an uptime entry
+ * @param {Number} up - Milliseconds up
+ * @param {Number} down - Milliseconds down
+ * @returns {Object} { uptime, downtime, monitored } with uptime null without data
+ */
+export const toUptimeEntry = (up = 0, down = 0) => {
+    const monitored = up + down;
+
+    return {
+        uptime: monitored > 0 ? Math.round((up / monitored) * 10000) / 100 : null,
+        downtime: Math.round(down / 1000),
+        monitored: Math.round(monitored / 1000)
+    };
+};
+
+/**
+ * Sum the up and down time of raw checks per server and range
+ * Every check counts from its timestamp until the next check of the server
+ */
+const sumRawChecks = async (servers, ranges, to) => {
+    const ids = servers.map(server => new mongoose.Types.ObjectId(String(server._id)));
+    const from = new Date(Math.min(...Object.values(ranges).map(date => date.getTime())));
+
+    const sumFor = (status, since) => ({
+        $sum: {
+            $cond: [
+                { $and: [{ $eq: ['$status', status] }, { $gte: ['$timestamp', since] }] },
+                '$weight',
+                0
+            ]
+        }
+    });
+
+    const group = { _id: '$serverId', firstCheck: { $min: '$timestamp' } };
+    Object.entries(ranges).forEach(([key, since]) => {
+        group[`up_${key}`] = sumFor('up', since);
+        group[`down_${key}`] = sumFor('down', since);
+    });
+
+    const results = await ServerCheck.aggregate([
+        { $match: { serverId: { $in: ids }, timestamp: { $gte: from, $lt: to } } },
+        ...getCheckWeightStages(servers, to),
+        { $group: group }
+    ]);
+
+    return new Map(results.map(result => [String(result._id), result]));
+};
+
+/**
+ * Sum the up and down time of rollups per server and range
+ * Only hours before the first raw check of a server are used, the raw checks cover the rest
+ */
+const sumRollups = async (servers, ranges, to, rawStarts) => {
+    const ids = servers.map(server => new mongoose.Types.ObjectId(String(server._id)));
+    const from = new Date(Math.min(...Object.values(ranges).map(date => date.getTime())));
+    const dayStart = new Date(Date.UTC(from.getUTCFullYear(), from.getUTCMonth(), from.getUTCDate()));
+
+    const docs = await AggregatedStats.find({
+        serverId: { $in: ids },
+        date: { $gte: dayStart, $lt: to }
+    })
+        .select('serverId date hourlyStats dailySummary')
+        .lean();
+
+    const totals = new Map();
+
+    const add = (serverId, start, duration, up, down) => {
+        const horizon = rawStarts.get(serverId) || to;
+        if (start.getTime() + duration > horizon.getTime()) return;
+
+        if (!totals.has(serverId)) totals.set(serverId, {});
+        const serverTotals = totals.get(serverId);
+
+        Object.entries(ranges).forEach(([key, since]) => {
+            if (start < since) return;
+            serverTotals[`up_${key}`] = (serverTotals[`up_${key}`] || 0) + up;
+            serverTotals[`down_${key}`] = (serverTotals[`down_${key}`] || 0) + down;
+        });
+    };
+
+    docs.forEach(doc => {
+        const serverId = String(doc.serverId);
+        const date = new Date(doc.date);
+
+        if (doc.hourlyStats?.length) {
+            doc.hourlyStats.forEach(hour => {
+                add(serverId, new Date(date.getTime() + hour.hour * HOUR_MS), HOUR_MS,
+                    (hour.uptime || 0) * 1000, (hour.downtime || 0) * 1000);
+            });
+        } else if (doc.dailySummary?.totalChecks) {
+            // Days without hourly rollups count as fully monitored
+            const up = DAY_MS * (doc.dailySummary.uptimePercentage ?? 100) / 100;
+            add(serverId, date, DAY_MS, up, DAY_MS - up);
+        }
+    });
+
+    return totals;
+};
+
+/**
+ * Compute the uptime of servers for ranges ending at the same time
+ * @param {Array} servers - Servers with _id and monitoring.frequency
+ * @param {Object} ranges - Start dates keyed by range name
+ * @param {Date} to - End of all ranges
+ * @returns {Promise<Map>} Server ID -> { [range]: { uptime, downtime, monitored } }
+ */
+export const computeUptimes = async (servers, ranges, to = new Date()) => {
+    const uptimes = new Map();
+    if (!servers.length) return uptimes;
+
+    const raw = await sumRawChecks(servers, ranges, to);
+    const rawStarts = new Map([...raw].map(([serverId, result]) => [serverId, new Date(result.firstCheck)]));
+    const rollups = await sumRollups(servers, ranges, to, rawStarts);
+
+    servers.forEach(server => {
+        const serverId = String(server._id);
+        const rawTotals = raw.get(serverId) || {};
+        const rollupTotals = rollups.get(serverId) || {};
+
+        uptimes.set(serverId, Object.fromEntries(Object.keys(ranges).map(key => [
+            key,
+            toUptimeEntry(
+                (rawTotals[`up_${key}`] || 0) + (rollupTotals[`up_${key}`] || 0),
+                (rawTotals[`down_${key}`] || 0) + (rollupTotals[`down_${key}`] || 0)
+            )
+        ])));
+    });
+
+    return uptimes;
+};
+
+/**
+ * Start dates of the standard ranges
+ */
+const getStandardRanges = (now) => {
+    return Object.fromEntries(Object.entries(UPTIME_RANGES)
+        .map(([key, duration]) => [key, new Date(now.getTime() - duration)]));
+};
+
+/**
+ * Compute the standard ranges of servers and cache them
+ */
+const computeAndCache = async (servers) => {
+    const now = new Date();
+    const uptimes = await computeUptimes(servers, getStandardRanges(now), now);
+
+    try {
+        const pipeline = redisConnection.pipeline();
+        uptimes.forEach((uptime, serverId) => {
+            pipeline.set(getUptimeCacheKey(serverId), JSON.stringify({ ...uptime, calculatedAt: now.toISOString() }),
+                'EX', CACHE_STRATEGIES.uptime);
+        });
+        await pipeline.exec();
+    } catch (error) {
+        logger.error(`Error caching uptime: ${error.message}`);
+    }
+
+    return uptimes;
+};
+
+/**
+ * Get the standard uptime ranges of servers, from the cache where possible
+ * @param {Array} servers - Servers with _id and monitoring.frequency
+ * @returns {Promise<Map>} Server ID -> { '24h', '7d', '30d', '90d', calculatedAt }
+ */
+export const getServerUptimes = async (servers) => {
+    const uptimes = new Map();
+    if (!servers.length) return uptimes;
+
+    let cached = [];
+    try {
+        cached = await redisConnection.mget(servers.map(server => getUptimeCacheKey(server._id)));
+    } catch (error) {
+        logger.error(`Error reading cached uptime: ${error.message}`);
+    }
+
+    const missing = [];
+    servers.forEach((server, index) => {
+        if (cached[index]) {
+            uptimes.set(String(server._id), JSON.parse(cached[index]));
+        } else {
+            missing.push(server);
+        }
+    });
+
+    if (missing.length) {
+        const computed = await computeAndCache(missing);
+        const calculatedAt = new Date().toISOString();
+        computed.forEach((uptime, serverId) => uptimes.set(serverId, { ...uptime, calculatedAt }));
+    }
+
+    return uptimes;
+};
+
+/**
+ * Get the uptime of a server for a custom range
+ * @param {Object} server - Server with _id and monitoring.frequency
+ * @param {Date} from - Range start
+ * @param {Date} to - Range end
+ * @returns {Promise<Object>} { from, to, uptime, downtime, monitored }
+ */
+export const getCustomUptime = async (server, from, to) => {
+    const uptimes = await computeUptimes([server], { custom: from }, to);
+
+    return {
+        from: from.toISOString(),
+        to: to.toISOString(),
+        ...uptimes.get(String(server._id)).custom
+    };
+};
+
+/**
+ * Precompute the standard ranges of all servers so list endpoints read them from the cache
+ * @returns {Promise<Object>} { servers, duration }
+ */
+export const refreshUptimeCache = async () => {
+    const startTime = Date.now();
+    let processed = 0;
+
+    const cursor = Server.find({})
+        .select('_id monitoring.frequency')
+        .lean()
+        .cursor({ batchSize: REFRESH_BATCH_SIZE });
+
+    let batch = [];
+    for await (const server of cursor) {
+        batch.push(server);
+
+        if (batch.length === REFRESH_BATCH_SIZE) {
+            await computeAndCache(batch);
+            processed += batch.length;
+            batch = [];
+        }
+    }
+
+    if (batch.length) {
+        await computeAndCache(batch);
+        processed += batch.length;
+    }
+
+    return { servers: processed, duration: Date.now() - startTime };
+};
+
+export default {
+    UPTIME_RANGES,
+    MAX_UPTIME_RANGE_MS,
+    getUptimeCacheKey,
+    getCheckWeightStages,
+    toUptimeEntry,
+    computeUptimes,
+    getServerUptimes,
+    getCustomUptime,
+    refreshUptimeCache
+};
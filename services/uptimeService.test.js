@@ -0,0 +1,142 @@
+import { describe, it, beforeEach, afterEach, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import ServerCheck from '../models/ServerCheck.js';
+import AggregatedStats from '../models/AggregatedStats.js';
+import { redisConnection } from '../config/redis.js';
+import {
+    getCheckWeightStages,
+    toUptimeEntry,
+    computeUptimes,
+    getServerUptimes,
+    getUptimeCacheKey,
+    getCustomUptime
+} from './uptimeService.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+after(() => redisConnection.disconnect());
+
+describe('toUptimeEntry', () => {
+    it('weights uptime by duration', () => {
+        assert.deepEqual(toUptimeEntry(3 * HOUR_MS, HOUR_MS), { uptime: 75, downtime: 3600, monitored: 14400 });
+    });
+
+    it('has no uptime without monitored time', () => {
+        assert.deepEqual(toUptimeEntry(), { uptime: null, downtime: 0, monitored: 0 });
+    });
+});
+
+describe('getCheckWeightStages', () => {
+    it('caps the weight of a check at two check intervals of its server', () => {
+        const id = new mongoose.Types.ObjectId();
+        const to = new Date('2026-03-01T00:00:00Z');
+        const [windowStage, matchStage, weightStage] = getCheckWeightStages([{ _id: id, monitoring: { frequency: 10 } }], to);
+
+        assert.deepEqual(windowStage.$setWindowFields.output.nextTimestamp.$shift.default, to);
+        assert.deepEqual(matchStage.$match, { maintenance: { $ne: true }, status: { $in: ['up', 'down'] } });
+
+        const [, cap] = weightStage.$addFields.weight.$min;
+        const [limit] = cap.$let.vars.limit.$first.$filter.input.$literal;
+        assert.equal(String(limit.id), String(id));
+        assert.equal(limit.weight, 20 * 60 * 1000);
+    });
+});
+
+describe('computeUptimes', () => {
+    const to = new Date('2026-03-10T12:00:00Z');
+    const serverId = new mongoose.Types.ObjectId();
+    const server = { _id: serverId, monitoring: { frequency: 5 } };
+    const ranges = { '24h': new Date(to - DAY_MS), '7d': new Date(to - 7 * DAY_MS) };
+    let rawResults;
+    let rollups;
+
+    beforeEach(() => {
+        rawResults = [];
+        rollups = [];
+        mock.method(ServerCheck, 'aggregate', async () => rawResults);
+        mock.method(AggregatedStats, 'find', () => ({ select: () => ({ lean: async () => rollups }) }));
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    it('adds rollups from before the first raw check to the raw check time', async () => {
+        // Raw checks from 2026-03-09 00:00 on: 30 hours up, 6 hours down, 4 of them in the last day
+        rawResults = [{
+            _id: serverId,
+            firstCheck: new Date('2026-03-09T00:00:00Z'),
+            'up_24h': 20 * HOUR_MS,
+            'down_24h': 4 * HOUR_MS,
+            'up_7d': 30 * HOUR_MS,
+            'down_7d': 6 * HOUR_MS
+        }];
+        rollups = [
+            // One hour down on 2026-03-08, covered by rollups only
+            { serverId, date: new Date('2026-03-08T00:00:00Z'), hourlyStats: [{ hour: 5, uptime: 0, downtime: 3600 }, { hour: 6, uptime: 3600, downtime: 0 }] },
+            // 2026-03-09 is covered by the raw checks
+            { serverId, date: new Date('2026-03-09T00:00:00Z'), hourlyStats: [{ hour: 1, uptime: 0, downtime: 3600 }] },
+            // Days without hourly rollups count as fully monitored
+            { serverId, date: new Date('2026-03-07T00:00:00Z'), dailySummary: { totalChecks: 288, uptimePercentage: 50 } }
+        ];
+
+        const uptime = (await computeUptimes([server], ranges, to)).get(String(serverId));
+
+        assert.deepEqual(uptime['24h'], toUptimeEntry(20 * HOUR_MS, 4 * HOUR_MS));
+        assert.deepEqual(uptime['7d'], toUptimeEntry(31 * HOUR_MS + DAY_MS / 2, 7 * HOUR_MS + DAY_MS / 2));
+    });
+
+    it('uses rollups alone for servers without raw checks', async () => {
+        rollups = [{ serverId, date: new Date('2026-03-05T00:00:00Z'), hourlyStats: [{ hour: 10, uptime: 2700, downtime: 900 }] }];
+
+        const uptime = (await computeUptimes([server], ranges, to)).get(String(serverId));
+
+        assert.deepEqual(uptime['24h'], { uptime: null, downtime: 0, monitored: 0 });
+        assert.deepEqual(uptime['7d'], { uptime: 75, downtime: 900, monitored: 3600 });
+    });
+
+    it('reports custom ranges', async () => {
+        rawResults = [{ _id: serverId, firstCheck: new Date('2026-03-10T00:00:00Z'), up_custom: 9 * HOUR_MS, down_custom: HOUR_MS }];
+
+        const uptime = await getCustomUptime(server, new Date('2026-03-10T00:00:00Z'), to);
+
+        assert.deepEqual(uptime, {
+            from: '2026-03-10T00:00:00.000Z',
+            to: '2026-03-10T12:00:00.000Z',
+            uptime: 90,
+            downtime: 3600,
+            monitored: 36000
+        });
+    });
+});
+
+describe('getServerUptimes', () => {
+    const cachedId = new mongoose.Types.ObjectId();
+    const missingId = new mongoose.Types.ObjectId();
+    let written;
+
+    beforeEach(() => {
+        written = [];
+        mock.method(redisConnection, 'mget', async () => [JSON.stringify({ '24h': { uptime: 99.5 } }), null]);
+        mock.method(redisConnection, 'pipeline', () => {
+            const pipeline = {
+                set: (key, value) => { written.push({ key, value: JSON.parse(value) }); return pipeline; },
+                exec: async () => []
+            };
+            return pipeline;
+        });
+        mock.method(ServerCheck, 'aggregate', async () => []);
+        mock.method(AggregatedStats, 'find', () => ({ select: () => ({ lean: async () => [] }) }));
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    it('reads cached servers and computes and caches the others', async () => {
+        const uptimes = await getServerUptimes([{ _id: cachedId }, { _id: missingId }]);
+
+        assert.deepEqual(uptimes.get(String(cachedId)), { '24h': { uptime: 99.5 } });
+        assert.deepEqual(Object.keys(uptimes.get(String(missingId))).sort(), ['24h', '30d', '7d', '90d', 'calculatedAt']);
+        assert.equal(ServerCheck.aggregate.mock.calls[0].arguments[0][0].$match.serverId.$in.length, 1);
+        assert.deepEqual(written.map(({ key }) => key), [getUptimeCacheKey(String(missingId))]);
+    });
+});
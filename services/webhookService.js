@@ -0,0 +1,205 @@
+// services/webhookService.js - Signed webhook deliveries with retries and a delivery log
+//
+// Every request carries:
+//   X-PingPilott-Event      - Alert type
+//   X-PingPilott-Delivery   - Delivery ID (the same on retries)
+//   X-PingPilott-Signature  - t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>" with the server's secret>
+
+import crypto from 'crypto';
+import axios from 'axios';
+import Server from '../models/Server.js';
+import WebhookDelivery from '../models/WebhookDelivery.js';
+import { addWebhookToQueue } from '../queues/webhookQueue.js';
+import { encryptSecret, decryptSecret } from '../utils/encryption.js';
+import logger from '../utils/logger.js';
+
+export const SIGNATURE_HEADER = 'X-PingPilott-Signature';
+
+const WEBHOOK_TIMEOUT = 5000; // 5s timeout for webhooks
+const RESPONSE_EXCERPT_LENGTH = 1000;
+
+/**
+ * Generate a new signing secret
+ * @returns {String} Secret
+ */
+export const generateWebhookSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+/**
+ * Sign a webhook body
+ * @param {String} secret - Server's signing secret
+ * @param {Number} timestamp - Unix timestamp in seconds
+ * @param {String} body - Raw JSON body
+ * @returns {String} Hex HMAC-SHA256 signature
+ */
+export const signWebhookPayload = (secret, timestamp, body) => {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+};
+
+/**
+ * Get the signing secret of a server, creating one for servers that have none yet
+ * @param {String} serverId - Server ID
+ * @returns {Promise<String|null>} Plain text secret, null when the server no longer exists
+ */
+export const getWebhookSecret = async (serverId) => {
+    const server = await Server.findById(serverId).select('+webhookSecret').lean();
+    if (!server) return null;
+    if (server.webhookSecret) return decryptSecret(server.webhookSecret);
+
+    // Only set it when still missing, so concurrent deliveries agree on one secret
+    await Server.updateOne(
+        { _id: serverId, webhookSecret: { $in: [null, ''] } },
+        { $set: { webhookSecret: encryptSecret(generateWebhookSecret()) } }
+    );
+
+    const updated = await Server.findById(serverId).select('+webhookSecret').lean();
+    return decryptSecret(updated.webhookSecret);
+};
+
+/**
+ * Replace the signing secret of a server
+ * @param {String} serverId - Server ID
+ * @returns {Promise<String>} New plain text secret
+ */
+export const rotateWebhookSecret = async (serverId) => {
+    const secret = generateWebhookSecret();
+    await Server.updateOne({ _id: serverId }, { $set: { webhookSecret: encryptSecret(secret) } });
+    return secret;
+};
+
+/**
+ * Log and queue a webhook for an alert
+ * @param {Object} server - Server data (monitoring.alerts.webhookUrl, uploadedBy)
+ * @param {String} alertType - Alert type
+ * @param {Object} data - Alert details (statuses, response time, error...)
+ * @param {*} customPayload - Payload rendered from the user's template, replaces the default body
+ * @returns {Promise<Object|undefined>} Delivery when the server has a webhook URL
+ */
+export const queueWebhookAlert = async (server, alertType, data, customPayload = undefined) => {
+    const webhookUrl = server.monitoring?.alerts?.webhookUrl;
+    if (!webhookUrl) return;
+
+    const payload = JSON.stringify(customPayload !== undefined ? customPayload : {
+        event: alertType,
+        server: {
+            id: server._id,
+            name: server.name,
+            url: server.url,
+            status: server.status
+        },
+        ...data,
+        timestamp: new Date().toISOString()
+    });
+
+    const delivery = await WebhookDelivery.create({
+        server: server._id,
+        uploadedBy: server.uploadedBy,
+        event: alertType,
+        url: webhookUrl,
+        payload
+    });
+
+    await addWebhookToQueue(delivery._id);
+    logger.info(`Webhook delivery ${delivery._id} queued for ${server.name} (${server._id})`);
+
+    return delivery;
+};
+
+/**
+ * Send a logged webhook again, as a new delivery to the server's current webhook URL
+ * @param {Object} delivery - Original delivery
+ * @returns {Promise<Object>} New delivery
+ */
+export const redeliverWebhook = async (delivery) => {
+    const server = await Server.findById(delivery.server).select('monitoring.alerts.webhookUrl').lean();
+
+    const redelivery = await WebhookDelivery.create({
+        server: delivery.server,
+        uploadedBy: delivery.uploadedBy,
+        event: delivery.event,
+        url: server?.monitoring?.alerts?.webhookUrl || delivery.url,
+        payload: delivery.payload,
+        redeliveryOf: delivery.redeliveryOf || delivery._id
+    });
+
+    await addWebhookToQueue(redelivery._id);
+    return redelivery;
+};
+
+/**
+ * Make one signed delivery attempt and log it
+ * Throws when the attempt failed so the queue retries it
+ * @param {String} deliveryId - Delivery ID
+ * @param {Object} options - { finalAttempt } marks the delivery failed when this attempt fails
+ * @returns {Promise<Object|null>} Logged attempt, null when there was nothing to send
+ */
+export const attemptWebhookDelivery = async (deliveryId, { finalAttempt = false } = {}) => {
+    const delivery = await WebhookDelivery.findById(deliveryId).lean();
+    if (!delivery || delivery.status !== 'pending') return null;
+
+    const secret = await getWebhookSecret(delivery.server);
+    if (!secret) {
+        await WebhookDelivery.updateOne({ _id: deliveryId }, {
+            $set: { status: 'failed' },
+            $push: { attempts: { error: 'Server no longer exists' } }
+        });
+        return null;
+    }
+
+    const timestamp = Math.floor(Date.now() / 1000);
+    const start = Date.now();
+    const attempt = { attemptedAt: new Date(start) };
+
+    try {
+        const response = await axios.post(delivery.url, delivery.payload, {
+            timeout: WEBHOOK_TIMEOUT,
+            maxRedirects: 0,
+            responseType: 'text',
+            transformResponse: [body => body],
+            validateStatus: () => true, // Every status is logged, 2xx means delivered
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'PingPilott-Webhook-Bot/1.0',
+                'X-PingPilott-Event': delivery.event,
+                'X-PingPilott-Delivery': String(delivery._id),
+                [SIGNATURE_HEADER]: `t=${timestamp},v1=${signWebhookPayload(secret, timestamp, delivery.payload)}`
+            }
+        });
+
+        attempt.statusCode = response.status;
+        attempt.responseBody = typeof response.data === 'string'
+            ? response.data.slice(0, RESPONSE_EXCERPT_LENGTH)
+            : null;
+        if (response.status < 200 || response.status >= 300) {
+            attempt.error = `Receiver responded with status ${response.status}`;
+        }
+    } catch (error) {
+        attempt.error = error.message;
+    }
+
+    attempt.latency = Date.now() - start;
+    const delivered = !attempt.error;
+
+    await WebhookDelivery.updateOne({ _id: deliveryId }, {
+        $push: { attempts: attempt },
+        ...(delivered && { $set: { status: 'success', deliveredAt: new Date() } }),
+        ...(!delivered && finalAttempt && { $set: { status: 'failed' } })
+    });
+
+    if (!delivered) {
+        throw new Error(`Webhook delivery ${deliveryId} to ${delivery.url} failed: ${attempt.error}`);
+    }
+
+    logger.info(`Webhook delivery ${deliveryId} succeeded (${attempt.statusCode}, ${attempt.latency}ms)`);
+    return attempt;
+};
+
+export default {
+    SIGNATURE_HEADER,
+    generateWebhookSecret,
+    signWebhookPayload,
+    getWebhookSecret,
+    rotateWebhookSecret,
+    queueWebhookAlert,
+    redeliverWebhook,
+    attemptWebhookDelivery
+};
@@ -0,0 +1,182 @@
+import { describe, it, before, beforeEach, afterEach, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import http from 'http';
+import Server from '../models/Server.js';
+import WebhookDelivery from '../models/WebhookDelivery.js';
+import { redisConnection } from '../config/redis.js';
+import { webhookQueue } from '../queues/webhookQueue.js';
+import { encryptSecret } from '../utils/encryption.js';
+import {
+    generateWebhookSecret,
+    signWebhookPayload,
+    queueWebhookAlert,
+    attemptWebhookDelivery
+} from './webhookService.js';
+
+process.env.ENCRYPTION_KEY = 'test-encryption-key';
+
+const SECRET = 'whsec_test';
+
+after(() => redisConnection.disconnect());
+
+/**
+ * Verify a signature header the way a receiver would
+ */
+const verifySignature = (header, body, secret) => {
+    const { t, v1 } = Object.fromEntries(header.split(',').map(part => part.split('=')));
+    const expected = crypto.createHmac('sha256', secret).update(`${t}.${body}`).digest('hex');
+    return crypto.timingSafeEqual(Buffer.from(v1, 'hex'), Buffer.from(expected, 'hex'));
+};
+
+describe('webhook signing', () => {
+    it('generates distinct prefixed secrets', () => {
+        const secret = generateWebhookSecret();
+
+        assert.match(secret, /^whsec_[0-9a-f]{48}$/);
+        assert.notEqual(generateWebhookSecret(), secret);
+    });
+
+    it('signs the timestamp and the raw body', () => {
+        const signature = signWebhookPayload(SECRET, 1767225600, '{"event":"server_down"}');
+
+        assert.equal(signature, crypto.createHmac('sha256', SECRET).update('1767225600.{"event":"server_down"}').digest('hex'));
+        assert.notEqual(signWebhookPayload(SECRET, 1767225601, '{"event":"server_down"}'), signature);
+    });
+});
+
+describe('queueWebhookAlert', () => {
+    let created;
+    let jobs;
+
+    beforeEach(() => {
+        created = [];
+        jobs = [];
+        mock.method(WebhookDelivery, 'create', async (data) => {
+            created.push(data);
+            return { _id: 'delivery-1', ...data };
+        });
+        mock.method(webhookQueue, 'add', async (name, data, options) => jobs.push({ name, data, options }));
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    const server = {
+        _id: 'server-1',
+        name: 'api',
+        url: 'https://api.example.com',
+        status: 'down',
+        uploadedBy: 'user-1',
+        monitoring: { alerts: { webhookUrl: 'https://hooks.example.com/ping' } }
+    };
+
+    it('logs the delivery and queues it', async () => {
+        await queueWebhookAlert(server, 'server_down', { oldStatus: 'up', newStatus: 'down' });
+
+        const payload = JSON.parse(created[0].payload);
+        assert.equal(created[0].url, 'https://hooks.example.com/ping');
+        assert.equal(payload.event, 'server_down');
+        assert.deepEqual(payload.server, { id: 'server-1', name: 'api', url: 'https://api.example.com', status: 'down' });
+        assert.equal(payload.newStatus, 'down');
+        assert.deepEqual(jobs, [{ name: 'deliver-webhook', data: { deliveryId: 'delivery-1' }, options: { jobId: 'webhook-delivery-1' } }]);
+    });
+
+    it('sends the rendered template payload as is', async () => {
+        await queueWebhookAlert(server, 'server_down', {}, { text: 'api is down' });
+
+        assert.equal(created[0].payload, '{"text":"api is down"}');
+    });
+
+    it('does nothing without a webhook URL', async () => {
+        assert.equal(await queueWebhookAlert({ ...server, monitoring: { alerts: {} } }, 'server_down', {}), undefined);
+        assert.equal(created.length, 0);
+    });
+});
+
+describe('attemptWebhookDelivery', () => {
+    let receiver;
+    let receiverUrl;
+    let received;
+    let updates;
+    let delivery;
+
+    before(async () => {
+        receiver = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                received.push({ headers: req.headers, body });
+                res.statusCode = req.url === '/rejecting' ? 410 : 200;
+                res.end(req.url === '/rejecting' ? 'gone' : 'thanks');
+            });
+        });
+        await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+        receiverUrl = `http://127.0.0.1:${receiver.address().port}`;
+    });
+
+    after(() => {
+        receiver.closeAllConnections();
+        receiver.close();
+    });
+
+    beforeEach(() => {
+        received = [];
+        updates = [];
+        delivery = {
+            _id: 'delivery-1',
+            server: 'server-1',
+            event: 'server_down',
+            url: `${receiverUrl}/hook`,
+            payload: '{"event":"server_down"}',
+            status: 'pending'
+        };
+
+        mock.method(WebhookDelivery, 'findById', () => ({ lean: async () => delivery }));
+        mock.method(WebhookDelivery, 'updateOne', async (filter, update) => updates.push(update));
+        mock.method(Server, 'findById', () => ({
+            select: () => ({ lean: async () => ({ _id: 'server-1', webhookSecret: encryptSecret(SECRET) }) })
+        }));
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    it('sends a body the receiver can verify with the server secret', async () => {
+        const attempt = await attemptWebhookDelivery('delivery-1');
+
+        const [{ headers, body }] = received;
+        assert.equal(body, delivery.payload);
+        assert.equal(headers['x-pingpilott-event'], 'server_down');
+        assert.equal(headers['x-pingpilott-delivery'], 'delivery-1');
+        assert.ok(verifySignature(headers['x-pingpilott-signature'], body, SECRET));
+        assert.ok(!verifySignature(headers['x-pingpilott-signature'], body, 'whsec_other'));
+
+        assert.equal(attempt.statusCode, 200);
+        assert.equal(attempt.responseBody, 'thanks');
+        assert.equal(updates[0].$set.status, 'success');
+    });
+
+    it('logs rejected attempts and throws so the queue retries', async () => {
+        delivery.url = `${receiverUrl}/rejecting`;
+
+        await assert.rejects(attemptWebhookDelivery('delivery-1'), /failed: Receiver responded with status 410/);
+
+        assert.equal(updates[0].$push.attempts.statusCode, 410);
+        assert.equal(updates[0].$push.attempts.responseBody, 'gone');
+        assert.equal(updates[0].$set, undefined);
+    });
+
+    it('marks the delivery failed after the final attempt', async () => {
+        delivery.url = `${receiverUrl}/rejecting`;
+
+        await assert.rejects(attemptWebhookDelivery('delivery-1', { finalAttempt: true }));
+
+        assert.equal(updates[0].$set.status, 'failed');
+    });
+
+    it('skips deliveries that are no longer pending', async () => {
+        delivery.status = 'success';
+
+        assert.equal(await attemptWebhookDelivery('delivery-1'), null);
+        assert.equal(received.length, 0);
+    });
+});
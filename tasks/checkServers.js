@@ -2,10 +2,12 @@
 import logger from '../utils/logger.js';
 import Server from '../models/Server.js';
 import { addCheckJob } from '../queues/monitorQueue.js';
+import { resolveServerTimezones } from '../services/timezoneService.js';
+import { isWithinSchedule } from '../utils/timezone.js';
 
 /**
  * MAIN: Dispatch server checks to the queue
- * Finds servers due for checking and adds them to BullMQ
+ * Finds servers due for checking and adds them to the BullMQ queue of every selected region
  */
 export const checkAllServersIntelligently = async () => {
     const startTime = Date.now();
@@ -23,7 +25,7 @@ export const checkAllServersIntelligently = async () => {
 
         logger.info(`Found ${servers.length} servers to check - dispatching to queue`);
 
-        // Dispatch jobs in parallel but await completeness
+        // Dispatch jobs in parallel but await completeness, each check fans out to the server's probe regions
         let dispatched = 0;
         const promises = servers.map(async (server) => {
             const added = await addCheckJob(server, server.priority);
@@ -80,17 +82,26 @@ const getServersWithPriority = async () => {
         status: 1,
         monitoring: 1,
         lastChecked: 1,
+        uploadedBy: 1,
         uploadedRole: 1,
-        uploadedPlan: 1
+        uploadedPlan: 1,
+        timezone: 1
     }).lean();
 
-    return servers.filter(shouldMonitorServer);
+    // Time windows are evaluated in the server's (or its owner's) timezone
+    const timezones = await resolveServerTimezones(
+        servers.filter(server => server.monitoring?.timeWindows?.length || server.monitoring?.daysOfWeek?.length)
+    );
+
+    return servers.filter(server => shouldMonitorServer(server, timezones.get(String(server._id))));
 };
 
 /**
  * Check if server should be monitored
+ * @param {Object} server - Server data
+ * @param {String} timeZone - Timezone of the server's time windows
  */
-const shouldMonitorServer = (server) => {
+const shouldMonitorServer = (server, timeZone) => {
     // Admin servers always monitored
     if (server.uploadedRole === 'admin' || server.uploadedPlan === 'admin') {
         return true;
@@ -103,37 +114,9 @@ const shouldMonitorServer = (server) => {
         return false;
     }
 
-    // Check time windows if defined
+    // Check days of week and time windows (overnight windows included) if defined
     if (server.monitoring?.timeWindows?.length || server.monitoring?.daysOfWeek?.length) {
-        const now = new Date();
-        const currentDay = now.getDay();
-        const currentTime = now.getHours().toString().padStart(2, '0') + ':' +
-            now.getMinutes().toString().padStart(2, '0');
-
-        // Check days of week
-        if (server.monitoring?.daysOfWeek?.length > 0) {
-            if (!server.monitoring.daysOfWeek.includes(currentDay)) {
-                return false;
-            }
-        }
-
-        // Check time windows
-        if (server.monitoring?.timeWindows?.length > 0) {
-            // Special case: 00:00 to 00:00 means 24/7
-            if (server.monitoring.timeWindows.some(w => w.start === '00:00' && w.end === '00:00')) {
-                return true;
-            }
-
-            return server.monitoring.timeWindows.some(window => {
-                if (window.start <= window.end) {
-                    // Standard window (e.g. 09:00 to 17:00)
-                    return currentTime >= window.start && currentTime <= window.end;
-                } else {
-                    // Overnight window (e.g. 22:00 to 06:00)
-                    return currentTime >= window.start || currentTime <= window.end;
-                }
-            });
-        }
+        return isWithinSchedule(server.monitoring, new Date(), timeZone);
     }
 
     return true;
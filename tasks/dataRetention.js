@@ -4,6 +4,7 @@ import logger from '../utils/logger.js';
 import ServerCheck from '../models/ServerCheck.js';
 import CronJob from '../models/CronJob.js';
 import mongoose from 'mongoose';
+import { rollupPendingChecks } from '../services/rollupService.js';
 
 /**
  * AGGRESSIVE data retention - clears almost everything at midnight
@@ -17,6 +18,7 @@ export const runAggressiveDataRetention = async () => {
     const stats = {
         serverChecksDeleted: 0,
         cronJobsDeleted: 0,
+        hoursRolledUp: 0,
         oldServerChecksDeleted: 0,
         databaseSizeBeforeMB: 0,
         databaseSizeAfterMB: 0,
@@ -30,6 +32,12 @@ export const runAggressiveDataRetention = async () => {
 
         logger.info(`Database size before cleanup: ${stats.databaseSizeBeforeMB} MB`);
 
+        // ========================================
+        // STEP 0: Roll up checks before they are gone
+        // ========================================
+        const rollup = await rollupPendingChecks();
+        stats.hoursRolledUp = rollup.hours;
+
         // ========================================
         // STEP 1: Clear ALL ServerCheck data
         // ========================================
@@ -116,11 +124,16 @@ export const runSelectiveDataRetention = async (hoursToKeep = 24) => {
     const stats = {
         serverChecksDeleted: 0,
         cronJobsDeleted: 0,
+        hoursRolledUp: 0,
         serverChecksKept: 0,
         duration: 0
     };
 
     try {
+        // Roll up checks before they are gone
+        const rollup = await rollupPendingChecks();
+        stats.hoursRolledUp = rollup.hours;
+
         // Calculate cutoff time
         const cutoffTime = new Date(Date.now() - hoursToKeep * 60 * 60 * 1000);
 
@@ -170,11 +183,16 @@ export const runEmergencyCleanup = async () => {
     const stats = {
         serverChecksDeleted: 0,
         cronJobsDeleted: 0,
+        hoursRolledUp: 0,
         duration: 0,
         emergency: true
     };
 
     try {
+        // Roll up checks before they are gone
+        const rollup = await rollupPendingChecks();
+        stats.hoursRolledUp = rollup.hours;
+
         // Nuclear option - delete everything
         const [serverCheckResult, cronJobResult] = await Promise.all([
             ServerCheck.deleteMany({}),
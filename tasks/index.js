@@ -9,6 +9,9 @@ import istDataRetention from './dataRetention.js'; // You might want to rename t
 import smartCheckServers from './checkServers.js';
 import jobQueue from '../utils/jobQueue.js';
 import CronJob from '../models/CronJob.js';
+import { refreshUptimeCache } from '../services/uptimeService.js';
+import { evaluateSloBurnRates } from '../services/sloService.js';
+import { rollupCompletedHours } from '../services/rollupService.js';
 
 // CONFIGURATION
 const CONFIG = {
@@ -17,6 +20,15 @@ const CONFIG = {
     // MIDNIGHT CRON (Runs at 00:00 system time)
     MIDNIGHT_CRON: '0 0 * * *',
 
+    // Uptime precompute, well within the uptime cache TTL
+    UPTIME_REFRESH_CRON: '*/5 * * * *',
+
+    // SLO burn-rate evaluation, often enough for the 1h rule
+    SLO_EVALUATION_CRON: '*/5 * * * *',
+
+    // Hourly rollup of raw checks into AggregatedStats
+    ROLLUP_CRON: '5 * * * *',
+
     // Peak hours (server time)
     PEAK_HOURS: {
         start: parseInt(process.env.PEAK_HOURS_START) || 9,
@@ -49,6 +61,9 @@ export const initCronJobs = async () => {
         jobQueue.add('aggressiveDataRetention', istDataRetention.runAggressiveDataRetention, 2);
         jobQueue.add('selectiveDataRetention', istDataRetention.runSelectiveDataRetention, 2);
         jobQueue.add('emergencyCleanup', istDataRetention.runEmergencyCleanup, 3);
+        jobQueue.add('refreshUptime', refreshUptimeCache, 2);
+        jobQueue.add('evaluateSloBurnRates', evaluateSloBurnRates, 2);
+        jobQueue.add('rollupStats', rollupCompletedHours, 2);
 
         // Log system info
         await logSystemInfo();
@@ -66,6 +81,15 @@ export const initCronJobs = async () => {
         // Health monitoring
         startHealthMonitoring();
 
+        // Uptime precompute
+        startUptimeRefresh();
+
+        // SLO burn-rate alerts
+        startSloEvaluation();
+
+        // Long-term rollups
+        startHourlyRollup();
+
         logger.info('✅ All cron jobs initialized successfully');
 
     } catch (error) {
@@ -238,6 +262,57 @@ const startHealthMonitoring = () => {
     });
 };
 
+/**
+ * Uptime refresh - precompute uptime of all servers every 5 minutes
+ */
+const startUptimeRefresh = () => {
+    cron.schedule(CONFIG.UPTIME_REFRESH_CRON, async () => {
+        try {
+            const result = await jobQueue.execute('refreshUptime');
+
+            if (result !== false) {
+                logger.debug('📈 Uptime refreshed', result);
+            }
+        } catch (error) {
+            logger.error(`Uptime refresh error: ${error.message}`);
+        }
+    });
+};
+
+/**
+ * SLO evaluation - queue burn-rate alerts every 5 minutes
+ */
+const startSloEvaluation = () => {
+    cron.schedule(CONFIG.SLO_EVALUATION_CRON, async () => {
+        try {
+            const result = await jobQueue.execute('evaluateSloBurnRates');
+
+            if (result !== false && result.alerts > 0) {
+                logger.info(`🔥 ${result.alerts} SLO burn-rate alerts queued`, result);
+            }
+        } catch (error) {
+            logger.error(`SLO evaluation error: ${error.message}`);
+        }
+    });
+};
+
+/**
+ * Hourly rollup - keep AggregatedStats current, retention rolls up the rest before deleting
+ */
+const startHourlyRollup = () => {
+    cron.schedule(CONFIG.ROLLUP_CRON, async () => {
+        try {
+            const result = await jobQueue.execute('rollupStats');
+
+            if (result !== false) {
+                logger.debug('📦 Hourly rollup completed', result);
+            }
+        } catch (error) {
+            logger.error(`Hourly rollup error: ${error.message}`);
+        }
+    });
+};
+
 /**
  * Determine if we should run a check based on adaptive schedule
  */
@@ -0,0 +1,97 @@
+// utils/encryption.js - Encryption at rest for monitor secrets
+
+import crypto from 'crypto';
+import logger from './logger.js';
+
+const ALGORITHM = 'aes-256-gcm';
+const PREFIX = 'enc:v1:';
+
+// Placeholder returned to clients instead of stored secrets
+export const SECRET_MASK = '********';
+
+let cachedKey = null;
+
+/**
+ * Derive the 256-bit encryption key from the environment
+ * Falls back to JWT_SECRET so existing deployments keep working
+ * @returns {Buffer} Encryption key
+ */
+const getKey = () => {
+    if (cachedKey) return cachedKey;
+
+    const secret = process.env.ENCRYPTION_KEY || process.env.JWT_SECRET;
+    if (!secret) {
+        throw new Error('ENCRYPTION_KEY is not configured');
+    }
+
+    if (!process.env.ENCRYPTION_KEY) {
+        logger.warn('ENCRYPTION_KEY not set, deriving secret encryption key from JWT_SECRET');
+    }
+
+    cachedKey = crypto.createHash('sha256').update(secret).digest();
+    return cachedKey;
+};
+
+/**
+ * Check if a value was produced by encryptSecret
+ * @param {String} value - Stored value
+ * @returns {Boolean}
+ */
+export const isEncrypted = (value) => {
+    return typeof value === 'string' && value.startsWith(PREFIX);
+};
+
+/**
+ * Encrypt a secret for storage
+ * @param {String} value - Plain text secret
+ * @returns {String} Encrypted value (already encrypted and empty values are returned unchanged)
+ */
+export const encryptSecret = (value) => {
+    if (value === undefined || value === null || value === '' || isEncrypted(value)) {
+        return value;
+    }
+
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+    const tag = cipher.getAuthTag();
+
+    return `${PREFIX}${iv.toString('base64')}:${tag.toString('base64')}:${encrypted.toString('base64')}`;
+};
+
+/**
+ * Decrypt a stored secret
+ * @param {String} value - Encrypted value (plain values are returned unchanged)
+ * @returns {String} Plain text secret
+ */
+export const decryptSecret = (value) => {
+    if (!isEncrypted(value)) {
+        return value;
+    }
+
+    const [iv, tag, encrypted] = value.slice(PREFIX.length).split(':');
+    const decipher = crypto.createDecipheriv(ALGORITHM, getKey(), Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+
+    return Buffer.concat([
+        decipher.update(Buffer.from(encrypted, 'base64')),
+        decipher.final()
+    ]).toString('utf8');
+};
+
+/**
+ * Mask a stored secret for API responses
+ * @param {String} value - Stored value
+ * @returns {String|null} Mask when a secret is set, otherwise the empty value
+ */
+export const maskSecret = (value) => {
+    return value ? SECRET_MASK : value;
+};
+
+export default {
+    SECRET_MASK,
+    isEncrypted,
+    encryptSecret,
+    decryptSecret,
+    maskSecret
+};
@@ -0,0 +1,49 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { encryptSecret, decryptSecret, isEncrypted, maskSecret, SECRET_MASK } from './encryption.js';
+
+process.env.ENCRYPTION_KEY = 'test-encryption-key';
+
+describe('encryptSecret / decryptSecret', () => {
+    it('round-trips a secret', () => {
+        const stored = encryptSecret('s3cr3t-token');
+
+        assert.ok(isEncrypted(stored));
+        assert.ok(!stored.includes('s3cr3t-token'));
+        assert.equal(decryptSecret(stored), 's3cr3t-token');
+    });
+
+    it('uses a fresh IV for every encryption', () => {
+        assert.notEqual(encryptSecret('same'), encryptSecret('same'));
+    });
+
+    it('does not encrypt empty or already encrypted values', () => {
+        const stored = encryptSecret('password');
+
+        assert.equal(encryptSecret(stored), stored);
+        assert.equal(encryptSecret(''), '');
+        assert.equal(encryptSecret(null), null);
+        assert.equal(encryptSecret(undefined), undefined);
+    });
+
+    it('returns plain values unchanged on decryption', () => {
+        assert.equal(decryptSecret('legacy-plain-text'), 'legacy-plain-text');
+        assert.equal(decryptSecret(null), null);
+    });
+
+    it('rejects tampered ciphertext', () => {
+        const [prefix, version, iv, tag, data] = encryptSecret('password').split(':');
+        const flipped = Buffer.from(data, 'base64');
+        flipped[0] ^= 1;
+
+        assert.throws(() => decryptSecret([prefix, version, iv, tag, flipped.toString('base64')].join(':')));
+    });
+});
+
+describe('maskSecret', () => {
+    it('hides set secrets and keeps empty values', () => {
+        assert.equal(maskSecret(encryptSecret('password')), SECRET_MASK);
+        assert.equal(maskSecret(''), '');
+        assert.equal(maskSecret(null), null);
+    });
+});
@@ -0,0 +1,81 @@
+// utils/jsonPath.js - Minimal JSONPath evaluator for response assertions
+
+/**
+ * Split a JSONPath expression into property/index tokens
+ * Supports $.a.b, $['a'].b, $.items[0].id and a leading "$" being optional
+ * @param {String} path - JSONPath expression
+ * @returns {Array} Tokens (strings for properties, numbers for indexes)
+ */
+export const parseJsonPath = (path) => {
+    if (typeof path !== 'string' || !path.trim()) {
+        throw new Error('JSONPath must be a non-empty string');
+    }
+
+    const expression = path.trim().replace(/^\$/, '');
+    const tokens = [];
+    const pattern = /\.([^.[\]]+)|\[(\d+)\]|\[['"]([^'"]*)['"]\]/y;
+
+    let index = 0;
+    // Allow paths written without the leading "$." (e.g. "data.status")
+    let source = expression;
+    if (source && !source.startsWith('.') && !source.startsWith('[')) {
+        source = `.${source}`;
+    }
+
+    while (index < source.length) {
+        pattern.lastIndex = index;
+        const match = pattern.exec(source);
+
+        if (!match) {
+            throw new Error(`Invalid JSONPath: ${path}`);
+        }
+
+        if (match[1] !== undefined) tokens.push(match[1]);
+        else if (match[2] !== undefined) tokens.push(parseInt(match[2], 10));
+        else tokens.push(match[3]);
+
+        index = pattern.lastIndex;
+    }
+
+    return tokens;
+};
+
+/**
+ * Resolve a JSONPath expression against parsed JSON
+ * @param {*} data - Parsed JSON value
+ * @param {String} path - JSONPath expression
+ * @returns {*} Matched value, or undefined when the path does not exist
+ */
+export const queryJsonPath = (data, path) => {
+    return parseJsonPath(path).reduce((current, token) => {
+        if (current === null || current === undefined) return undefined;
+        return current[token];
+    }, data);
+};
+
+/**
+ * Compare a resolved value with an expected value from the assertion config
+ * Expected values are strings; "200", "true" and "null" also match their JSON types
+ * @param {*} actual - Value resolved from the response
+ * @param {String} expected - Expected value
+ * @returns {Boolean} Whether the values are equal
+ */
+export const jsonValueEquals = (actual, expected) => {
+    if (actual === undefined) return false;
+
+    if (typeof actual === 'object' && actual !== null) {
+        try {
+            return JSON.stringify(actual) === JSON.stringify(JSON.parse(expected));
+        } catch (error) {
+            return false;
+        }
+    }
+
+    return String(actual) === String(expected);
+};
+
+export default {
+    parseJsonPath,
+    queryJsonPath,
+    jsonValueEquals
+};
@@ -0,0 +1,57 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseJsonPath, queryJsonPath, jsonValueEquals } from './jsonPath.js';
+
+describe('parseJsonPath', () => {
+    it('splits dot, index and bracket notation', () => {
+        assert.deepEqual(parseJsonPath('$.data.items[0].id'), ['data', 'items', 0, 'id']);
+        assert.deepEqual(parseJsonPath("$['content-type'].value"), ['content-type', 'value']);
+    });
+
+    it('accepts paths without the leading $.', () => {
+        assert.deepEqual(parseJsonPath('data.status'), ['data', 'status']);
+        assert.deepEqual(parseJsonPath('[1]'), [1]);
+    });
+
+    it('returns no tokens for the root', () => {
+        assert.deepEqual(parseJsonPath('$'), []);
+    });
+
+    it('rejects empty and malformed paths', () => {
+        assert.throws(() => parseJsonPath(''), /non-empty string/);
+        assert.throws(() => parseJsonPath('$.items[first]'), /Invalid JSONPath/);
+    });
+});
+
+describe('queryJsonPath', () => {
+    const data = { status: 'ok', checks: [{ name: 'db', healthy: true }], meta: null };
+
+    it('resolves nested values', () => {
+        assert.equal(queryJsonPath(data, '$.status'), 'ok');
+        assert.equal(queryJsonPath(data, '$.checks[0].healthy'), true);
+    });
+
+    it('returns undefined for missing paths', () => {
+        assert.equal(queryJsonPath(data, '$.checks[3].name'), undefined);
+        assert.equal(queryJsonPath(data, '$.meta.version'), undefined);
+    });
+});
+
+describe('jsonValueEquals', () => {
+    it('matches numbers, booleans and null against their string form', () => {
+        assert.equal(jsonValueEquals(200, '200'), true);
+        assert.equal(jsonValueEquals(true, 'true'), true);
+        assert.equal(jsonValueEquals(null, 'null'), true);
+        assert.equal(jsonValueEquals(200, '201'), false);
+    });
+
+    it('compares objects and arrays as JSON', () => {
+        assert.equal(jsonValueEquals([1, 2], '[1,2]'), true);
+        assert.equal(jsonValueEquals({ a: 1 }, '{"a": 1}'), true);
+        assert.equal(jsonValueEquals({ a: 1 }, 'not json'), false);
+    });
+
+    it('never matches a missing value', () => {
+        assert.equal(jsonValueEquals(undefined, 'undefined'), false);
+    });
+});
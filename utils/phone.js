@@ -0,0 +1,60 @@
+// utils/phone.js - Phone number validation and E.164 normalization
+
+// International format: + followed by country code and subscriber number, 15 digits max
+export const E164_REGEX = /^\+[1-9]\d{6,14}$/;
+
+// Stored numbers are E.164, older servers may still hold national numbers without a country code
+const STORED_PHONE_REGEX = /^\+?\d{7,15}$/;
+
+/**
+ * Remove the formatting characters people type in phone numbers
+ * @param {String} phone - Phone number as entered
+ * @returns {String} Digits with an optional leading +
+ */
+const stripFormatting = (phone) => String(phone).trim().replace(/[\s().\-/]/g, '');
+
+/**
+ * Check whether a phone number can be stored (E.164 or a national number)
+ * @param {String} phone - Phone number, formatting characters allowed
+ * @returns {Boolean} Whether the number is valid
+ */
+export const isValidPhoneNumber = (phone) => {
+    if (typeof phone !== 'string') return false;
+
+    const cleaned = stripFormatting(phone).replace(/^00/, '+');
+    return cleaned.startsWith('+') ? E164_REGEX.test(cleaned) : STORED_PHONE_REGEX.test(cleaned);
+};
+
+/**
+ * Normalize a phone number to E.164
+ * National numbers get the default country code, without their trunk prefix 0
+ * @param {String} phone - Phone number, formatting characters allowed
+ * @param {String} defaultCountryCode - Country code for national numbers (e.g. '1', '+44')
+ * @returns {String|null} E.164 number or null when it cannot be normalized
+ */
+export const normalizePhoneNumber = (phone, defaultCountryCode = process.env.SMS_DEFAULT_COUNTRY_CODE) => {
+    if (!isValidPhoneNumber(phone)) return null;
+
+    const cleaned = stripFormatting(phone).replace(/^00/, '+');
+    if (cleaned.startsWith('+')) return cleaned;
+
+    const countryCode = String(defaultCountryCode || '').replace(/\D/g, '');
+    if (!countryCode) return null;
+
+    const normalized = `+${countryCode}${cleaned.replace(/^0/, '')}`;
+    return E164_REGEX.test(normalized) ? normalized : null;
+};
+
+/**
+ * Mask a phone number for logs
+ * @param {String} phone - Phone number
+ * @returns {String} Number with all but the last 4 digits hidden
+ */
+export const maskPhoneNumber = (phone) => String(phone).replace(/\d(?=\d{4})/g, '*');
+
+export default {
+    E164_REGEX,
+    isValidPhoneNumber,
+    normalizePhoneNumber,
+    maskPhoneNumber
+};
@@ -0,0 +1,42 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { isValidPhoneNumber, normalizePhoneNumber, maskPhoneNumber } from './phone.js';
+
+describe('isValidPhoneNumber', () => {
+    it('accepts formatted international and national numbers', () => {
+        assert.equal(isValidPhoneNumber('+1 (415) 555-0100'), true);
+        assert.equal(isValidPhoneNumber('0044 20 7946 0958'), true);
+        assert.equal(isValidPhoneNumber('030 1234567'), true);
+    });
+
+    it('rejects numbers that cannot be dialled', () => {
+        assert.equal(isValidPhoneNumber('+0 415 555 0100'), false);
+        assert.equal(isValidPhoneNumber('+1234567890123456'), false);
+        assert.equal(isValidPhoneNumber('12345'), false);
+        assert.equal(isValidPhoneNumber('call me'), false);
+        assert.equal(isValidPhoneNumber(4155550100), false);
+    });
+});
+
+describe('normalizePhoneNumber', () => {
+    it('keeps international numbers without formatting', () => {
+        assert.equal(normalizePhoneNumber('+1 (415) 555-0100', ''), '+14155550100');
+        assert.equal(normalizePhoneNumber('0044 20 7946 0958', ''), '+442079460958');
+    });
+
+    it('adds the default country code to national numbers without the trunk prefix', () => {
+        assert.equal(normalizePhoneNumber('030 1234567', '+49'), '+49301234567');
+        assert.equal(normalizePhoneNumber('4155550100', '1'), '+14155550100');
+    });
+
+    it('cannot normalize national numbers without a default country code', () => {
+        assert.equal(normalizePhoneNumber('030 1234567', ''), null);
+        assert.equal(normalizePhoneNumber('not a number', '+49'), null);
+    });
+});
+
+describe('maskPhoneNumber', () => {
+    it('keeps the last four digits', () => {
+        assert.equal(maskPhoneNumber('+14155550100'), '+*******0100');
+    });
+});
@@ -0,0 +1,193 @@
+// utils/template.js - Logic-less templates for user-defined alert messages
+//
+// Supported syntax (a small Mustache subset, nothing is evaluated):
+//   {{ server.name }}            - Variable, escaped for the output format
+//   {{{ error }}}                - Variable without escaping
+//   {{# incident }}...{{/ incident }} - Section, rendered when the variable is set and not false/0/''
+//   {{^ incident }}...{{/ incident }} - Inverted section, rendered when it is not
+// Variables are dotted paths into the own properties of the context object.
+
+const TAG_REGEX = /\{\{(\{)?\s*([#^/])?\s*([a-zA-Z_][\w]*(?:\.[a-zA-Z_][\w]*)*)\s*(\})?\}\}/g;
+
+export class TemplateError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'TemplateError';
+    }
+}
+
+const HTML_ESCAPES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+};
+
+/**
+ * Escape a value for HTML output
+ * @param {String} value - Value to escape
+ * @returns {String} Escaped value
+ */
+export const escapeHtml = (value) => String(value).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+
+/**
+ * Parse a template into a tree of text, variable and section nodes
+ * @param {String} source - Template source
+ * @returns {Array} Nodes
+ * @throws {TemplateError} On malformed tags or unbalanced sections
+ */
+export const parseTemplate = (source) => {
+    source = String(source);
+
+    // Left-over braces mean a tag the parser does not accept
+    const leftover = source.replace(TAG_REGEX, '').indexOf('{{');
+    if (leftover !== -1) {
+        throw new TemplateError(`Invalid tag near "${source.replace(TAG_REGEX, '').slice(leftover, leftover + 30)}"`);
+    }
+
+    const root = { children: [] };
+    const stack = [root];
+    let lastIndex = 0;
+
+    for (const match of source.matchAll(TAG_REGEX)) {
+        const [tag, tripleOpen, sigil, path, tripleClose] = match;
+        const current = stack[stack.length - 1];
+
+        if (match.index > lastIndex) {
+            current.children.push({ type: 'text', value: source.slice(lastIndex, match.index) });
+        }
+        lastIndex = match.index + tag.length;
+
+        if (Boolean(tripleOpen) !== Boolean(tripleClose) || (tripleOpen && sigil)) {
+            throw new TemplateError(`Malformed tag "${tag}"`);
+        }
+
+        if (sigil === '#' || sigil === '^') {
+            const section = { type: 'section', path, inverted: sigil === '^', children: [] };
+            current.children.push(section);
+            stack.push(section);
+        } else if (sigil === '/') {
+            if (current === root || current.path !== path) {
+                throw new TemplateError(`Unexpected closing tag "${tag}"`);
+            }
+            stack.pop();
+        } else {
+            current.children.push({ type: 'variable', path, raw: Boolean(tripleOpen) });
+        }
+    }
+
+    if (stack.length > 1) {
+        throw new TemplateError(`Unclosed section "${stack[stack.length - 1].path}"`);
+    }
+
+    if (lastIndex < source.length) {
+        root.children.push({ type: 'text', value: source.slice(lastIndex) });
+    }
+
+    return root.children;
+};
+
+/**
+ * Look up a dotted path in the own properties of the context
+ * @param {Object} context - Template variables
+ * @param {String} path - Dotted path
+ * @returns {*} Value or undefined
+ */
+export const lookupVariable = (context, path) => {
+    return path.split('.').reduce((value, key) => (
+        value !== null && typeof value === 'object' && Object.prototype.hasOwnProperty.call(value, key)
+            ? value[key]
+            : undefined
+    ), context);
+};
+
+/**
+ * Convert a variable to text
+ */
+const stringify = (value) => {
+    if (value === undefined || value === null) return '';
+    if (value instanceof Date) return value.toISOString();
+    if (typeof value === 'object') return '';
+    return String(value);
+};
+
+/**
+ * Collect the variable paths used by a template
+ * @param {Array} nodes - Parsed template
+ * @returns {Array} Unique paths
+ */
+const collectPaths = (nodes, paths = new Set()) => {
+    for (const node of nodes) {
+        if (node.type === 'variable') paths.add(node.path);
+        if (node.type === 'section') {
+            paths.add(node.path);
+            collectPaths(node.children, paths);
+        }
+    }
+    return [...paths];
+};
+
+/**
+ * Render parsed nodes
+ */
+const renderNodes = (nodes, context, escape) => nodes.map(node => {
+    if (node.type === 'text') return node.value;
+
+    const value = lookupVariable(context, node.path);
+
+    if (node.type === 'variable') {
+        const text = stringify(value);
+        return node.raw ? text : escape(text);
+    }
+
+    const truthy = Boolean(value) && !(Array.isArray(value) && value.length === 0);
+    return truthy !== node.inverted ? renderNodes(node.children, context, escape) : '';
+}).join('');
+
+/**
+ * Render a template
+ * @param {String} source - Template source
+ * @param {Object} context - Template variables
+ * @param {Object} options - { escape: 'html' | 'none' }
+ * @returns {String} Rendered text
+ * @throws {TemplateError} On malformed templates
+ */
+export const renderTemplate = (source, context, { escape = 'none' } = {}) => {
+    const escapeFn = escape === 'html' ? escapeHtml : (text) => text;
+    return renderNodes(parseTemplate(source), context, escapeFn);
+};
+
+/**
+ * Check a template for syntax errors and unknown variables
+ * @param {String} source - Template source
+ * @param {Array} allowedVariables - Known variable paths (sections may also use their parents, e.g. "incident")
+ * @returns {Array} Error messages, empty when the template is valid
+ */
+export const validateTemplate = (source, allowedVariables) => {
+    try {
+        const nodes = parseTemplate(source);
+        if (!allowedVariables) return [];
+
+        const allowed = new Set(allowedVariables.flatMap(path => {
+            const parts = path.split('.');
+            return parts.map((_, index) => parts.slice(0, index + 1).join('.'));
+        }));
+
+        return collectPaths(nodes)
+            .filter(path => !allowed.has(path))
+            .map(path => `Unknown variable "${path}"`);
+    } catch (error) {
+        if (error instanceof TemplateError) return [error.message];
+        throw error;
+    }
+};
+
+export default {
+    TemplateError,
+    escapeHtml,
+    parseTemplate,
+    lookupVariable,
+    renderTemplate,
+    validateTemplate
+};
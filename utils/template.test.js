@@ -0,0 +1,78 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { TemplateError, escapeHtml, parseTemplate, lookupVariable, renderTemplate, validateTemplate } from './template.js';
+
+const context = {
+    server: { name: 'api <prod>', url: 'https://api.example.com' },
+    error: 'Timeout & retry',
+    responseTime: 0,
+    incident: null,
+    time: new Date('2026-01-01T10:00:00Z')
+};
+
+describe('renderTemplate', () => {
+    it('replaces dotted variables', () => {
+        assert.equal(renderTemplate('{{ server.name }} ({{server.url}})', context), 'api <prod> (https://api.example.com)');
+    });
+
+    it('escapes variables for HTML unless they use triple braces', () => {
+        assert.equal(
+            renderTemplate('<b>{{ server.name }}</b> {{{ error }}}', context, { escape: 'html' }),
+            '<b>api &lt;prod&gt;</b> Timeout & retry'
+        );
+    });
+
+    it('renders sections for set values and inverted sections otherwise', () => {
+        const source = '{{# error }}Error: {{ error }}{{/ error }}{{^ incident }}No incident{{/ incident }}';
+
+        assert.equal(renderTemplate(source, context), 'Error: Timeout & retryNo incident');
+        assert.equal(renderTemplate('{{# responseTime }}fast{{/ responseTime }}', context), '');
+    });
+
+    it('prints dates as ISO strings and hides missing values and objects', () => {
+        assert.equal(renderTemplate('{{ time }}|{{ missing }}|{{ server }}', context), '2026-01-01T10:00:00.000Z||');
+    });
+
+    it('throws on malformed templates', () => {
+        assert.throws(() => renderTemplate('{{# error }}open', context), TemplateError);
+        assert.throws(() => renderTemplate('{{/ error }}', context), /Unexpected closing tag/);
+        assert.throws(() => renderTemplate('{{{ error }}', context), /Malformed tag/);
+        assert.throws(() => renderTemplate('{{ server.name() }}', context), /Invalid tag/);
+    });
+});
+
+describe('parseTemplate', () => {
+    it('builds nested section nodes', () => {
+        assert.deepEqual(parseTemplate('a{{# x }}{{ y }}{{/ x }}'), [
+            { type: 'text', value: 'a' },
+            { type: 'section', path: 'x', inverted: false, children: [{ type: 'variable', path: 'y', raw: false }] }
+        ]);
+    });
+});
+
+describe('lookupVariable', () => {
+    it('only reads own properties', () => {
+        assert.equal(lookupVariable(context, 'server.name'), 'api <prod>');
+        assert.equal(lookupVariable(context, 'server.constructor'), undefined);
+        assert.equal(lookupVariable(context, '__proto__'), undefined);
+    });
+});
+
+describe('validateTemplate', () => {
+    const allowed = ['server.name', 'incident.title'];
+
+    it('accepts known variables and their parents', () => {
+        assert.deepEqual(validateTemplate('{{ server.name }}{{# incident }}{{ incident.title }}{{/ incident }}', allowed), []);
+    });
+
+    it('reports unknown variables and syntax errors', () => {
+        assert.deepEqual(validateTemplate('{{ server.secret }}', allowed), ['Unknown variable "server.secret"']);
+        assert.deepEqual(validateTemplate('{{# incident }}', allowed), ['Unclosed section "incident"']);
+    });
+});
+
+describe('escapeHtml', () => {
+    it('escapes markup and quotes', () => {
+        assert.equal(escapeHtml(`<a href="x">'&'</a>`), '&lt;a href=&quot;x&quot;&gt;&#39;&amp;&#39;&lt;/a&gt;');
+    });
+});
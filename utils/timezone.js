@@ -0,0 +1,218 @@
+// utils/timezone.js - IANA timezone helpers (DST-aware, built on Intl)
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Formatters are expensive to create, keep one per timezone
+const formatters = new Map();
+
+const getFormatter = (timeZone) => {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric',
+            weekday: 'short'
+        }));
+    }
+    return formatters.get(timeZone);
+};
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+/**
+ * Check if a string is a valid IANA timezone
+ * @param {String} timeZone - Timezone name (e.g. Europe/Berlin)
+ * @returns {Boolean} Whether the timezone is known
+ */
+export const isValidTimezone = (timeZone) => {
+    if (!timeZone || typeof timeZone !== 'string') return false;
+
+    try {
+        getFormatter(timeZone);
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+/**
+ * Get the wall-clock parts of a date in a timezone
+ * @param {Date} date - Instant
+ * @param {String} timeZone - Timezone name (default UTC)
+ * @returns {Object} { year, month (1-12), day, hour, minute, second, weekday (0 = Sunday) }
+ */
+export const getZonedParts = (date = new Date(), timeZone = 'UTC') => {
+    const parts = {};
+    getFormatter(timeZone || 'UTC').formatToParts(new Date(date)).forEach(({ type, value }) => {
+        parts[type] = value;
+    });
+
+    return {
+        year: Number(parts.year),
+        month: Number(parts.month),
+        day: Number(parts.day),
+        hour: Number(parts.hour),
+        minute: Number(parts.minute),
+        second: Number(parts.second),
+        weekday: WEEKDAYS[parts.weekday]
+    };
+};
+
+/**
+ * Get the "HH:MM" wall-clock time of a date in a timezone
+ * @param {Date} date - Instant
+ * @param {String} timeZone - Timezone name
+ * @returns {String} Local time (e.g. 09:30)
+ */
+export const getZonedTime = (date = new Date(), timeZone = 'UTC') => {
+    const { hour, minute } = getZonedParts(date, timeZone);
+    return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+};
+
+/**
+ * Get the offset of a timezone from UTC at an instant
+ * @param {Date} date - Instant
+ * @param {String} timeZone - Timezone name
+ * @returns {Number} Offset in milliseconds (positive east of UTC)
+ */
+export const getTimezoneOffset = (date, timeZone = 'UTC') => {
+    const instant = new Date(date);
+    const parts = getZonedParts(instant, timeZone);
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+
+    return asUtc - Math.floor(instant.getTime() / 1000) * 1000;
+};
+
+/**
+ * Convert a wall-clock time in a timezone to an instant
+ * Times skipped by a DST change resolve to the same wall time after the change,
+ * repeated times resolve to their first occurrence
+ * @param {Object} local - { year, month (1-12), day, hour, minute }
+ * @param {String} timeZone - Timezone name
+ * @returns {Date} Instant
+ */
+export const zonedTimeToDate = ({ year, month, day, hour = 0, minute = 0 }, timeZone = 'UTC') => {
+    const asUtc = Date.UTC(year, month - 1, day, hour, minute);
+
+    // The offset around the target time, tried on both sides of a possible transition
+    const offsetBefore = getTimezoneOffset(new Date(asUtc - DAY_MS / 2), timeZone);
+    const offsetAfter = getTimezoneOffset(new Date(asUtc + DAY_MS / 2), timeZone);
+
+    const candidates = [asUtc - offsetBefore, asUtc - offsetAfter]
+        .filter(time => asUtc - getTimezoneOffset(new Date(time), timeZone) === time);
+
+    return new Date(candidates.length ? Math.min(...candidates) : asUtc - offsetBefore);
+};
+
+/**
+ * Add calendar days to a local date, independent of DST
+ * @param {Object} local - { year, month (1-12), day }
+ * @param {Number} days - Days to add (may be negative)
+ * @returns {Object} { year, month, day, weekday }
+ */
+export const addLocalDays = ({ year, month, day }, days) => {
+    const date = new Date(Date.UTC(year, month - 1, day) + days * DAY_MS);
+
+    return {
+        year: date.getUTCFullYear(),
+        month: date.getUTCMonth() + 1,
+        day: date.getUTCDate(),
+        weekday: date.getUTCDay()
+    };
+};
+
+/**
+ * Number of calendar days between two local dates
+ * @param {Object} from - { year, month, day }
+ * @param {Object} to - { year, month, day }
+ * @returns {Number} Days from "from" to "to"
+ */
+export const diffLocalDays = (from, to) => {
+    return Math.round((Date.UTC(to.year, to.month - 1, to.day) - Date.UTC(from.year, from.month - 1, from.day)) / DAY_MS);
+};
+
+/**
+ * Normalize a wall-clock time to "HH:MM"
+ * @param {String} time - Time as "H:MM" or "HH:MM"
+ * @returns {String|null} Normalized time, null when the value is not a time
+ */
+export const normalizeTime = (time) => {
+    const match = typeof time === 'string' && time.trim().match(/^(\d{1,2}):(\d{2})$/);
+    if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) return null;
+
+    return `${match[1].padStart(2, '0')}:${match[2]}`;
+};
+
+/**
+ * Check if an instant falls within a daily time window in a timezone
+ * Windows ending before they start run overnight (e.g. 22:00 to 06:00), 00:00 to 00:00 is all day
+ * @param {Object} window - { start, end } as "HH:MM"
+ * @param {Date} date - Instant
+ * @param {String} timeZone - Timezone name
+ * @returns {Boolean} Whether the local time is within the window (ends are inclusive)
+ */
+export const isTimeInWindow = (window, date = new Date(), timeZone = 'UTC') => {
+    const start = normalizeTime(window?.start);
+    const end = normalizeTime(window?.end);
+    if (!start || !end) return true;
+
+    if (start === '00:00' && end === '00:00') return true;
+
+    const time = getZonedTime(date, timeZone);
+
+    return start <= end
+        ? time >= start && time <= end
+        : time >= start || time <= end;
+};
+
+/**
+ * Check if an instant falls within a weekly schedule in a timezone
+ * The early-morning part of an overnight window belongs to the day the window started,
+ * so a Friday 22:00 to 06:00 window covers Saturday 03:00
+ * @param {Object} schedule - { timeWindows: [{ start, end }], daysOfWeek: [0-6, 0 = Sunday] }, empty lists allow all
+ * @param {Date} date - Instant
+ * @param {String} timeZone - Timezone name
+ * @returns {Boolean} Whether the instant is within the schedule
+ */
+export const isWithinSchedule = ({ timeWindows = [], daysOfWeek = [] } = {}, date = new Date(), timeZone = 'UTC') => {
+    const { weekday } = getZonedParts(date, timeZone);
+    const isActiveDay = (day) => !daysOfWeek?.length || daysOfWeek.includes(day);
+
+    if (!timeWindows?.length) return isActiveDay(weekday);
+
+    const time = getZonedTime(date, timeZone);
+    const previousDay = (weekday + 6) % 7;
+
+    return timeWindows.some(window => {
+        const start = normalizeTime(window.start);
+        const end = normalizeTime(window.end);
+        if (!start || !end) return isActiveDay(weekday);
+
+        // 00:00 to 00:00 covers the whole day
+        if (start === '00:00' && end === '00:00') return isActiveDay(weekday);
+
+        if (start <= end) {
+            return isActiveDay(weekday) && time >= start && time <= end;
+        }
+
+        return (isActiveDay(weekday) && time >= start) || (isActiveDay(previousDay) && time <= end);
+    });
+};
+
+export default {
+    isValidTimezone,
+    getZonedParts,
+    getZonedTime,
+    getTimezoneOffset,
+    zonedTimeToDate,
+    addLocalDays,
+    diffLocalDays,
+    normalizeTime,
+    isTimeInWindow,
+    isWithinSchedule
+};
@@ -0,0 +1,125 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    isValidTimezone,
+    getZonedParts,
+    getTimezoneOffset,
+    zonedTimeToDate,
+    addLocalDays,
+    diffLocalDays,
+    normalizeTime,
+    isTimeInWindow,
+    isWithinSchedule
+} from './timezone.js';
+
+describe('isValidTimezone', () => {
+    it('accepts IANA names only', () => {
+        assert.equal(isValidTimezone('Europe/Berlin'), true);
+        assert.equal(isValidTimezone('Mars/Olympus'), false);
+        assert.equal(isValidTimezone(''), false);
+        assert.equal(isValidTimezone(null), false);
+    });
+});
+
+describe('getZonedParts / getTimezoneOffset', () => {
+    it('reads the wall clock of a timezone', () => {
+        assert.deepEqual(getZonedParts(new Date('2026-01-01T02:30:00Z'), 'America/New_York'), {
+            year: 2025, month: 12, day: 31, hour: 21, minute: 30, second: 0, weekday: 3
+        });
+    });
+
+    it('follows daylight saving time', () => {
+        const hour = 60 * 60 * 1000;
+
+        assert.equal(getTimezoneOffset(new Date('2026-01-15T12:00:00Z'), 'Europe/Berlin'), hour);
+        assert.equal(getTimezoneOffset(new Date('2026-07-15T12:00:00Z'), 'Europe/Berlin'), 2 * hour);
+        assert.equal(getTimezoneOffset(new Date('2026-07-15T12:00:00Z'), 'Asia/Kolkata'), 5.5 * hour);
+    });
+});
+
+describe('zonedTimeToDate', () => {
+    it('converts a wall-clock time to an instant', () => {
+        assert.equal(
+            zonedTimeToDate({ year: 2026, month: 7, day: 1, hour: 9, minute: 0 }, 'Europe/Berlin').toISOString(),
+            '2026-07-01T07:00:00.000Z'
+        );
+    });
+
+    it('moves times skipped by a DST change past the change', () => {
+        assert.equal(
+            zonedTimeToDate({ year: 2026, month: 3, day: 8, hour: 2, minute: 30 }, 'America/New_York').toISOString(),
+            '2026-03-08T07:30:00.000Z'
+        );
+    });
+
+    it('resolves repeated times to their first occurrence', () => {
+        assert.equal(
+            zonedTimeToDate({ year: 2026, month: 11, day: 1, hour: 1, minute: 30 }, 'America/New_York').toISOString(),
+            '2026-11-01T05:30:00.000Z'
+        );
+    });
+});
+
+describe('local day arithmetic', () => {
+    it('adds days across months and years', () => {
+        assert.deepEqual(addLocalDays({ year: 2026, month: 12, day: 30 }, 3), { year: 2027, month: 1, day: 2, weekday: 6 });
+        assert.deepEqual(addLocalDays({ year: 2026, month: 3, day: 1 }, -1), { year: 2026, month: 2, day: 28, weekday: 6 });
+    });
+
+    it('counts calendar days between dates', () => {
+        assert.equal(diffLocalDays({ year: 2026, month: 3, day: 2 }, { year: 2026, month: 3, day: 30 }), 28);
+        assert.equal(diffLocalDays({ year: 2026, month: 3, day: 30 }, { year: 2026, month: 3, day: 2 }), -28);
+    });
+});
+
+describe('normalizeTime', () => {
+    it('pads hours and rejects impossible times', () => {
+        assert.equal(normalizeTime('9:05'), '09:05');
+        assert.equal(normalizeTime(' 23:59 '), '23:59');
+        assert.equal(normalizeTime('24:00'), null);
+        assert.equal(normalizeTime('9.05'), null);
+    });
+});
+
+describe('isTimeInWindow', () => {
+    // 08:30 UTC is 09:30 in Berlin in winter, 17:30 in Tokyo
+    const date = new Date('2026-01-15T08:30:00Z');
+
+    it('reads the window in the given timezone', () => {
+        assert.equal(isTimeInWindow({ start: '09:00', end: '17:00' }, date, 'Europe/Berlin'), true);
+        assert.equal(isTimeInWindow({ start: '09:00', end: '17:00' }, date, 'UTC'), false);
+        assert.equal(isTimeInWindow({ start: '09:00', end: '17:00' }, date, 'Asia/Tokyo'), false);
+    });
+
+    it('runs overnight when the end is before the start', () => {
+        assert.equal(isTimeInWindow({ start: '22:00', end: '06:00' }, new Date('2026-01-15T04:00:00Z'), 'UTC'), true);
+        assert.equal(isTimeInWindow({ start: '22:00', end: '06:00' }, new Date('2026-01-15T12:00:00Z'), 'UTC'), false);
+    });
+
+    it('covers the whole day from 00:00 to 00:00 and without a valid window', () => {
+        assert.equal(isTimeInWindow({ start: '00:00', end: '00:00' }, date, 'UTC'), true);
+        assert.equal(isTimeInWindow({ start: 'soon', end: '17:00' }, date, 'UTC'), true);
+    });
+});
+
+describe('isWithinSchedule', () => {
+    // Friday 2026-01-16 22:00 to Saturday 06:00 in New York
+    const overnight = { timeWindows: [{ start: '22:00', end: '06:00' }], daysOfWeek: [5] };
+
+    it('gives the early morning of an overnight window to the day it started', () => {
+        assert.equal(isWithinSchedule(overnight, new Date('2026-01-17T08:00:00Z'), 'America/New_York'), true);
+        assert.equal(isWithinSchedule(overnight, new Date('2026-01-18T08:00:00Z'), 'America/New_York'), false);
+    });
+
+    it('uses the local weekday', () => {
+        // Saturday 01:00 UTC is still Friday evening in New York
+        const weekdays = { daysOfWeek: [5] };
+
+        assert.equal(isWithinSchedule(weekdays, new Date('2026-01-17T01:00:00Z'), 'America/New_York'), true);
+        assert.equal(isWithinSchedule(weekdays, new Date('2026-01-17T01:00:00Z'), 'UTC'), false);
+    });
+
+    it('allows everything without days or windows', () => {
+        assert.equal(isWithinSchedule({}, new Date(), 'UTC'), true);
+    });
+});
@@ -1,4 +1,50 @@
 import { z } from 'zod';
+import { SERVER_TYPES, DNS_RECORD_TYPES, HTTP_METHODS, DATABASE_ENGINES } from '../models/Server.js';
+import { isProbeRegion } from '../config/regions.js';
+import { isValidPhoneNumber } from './phone.js';
+import { isValidTimezone } from './timezone.js';
+
+// HTTP response assertions schema
+const assertionsSchema = z.object({
+    statusCodes: z.array(z.number().int().min(100).max(599)).max(20).optional(),
+    bodyContains: z.array(z.string().min(1).max(500)).max(10).optional(),
+    bodyNotContains: z.array(z.string().min(1).max(500)).max(10).optional(),
+    jsonPath: z.array(z.object({
+        path: z.string().min(1).max(200),
+        equals: z.string().max(500)
+    })).max(10).optional()
+});
+
+// Custom HTTP request schema
+const requestSchema = z.object({
+    method: z.enum(HTTP_METHODS).optional().nullable(),
+    headers: z.array(z.object({
+        name: z.string().min(1).max(100).regex(/^[A-Za-z0-9!#$%&'*+.^_`|~-]+$/, "Invalid header name"),
+        value: z.string().max(2000),
+        secret: z.boolean().optional().default(false)
+    })).max(20).optional(),
+    body: z.string().max(10000).optional().nullable(),
+    contentType: z.string().max(100).optional(),
+    auth: z.object({
+        type: z.enum(['none', 'basic', 'bearer']).optional().default('none'),
+        username: z.string().max(200).optional(),
+        password: z.string().max(500).optional(),
+        token: z.string().max(2000).optional()
+    }).optional(),
+    browserImpersonation: z.boolean().optional()
+});
+
+// Transaction step schema
+const transactionStepSchema = requestSchema.extend({
+    name: z.string().max(100).optional(),
+    url: z.string().min(1, "Step URL is required").max(2000),
+    assertions: assertionsSchema.optional(),
+    extract: z.array(z.object({
+        variable: z.string().regex(/^[A-Za-z_][A-Za-z0-9_]*$/, "Invalid variable name"),
+        source: z.enum(['json', 'header']).optional().default('json'),
+        path: z.string().min(1).max(200)
+    })).max(10).optional()
+});
 
 // Monitoring configuration schema
 const monitoringSchema = z.object({
@@ -12,25 +58,74 @@ const monitoringSchema = z.object({
         enabled: z.boolean().optional().default(false),
         email: z.boolean().optional().default(false),
         phone: z.boolean().optional().default(false),
+        voice: z.boolean().optional().default(false),
         webhookUrl: z.string().url("Invalid URL format").optional().or(z.literal('')),
+        slackWebhookUrl: z.string().url("Invalid URL format").optional().or(z.literal('')),
+        teamsWebhookUrl: z.string().url("Invalid URL format").optional().or(z.literal('')),
+        discordWebhookUrl: z.string().url("Invalid URL format").optional().or(z.literal('')),
         responseThreshold: z.number().int().min(10).optional().default(1000),
         timeWindow: z.object({
             start: z.string().optional(),
             end: z.string().optional()
-        }).optional().default({ start: '00:00', end: '23:59' })
-    }).optional().default({})
+        }).optional().default({ start: '00:00', end: '23:59' }),
+        grouping: z.object({
+            enabled: z.boolean().optional().default(false),
+            window: z.number().int().min(1).max(60).optional().default(5)
+        }).optional()
+    }).optional().default({}),
+    ssl: z.object({
+        verifyCertificate: z.boolean().optional().default(true),
+        expiryAlertDays: z.array(z.number().int().min(1).max(365)).max(10).optional().default([30, 14, 7, 1])
+    }).optional(),
+    assertions: assertionsSchema.optional(),
+    request: requestSchema.optional(),
+    steps: z.array(transactionStepSchema).min(1).max(10).optional(),
+    database: z.object({
+        engine: z.enum(DATABASE_ENGINES).optional().nullable(),
+        connectionString: z.string().max(2000).optional().nullable(),
+        runQuery: z.boolean().optional().default(true)
+    }).optional(),
+    socket: z.object({
+        send: z.string().max(1000).optional().nullable(),
+        expect: z.string().max(1000).optional().nullable(),
+        expectReply: z.boolean().optional().default(false),
+        encoding: z.enum(['text', 'hex']).optional().default('text')
+    }).optional(),
+    heartbeat: z.object({
+        interval: z.number().int().min(1).max(43200).optional().default(60),
+        grace: z.number().int().min(0).max(1440).optional().default(5)
+    }).optional(),
+    confirmation: z.object({
+        failures: z.number().int().min(1).max(10).optional().default(1),
+        recheckAfter: z.number().int().min(0).max(3600).optional().default(0)
+    }).optional(),
+    flapDetection: z.object({
+        enabled: z.boolean().optional().default(true),
+        threshold: z.number().int().min(2).max(50).optional().default(5),
+        window: z.number().int().min(5).max(1440).optional().default(30),
+        stablePeriod: z.number().int().min(1).max(1440).optional().default(15)
+    }).optional(),
+    regions: z.array(z.string().refine(isProbeRegion, "Unknown probe region")).max(10).optional(),
+    quorum: z.number().int().min(1).max(10).optional().nullable(),
+    dns: z.object({
+        recordType: z.enum(DNS_RECORD_TYPES).optional().default('A'),
+        resolver: z.string().regex(/^[0-9a-fA-F.:[\]]+$/, "Invalid resolver address").optional().or(z.literal('')),
+        expectedValue: z.string().max(500).optional().or(z.literal(''))
+    }).optional()
 });
 
 // Create Server Schema
 export const createServerSchema = z.object({
     name: z.string().min(1, "Name is required").max(100),
-    url: z.string().min(3, "URL is required"), // Basic length check, robust check via normalization later
-    type: z.enum(['website', 'api', 'tcp', 'database']).optional().default('website'),
+    url: z.string().min(3, "URL is required").optional(), // Required unless heartbeat, robust check via normalization later
+    type: z.enum(SERVER_TYPES).optional().default('website'),
     description: z.string().max(500).optional(),
     priority: z.enum(['high', 'medium', 'low']).optional().default('medium'),
     monitoring: monitoringSchema.optional().default({}),
     contactEmails: z.array(z.string().email()).optional().default([]),
-    contactPhones: z.array(z.string().regex(/^\+?[\d\s-]{10,20}$/, "Invalid phone number")).optional().default([])
+    contactPhones: z.array(z.string().refine(isValidPhoneNumber, "Invalid phone number")).optional().default([]),
+    escalationPolicy: z.string().regex(/^[a-f0-9]{24}$/i, "Invalid escalation policy ID").optional().nullable(),
+    timezone: z.string().refine(isValidTimezone, "Invalid timezone").optional().nullable()
 });
 
 // Update Server Schema (Partial)
@@ -1,10 +1,17 @@
 // workers/alertWorker.js - Dedicated worker for alert processing
 
+import './loadEnv.js';
 import { Worker } from 'bullmq';
 import { redisConnection } from '../config/redis.js';
 import logger from '../utils/logger.js';
 import { handleAlerts } from '../services/alertService.js';
+import { syncIncidentWithStatus, recordIncidentNotification } from '../services/incidentService.js';
+import { ESCALATION_JOB, startEscalation, runEscalationStep } from '../services/escalationService.js';
+import { FLAP_CHECK_JOB, recordStatusChange, runFlapCheck } from '../services/flapService.js';
+import { ALERT_DIGEST_JOB, runAlertDigest } from '../services/alertGroupingService.js';
+import { SLO_BURN_JOB, runSloBurnAlert } from '../services/sloService.js';
 import Server from '../models/Server.js';
+import mongoose from 'mongoose';
 
 /**
  * Dedicated worker for processing alerts
@@ -13,7 +20,36 @@ import Server from '../models/Server.js';
 const alertWorker = new Worker(
     'alerts',
     async (job) => {
-        const { serverId, oldStatus, newStatus, checkResult, serverData } = job.data;
+        // Incidents and server lookups need the database
+        if (mongoose.connection.readyState === 0) {
+            await mongoose.connect(process.env.MONGO_URI);
+        }
+
+        // Delayed escalation steps of unacknowledged incidents
+        if (job.name === ESCALATION_JOB) {
+            const escalated = await runEscalationStep(job.data);
+            return { success: true, incidentId: job.data.incidentId, escalated };
+        }
+
+        // Stability checks of flapping servers
+        if (job.name === FLAP_CHECK_JOB) {
+            const ended = await runFlapCheck(job.data);
+            return { success: true, serverId: job.data.serverId, ended };
+        }
+
+        // Digests of grouped alerts
+        if (job.name === ALERT_DIGEST_JOB) {
+            const alerts = await runAlertDigest(job.data);
+            return { success: true, recipient: job.data.recipient, alerts };
+        }
+
+        // Burn-rate alerts of SLOs
+        if (job.name === SLO_BURN_JOB) {
+            const sent = await runSloBurnAlert(job.data);
+            return { success: true, sloId: job.data.sloId, sent };
+        }
+
+        const { serverId, oldStatus, newStatus, checkResult, serverData, alertType } = job.data;
 
         try {
             logger.info(`Processing alert for server ${serverId}: ${oldStatus} -> ${newStatus}`);
@@ -22,7 +58,7 @@ const alertWorker = new Worker(
             let server = serverData;
             if (!server) {
                 server = await Server.findById(serverId)
-                    .select('name url uploadedBy contactEmails contactPhones monitoring alertSettings')
+                    .select('name url uploadedBy contactEmails contactPhones monitoring alertSettings escalationPolicy timezone')
                     .lean();
 
                 if (!server) {
@@ -30,14 +66,44 @@ const alertWorker = new Worker(
                 }
             }
 
+            // Confirmed status changes open and resolve incidents
+            const incident = alertType
+                ? null
+                : await syncIncidentWithStatus({ ...server, _id: serverId }, oldStatus, newStatus, checkResult);
+
+            // Servers flapping between up and down are muted until they are stable
+            if (!alertType) {
+                const { flapping } = await recordStatusChange({ ...server, _id: serverId }, oldStatus, newStatus);
+                if (flapping) {
+                    logger.info(`Alert muted for flapping server ${serverId}: ${oldStatus} -> ${newStatus}`);
+                    return { success: true, serverId, muted: true };
+                }
+            }
+
             // Process alerts
-            await handleAlerts(
+            const notification = await handleAlerts(
                 { ...server, _id: serverId, status: oldStatus },
                 oldStatus,
                 newStatus,
-                checkResult
+                checkResult,
+                alertType,
+                incident
             );
 
+            if (incident && notification) {
+                const { escalationPolicy } = notification;
+
+                await recordIncidentNotification(incident._id, {
+                    ...notification,
+                    ...(escalationPolicy && { level: 0 })
+                });
+
+                // Later levels are notified until the incident is acknowledged
+                if (escalationPolicy && incident.status === 'open') {
+                    await startEscalation(incident, escalationPolicy);
+                }
+            }
+
             logger.info(`Alert processed successfully for server ${serverId}`);
             return { success: true, serverId };
 
@@ -1,14 +1,21 @@
 import './loadEnv.js';
 import { Worker } from 'bullmq';
 import { redisConnection } from '../config/redis.js';
-import { checkServerStatus } from '../services/monitoringService.js';
+import { checkServerStatus, buildCheckRecord, getCertificateAlertThreshold } from '../services/monitoringService.js';
 import Server from '../models/Server.js';
 import ServerCheck from '../models/ServerCheck.js';
 import { addAlertToQueue } from '../queues/alertQueue.js';
+import { addCheckJob } from '../queues/monitorQueue.js';
+import { resolveStatusTransition } from '../services/statusService.js';
+import { recordRegionResult, decideRoundOnTimeout, ROUND_TIMEOUT_JOB } from '../services/regionService.js';
+import { isInMaintenance } from '../services/maintenanceService.js';
+import { getWorkerRegion, getMonitorQueueName } from '../config/regions.js';
 import logger from '../utils/logger.js';
 import mongoose from 'mongoose';
 
-const QUEUE_NAME = 'monitor-server-queue';
+// Each worker pool probes from one region (PROBE_REGION) and consumes that region's queue
+const REGION = getWorkerRegion();
+const QUEUE_NAME = getMonitorQueueName(REGION);
 
 // Batch operation buffers
 const updateBatch = [];
@@ -38,9 +45,9 @@ async function executeBatch() {
     }
 }
 
-async function addToBatch(updateOp, checkDoc) {
+async function addToBatch(updateOp, checkDoc = null) {
     updateBatch.push(updateOp);
-    checkBatch.push(checkDoc);
+    if (checkDoc) checkBatch.push(checkDoc);
 
     if (updateBatch.length >= BATCH_SIZE) {
         clearTimeout(batchTimer);
@@ -51,6 +58,105 @@ async function addToBatch(updateOp, checkDoc) {
     }
 }
 
+/**
+ * Apply the decided check result of a round: record the check, update the status and queue alerts
+ * @param {Object} server - Server
+ * @param {Object} result - Check result, with the checkId of multi-region rounds
+ */
+async function applyCheckResult(server, result) {
+    const { checkId, ...checkResult } = result;
+
+    // Checks keep running during maintenance, their results are tagged
+    checkResult.maintenance = await isInMaintenance(server._id);
+
+    const checkDoc = buildCheckRecord(server._id, checkResult, 'automated');
+
+    // Failures must be confirmed before the server is marked down
+    const transition = resolveStatusTransition(server, checkResult);
+    const priority = server.priority === 'high' ? 'high' : 'normal';
+
+    const updateData = {
+        status: transition.status,
+        verification: transition.verification,
+        responseTime: checkResult.responseTime,
+        error: checkResult.error,
+        lastChecked: new Date()
+    };
+
+    if (transition.statusChanged) {
+        updateData.lastStatusChange = new Date();
+    }
+
+    if (transition.alert) {
+        addAlertToQueue({
+            serverId: server._id.toString(),
+            ...transition.alert,
+            checkResult,
+            serverData: server
+        }, priority).catch(err => {
+            logger.error(`Failed to queue alert for ${server.name}: ${err.message}`);
+        });
+    }
+
+    // Track certificate expiry and alert once per threshold crossed
+    if (checkResult.certificate) {
+        const threshold = getCertificateAlertThreshold(
+            checkResult.certificate,
+            server.monitoring?.ssl?.expiryAlertDays
+        );
+        const lastThreshold = server.certificate?.lastAlertThreshold ?? null;
+
+        updateData.certificate = { ...checkResult.certificate, lastAlertThreshold: threshold };
+
+        if (threshold !== null && threshold !== lastThreshold) {
+            addAlertToQueue({
+                serverId: server._id.toString(),
+                oldStatus: server.status,
+                newStatus: transition.status,
+                checkResult,
+                serverData: server,
+                alertType: 'certificate_expiry'
+            }).catch(err => {
+                logger.error(`Failed to queue certificate alert for ${server.name}: ${err.message}`);
+            });
+        }
+    }
+
+    const updateOp = {
+        updateOne: {
+            filter: { _id: server._id },
+            update: { $set: updateData }
+        }
+    };
+
+    if (checkId) {
+        // Regions reporting after the decision are added to this record, so it is written right away
+        checkDoc._id = checkId;
+        await ServerCheck.create(checkDoc);
+        await addToBatch(updateOp);
+    } else {
+        await addToBatch(updateOp, checkDoc);
+    }
+
+    // Write the verification state right away so the recheck reads it
+    if (transition.recheckDelay) {
+        clearTimeout(batchTimer);
+        await executeBatch();
+        await addCheckJob(server, server.priority, { delay: transition.recheckDelay });
+    }
+
+    if (checkResult) {
+        const updatePayload = {
+            serverId: server._id,
+            userId: server.uploadedBy,
+            status: transition.status || 'unknown',
+            latency: checkResult.responseTime,
+            lastChecked: new Date()
+        };
+        redisConnection.publish('monitor-updates', JSON.stringify(updatePayload));
+    }
+}
+
 export const monitorWorker = new Worker(QUEUE_NAME, async (job) => {
     const { serverId } = job.data;
     const startTime = Date.now();
@@ -61,7 +167,7 @@ export const monitorWorker = new Worker(QUEUE_NAME, async (job) => {
         }
 
         const server = await Server.findById(serverId)
-            .select('name url type monitoring status lastChecked uploadedBy contactEmails contactPhones priority alertSettings')
+            .select('name url type monitoring status lastChecked uploadedBy contactEmails contactPhones priority alertSettings escalationPolicy timezone certificate heartbeat verification createdAt')
             .lean();
 
         if (!server) {
@@ -69,59 +175,24 @@ export const monitorWorker = new Worker(QUEUE_NAME, async (job) => {
             return;
         }
 
-        const checkResult = await checkServerStatus(server);
-
-        const checkDoc = {
-            serverId: new mongoose.Types.ObjectId(serverId),
-            status: checkResult.status,
-            responseTime: checkResult.responseTime,
-            error: checkResult.error,
-            timestamp: new Date(),
-            checkType: 'automated'
-        };
-
-        const updateData = {
-            status: checkResult.status,
-            responseTime: checkResult.responseTime,
-            error: checkResult.error,
-            lastChecked: new Date()
-        };
-
-        if (server.status !== checkResult.status) {
-            updateData.lastStatusChange = new Date();
-            const priority = server.priority === 'high' ? 'high' : 'normal';
-
-            addAlertToQueue({
-                serverId: server._id.toString(),
-                oldStatus: server.status,
-                newStatus: checkResult.status,
-                checkResult,
-                serverData: server
-            }, priority).catch(err => {
-                logger.error(`Failed to queue alert for ${server.name}: ${err.message}`);
-            });
-        }
-
-        const updateOp = {
-            updateOne: {
-                filter: { _id: serverId },
-                update: { $set: updateData }
+        let checkResult;
+        if (job.name === ROUND_TIMEOUT_JOB) {
+            // Regions that did not report in time no longer hold up the round
+            checkResult = await decideRoundOnTimeout(server, job.data);
+            if (!checkResult) return;
+        } else {
+            const regionResult = await checkServerStatus(server);
+
+            // The status is decided once a quorum of regions reported
+            checkResult = await recordRegionResult(server, { ...job.data, region: job.data.region || REGION }, regionResult);
+            if (!checkResult) {
+                logger.debug(`Job ${job.id} (Check ${server.name}) recorded for region ${REGION}`);
+                return;
             }
-        };
-
-        await addToBatch(updateOp, checkDoc);
-
-        if (checkResult) {
-            const updatePayload = {
-                serverId: server._id,
-                userId: server.uploadedBy,
-                status: checkResult.status || 'unknown',
-                latency: checkResult.responseTime,
-                lastChecked: new Date()
-            };
-            redisConnection.publish('monitor-updates', JSON.stringify(updatePayload));
         }
 
+        await applyCheckResult(server, checkResult);
+
         logger.debug(`Job ${job.id} (Check ${server.name}) processed in ${Date.now() - startTime}ms`);
 
     } catch (error) {
@@ -149,4 +220,4 @@ monitorWorker.on('closing', async () => {
     await executeBatch();
 });
 
-logger.info(`🚀 Monitor Worker started - listening on queue: ${QUEUE_NAME}`);
+logger.info(`🚀 Monitor Worker started - region ${REGION}, listening on queue: ${QUEUE_NAME}`);
@@ -0,0 +1,67 @@
+// workers/webhookWorker.js - Dedicated worker for webhook deliveries
+
+import './loadEnv.js';
+import { Worker } from 'bullmq';
+import { redisConnection } from '../config/redis.js';
+import logger from '../utils/logger.js';
+import { WEBHOOK_QUEUE_NAME } from '../queues/webhookQueue.js';
+import { attemptWebhookDelivery } from '../services/webhookService.js';
+import mongoose from 'mongoose';
+
+/**
+ * Dedicated worker for webhook deliveries
+ * Failed attempts are retried by the queue with exponential backoff
+ */
+const webhookWorker = new Worker(
+    WEBHOOK_QUEUE_NAME,
+    async (job) => {
+        // Deliveries are logged in the database
+        if (mongoose.connection.readyState === 0) {
+            await mongoose.connect(process.env.MONGO_URI);
+        }
+
+        const { deliveryId } = job.data;
+        const finalAttempt = job.attemptsMade + 1 >= (job.opts.attempts || 1);
+
+        const attempt = await attemptWebhookDelivery(deliveryId, { finalAttempt });
+        return { success: true, deliveryId, statusCode: attempt?.statusCode ?? null };
+    },
+    {
+        connection: redisConnection,
+        concurrency: 20, // Deliveries mostly wait on receivers
+        limiter: {
+            max: 50, // Max 50 deliveries per second
+            duration: 1000
+        }
+    }
+);
+
+// Event handlers
+webhookWorker.on('completed', (job) => {
+    logger.debug(`Webhook job ${job.id} completed for delivery ${job.data.deliveryId}`);
+});
+
+webhookWorker.on('failed', (job, err) => {
+    logger.warn(`Webhook job ${job?.id} attempt ${job?.attemptsMade} failed: ${err.message}`);
+});
+
+webhookWorker.on('error', (err) => {
+    logger.error('Webhook worker error:', err);
+});
+
+// Graceful shutdown
+process.on('SIGTERM', async () => {
+    logger.info('SIGTERM received, closing webhook worker...');
+    await webhookWorker.close();
+    process.exit(0);
+});
+
+process.on('SIGINT', async () => {
+    logger.info('SIGINT received, closing webhook worker...');
+    await webhookWorker.close();
+    process.exit(0);
+});
+
+logger.info('✅ Webhook worker started');
+
+export default webhookWorker;